@@ -4,6 +4,17 @@ const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const fs = require('fs-extra');
 const path = require('path');
+const storage = require('../storage');
+const invitationManager = require('../utils/invitationManager');
+
+// Notes shared with this email before the account existed; never blocks sign-in
+const fulfillInvitations = async (user) => {
+  try {
+    await invitationManager.fulfillInvitations(user);
+  } catch (error) {
+    console.error(`Failed to fulfill invitations for ${user.email}:`, error);
+  }
+};
 
 module.exports = (passport) => {
   // Serialize user
@@ -13,9 +24,7 @@ module.exports = (passport) => {
 
   passport.deserializeUser(async (id, done) => {
     try {
-      const usersFile = path.join(__dirname, '../data/users.json');
-      const users = await fs.readJson(usersFile).catch(() => ({}));
-      const user = Object.values(users).find(u => u.id === id);
+      const user = await storage.findUserById(id);
       done(null, user);
     } catch (error) {
       done(error, null);
@@ -29,10 +38,7 @@ module.exports = (passport) => {
     callbackURL: process.env.GOOGLE_CALLBACK_URL || "http://localhost:3000/auth/google/callback"
   }, async (accessToken, refreshToken, profile, done) => {
     try {
-      const usersFile = path.join(__dirname, '../data/users.json');
-      const users = await fs.readJson(usersFile).catch(() => ({}));
-      
-      let user = users[profile.id];
+      let user = await storage.findUserById(profile.id);
       if (!user) {
         user = {
           id: profile.id,
@@ -41,12 +47,12 @@ module.exports = (passport) => {
           provider: 'google',
           avatar: profile.photos[0].value
         };
-        users[profile.id] = user;
-        await fs.ensureDir(path.dirname(usersFile));
-        await fs.writeJson(usersFile, users);
+        await storage.saveUser(user);
         
         // Create user notes directory
         await fs.ensureDir(path.join(__dirname, '../data/notes', user.id));
+
+        await fulfillInvitations(user);
       }
       
       return done(null, user);
@@ -63,10 +69,7 @@ module.exports = (passport) => {
     scope: ['user.read']
   }, async (accessToken, refreshToken, profile, done) => {
     try {
-      const usersFile = path.join(__dirname, '../data/users.json');
-      const users = await fs.readJson(usersFile).catch(() => ({}));
-      
-      let user = users[profile.id];
+      let user = await storage.findUserById(profile.id);
       if (!user) {
         user = {
           id: profile.id,
@@ -75,12 +78,12 @@ module.exports = (passport) => {
           provider: 'microsoft',
           avatar: profile.photos?.[0]?.value || null
         };
-        users[profile.id] = user;
-        await fs.ensureDir(path.dirname(usersFile));
-        await fs.writeJson(usersFile, users);
+        await storage.saveUser(user);
         
         // Create user notes directory
         await fs.ensureDir(path.join(__dirname, '../data/notes', user.id));
+
+        await fulfillInvitations(user);
       }
       
       return done(null, user);
@@ -95,9 +98,7 @@ module.exports = (passport) => {
     secretOrKey: process.env.JWT_SECRET
   }, async (payload, done) => {
     try {
-      const usersFile = path.join(__dirname, '../data/users.json');
-      const users = await fs.readJson(usersFile).catch(() => ({}));
-      const user = users[payload.id];
+      const user = await storage.findUserById(payload.id);
       
       if (user) {
         return done(null, user);
@@ -0,0 +1,27 @@
+const express = require('express');
+const passport = require('passport');
+const activityManager = require('../utils/activityManager');
+const router = express.Router();
+
+// Middleware to authenticate all activity routes
+router.use(passport.authenticate('jwt', { session: false }));
+
+/**
+ * Activity on the user's own and shared notes, newest first.
+ * Query: noteId, actorId, type (comma-separated), since, until, before, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { noteId, actorId, type, since, until, before, limit } = req.query;
+    const activity = await activityManager.queryActivity(req.user.id, { noteId, actorId, type, since, until, before, limit });
+    res.json(activity);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Failed to load activity:', error);
+    res.status(500).json({ error: 'Failed to load activity' });
+  }
+});
+
+module.exports = router;
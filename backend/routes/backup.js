@@ -0,0 +1,74 @@
+const express = require('express');
+const passport = require('passport');
+const multer = require('multer');
+const accountArchive = require('../utils/accountArchive');
+const router = express.Router();
+
+// Mounted at /api, so authenticate per route rather than for everything under /api
+const authenticate = passport.authenticate('jwt', { session: false });
+
+// Configure multer for backup uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 500 * 1024 * 1024, // 500MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.zip$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Backups are .zip files'), false);
+    }
+  }
+});
+
+// Download a backup of the whole account (notes, metadata, images, folders, shares)
+router.get('/export', authenticate, async (req, res) => {
+  try {
+    const { stream } = await accountArchive.createBackup(req.user);
+    const date = new Date().toISOString().split('T')[0];
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="notes-backup-${date}.zip"`
+    });
+
+    stream.on('error', (error) => {
+      console.error('Error streaming backup:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+// Restore a backup into the current account
+router.post('/import', authenticate, (req, res, next) => {
+  upload.single('backup')(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No backup file provided' });
+    }
+
+    const result = await accountArchive.restoreBackup(req.user, req.file.buffer);
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const passport = require('passport');
+const folderManager = require('../utils/folderManager');
+const router = express.Router();
+
+// Middleware to authenticate all folder routes
+router.use(passport.authenticate('jwt', { session: false }));
+
+const sendFolderError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// List the user's folders, including folders shared with them
+router.get('/', async (req, res) => {
+  try {
+    const folders = await folderManager.listFolders(req.user.id);
+    res.json(folders);
+  } catch (error) {
+    sendFolderError(res, error, 'Failed to load folders');
+  }
+});
+
+// Create a folder
+router.post('/', async (req, res) => {
+  try {
+    const { name, parentId = null } = req.body;
+    const folder = await folderManager.createFolder(req.user.id, { name, parentId });
+    res.status(201).json(folder);
+  } catch (error) {
+    sendFolderError(res, error, 'Failed to create folder');
+  }
+});
+
+// Rename or move a folder
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+    const folder = await folderManager.updateFolder(req.user.id, req.params.id, { name, parentId });
+    res.json(folder);
+  } catch (error) {
+    sendFolderError(res, error, 'Failed to update folder');
+  }
+});
+
+// Delete a folder; its notes and subfolders move up a level
+router.delete('/:id', async (req, res) => {
+  try {
+    const { movedNotes } = await folderManager.deleteFolder(req.user.id, req.params.id);
+    res.json({ message: 'Folder deleted', movedNotes });
+  } catch (error) {
+    sendFolderError(res, error, 'Failed to delete folder');
+  }
+});
+
+module.exports = router;
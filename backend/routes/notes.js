@@ -4,12 +4,30 @@ const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
-const sharp = require('sharp');
 const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
+const storage = require('../storage');
 const fileLockManager = require('../utils/fileLock');
 const collaborationManager = require('../utils/collaborationManager');
 const clientSyncTracker = require('../utils/clientSyncTracker');
+const versionManager = require('../utils/versionManager');
+const trashManager = require('../utils/trashManager');
+const searchIndex = require('../utils/searchIndex');
+const tagManager = require('../utils/tagManager');
+const folderManager = require('../utils/folderManager');
+const noteOrderManager = require('../utils/noteOrderManager');
+const noteFormat = require('../utils/noteFormat');
+const imageManager = require('../utils/imageManager');
+const attachmentManager = require('../utils/attachmentManager');
+const markdownArchive = require('../utils/markdownArchive');
+const commentManager = require('../utils/commentManager');
+const crdtManager = require('../utils/crdtManager');
+const shareManager = require('../utils/shareManager');
+const activityManager = require('../utils/activityManager');
+const notificationManager = require('../utils/notificationManager');
+const mentionManager = require('../utils/mentionManager');
+const reminderManager = require('../utils/reminderManager');
+const taskManager = require('../utils/taskManager');
 const router = express.Router();
 
 // ===== MIDDLEWARE SETUP =====
@@ -106,6 +124,39 @@ const upload = multer({
   }
 });
 
+// Configure multer for file attachments; the allowlist and size limit come from attachmentManager
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentManager.maxSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const contentType = attachmentManager.resolveContentType(file.mimetype, file.originalname);
+    if (attachmentManager.isAllowedType(contentType)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error(`Files of type ${contentType} can't be attached`), { status: 415 }), false);
+    }
+  }
+});
+
+// Configure multer for Markdown imports (.md or a .zip of them)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(md|markdown|txt|zip)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .md, .markdown, .txt and .zip files can be imported'), false);
+    }
+  }
+});
+
 // Middleware to authenticate all note routes
 router.use(passport.authenticate('jwt', { session: false }));
 
@@ -140,8 +191,7 @@ async function resolveNotePath(noteFilePath) {
 async function findOriginalNoteInfo(userId, noteId) {
   try {
     const userNotesDir = path.join(__dirname, '../data/notes', userId);
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
+    const metadata = await storage.readMetadata(userId);
     const noteMetadata = metadata[noteId];
 
     if (!noteMetadata) return null;
@@ -155,10 +205,7 @@ async function findOriginalNoteInfo(userId, noteId) {
         userId
       });
 
-      const usersFile = path.join(__dirname, '../data/users.json');
-      const users = await fs.readJson(usersFile).catch(() => ({}));
-      
-      const originalOwner = Object.values(users).find(u => u.email === noteMetadata.sharedBy);
+      const originalOwner = await storage.findUserByEmail(noteMetadata.sharedBy);
       if (!originalOwner) {
         console.error('❌ Could not find original owner with email:', noteMetadata.sharedBy);
         return null;
@@ -167,8 +214,7 @@ async function findOriginalNoteInfo(userId, noteId) {
       console.log('👤 Found original owner:', originalOwner.id);
 
       const originalOwnerDir = path.join(__dirname, '../data/notes', originalOwner.id);
-      const originalMetadataFile = path.join(originalOwnerDir, 'metadata.json');
-      const originalMetadata = await fs.readJson(originalMetadataFile).catch(() => ({}));
+      const originalMetadata = await storage.readMetadata(originalOwner.id);
       
       const originalNoteMetadata = originalMetadata[noteMetadata.originalNoteId];
       
@@ -184,8 +230,6 @@ async function findOriginalNoteInfo(userId, noteId) {
         return {
           noteFile: originalNoteFile,
           metadata: originalNoteMetadata,
-          metadataFile: originalMetadataFile,
-          allMetadata: originalMetadata,
           noteId: noteMetadata.originalNoteId,
           ownerId: originalOwner.id,
           isShared: true
@@ -209,8 +253,6 @@ async function findOriginalNoteInfo(userId, noteId) {
     return {
       noteFile,
       metadata: noteMetadata,
-      metadataFile,
-      allMetadata: metadata,
       noteId,
       ownerId: userId,
       isShared: false
@@ -224,18 +266,10 @@ async function findOriginalNoteInfo(userId, noteId) {
 // Helper function to check if user has permission to edit note
 async function checkEditPermission(userId, noteId) {
   try {
-    const userNotesDir = path.join(__dirname, '../data/notes', userId);
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    const noteMetadata = metadata[noteId];
+    const metadata = await storage.readMetadata(userId);
 
-    if (!noteMetadata) return false;
-    
-    if (noteMetadata.shared) {
-      return noteMetadata.permission === 'edit';
-    }
-    
-    return true;
+    // Trashed notes and notes their owner deleted are read-only for everyone
+    return shareManager.canEdit(shareManager.permissionOf(metadata[noteId]));
   } catch (error) {
     return false;
   }
@@ -244,60 +278,15 @@ async function checkEditPermission(userId, noteId) {
 // Helper function to check if user has access to note (view or edit)
 async function checkNoteAccess(userId, noteId) {
   try {
-    const userNotesDir = path.join(__dirname, '../data/notes', userId);
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
+    const metadata = await storage.readMetadata(userId);
     return !!metadata[noteId];
   } catch (error) {
     return false;
   }
 }
 
-// Helper function to get image directory for a note
-function getImageDir(userId, noteId) {
-  return path.join(__dirname, '../data/notes', userId, 'images', noteId);
-}
-
-// Helper function to process and save image
-async function processAndSaveImage(imageBuffer, userId, noteId, originalName) {
-  const imageId = uuidv4();
-  const imageDir = getImageDir(userId, noteId);
-  await fs.ensureDir(imageDir);
-  
-  const ext = path.extname(originalName).toLowerCase() || '.jpg';
-  const filename = `${imageId}${ext}`;
-  const filepath = path.join(imageDir, filename);
-  
-  let processedBuffer;
-  const image = sharp(imageBuffer);
-  const metadata = await image.metadata();
-  
-  if (metadata.width > 1200) {
-    processedBuffer = await image
-      .resize(1200, null, { withoutEnlargement: true })
-      .jpeg({ quality: 85 })
-      .toBuffer();
-  } else {
-    processedBuffer = await image
-      .jpeg({ quality: 85 })
-      .toBuffer();
-  }
-  
-  await fs.writeFile(filepath, processedBuffer);
-  
-  return {
-    id: imageId,
-    filename,
-    originalName,
-    size: processedBuffer.length,
-    width: metadata.width > 1200 ? 1200 : metadata.width,
-    height: Math.round((metadata.width > 1200 ? 1200 : metadata.width) * metadata.height / metadata.width),
-    createdAt: new Date().toISOString()
-  };
-}
-
 // Enhanced function to sync shared note updates WITH WebSocket integration
-async function syncSharedNoteUpdates(originalNoteInfo, updatedMetadata) {
+async function syncSharedNoteUpdates(originalNoteInfo, updatedMetadata, addedTags = []) {
   if (!originalNoteInfo.metadata.hasBeenShared && !updatedMetadata.shared) return;
 
   try {
@@ -307,8 +296,7 @@ async function syncSharedNoteUpdates(originalNoteInfo, updatedMetadata) {
       updatedAt: updatedMetadata.updatedAt
     });
 
-    const sharesFile = path.join(__dirname, '../data/shares.json');
-    const shares = await fs.readJson(sharesFile).catch(() => ({}));
+    const shares = await storage.readShares();
     
     const shareKey = `${originalNoteInfo.ownerId}-${originalNoteInfo.noteId}`;
     const shareInfo = shares[shareKey];
@@ -323,22 +311,15 @@ async function syncSharedNoteUpdates(originalNoteInfo, updatedMetadata) {
     // Update each participant's metadata
     for (const [participantId, participantInfo] of Object.entries(shareInfo.participants)) {
       try {
-        const participantNotesDir = path.join(__dirname, '../data/notes', participantId);
-        const participantMetadataFile = path.join(participantNotesDir, 'metadata.json');
-        const participantMetadata = await fs.readJson(participantMetadataFile).catch(() => ({}));
-        
-        let participantNoteId = null;
-        for (const [noteId, noteData] of Object.entries(participantMetadata)) {
-          if (noteData.originalNoteId === originalNoteInfo.noteId || 
-              (noteData.shared && noteId === originalNoteInfo.noteId)) {
-            participantNoteId = noteId;
-            break;
-          }
-        }
-        
-        if (participantNoteId && participantMetadata[participantNoteId]) {
-          participantMetadata[participantNoteId] = {
-            ...participantMetadata[participantNoteId],
+        // One read-modify-write, a single transaction with the SQLite driver
+        const participantNoteId = await storage.updateMetadata(participantId, participantMetadata => {
+          const noteId = Object.keys(participantMetadata).find(id =>
+            participantMetadata[id].originalNoteId === originalNoteInfo.noteId ||
+            (participantMetadata[id].shared && id === originalNoteInfo.noteId));
+          if (!noteId) return null;
+
+          participantMetadata[noteId] = {
+            ...participantMetadata[noteId],
             title: updatedMetadata.title,
             updatedAt: updatedMetadata.updatedAt,
             lastEditedBy: updatedMetadata.lastEditedBy,
@@ -346,7 +327,15 @@ async function syncSharedNoteUpdates(originalNoteInfo, updatedMetadata) {
             lastEditorAvatar: updatedMetadata.lastEditorAvatar
           };
           
-          await fs.writeJson(participantMetadataFile, participantMetadata);
+          // New hashtags in the content become tags for every participant
+          if (addedTags.length > 0) {
+            participantMetadata[noteId].tags = tagManager.mergeTags(participantMetadata[noteId].tags, addedTags);
+          }
+          return noteId;
+        });
+        
+        if (participantNoteId) {
+          searchIndex.markStale(participantId, participantNoteId);
           console.log(`✅ Synced note update to participant ${participantId} (note ${participantNoteId})`);
         } else {
           console.log(`❌ Could not find note ${originalNoteInfo.noteId} in participant ${participantId}'s metadata`);
@@ -442,7 +431,7 @@ router.post('/bulk-sync', collaborationLimiter, async (req, res) => {
           if (updatedAt > sinceDate) {
             // Note has updates
             const realPath = await resolveNotePath(originalNoteInfo.noteFile);
-            const content = await fs.readFile(realPath, 'utf8');
+            const content = await noteFormat.readNote(realPath);
             
             const lastEditor = originalNoteInfo.metadata.lastEditedBy ? {
               id: originalNoteInfo.metadata.lastEditedBy,
@@ -481,7 +470,7 @@ router.post('/bulk-sync', collaborationLimiter, async (req, res) => {
           } else {
             // No updates, but still record the current hash for future conflict detection
             const realPath = await resolveNotePath(originalNoteInfo.noteFile);
-            const content = await fs.readFile(realPath, 'utf8');
+            const content = await noteFormat.readNote(realPath);
             const currentContentHash = generateContentHash(originalNoteInfo.metadata.title, content);
             
             // Record that this client is up-to-date with this hash
@@ -520,12 +509,13 @@ router.get('/metadata', async (req, res) => {
     const userNotesDir = path.join(__dirname, '../data/notes', userId);
     await fs.ensureDir(userNotesDir);
     
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
+    const metadata = await storage.readMetadata(userId);
     
     const noteMetadata = {};
     
     for (const [id, meta] of Object.entries(metadata)) {
+      if (meta.trashed) continue;
+      
       const noteFile = path.join(userNotesDir, `${id}.md`);
       if (await fs.pathExists(noteFile)) {
         noteMetadata[id] = {
@@ -536,7 +526,13 @@ router.get('/metadata', async (req, res) => {
           shared: meta.shared || false,
           sharedBy: meta.sharedBy || null,
           hasBeenShared: meta.hasBeenShared || false,
-          permission: meta.permission || 'edit',
+          deletedByOwner: meta.deletedByOwner || false,
+          permission: meta.deletedByOwner ? 'view' : (meta.permission || 'edit'),
+          tags: meta.tags || [],
+          folderId: meta.folderId || null,
+          workspaceId: meta.workspaceId || null,
+          reminderAt: meta.reminderAt || null,
+          ...noteOrderManager.getOrderFields(meta),
           lastEditedBy: meta.lastEditedBy,
           lastEditorName: meta.lastEditorName,
           lastEditorAvatar: meta.lastEditorAvatar
@@ -671,7 +667,7 @@ router.get('/:noteId/updates', collaborationLimiter, async (req, res) => {
       
       let content;
       try {
-        content = await fs.readFile(realPath, 'utf8');
+        content = await noteFormat.readNote(realPath);
         console.log('📝 File read result:', {
           contentType: typeof content,
           contentLength: content ? content.length : 0,
@@ -855,43 +851,44 @@ router.post('/:id/images', upload.single('image'), async (req, res) => {
       return res.status(403).json({ error: 'No edit permission for this note' });
     }
     
-    const userNotesDir = path.join(__dirname, '../data/notes', userId);
-    const noteFile = path.join(userNotesDir, `${noteId}.md`);
-    if (!await fs.pathExists(noteFile)) {
+    // Images of a shared note are kept with the original owner's copy
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    if (!originalNoteInfo || !await fs.pathExists(originalNoteInfo.noteFile)) {
       return res.status(404).json({ error: 'Note not found' });
     }
     
-    const imageInfo = await processAndSaveImage(
+    const imageInfo = await imageManager.processAndSaveImage(
       req.file.buffer,
-      userId,
-      noteId,
+      originalNoteInfo.ownerId,
+      originalNoteInfo.noteId,
       req.file.originalname
     );
     
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    if (!metadata[noteId]) {
-      metadata[noteId] = {};
-    }
-    if (!metadata[noteId].images) {
-      metadata[noteId].images = [];
-    }
-    metadata[noteId].images.push(imageInfo);
-    metadata[noteId].updatedAt = new Date().toISOString();
-    await fs.writeJson(metadataFile, metadata);
+    await storage.updateMetadata(originalNoteInfo.ownerId, metadata => {
+      const note = metadata[originalNoteInfo.noteId];
+      if (!note) return;
+      note.images = [...(note.images || []), imageInfo];
+      note.updatedAt = new Date().toISOString();
+    });
+    
+    await activityManager.recordForUser(userId, noteId, 'image_upload', req.user, {
+      imageId: imageInfo.id,
+      originalName: imageInfo.originalName
+    });
     
     res.json({
       id: imageInfo.id,
-      url: `/api/notes/${noteId}/images/${imageInfo.id}`,
+      url: imageManager.getImageUrl(noteId, imageInfo.id),
       width: imageInfo.width,
       height: imageInfo.height,
+      widths: imageManager.getImageWidths(imageInfo),
       size: imageInfo.size,
       originalName: imageInfo.originalName
     });
     
   } catch (error) {
     console.error('Error uploading image:', error);
-    if (error.message === 'Only image files are allowed') {
+    if (error.message === 'Only image files are allowed' || error.message === 'Invalid image file') {
       res.status(400).json({ error: error.message });
     } else {
       res.status(500).json({ error: 'Failed to upload image' });
@@ -909,30 +906,46 @@ router.get('/:noteId/images/:imageId', async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    const userNotesDir = path.join(__dirname, '../data/notes', userId);
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    const noteMetadata = metadata[noteId];
-    
-    if (!noteMetadata || !noteMetadata.images) {
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    const upload = originalNoteInfo &&
+      await shareManager.findUpload(originalNoteInfo.ownerId, originalNoteInfo.noteId, 'images', imageId);
+    if (!upload) {
       return res.status(404).json({ error: 'Image not found' });
     }
+    const { userId: uploaderId, item: imageInfo } = upload;
     
-    const imageInfo = noteMetadata.images.find(img => img.id === imageId);
-    if (!imageInfo) {
-      return res.status(404).json({ error: 'Image not found' });
+    // The copy to send depends on the requested width (srcset) and on the
+    // formats the browser accepts
+    const variant = imageManager.selectVariant(imageInfo, {
+      accept: req.get('Accept'),
+      width: parseInt(req.query.w, 10) || null
+    });
+    res.setHeader('Vary', 'Accept');
+    
+    // Object storage can hand the browser a signed URL instead of streaming
+    // the bytes through here; it expires, so the redirect is cached briefly
+    const signedUrl = await imageManager.getSignedImageUrl(uploaderId, originalNoteInfo.noteId, variant);
+    if (signedUrl) {
+      res.setHeader('Cache-Control', 'private, max-age=60');
+      return res.redirect(302, signedUrl);
     }
     
-    const imagePath = path.join(getImageDir(userId, noteId), imageInfo.filename);
-    if (!await fs.pathExists(imagePath)) {
+    const image = await imageManager.openImage(uploaderId, originalNoteInfo.noteId, variant);
+    if (!image) {
       return res.status(404).json({ error: 'Image file not found' });
     }
     
-    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Content-Type', image.contentType);
+    if (image.size !== undefined) {
+      res.setHeader('Content-Length', image.size);
+    }
     res.setHeader('Cache-Control', 'public, max-age=31536000');
     
-    const imageStream = fs.createReadStream(imagePath);
-    imageStream.pipe(res);
+    image.stream.on('error', (error) => {
+      console.error('Error streaming image:', error);
+      res.destroy(error);
+    });
+    image.stream.pipe(res);
     
   } catch (error) {
     console.error('Error serving image:', error);
@@ -951,28 +964,23 @@ router.delete('/:noteId/images/:imageId', async (req, res) => {
       return res.status(403).json({ error: 'No edit permission for this note' });
     }
     
-    const userNotesDir = path.join(__dirname, '../data/notes', userId);
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    const noteMetadata = metadata[noteId];
-    
-    if (!noteMetadata || !noteMetadata.images) {
-      return res.status(404).json({ error: 'Image not found' });
-    }
-    
-    const imageIndex = noteMetadata.images.findIndex(img => img.id === imageId);
-    if (imageIndex === -1) {
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    const upload = originalNoteInfo &&
+      await shareManager.findUpload(originalNoteInfo.ownerId, originalNoteInfo.noteId, 'images', imageId);
+    if (!upload) {
       return res.status(404).json({ error: 'Image not found' });
     }
     
-    const imageInfo = noteMetadata.images[imageIndex];
-    
-    const imagePath = path.join(getImageDir(userId, noteId), imageInfo.filename);
-    await fs.remove(imagePath).catch(() => {});
+    await imageManager.removeImage(upload.userId, originalNoteInfo.noteId, upload.item).catch(error => {
+      console.error('Error removing image file:', error);
+    });
     
-    noteMetadata.images.splice(imageIndex, 1);
-    noteMetadata.updatedAt = new Date().toISOString();
-    await fs.writeJson(metadataFile, metadata);
+    await storage.updateMetadata(upload.userId, latestMetadata => {
+      const latestNote = latestMetadata[originalNoteInfo.noteId];
+      if (!latestNote) return;
+      latestNote.images = (latestNote.images || []).filter(img => img.id !== imageId);
+      latestNote.updatedAt = new Date().toISOString();
+    });
     
     res.json({ message: 'Image deleted successfully' });
     
@@ -982,165 +990,935 @@ router.delete('/:noteId/images/:imageId', async (req, res) => {
   }
 });
 
-// Get all notes for user
-router.get('/', async (req, res) => {
+// ===== ATTACHMENTS =====
+
+// Attach a file to a note
+router.post('/:id/attachments', (req, res, next) => {
+  attachmentUpload.single('file')(req, res, (error) => {
+    if (error) {
+      const status = error.status || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Attachments can be at most ${Math.round(attachmentManager.maxSize / 1024 / 1024)}MB`
+        : error.message;
+      return res.status(status).json({ error: message });
+    }
+    next();
+  });
+}, async (req, res) => {
   try {
-    const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
-    await fs.ensureDir(userNotesDir);
+    const noteId = req.params.id;
+    const userId = req.user.id;
     
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
     
-    const notes = [];
-    for (const [id, meta] of Object.entries(metadata)) {
-      const noteFile = path.join(userNotesDir, `${id}.md`);
-      if (await fs.pathExists(noteFile)) {
-        const realPath = await resolveNotePath(noteFile);
-        const content = await fs.readFile(realPath, 'utf8');
-        
-        const lockStatus = await fileLockManager.checkLock(id);
-        
-        // Generate content hash for change detection
-        const contentHash = generateContentHash(meta.title, content);
-        
-        notes.push({
-          id,
-          title: meta.title,
-          content,
-          createdAt: meta.createdAt,
-          updatedAt: meta.updatedAt,
-          shared: meta.shared || false,
-          sharedBy: meta.sharedBy || null,
-          hasBeenShared: meta.hasBeenShared || false,
-          sharedWith: meta.sharedWith || [],
-          permission: meta.permission || 'edit',
-          locked: lockStatus.locked,
-          lockedBy: lockStatus.userId,
-          lockedUntil: lockStatus.expiresAt,
-          images: meta.images || [],
-          lastEditedBy: meta.lastEditedBy,
-          lastEditorName: meta.lastEditorName,
-          lastEditorAvatar: meta.lastEditorAvatar,
-          contentHash: contentHash
-        });
-      }
+    if (!await checkEditPermission(userId, noteId)) {
+      return res.status(403).json({ error: 'No edit permission for this note' });
     }
     
-    notes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    // Attachments of a shared note are kept with the original owner's copy
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    if (!originalNoteInfo || !await fs.pathExists(originalNoteInfo.noteFile)) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
     
-    console.log(`📋 Returning ${notes.length} notes for user ${req.user.id}`);
-    res.json(notes);
+    const attachment = await attachmentManager.saveAttachment(
+      req.file.buffer,
+      originalNoteInfo.ownerId,
+      originalNoteInfo.noteId,
+      req.file.originalname,
+      req.file.mimetype
+    );
+    
+    await storage.updateMetadata(originalNoteInfo.ownerId, metadata => {
+      const note = metadata[originalNoteInfo.noteId];
+      if (!note) return;
+      note.attachments = [...(note.attachments || []), attachment];
+      note.updatedAt = new Date().toISOString();
+    });
+    
+    await activityManager.recordForUser(userId, noteId, 'attachment_upload', req.user, {
+      attachmentId: attachment.id,
+      originalName: attachment.originalName
+    });
+    
+    res.json({
+      id: attachment.id,
+      url: attachmentManager.getAttachmentUrl(noteId, attachment.id),
+      originalName: attachment.originalName,
+      contentType: attachment.contentType,
+      size: attachment.size
+    });
   } catch (error) {
-    console.error('Error fetching notes:', error);
-    res.status(500).json({ error: 'Failed to fetch notes' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error uploading attachment:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
   }
 });
 
-// GET /api/notes/sync-metadata - Efficient bulk sync metadata endpoint
-router.get('/sync-metadata', async (req, res) => {
+// Download an attachment; ?inline=1 shows PDFs in the browser instead
+router.get('/:noteId/attachments/:attachmentId', async (req, res) => {
   try {
-    console.log('🔄 GET /api/notes/sync-metadata - User:', req.user.email);
-    
-    const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
-    await fs.ensureDir(userNotesDir);
+    const { noteId, attachmentId } = req.params;
+    const userId = req.user.id;
     
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
+    if (!await checkNoteAccess(userId, noteId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
-    const syncMetadata = {};
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    const upload = originalNoteInfo &&
+      await shareManager.findUpload(originalNoteInfo.ownerId, originalNoteInfo.noteId, 'attachments', attachmentId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    const attachment = upload.item;
     
-    for (const [id, meta] of Object.entries(metadata)) {
-      const noteFile = path.join(userNotesDir, `${id}.md`);
-      if (await fs.pathExists(noteFile)) {
-        const realPath = await resolveNotePath(noteFile);
-        const content = await fs.readFile(realPath, 'utf8');
-        
-        // Generate content hash for change detection
-        const contentHash = generateContentHash(meta.title, content);
-        
-        syncMetadata[id] = {
-          id: id,
-          updatedAt: meta.updatedAt,
-          contentHash: contentHash,
-          title: meta.title || '',
-          shared: meta.shared || false,
-          hasBeenShared: meta.hasBeenShared || false
-        };
-      }
+    const file = await attachmentManager.openAttachment(upload.userId, originalNoteInfo.noteId, attachment);
+    if (!file) {
+      return res.status(404).json({ error: 'Attachment file not found' });
     }
     
-    console.log(`✅ Returning sync metadata for ${Object.keys(syncMetadata).length} notes`);
+    const inline = req.query.inline === '1' && attachmentManager.canPreview(attachment);
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Disposition', attachmentManager.contentDisposition(inline ? 'inline' : 'attachment', attachment.originalName));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    if (file.size !== undefined) {
+      res.setHeader('Content-Length', file.size);
+    }
     
-    res.json({ 
-      metadata: syncMetadata,
-      serverTime: new Date().toISOString(),
-      count: Object.keys(syncMetadata).length
+    file.stream.on('error', (error) => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
     });
+    file.stream.pipe(res);
   } catch (error) {
-    console.error('❌ Error fetching sync metadata:', error);
-    res.status(500).json({ error: 'Failed to fetch sync metadata' });
+    console.error('Error serving attachment:', error);
+    res.status(500).json({ error: 'Failed to serve attachment' });
   }
 });
 
-// POST /api/notes/efficient-sync - Intelligent bulk sync endpoint  
-router.post('/efficient-sync', async (req, res) => {
+// Remove an attachment from a note
+router.delete('/:noteId/attachments/:attachmentId', async (req, res) => {
   try {
-    console.log('⚡ POST /api/notes/efficient-sync - User:', req.user.email);
+    const { noteId, attachmentId } = req.params;
+    const userId = req.user.id;
     
-    const { clientMetadata, notesToFetch } = req.body;
+    if (!await checkEditPermission(userId, noteId)) {
+      return res.status(403).json({ error: 'No edit permission for this note' });
+    }
     
-    if (!clientMetadata || typeof clientMetadata !== 'object') {
-      return res.status(400).json({ error: 'clientMetadata object required' });
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    const upload = originalNoteInfo &&
+      await shareManager.findUpload(originalNoteInfo.ownerId, originalNoteInfo.noteId, 'attachments', attachmentId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Attachment not found' });
     }
     
-    if (!notesToFetch || !Array.isArray(notesToFetch)) {
-      return res.status(400).json({ error: 'notesToFetch array required' });
+    await attachmentManager.removeAttachment(upload.userId, originalNoteInfo.noteId, upload.item).catch(error => {
+      console.error('Error removing attachment file:', error);
+    });
+    
+    await storage.updateMetadata(upload.userId, latestMetadata => {
+      const latestNote = latestMetadata[originalNoteInfo.noteId];
+      if (!latestNote) return;
+      latestNote.attachments = (latestNote.attachments || []).filter(item => item.id !== attachmentId);
+      latestNote.updatedAt = new Date().toISOString();
+    });
+    
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Failed to delete attachment' });
+  }
+});
+
+// ===== VERSION HISTORY =====
+
+// List saved versions of a note (newest first, without content)
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const noteId = req.params.id;
+    const userId = req.user.id;
+    
+    if (!await checkNoteAccess(userId, noteId)) {
+      return res.status(403).json({ error: 'Access denied' });
     }
     
-    const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
-    await fs.ensureDir(userNotesDir);
+    // Shared notes keep their history with the original owner's copy
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    if (!originalNoteInfo) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
     
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const serverMetadata = await fs.readJson(metadataFile).catch(() => ({}));
+    const versions = await versionManager.listVersions(originalNoteInfo.ownerId, originalNoteInfo.noteId);
     
-    const results = {
-      updatedNotes: [],
-      newNotes: [],
-      deletedNoteIds: [],
-      serverTime: new Date().toISOString(),
-      stats: {
-        clientNotes: Object.keys(clientMetadata).length,
-        serverNotes: Object.keys(serverMetadata).length,
-        checkedForUpdates: 0,
-        foundUpdates: 0,
-        skippedIdentical: 0
-      }
-    };
+    res.json({
+      noteId,
+      versions,
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('Error listing note versions:', error);
+    res.status(500).json({ error: 'Failed to list note versions' });
+  }
+});
+
+// Get a single version including its content
+router.get('/:id/versions/:versionId', async (req, res) => {
+  try {
+    const { id: noteId, versionId } = req.params;
+    const userId = req.user.id;
     
-    const clientNoteIds = new Set(Object.keys(clientMetadata));
+    if (!await checkNoteAccess(userId, noteId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     
-    console.log(`⚡ Intelligent sync: ${results.stats.clientNotes} client notes vs ${results.stats.serverNotes} server notes`);
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    if (!originalNoteInfo) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
     
-    // Process only the specifically requested notes
-    for (const id of notesToFetch) {
-      const noteFile = path.join(userNotesDir, `${id}.md`);
-      if (!(await fs.pathExists(noteFile))) continue;
-      
-      const serverMeta = serverMetadata[id];
-      const clientMeta = clientMetadata[id];
-      results.stats.checkedForUpdates++;
-      
-      if (!serverMeta) {
-        console.log(`⚠️ Note ${id} requested but not found in server metadata`);
-        continue;
-      }
-      
-      // Note: Since this note is in notesToFetch, the frontend already knows about it
-      // and detected it needs updating. So it should ALWAYS be treated as "updated".
-      
+    const version = await versionManager.getVersion(originalNoteInfo.ownerId, originalNoteInfo.noteId, versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching note version:', error);
+    res.status(500).json({ error: 'Failed to fetch note version' });
+  }
+});
+
+// Restore a note to a previous version (the restore itself becomes a new version)
+router.post('/:id/versions/:versionId/restore', async (req, res) => {
+  try {
+    const { id: noteId, versionId } = req.params;
+    const userId = req.user.id;
+    const now = new Date().toISOString();
+    
+    const hasEditPermission = await checkEditPermission(userId, noteId);
+    if (!hasEditPermission) {
+      return res.status(403).json({ error: 'No edit permission for this note' });
+    }
+    
+    const lockStatus = await fileLockManager.checkLock(noteId);
+    if (lockStatus.locked && lockStatus.userId !== userId) {
+      return res.status(423).json({ 
+        error: 'Note is locked by another user',
+        lockedBy: lockStatus.userId,
+        lockedUntil: lockStatus.expiresAt
+      });
+    }
+    
+    const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+    if (!originalNoteInfo || !await fs.pathExists(originalNoteInfo.noteFile)) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    const version = await versionManager.getVersion(originalNoteInfo.ownerId, originalNoteInfo.noteId, versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    const realPath = await resolveNotePath(originalNoteInfo.noteFile);
+    const previousContent = await noteFormat.readNote(realPath).catch(() => '');
+    const addedTags = tagManager.getAddedHashtags(previousContent, version.content);
+    await noteFormat.writeNote(realPath, version.content);
+    await commentManager.updateAnchors(originalNoteInfo.ownerId, originalNoteInfo.noteId, previousContent, version.content);
+    if (previousContent !== version.content) {
+      await crdtManager.resetDocument(originalNoteInfo.ownerId, originalNoteInfo.noteId, version.content);
+    }
+    
+    // Merge the restored fields into the current entry, keeping changes made since it was read
+    const updatedMetadata = await storage.updateMetadata(originalNoteInfo.ownerId, metadata => {
+      const entry = metadata[originalNoteInfo.noteId];
+      if (!entry) return null; // deleted meanwhile
+      entry.title = version.title;
+      entry.updatedAt = now;
+      entry.tags = tagManager.mergeTags(entry.tags, addedTags);
+      entry.lastEditedBy = req.user.id;
+      entry.lastEditorName = req.user.name;
+      entry.lastEditorAvatar = req.user.avatar;
+      return { ...entry };
+    });
+    
+    if (!updatedMetadata) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    await versionManager.recordVersion(originalNoteInfo.ownerId, originalNoteInfo.noteId, {
+      title: version.title,
+      content: version.content,
+      editor: req.user,
+      source: 'restore',
+      restoredFrom: versionId
+    });
+    await activityManager.record(originalNoteInfo.ownerId, originalNoteInfo.noteId, 'edit', req.user, { restoredFrom: versionId });
+    notificationManager.notifyNoteChanged(originalNoteInfo.ownerId, originalNoteInfo.noteId, req.user);
+    searchIndex.updateNote(originalNoteInfo.ownerId, originalNoteInfo.noteId, {
+      title: version.title,
+      content: version.content,
+      metadata: updatedMetadata
+    });
+    
+    await syncSharedNoteUpdates(originalNoteInfo, updatedMetadata, addedTags);
+    
+    await collaborationManager.triggerNoteSync(originalNoteInfo.noteId, {
+      title: updatedMetadata.title,
+      content: version.content,
+      updatedAt: now
+    }, {
+      id: req.user.id,
+      name: req.user.name,
+      avatar: req.user.avatar
+    });
+    
+    console.log(`⏪ Restored note ${noteId} to version ${versionId} for user ${userId}`);
+    
+    res.json({
+      id: noteId,
+      title: updatedMetadata.title,
+      content: version.content,
+      createdAt: updatedMetadata.createdAt,
+      updatedAt: now,
+      shared: updatedMetadata.shared || false,
+      permission: updatedMetadata.permission || 'edit',
+      images: updatedMetadata.images || [],
+      attachments: updatedMetadata.attachments || [],
+      lastEditedBy: updatedMetadata.lastEditedBy,
+      lastEditorName: updatedMetadata.lastEditorName,
+      lastEditorAvatar: updatedMetadata.lastEditorAvatar,
+      contentHash: generateContentHash(updatedMetadata.title, version.content),
+      restoredFrom: versionId
+    });
+  } catch (error) {
+    console.error('Error restoring note version:', error);
+    res.status(500).json({ error: 'Failed to restore note version' });
+  }
+});
+
+// ===== COMMENTS =====
+
+// Resolve the owner's copy of a note the user can comment on. Everyone with
+// access can comment; trashed notes are read-only.
+async function findCommentableNote(userId, noteId, { write = false } = {}) {
+  const permission = await shareManager.getPermission(userId, noteId);
+  if (!permission) {
+    throw Object.assign(new Error('Access denied'), { status: 403 });
+  }
+  
+  const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
+  if (!originalNoteInfo) {
+    throw Object.assign(new Error('Note not found'), { status: 404 });
+  }
+  if (write && (originalNoteInfo.metadata.trashed || originalNoteInfo.metadata.deletedByOwner)) {
+    throw Object.assign(new Error('Comments are read-only for deleted notes'), { status: 403 });
+  }
+  if (write && !shareManager.canComment(permission)) {
+    throw Object.assign(new Error('You can only read the comments on this note'), { status: 403 });
+  }
+  
+  return { ...originalNoteInfo, permission };
+}
+
+const sendCommentError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+// List the comment threads of a note
+router.get('/:id/comments', async (req, res) => {
+  try {
+    const { ownerId, noteId } = await findCommentableNote(req.user.id, req.params.id);
+    const threads = await commentManager.listThreads(ownerId, noteId);
+    res.json({ threads });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to load comments');
+  }
+});
+
+// Start a thread on a range of the note: { anchor: { start, end, quote }, body }
+router.post('/:id/comments', async (req, res) => {
+  try {
+    const originalNoteInfo = await findCommentableNote(req.user.id, req.params.id, { write: true });
+    const content = await noteFormat.readNote(await resolveNotePath(originalNoteInfo.noteFile)).catch(() => '');
+    const threads = await commentManager.createThread(originalNoteInfo.ownerId, originalNoteInfo.noteId, content, req.user, req.body);
+    res.status(201).json({ threads });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to add comment');
+  }
+});
+
+// Reply to a thread
+router.post('/:id/comments/:threadId/replies', async (req, res) => {
+  try {
+    const { ownerId, noteId } = await findCommentableNote(req.user.id, req.params.id, { write: true });
+    const threads = await commentManager.addReply(ownerId, noteId, req.params.threadId, req.user, req.body.body);
+    await notificationManager.notifyCommentReply(ownerId, noteId, threads.find(thread => thread.id === req.params.threadId), req.user);
+    res.status(201).json({ threads });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to add reply');
+  }
+});
+
+// Resolve or reopen a thread: { status: 'resolved' | 'open' }
+router.put('/:id/comments/:threadId', async (req, res) => {
+  try {
+    const { ownerId, noteId } = await findCommentableNote(req.user.id, req.params.id, { write: true });
+    const threads = await commentManager.setStatus(ownerId, noteId, req.params.threadId, req.user, req.body.status);
+    res.json({ threads });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to update comment thread');
+  }
+});
+
+// Edit one of your own comments
+router.put('/:id/comments/:threadId/replies/:commentId', async (req, res) => {
+  try {
+    const { ownerId, noteId } = await findCommentableNote(req.user.id, req.params.id, { write: true });
+    const threads = await commentManager.editComment(ownerId, noteId, req.params.threadId, req.params.commentId, req.user, req.body.body);
+    res.json({ threads });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to edit comment');
+  }
+});
+
+// Delete a comment (the first comment of a thread deletes the thread)
+router.delete('/:id/comments/:threadId/replies/:commentId', async (req, res) => {
+  try {
+    const { ownerId, noteId, permission } = await findCommentableNote(req.user.id, req.params.id, { write: true });
+    const threads = await commentManager.deleteComment(ownerId, noteId, req.params.threadId, req.params.commentId, req.user, shareManager.canManage(permission));
+    res.json({ threads });
+  } catch (error) {
+    sendCommentError(res, error, 'Failed to delete comment');
+  }
+});
+
+// ===== MENTIONS =====
+
+// Notes whose content @mentions the current user
+router.get('/mentions', async (req, res) => {
+  try {
+    res.json({ notes: await mentionManager.findMentioningNotes(req.user.id) });
+  } catch (error) {
+    console.error('Error finding mentions:', error);
+    res.status(500).json({ error: 'Failed to find notes that mention you' });
+  }
+});
+
+// People who can be @mentioned in a note
+router.get('/:id/mentionable', async (req, res) => {
+  try {
+    res.json({ users: await mentionManager.getMentionableUsers(req.user.id, req.params.id) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error listing mentionable users:', error);
+    res.status(500).json({ error: 'Failed to load people to mention' });
+  }
+});
+
+// ===== TASKS =====
+
+// Task items across the user's notes (?status=open|done|all, default open)
+router.get('/tasks', async (req, res) => {
+  try {
+    const status = typeof req.query.status === 'string' ? req.query.status : 'open';
+    res.json({ tasks: await taskManager.listTasks(req.user.id, { status }) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error listing tasks:', error);
+    res.status(500).json({ error: 'Failed to load tasks' });
+  }
+});
+
+// ===== SEARCH =====
+
+// Full-text search over the user's own and shared notes
+router.get('/search', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q : '';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    
+    if (!query.trim()) {
+      return res.json({ query, results: [], total: 0 });
+    }
+    
+    if (query.length > 500) {
+      return res.status(400).json({ error: 'Search query is too long' });
+    }
+    
+    const { results, total } = await searchIndex.search(req.user.id, query, { limit });
+    
+    res.json({ query, results, total });
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    res.status(500).json({ error: 'Failed to search notes' });
+  }
+});
+
+// ===== TAGS =====
+
+// List the user's tags with the number of notes using each
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await tagManager.listTags(req.user.id);
+    res.json({ tags });
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    res.status(500).json({ error: 'Failed to list tags' });
+  }
+});
+
+// Rename a tag across all of the user's notes
+router.put('/tags/:tag', async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!tagManager.normalizeTag(name)) {
+      return res.status(400).json({ error: 'New tag name is required' });
+    }
+    
+    const noteIds = await tagManager.renameTag(req.user.id, req.params.tag, name);
+    noteIds.forEach(noteId => searchIndex.markStale(req.user.id, noteId));
+    
+    res.json({
+      message: 'Tag renamed',
+      renamed: noteIds.length,
+      noteIds,
+      tags: await tagManager.listTags(req.user.id)
+    });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    res.status(500).json({ error: 'Failed to rename tag' });
+  }
+});
+
+// Add tags to a note
+router.post('/:id/tags', async (req, res) => {
+  try {
+    const { tags } = req.body;
+    
+    if (!Array.isArray(tags) || tagManager.normalizeTags(tags).length === 0) {
+      return res.status(400).json({ error: 'tags array required' });
+    }
+    
+    const savedTags = await tagManager.addTags(req.user.id, req.params.id, tags);
+    if (!savedTags) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    searchIndex.markStale(req.user.id, req.params.id);
+    
+    res.json({ id: req.params.id, tags: savedTags });
+  } catch (error) {
+    console.error('Error adding tags:', error);
+    res.status(500).json({ error: 'Failed to add tags' });
+  }
+});
+
+// Remove a tag from a note
+router.delete('/:id/tags/:tag', async (req, res) => {
+  try {
+    const savedTags = await tagManager.removeTag(req.user.id, req.params.id, req.params.tag);
+    if (!savedTags) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    searchIndex.markStale(req.user.id, req.params.id);
+    
+    res.json({ id: req.params.id, tags: savedTags });
+  } catch (error) {
+    console.error('Error removing tag:', error);
+    res.status(500).json({ error: 'Failed to remove tag' });
+  }
+});
+
+// ===== SORTING =====
+
+// Get the user's list preferences (sort mode)
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = await noteOrderManager.getPreferences(req.user.id);
+    res.json({ ...preferences, sortModes: noteOrderManager.sortModes });
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+// Change the sort mode used for GET /api/notes on every device
+router.put('/preferences', async (req, res) => {
+  try {
+    const preferences = await noteOrderManager.setSortMode(req.user.id, req.body.sortMode);
+    if (!preferences) {
+      return res.status(400).json({ error: `sortMode must be one of: ${noteOrderManager.sortModes.join(', ')}` });
+    }
+    
+    console.log(`↕️ User ${req.user.id} now sorts notes by ${preferences.sortMode}`);
+    res.json({ ...preferences, sortModes: noteOrderManager.sortModes });
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    res.status(500).json({ error: 'Failed to save preferences' });
+  }
+});
+
+// Save a manual order; body: { noteIds: [...] } in display order
+router.put('/order', async (req, res) => {
+  try {
+    const { noteIds } = req.body;
+    if (!Array.isArray(noteIds) || noteIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'noteIds must be an array of note IDs' });
+    }
+    
+    const ordered = await noteOrderManager.setManualOrder(req.user.id, noteIds);
+    res.json({ noteIds: ordered });
+  } catch (error) {
+    console.error('Error saving note order:', error);
+    res.status(500).json({ error: 'Failed to save note order' });
+  }
+});
+
+// ===== MARKDOWN IMPORT / EXPORT =====
+
+// Import a Markdown file or a zip of them; body field `folderId` picks the target notebook
+router.post('/import', (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (error) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+    
+    const result = await markdownArchive.importFile(req.user, req.file, {
+      folderId: req.body.folderId || null
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error importing Markdown:', error);
+    res.status(500).json({ error: 'Failed to import notes' });
+  }
+});
+
+// Export every note (outside the trash) as a zip of Markdown files
+router.get('/export', async (req, res) => {
+  try {
+    const archive = await markdownArchive.exportAll(req.user.id);
+    const date = new Date().toISOString().split('T')[0];
+    
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="notes-${date}.zip"`
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    res.status(500).json({ error: 'Failed to export notes' });
+  }
+});
+
+// Export one note as Markdown (.md, or .zip when it has images)
+router.get('/:id/export', async (req, res) => {
+  try {
+    const exported = await markdownArchive.exportNote(req.user.id, req.params.id);
+    if (!exported) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    
+    res.set({
+      'Content-Type': exported.contentType,
+      'Content-Disposition': `attachment; filename="${exported.filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(exported.filename)}`
+    });
+    res.send(exported.buffer);
+  } catch (error) {
+    console.error('Error exporting note:', error);
+    res.status(500).json({ error: 'Failed to export note' });
+  }
+});
+
+// ===== TRASH =====
+
+// List notes in the trash
+router.get('/trash', async (req, res) => {
+  try {
+    const notes = await trashManager.listTrash(req.user.id);
+    res.json({
+      notes,
+      retentionDays: trashManager.retentionDays
+    });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// Permanently delete everything in the trash
+router.delete('/trash', async (req, res) => {
+  try {
+    const purgedCount = await trashManager.emptyTrash(req.user.id, req.user);
+    res.json({ message: 'Trash emptied', purgedCount });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// Permanently delete a single trashed note
+router.delete('/trash/:id', async (req, res) => {
+  try {
+    const noteId = req.params.id;
+    const userId = req.user.id;
+    
+    const metadata = await storage.readMetadata(userId);
+    if (!metadata[noteId] || !metadata[noteId].trashed) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+    
+    await trashManager.purgeNote(userId, noteId, req.user);
+    res.json({ message: 'Note permanently deleted' });
+  } catch (error) {
+    console.error('Error permanently deleting note:', error);
+    res.status(500).json({ error: 'Failed to permanently delete note' });
+  }
+});
+
+// Restore a note from the trash
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const restored = await trashManager.restoreNote(req.user.id, req.params.id);
+    if (!restored) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+    await folderManager.syncFolderShares(req.user.id);
+    
+    res.json({ message: 'Note restored', id: req.params.id });
+  } catch (error) {
+    console.error('Error restoring note from trash:', error);
+    res.status(500).json({ error: 'Failed to restore note' });
+  }
+});
+
+// Get all notes for user
+router.get('/', async (req, res) => {
+  try {
+    const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
+    await fs.ensureDir(userNotesDir);
+    
+    const metadata = await storage.readMetadata(req.user.id);
+    
+    const notes = [];
+    for (const [id, meta] of Object.entries(metadata)) {
+      if (meta.trashed) continue;
+      
+      const noteFile = path.join(userNotesDir, `${id}.md`);
+      if (await fs.pathExists(noteFile)) {
+        const realPath = await resolveNotePath(noteFile);
+        const content = await noteFormat.readNote(realPath);
+        
+        const lockStatus = await fileLockManager.checkLock(id);
+        
+        // Generate content hash for change detection
+        const contentHash = generateContentHash(meta.title, content);
+        
+        notes.push({
+          id,
+          title: meta.title,
+          content,
+          createdAt: meta.createdAt,
+          updatedAt: meta.updatedAt,
+          shared: meta.shared || false,
+          sharedBy: meta.sharedBy || null,
+          hasBeenShared: meta.hasBeenShared || false,
+          sharedWith: meta.sharedWith || [],
+          permission: meta.deletedByOwner ? 'view' : (meta.permission || 'edit'),
+          deletedByOwner: meta.deletedByOwner || false,
+          deletedByOwnerAt: meta.deletedByOwnerAt || null,
+          locked: lockStatus.locked,
+          lockedBy: lockStatus.userId,
+          lockedUntil: lockStatus.expiresAt,
+          images: meta.images || [],
+          attachments: meta.attachments || [],
+          tags: meta.tags || [],
+          folderId: meta.folderId || null,
+          workspaceId: meta.workspaceId || null,
+          reminderAt: meta.reminderAt || null,
+          ...noteOrderManager.getOrderFields(meta),
+          lastEditedBy: meta.lastEditedBy,
+          lastEditorName: meta.lastEditorName,
+          lastEditorAvatar: meta.lastEditorAvatar,
+          contentHash: contentHash
+        });
+      } else if (meta.deletedByOwner) {
+        // The owner permanently deleted this shared note - keep a tombstone so the participant knows why
+        notes.push({
+          id,
+          title: meta.title,
+          content: '',
+          createdAt: meta.createdAt,
+          updatedAt: meta.updatedAt,
+          shared: true,
+          sharedBy: meta.sharedBy || null,
+          permission: 'view',
+          deletedByOwner: true,
+          deletedByOwnerAt: meta.deletedByOwnerAt || null,
+          ownerPurged: true,
+          images: [],
+          attachments: [],
+          tags: meta.tags || [],
+          folderId: meta.folderId || null,
+          workspaceId: meta.workspaceId || null,
+          reminderAt: meta.reminderAt || null,
+          ...noteOrderManager.getOrderFields(meta),
+          contentHash: generateContentHash(meta.title, '')
+        });
+      }
+    }
+    
+    const { sortMode } = await noteOrderManager.getPreferences(req.user.id);
+    noteOrderManager.sortNotes(notes, sortMode);
+    
+    console.log(`📋 Returning ${notes.length} notes for user ${req.user.id} (sorted by ${sortMode})`);
+    res.json(notes);
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(500).json({ error: 'Failed to fetch notes' });
+  }
+});
+
+// GET /api/notes/sync-metadata - Efficient bulk sync metadata endpoint
+router.get('/sync-metadata', async (req, res) => {
+  try {
+    console.log('🔄 GET /api/notes/sync-metadata - User:', req.user.email);
+    
+    const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
+    await fs.ensureDir(userNotesDir);
+    
+    const metadata = await storage.readMetadata(req.user.id);
+    
+    const syncMetadata = {};
+    
+    for (const [id, meta] of Object.entries(metadata)) {
+      if (meta.trashed) continue;
+      
+      const noteFile = path.join(userNotesDir, `${id}.md`);
+      if (await fs.pathExists(noteFile)) {
+        const realPath = await resolveNotePath(noteFile);
+        const content = await noteFormat.readNote(realPath);
+        
+        // Generate content hash for change detection
+        const contentHash = generateContentHash(meta.title, content);
+        
+        syncMetadata[id] = {
+          id: id,
+          updatedAt: meta.updatedAt,
+          contentHash: contentHash,
+          title: meta.title || '',
+          shared: meta.shared || false,
+          hasBeenShared: meta.hasBeenShared || false,
+          tags: meta.tags || [],
+          folderId: meta.folderId || null,
+          workspaceId: meta.workspaceId || null,
+          reminderAt: meta.reminderAt || null,
+          ...noteOrderManager.getOrderFields(meta)
+        };
+      }
+    }
+    
+    console.log(`✅ Returning sync metadata for ${Object.keys(syncMetadata).length} notes`);
+    
+    res.json({ 
+      metadata: syncMetadata,
+      serverTime: new Date().toISOString(),
+      count: Object.keys(syncMetadata).length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching sync metadata:', error);
+    res.status(500).json({ error: 'Failed to fetch sync metadata' });
+  }
+});
+
+// POST /api/notes/efficient-sync - Intelligent bulk sync endpoint  
+router.post('/efficient-sync', async (req, res) => {
+  try {
+    console.log('⚡ POST /api/notes/efficient-sync - User:', req.user.email);
+    
+    const { clientMetadata, notesToFetch } = req.body;
+    
+    if (!clientMetadata || typeof clientMetadata !== 'object') {
+      return res.status(400).json({ error: 'clientMetadata object required' });
+    }
+    
+    if (!notesToFetch || !Array.isArray(notesToFetch)) {
+      return res.status(400).json({ error: 'notesToFetch array required' });
+    }
+    
+    const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
+    await fs.ensureDir(userNotesDir);
+    
+    const serverMetadata = await storage.readMetadata(req.user.id);
+    
+    const results = {
+      updatedNotes: [],
+      newNotes: [],
+      deletedNoteIds: [],
+      serverTime: new Date().toISOString(),
+      stats: {
+        clientNotes: Object.keys(clientMetadata).length,
+        serverNotes: Object.keys(serverMetadata).length,
+        checkedForUpdates: 0,
+        foundUpdates: 0,
+        skippedIdentical: 0
+      }
+    };
+    
+    const clientNoteIds = new Set(Object.keys(clientMetadata));
+    
+    console.log(`⚡ Intelligent sync: ${results.stats.clientNotes} client notes vs ${results.stats.serverNotes} server notes`);
+    
+    // Process only the specifically requested notes
+    for (const id of notesToFetch) {
+      const noteFile = path.join(userNotesDir, `${id}.md`);
+      if (!(await fs.pathExists(noteFile))) continue;
+      
+      const serverMeta = serverMetadata[id];
+      const clientMeta = clientMetadata[id];
+      results.stats.checkedForUpdates++;
+      
+      if (!serverMeta) {
+        console.log(`⚠️ Note ${id} requested but not found in server metadata`);
+        continue;
+      }
+      
+      if (serverMeta.trashed) {
+        console.log(`🗑️ Note ${id} requested but it is in the trash`);
+        continue;
+      }
+      
+      // Note: Since this note is in notesToFetch, the frontend already knows about it
+      // and detected it needs updating. So it should ALWAYS be treated as "updated".
+      
       // Get server content and generate hash
       const realPath = await resolveNotePath(noteFile);
-      const content = await fs.readFile(realPath, 'utf8');
+      const content = await noteFormat.readNote(realPath);
       const serverHash = generateContentHash(serverMeta.title, content);
       const clientHash = clientMeta.contentHash;
       
@@ -1157,11 +1935,18 @@ router.post('/efficient-sync', async (req, res) => {
         sharedBy: serverMeta.sharedBy || null,
         hasBeenShared: serverMeta.hasBeenShared || false,
         sharedWith: serverMeta.sharedWith || [],
-        permission: serverMeta.permission || 'edit',
+        permission: serverMeta.deletedByOwner ? 'view' : (serverMeta.permission || 'edit'),
+        deletedByOwner: serverMeta.deletedByOwner || false,
         locked: lockStatus.locked,
         lockedBy: lockStatus.userId,
         lockedUntil: lockStatus.expiresAt,
         images: serverMeta.images || [],
+        attachments: serverMeta.attachments || [],
+        tags: serverMeta.tags || [],
+        folderId: serverMeta.folderId || null,
+        workspaceId: serverMeta.workspaceId || null,
+        reminderAt: serverMeta.reminderAt || null,
+        ...noteOrderManager.getOrderFields(serverMeta),
         lastEditedBy: serverMeta.lastEditedBy,
         lastEditorName: serverMeta.lastEditorName,
         lastEditorAvatar: serverMeta.lastEditorAvatar,
@@ -1200,16 +1985,38 @@ router.get('/:id', async (req, res) => {
   try {
     const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
     const noteFile = path.join(userNotesDir, `${req.params.id}.md`);
+    const metadata = await storage.readMetadata(req.user.id);
+    const meta = metadata[req.params.id] || {};
     
     if (!await fs.pathExists(noteFile)) {
+      if (meta.deletedByOwner) {
+        return res.json({
+          id: req.params.id,
+          title: meta.title || 'Untitled',
+          content: '',
+          createdAt: meta.createdAt,
+          updatedAt: meta.updatedAt,
+          shared: true,
+          sharedBy: meta.sharedBy || null,
+          permission: 'view',
+          deletedByOwner: true,
+          deletedByOwnerAt: meta.deletedByOwnerAt || null,
+          ownerPurged: true,
+          images: [],
+          attachments: [],
+          tags: meta.tags || [],
+          folderId: meta.folderId || null,
+          workspaceId: meta.workspaceId || null,
+          reminderAt: meta.reminderAt || null,
+          ...noteOrderManager.getOrderFields(meta),
+          contentHash: generateContentHash(meta.title || 'Untitled', '')
+        });
+      }
       return res.status(404).json({ error: 'Note not found' });
     }
     
     const realPath = await resolveNotePath(noteFile);
-    const content = await fs.readFile(realPath, 'utf8');
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    const meta = metadata[req.params.id] || {};
+    const content = await noteFormat.readNote(realPath);
     
     const lockStatus = await fileLockManager.checkLock(req.params.id);
     
@@ -1226,11 +2033,21 @@ router.get('/:id', async (req, res) => {
       sharedBy: meta.sharedBy || null,
       hasBeenShared: meta.hasBeenShared || false,
       sharedWith: meta.sharedWith || [],
-      permission: meta.permission || 'edit',
+      permission: meta.deletedByOwner ? 'view' : (meta.permission || 'edit'),
+      trashed: meta.trashed || false,
+      trashedAt: meta.trashedAt || null,
+      deletedByOwner: meta.deletedByOwner || false,
+      deletedByOwnerAt: meta.deletedByOwnerAt || null,
       locked: lockStatus.locked,
       lockedBy: lockStatus.userId,
       lockedUntil: lockStatus.expiresAt,
       images: meta.images || [],
+      attachments: meta.attachments || [],
+      tags: meta.tags || [],
+      folderId: meta.folderId || null,
+      workspaceId: meta.workspaceId || null,
+      reminderAt: meta.reminderAt || null,
+      ...noteOrderManager.getOrderFields(meta),
       lastEditedBy: meta.lastEditedBy,
       lastEditorName: meta.lastEditorName,
       lastEditorAvatar: meta.lastEditorAvatar,
@@ -1254,6 +2071,7 @@ router.post('/:id/lock', async (req, res) => {
     }
     
     console.log(`🔐 Attempting to acquire lock for note ${noteId} by user ${userId}`);
+    const previousLock = await fileLockManager.checkLock(noteId);
     const result = await fileLockManager.acquireLock(noteId, userId);
     
     console.log(`🔐 Lock acquisition result for note ${noteId}:`, {
@@ -1265,6 +2083,10 @@ router.post('/:id/lock', async (req, res) => {
     
     if (result.success) {
       console.log(`✅ Lock acquired for note ${noteId} by user ${userId}`);
+      // Refreshing a lock you already hold isn't news
+      if (!previousLock.locked || previousLock.userId !== userId) {
+        await activityManager.recordForUser(userId, noteId, 'lock', req.user);
+      }
       res.json({ 
         success: true, 
         message: 'Lock acquired',
@@ -1313,28 +2135,51 @@ router.put('/:id/lock', async (req, res) => {
 // Create new note
 router.post('/', async (req, res) => {
   try {
-    const { title = 'Untitled', content = '' } = req.body;
+    const { title = 'Untitled', content = '', tags = [], folderId = null } = req.body;
     const id = uuidv4();
+    
+    if (folderId) {
+      const folders = await folderManager.readFolders(req.user.id);
+      if (!folders[folderId] || folders[folderId].shared) {
+        return res.status(400).json({ error: 'Notes can only be created in your own folders' });
+      }
+    }
     const now = new Date().toISOString();
     
     const userNotesDir = path.join(__dirname, '../data/notes', req.user.id);
     await fs.ensureDir(userNotesDir);
     
     const noteFile = path.join(userNotesDir, `${id}.md`);
-    await fs.writeFile(noteFile, content);
+    await noteFormat.writeNote(noteFile, content);
+    
+    const noteMetadata = await storage.updateMetadata(req.user.id, metadata => {
+      metadata[id] = {
+        title,
+        createdAt: now,
+        updatedAt: now,
+        images: [],
+        tags: tagManager.mergeTags(tags, tagManager.extractHashtags(content)),
+        ...(folderId ? { folderId } : {}),
+        lastEditedBy: req.user.id,
+        lastEditorName: req.user.name,
+        lastEditorAvatar: req.user.avatar
+      };
+      return metadata[id];
+    });
     
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    metadata[id] = {
+    await versionManager.recordVersion(req.user.id, id, {
       title,
-      createdAt: now,
-      updatedAt: now,
-      images: [],
-      lastEditedBy: req.user.id,
-      lastEditorName: req.user.name,
-      lastEditorAvatar: req.user.avatar
-    };
-    await fs.writeJson(metadataFile, metadata);
+      content,
+      editor: req.user,
+      source: 'create'
+    });
+    await activityManager.record(req.user.id, id, 'create', req.user);
+    searchIndex.updateNote(req.user.id, id, { title, content, metadata: noteMetadata });
+    
+    // A note created inside a shared folder is shared along with it
+    if (folderId) {
+      await folderManager.syncFolderShares(req.user.id);
+    }
     
     console.log(`📝 Created new note ${id} for user ${req.user.id}`);
     
@@ -1347,6 +2192,10 @@ router.post('/', async (req, res) => {
       shared: false,
       permission: 'edit',
       images: [],
+      attachments: [],
+      tags: noteMetadata.tags,
+      folderId: noteMetadata.folderId || null,
+      ...noteOrderManager.getOrderFields(noteMetadata),
       lastEditedBy: req.user.id,
       lastEditorName: req.user.name,
       lastEditorAvatar: req.user.avatar
@@ -1362,7 +2211,7 @@ router.put('/:id', async (req, res) => {
   const startTime = Date.now();
   
   try {
-    const { title, content } = req.body;
+    const { title, content, tags, folderId, pinned, favorite, reminderAt } = req.body;
     const noteId = req.params.id;
     const userId = req.user.id;
     const now = new Date().toISOString();
@@ -1372,11 +2221,88 @@ router.put('/:id', async (req, res) => {
       userId,
       hasTitle: title !== undefined,
       hasContent: content !== undefined,
+      hasTags: tags !== undefined,
+      hasFolder: folderId !== undefined,
+      hasFlags: pinned !== undefined || favorite !== undefined,
+      hasReminder: reminderAt !== undefined,
       timestamp: now
     });
     
     console.log('⏱️ Request setup completed:', Date.now() - startTime + 'ms');
     
+    // Tags, folder placement, pin/favorite flags and reminders are personal, so changing only those needs access to the note rather than edit permission
+    const hasPersonalFields = [tags, folderId, pinned, favorite, reminderAt].some(value => value !== undefined);
+    if (title === undefined && content === undefined && hasPersonalFields) {
+      if (tags !== undefined) {
+        const savedTags = await tagManager.setTags(userId, noteId, tags);
+        if (!savedTags) {
+          return res.status(404).json({ error: 'Note not found' });
+        }
+        searchIndex.markStale(userId, noteId);
+        console.log(`🏷️ Updated tags for note ${noteId}:`, savedTags);
+      }
+      
+      if (folderId !== undefined) {
+        try {
+          await folderManager.moveNote(userId, noteId, folderId);
+        } catch (folderError) {
+          if (!folderError.status) throw folderError;
+          return res.status(folderError.status).json({ error: folderError.message });
+        }
+        console.log(`📁 Moved note ${noteId} to folder ${folderId || '(top level)'}`);
+      }
+      
+      if (pinned !== undefined || favorite !== undefined) {
+        const flags = await noteOrderManager.setFlags(userId, noteId, { pinned, favorite });
+        if (!flags) {
+          return res.status(404).json({ error: 'Note not found' });
+        }
+        console.log(`📌 Updated flags for note ${noteId}:`, flags);
+      }
+      
+      if (reminderAt !== undefined) {
+        let savedReminder;
+        try {
+          savedReminder = await reminderManager.setReminder(userId, noteId, reminderAt);
+        } catch (reminderError) {
+          if (!reminderError.status) throw reminderError;
+          return res.status(reminderError.status).json({ error: reminderError.message });
+        }
+        if (savedReminder === undefined) {
+          return res.status(404).json({ error: 'Note not found' });
+        }
+        console.log(`⏰ ${savedReminder ? `Set reminder for note ${noteId} at ${savedReminder}` : `Cleared reminder for note ${noteId}`}`);
+      }
+      
+      const userMetadata = await storage.readMetadata(userId);
+      const meta = userMetadata[noteId];
+      const noteFile = path.join(__dirname, '../data/notes', userId, `${noteId}.md`);
+      const noteContent = await noteFormat.readNote(noteFile).catch(() => '');
+      
+      return res.json({
+        id: noteId,
+        title: meta.title,
+        content: noteContent,
+        createdAt: meta.createdAt,
+        updatedAt: meta.updatedAt,
+        shared: meta.shared || false,
+        sharedBy: meta.sharedBy || null,
+        hasBeenShared: meta.hasBeenShared || false,
+        permission: meta.deletedByOwner ? 'view' : (meta.permission || 'edit'),
+        images: meta.images || [],
+        attachments: meta.attachments || [],
+        tags: meta.tags || [],
+        folderId: meta.folderId || null,
+        workspaceId: meta.workspaceId || null,
+        reminderAt: meta.reminderAt || null,
+        ...noteOrderManager.getOrderFields(meta),
+        lastEditedBy: meta.lastEditedBy,
+        lastEditorName: meta.lastEditorName,
+        lastEditorAvatar: meta.lastEditorAvatar,
+        contentHash: generateContentHash(meta.title, noteContent)
+      });
+    }
+    
     const hasEditPermission = await checkEditPermission(userId, noteId);
     console.log('⏱️ Edit permission check completed:', Date.now() - startTime + 'ms');
     
@@ -1420,26 +2346,53 @@ router.put('/:id', async (req, res) => {
     
     console.log('⏱️ File existence check completed:', Date.now() - startTime + 'ms');
     
+    // Snapshot pre-existing content once so notes created before version history can be restored
+    await versionManager.ensureBaseline(originalNoteInfo.ownerId, originalNoteInfo.noteId, await resolveNotePath(originalNoteInfo.noteFile), originalNoteInfo.metadata);
+    
+    // Hashtags typed into the content since the last save become tags
+    let addedTags = [];
+    let previousContent = '';
+    
     // Update note content in the original file
     if (content !== undefined) {
       const realPath = await resolveNotePath(originalNoteInfo.noteFile);
-      await fs.writeFile(realPath, content);
+      previousContent = await noteFormat.readNote(realPath).catch(() => '');
+      addedTags = tagManager.getAddedHashtags(previousContent, content);
+      await noteFormat.writeNote(realPath, content);
+      await commentManager.updateAnchors(originalNoteInfo.ownerId, originalNoteInfo.noteId, previousContent, content);
+      if (previousContent !== content) {
+        // Saved outside live editing (offline sync, conflict resolution) - editors start over from this
+        await crdtManager.resetDocument(originalNoteInfo.ownerId, originalNoteInfo.noteId, content);
+      }
       console.log('📄 Updated note content');
     }
     
     console.log('⏱️ File write completed:', Date.now() - startTime + 'ms');
     
-    // Update metadata in the original location
-    const updatedMetadata = {
-      ...originalNoteInfo.metadata,
-      updatedAt: now,
-      lastEditedBy: req.user.id,
-      lastEditorName: req.user.name,
-      lastEditorAvatar: req.user.avatar
-    };
+    // Update metadata in the original location. Only the fields this save
+    // changes are merged into the current entry, so pins, images, trash and
+    // other changes made to the note since it was read above are kept.
+    const updatedMetadata = await storage.updateMetadata(originalNoteInfo.ownerId, metadata => {
+      const entry = metadata[originalNoteInfo.noteId];
+      if (!entry) return null; // deleted meanwhile
+      entry.updatedAt = now;
+      entry.lastEditedBy = req.user.id;
+      entry.lastEditorName = req.user.name;
+      entry.lastEditorAvatar = req.user.avatar;
+      
+      if (title !== undefined) {
+        entry.title = title;
+      }
+      
+      // The original entry belongs to the owner - only take their tag edits, but always add new hashtags
+      const ownTags = tags !== undefined && !originalNoteInfo.isShared ? tags : entry.tags;
+      entry.tags = tagManager.mergeTags(ownTags, addedTags);
+      return { ...entry };
+    });
     
-    if (title !== undefined) {
-      updatedMetadata.title = title;
+    if (!updatedMetadata) {
+      console.log('❌ Note was deleted while saving:', noteId);
+      return res.status(404).json({ error: 'Note not found' });
     }
     
     console.log('📊 Updated metadata:', {
@@ -1447,18 +2400,50 @@ router.put('/:id', async (req, res) => {
       updatedAt: updatedMetadata.updatedAt,
       lastEditorName: updatedMetadata.lastEditorName
     });
+    console.log('💾 Wrote metadata for owner:', originalNoteInfo.ownerId);
+    console.log('⏱️ Metadata write completed:', Date.now() - startTime + 'ms');
     
-    // Update the allMetadata object and write the entire metadata file
-    originalNoteInfo.allMetadata[originalNoteInfo.noteId] = updatedMetadata;
-    await fs.writeJson(originalNoteInfo.metadataFile, originalNoteInfo.allMetadata);
+    // Keep a point-in-time snapshot of this save
+    const savedContent = content !== undefined ? content : await noteFormat.readNote(originalNoteInfo.noteFile);
+    await versionManager.recordVersion(originalNoteInfo.ownerId, originalNoteInfo.noteId, {
+      title: updatedMetadata.title,
+      content: savedContent,
+      editor: req.user
+    });
+    await activityManager.record(originalNoteInfo.ownerId, originalNoteInfo.noteId, 'edit', req.user);
+    notificationManager.notifyNoteChanged(originalNoteInfo.ownerId, originalNoteInfo.noteId, req.user);
+    if (content !== undefined) {
+      mentionManager.notifyNewMentions(originalNoteInfo.ownerId, originalNoteInfo.noteId, previousContent, content, req.user);
+    }
+    console.log('⏱️ Version snapshot recorded:', Date.now() - startTime + 'ms');
     
-    console.log('💾 Wrote metadata to:', originalNoteInfo.metadataFile);
-    console.log('⏱️ Metadata write completed:', Date.now() - startTime + 'ms');
+    searchIndex.updateNote(originalNoteInfo.ownerId, originalNoteInfo.noteId, {
+      title: updatedMetadata.title,
+      content: savedContent,
+      metadata: updatedMetadata
+    });
     
     // Enhanced: Sync updates to all shared copies
-    await syncSharedNoteUpdates(originalNoteInfo, updatedMetadata);
+    await syncSharedNoteUpdates(originalNoteInfo, updatedMetadata, addedTags);
     console.log('⏱️ Shared notes sync completed:', Date.now() - startTime + 'ms');
     
+    // A participant's own tags and folder live on their entry, which the sync above just rewrote
+    let responseTags = updatedMetadata.tags;
+    let responseFolderId = updatedMetadata.folderId || null;
+    let responseOrderFields = noteOrderManager.getOrderFields(updatedMetadata);
+    let responseReminderAt = updatedMetadata.reminderAt || null;
+    if (originalNoteInfo.isShared) {
+      const userMetadata = await storage.readMetadata(userId);
+      responseFolderId = userMetadata[noteId]?.folderId || null;
+      responseReminderAt = userMetadata[noteId]?.reminderAt || null;
+      responseOrderFields = noteOrderManager.getOrderFields(userMetadata[noteId] || {});
+      if (tags !== undefined) {
+        responseTags = await tagManager.setTags(userId, noteId, tagManager.mergeTags(tags, addedTags));
+      } else {
+        responseTags = userMetadata[noteId]?.tags || [];
+      }
+    }
+    
     // NEW: Trigger real-time WebSocket notification
     await collaborationManager.triggerNoteSync(originalNoteInfo.noteId, {
       title: updatedMetadata.title,
@@ -1488,7 +2473,7 @@ router.put('/:id', async (req, res) => {
     }
     
     // Return updated note data
-    const responseContent = content !== undefined ? content : await fs.readFile(await resolveNotePath(originalNoteInfo.noteFile), 'utf8');
+    const responseContent = savedContent;
     
     console.log('⏱️ Response content prepared:', Date.now() - startTime + 'ms');
     console.log('✅ Note update complete, returning response');
@@ -1505,6 +2490,12 @@ router.put('/:id', async (req, res) => {
       shared: updatedMetadata.shared || false,
       permission: updatedMetadata.permission || 'edit',
       images: updatedMetadata.images || [],
+      attachments: updatedMetadata.attachments || [],
+      tags: responseTags || [],
+      folderId: responseFolderId,
+      workspaceId: updatedMetadata.workspaceId || null,
+      reminderAt: responseReminderAt,
+      ...responseOrderFields,
       lastEditedBy: updatedMetadata.lastEditedBy,
       lastEditorName: updatedMetadata.lastEditorName,
       lastEditorAvatar: updatedMetadata.lastEditorAvatar
@@ -1529,7 +2520,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Delete note (Enhanced with WebSocket cleanup)
+// Delete note - moves it to the trash (purged later by trashManager)
 router.delete('/:id', async (req, res) => {
   try {
     const noteId = req.params.id;
@@ -1537,18 +2528,23 @@ router.delete('/:id', async (req, res) => {
     
     const userNotesDir = path.join(__dirname, '../data/notes', userId);
     const noteFile = path.join(userNotesDir, `${noteId}.md`);
+    const metadata = await storage.readMetadata(userId);
+    const noteMetadata = metadata[noteId];
     
     if (!await fs.pathExists(noteFile)) {
+      // Dismissing a shared note the owner already purged just drops the tombstone
+      if (noteMetadata && noteMetadata.deletedByOwner) {
+        await storage.updateMetadata(userId, latestMetadata => {
+          delete latestMetadata[noteId];
+        });
+        return res.json({ message: 'Note removed' });
+      }
       return res.status(404).json({ error: 'Note not found' });
     }
     
-    const metadataFile = path.join(userNotesDir, 'metadata.json');
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    const noteMetadata = metadata[noteId];
-    
-    // Clean up images directory
-    const imageDir = getImageDir(userId, noteId);
-    await fs.remove(imageDir).catch(() => {});
+    if (!noteMetadata) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
     
     // Clean up presence data for original note using Redis-backed manager
     const originalNoteInfo = await findOriginalNoteInfo(userId, noteId);
@@ -1556,20 +2552,19 @@ router.delete('/:id', async (req, res) => {
       await collaborationManager.removeActiveEditor(originalNoteInfo.noteId, userId);
     }
     
-    if (noteMetadata && noteMetadata.shared && noteMetadata.sharedBy) {
-      await fs.remove(noteFile);
-      delete metadata[noteId];
-      await fs.writeJson(metadataFile, metadata);
-    } else {
-      await fs.remove(noteFile);
-      delete metadata[noteId];
-      await fs.writeJson(metadataFile, metadata);
-    }
-    
+    await trashManager.trashNote(userId, noteId);
     await fileLockManager.releaseLock(noteId, userId);
     
-    console.log(`🗑️ Deleted note ${noteId} for user ${userId}`);
-    res.json({ message: 'Note deleted successfully' });
+    // A participant only removes the note from their own list
+    if (!noteMetadata.shared) {
+      await activityManager.record(userId, noteId, 'delete', req.user, { trashed: true });
+    }
+    
+    res.json({
+      message: 'Note moved to trash',
+      trashed: true,
+      purgeAt: trashManager.getPurgeDate(new Date().toISOString())
+    });
   } catch (error) {
     console.error('Error deleting note:', error);
     res.status(500).json({ error: 'Failed to delete note' });
@@ -0,0 +1,88 @@
+const express = require('express');
+const passport = require('passport');
+const notificationManager = require('../utils/notificationManager');
+const router = express.Router();
+
+// Middleware to authenticate all notification routes
+router.use(passport.authenticate('jwt', { session: false }));
+
+const sendNotificationError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// The inbox, newest first, with the number of unread notifications
+router.get('/', async (req, res) => {
+  try {
+    res.json(await notificationManager.listNotifications(req.user.id));
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to load notifications');
+  }
+});
+
+// Mark notifications read: { ids } or everything without ids
+router.post('/read', async (req, res) => {
+  try {
+    res.json(await notificationManager.markRead(req.user.id, req.body.ids));
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to mark notifications read');
+  }
+});
+
+// Which notifications arrive in the app and as pushes, per type
+router.get('/preferences', async (req, res) => {
+  try {
+    const preferences = await notificationManager.getPreferences(req.user.id);
+    res.json({ preferences, types: notificationManager.types });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to load notification preferences');
+  }
+});
+
+// Change preferences: { [type]: { inApp?, push? } }
+router.put('/preferences', async (req, res) => {
+  try {
+    const preferences = await notificationManager.setPreferences(req.user.id, req.body);
+    res.json({ preferences, types: notificationManager.types });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to save notification preferences');
+  }
+});
+
+// ===== WEB PUSH =====
+
+// Application server key browsers need to subscribe
+router.get('/push/public-key', async (req, res) => {
+  try {
+    res.json({ publicKey: await notificationManager.getPublicKey() });
+  } catch (error) {
+    sendNotificationError(res, error, 'Push notifications are not available');
+  }
+});
+
+// Register this device: { subscription } as returned by PushManager.subscribe()
+router.post('/push/subscriptions', async (req, res) => {
+  try {
+    const result = await notificationManager.addSubscription(req.user.id, req.body.subscription, req.get('user-agent'));
+    res.status(201).json(result);
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to save push subscription');
+  }
+});
+
+// Stop pushing to a device
+router.delete('/push/subscriptions/:id', async (req, res) => {
+  try {
+    if (!await notificationManager.removeSubscription(req.user.id, req.params.id)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    res.json({ message: 'Push notifications turned off for this device' });
+  } catch (error) {
+    sendNotificationError(res, error, 'Failed to remove push subscription');
+  }
+});
+
+module.exports = router;
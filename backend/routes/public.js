@@ -0,0 +1,256 @@
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+const storage = require('../storage');
+const publicLinkManager = require('../utils/publicLinkManager');
+const imageManager = require('../utils/imageManager');
+const attachmentManager = require('../utils/attachmentManager');
+const noteFormat = require('../utils/noteFormat');
+const shareManager = require('../utils/shareManager');
+const router = express.Router();
+
+// Public note pages - no authentication, read-only. Note content is the owner's
+// HTML, so pages are served with a policy that blocks scripts entirely.
+const PAGE_SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; img-src 'self' data:; style-src 'unsafe-inline'; form-action 'self'; base-uri 'none'; frame-ancestors 'none'",
+  'Referrer-Policy': 'no-referrer',
+  'X-Robots-Tag': 'noindex, nofollow',
+  'Cache-Control': 'no-store'
+};
+
+// Slow down password guessing
+const passwordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; background: #f5f5f5; color: #212121; font: 16px/1.6 Roboto, "Helvetica Neue", Arial, sans-serif; }
+  main { max-width: 760px; margin: 32px auto; padding: 32px; background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,.12); }
+  h1.note-title { margin-top: 0; font-weight: 500; }
+  .meta { color: #757575; font-size: 14px; margin-bottom: 24px; }
+  .content img { max-width: 100%; height: auto; }
+  .content [data-type="attachment"] { border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px 16px; margin: 12px 0; }
+  .content pre { background: #f5f5f5; padding: 12px; border-radius: 4px; overflow-x: auto; }
+  .content blockquote { border-left: 4px solid #e0e0e0; margin-left: 0; padding-left: 16px; color: #616161; }
+  .content ul[data-type="taskList"] { list-style: none; padding-left: 0; }
+  .content ul[data-type="taskList"] li { display: flex; gap: 8px; }
+  form { display: flex; gap: 8px; flex-wrap: wrap; }
+  input[type="password"] { flex: 1; min-width: 200px; padding: 8px 12px; font-size: 16px; border: 1px solid #bdbdbd; border-radius: 4px; }
+  button { padding: 8px 16px; font-size: 16px; color: #fff; background: #1976d2; border: none; border-radius: 4px; cursor: pointer; }
+  .error { color: #d32f2f; }
+  @media (max-width: 600px) { main { margin: 0; border-radius: 0; padding: 20px; } }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+
+const sendMessage = (res, status, title, message) => {
+  res.status(status).set(PAGE_SECURITY_HEADERS).send(renderPage(title, `<h1 class="note-title">${escapeHtml(title)}</h1>\n<p>${escapeHtml(message)}</p>`));
+};
+
+const sendPasswordForm = (res, status, token, error = '') => {
+  const body = `<h1 class="note-title">Password required</h1>
+<p>This note is protected. Enter the password you were given to view it.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/public/${encodeURIComponent(token)}">
+  <input type="password" name="password" autofocus required aria-label="Password">
+  <button type="submit">View note</button>
+</form>`;
+  res.status(status).set(PAGE_SECURITY_HEADERS).send(renderPage('Password required', body));
+};
+
+// Find a usable link and the note behind it; sends an error page and returns null otherwise
+const loadLinkedNote = async (res, token) => {
+  const link = await publicLinkManager.getLink(token);
+  if (!link) {
+    sendMessage(res, 404, 'Link not found', 'This link does not exist or has been revoked.');
+    return null;
+  }
+  if (publicLinkManager.isExpired(link)) {
+    sendMessage(res, 410, 'Link expired', 'This link has expired. Ask the owner for a new one.');
+    return null;
+  }
+
+  const ownerNotesDir = path.join(__dirname, '../data/notes', link.ownerId);
+  const metadata = await storage.readMetadata(link.ownerId);
+  const noteMetadata = metadata[link.noteId];
+  const noteFile = path.join(ownerNotesDir, `${link.noteId}.md`);
+
+  if (!noteMetadata || noteMetadata.trashed || !await fs.pathExists(noteFile)) {
+    sendMessage(res, 404, 'Note not found', 'The note behind this link is no longer available.');
+    return null;
+  }
+
+  return { link, noteMetadata, noteFile };
+};
+
+const sendNote = async (res, { link, noteMetadata, noteFile }) => {
+  const content = await noteFormat.readNote(noteFile);
+  const accessQuery = link.passwordHash ? `access=${encodeURIComponent(publicLinkManager.createAccessToken(link))}` : '';
+
+  // Point the editor's image and attachment URLs at the public routes
+  const publicContent = content
+    .replace(imageManager.imageUrlPattern(), (url, noteId, imageId, width) => {
+      if (noteId !== link.noteId) return url;
+      const query = [accessQuery, width && `w=${width}`].filter(Boolean).join('&amp;');
+      return `/public/${encodeURIComponent(link.token)}/images/${encodeURIComponent(imageId)}${query ? `?${query}` : ''}`;
+    })
+    .replace(attachmentManager.attachmentUrlPattern(), (url, noteId, attachmentId) => {
+      if (noteId !== link.noteId) return url;
+      return `/public/${encodeURIComponent(link.token)}/attachments/${encodeURIComponent(attachmentId)}${accessQuery ? `?${accessQuery}` : ''}`;
+    });
+
+  const title = noteMetadata.title || 'Untitled';
+  const updated = new Date(noteMetadata.updatedAt || noteMetadata.createdAt).toLocaleString('en-US', {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+  const body = `<h1 class="note-title">${escapeHtml(title)}</h1>
+<div class="meta">Last updated ${escapeHtml(updated)}${noteMetadata.lastEditorName ? ` by ${escapeHtml(noteMetadata.lastEditorName)}` : ''}</div>
+<div class="content">
+${publicContent}
+</div>`;
+
+  publicLinkManager.recordView(link.token);
+  res.set(PAGE_SECURITY_HEADERS).send(renderPage(title, body));
+};
+
+// View a shared note (or the password form)
+router.get('/:token', async (req, res) => {
+  try {
+    const linked = await loadLinkedNote(res, req.params.token);
+    if (!linked) return;
+
+    if (linked.link.passwordHash) {
+      return sendPasswordForm(res, 200, linked.link.token);
+    }
+    await sendNote(res, linked);
+  } catch (error) {
+    console.error('Error serving public note:', error);
+    sendMessage(res, 500, 'Something went wrong', 'The note could not be loaded. Please try again later.');
+  }
+});
+
+// Unlock a password-protected link
+router.post('/:token', passwordLimiter, async (req, res) => {
+  try {
+    const linked = await loadLinkedNote(res, req.params.token);
+    if (!linked) return;
+
+    if (!await publicLinkManager.verifyPassword(linked.link, req.body.password)) {
+      return sendPasswordForm(res, 401, linked.link.token, 'Wrong password. Please try again.');
+    }
+    await sendNote(res, linked);
+  } catch (error) {
+    console.error('Error serving public note:', error);
+    sendMessage(res, 500, 'Something went wrong', 'The note could not be loaded. Please try again later.');
+  }
+});
+
+// Images of a shared note
+router.get('/:token/images/:imageId', async (req, res) => {
+  try {
+    const link = await publicLinkManager.getLink(req.params.token);
+    if (!link || publicLinkManager.isExpired(link) || !publicLinkManager.verifyAccessToken(link, req.query.access)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // Found the same way as for signed-in users, so collaborators' images show too
+    const metadata = await storage.readMetadata(link.ownerId);
+    const noteMetadata = metadata[link.noteId];
+    const upload = noteMetadata && !noteMetadata.trashed &&
+      await shareManager.findUpload(link.ownerId, link.noteId, 'images', req.params.imageId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    const imageInfo = upload.item;
+
+    // Always streamed: the page's CSP only allows images from this origin
+    const variant = imageManager.selectVariant(imageInfo, {
+      accept: req.get('Accept'),
+      width: parseInt(req.query.w, 10) || null
+    });
+    const image = await imageManager.openImage(upload.userId, link.noteId, variant);
+    if (!image) {
+      return res.status(404).json({ error: 'Image file not found' });
+    }
+
+    res.setHeader('Content-Type', image.contentType);
+    if (image.size !== undefined) {
+      res.setHeader('Content-Length', image.size);
+    }
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('Vary', 'Accept');
+    image.stream.on('error', (error) => {
+      console.error('Error streaming public image:', error);
+      res.destroy(error);
+    });
+    image.stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving public image:', error);
+    res.status(500).json({ error: 'Failed to serve image' });
+  }
+});
+
+// Attachments of a shared note, always as downloads
+router.get('/:token/attachments/:attachmentId', async (req, res) => {
+  try {
+    const link = await publicLinkManager.getLink(req.params.token);
+    if (!link || publicLinkManager.isExpired(link) || !publicLinkManager.verifyAccessToken(link, req.query.access)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const metadata = await storage.readMetadata(link.ownerId);
+    const noteMetadata = metadata[link.noteId];
+    const upload = noteMetadata && !noteMetadata.trashed &&
+      await shareManager.findUpload(link.ownerId, link.noteId, 'attachments', req.params.attachmentId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    const attachment = upload.item;
+
+    const file = await attachmentManager.openAttachment(upload.userId, link.noteId, attachment);
+    if (!file) {
+      return res.status(404).json({ error: 'Attachment file not found' });
+    }
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Disposition', attachmentManager.contentDisposition('attachment', attachment.originalName));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    if (file.size !== undefined) {
+      res.setHeader('Content-Length', file.size);
+    }
+    file.stream.on('error', (error) => {
+      console.error('Error streaming public attachment:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving public attachment:', error);
+    res.status(500).json({ error: 'Failed to serve attachment' });
+  }
+});
+
+module.exports = router;
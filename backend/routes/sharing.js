@@ -1,161 +1,64 @@
 const express = require('express');
 const passport = require('passport');
-const fs = require('fs-extra');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const shareManager = require('../utils/shareManager');
+const folderManager = require('../utils/folderManager');
+const publicLinkManager = require('../utils/publicLinkManager');
+const invitationManager = require('../utils/invitationManager');
+const activityManager = require('../utils/activityManager');
+const notificationManager = require('../utils/notificationManager');
 const router = express.Router();
 
 // Middleware to authenticate all sharing routes
 router.use(passport.authenticate('jwt', { session: false }));
 
-// Share a note with another user
+// Share a note with another user; owners and co-owners can share
 router.post('/share', async (req, res) => {
   try {
     const { noteId, targetUserEmail, permission = 'edit' } = req.body;
-    const sharerUserId = req.user.id;
 
     // Validate permission level
-    if (!['view', 'edit'].includes(permission)) {
+    if (!shareManager.isValidPermission(permission)) {
       return res.status(400).json({ error: 'Invalid permission level' });
     }
 
-    // Check if note exists and user owns it
-    const sharerNotesDir = path.join(__dirname, '../data/notes', sharerUserId);
-    const noteFile = path.join(sharerNotesDir, `${noteId}.md`);
-    const metadataFile = path.join(sharerNotesDir, 'metadata.json');
+    const { owner } = await shareManager.resolveManagedNote(req.user, noteId);
 
-    if (!await fs.pathExists(noteFile)) {
-      return res.status(404).json({ error: 'Note not found' });
-    }
-
-    // Get note metadata
-    const metadata = await fs.readJson(metadataFile).catch(() => ({}));
-    const noteMetadata = metadata[noteId];
-    if (!noteMetadata) {
-      return res.status(404).json({ error: 'Note metadata not found' });
-    }
-
-    // Find target user
-    const usersFile = path.join(__dirname, '../data/users.json');
-    const users = await fs.readJson(usersFile).catch(() => ({}));
-    const targetUser = Object.values(users).find(u => u.email === targetUserEmail);
+    // Find target user; people without an account yet get an invitation
+    const targetUser = await shareManager.findUserByEmail(targetUserEmail);
     
     if (!targetUser) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    if (targetUser.id === sharerUserId) {
-      return res.status(400).json({ error: 'Cannot share note with yourself' });
-    }
-
-    // Create shared notes directory if it doesn't exist
-    const sharedNotesDir = path.join(__dirname, '../data/shared_notes');
-    await fs.ensureDir(sharedNotesDir);
+      if (!invitationManager.isValidEmail(targetUserEmail)) {
+        return res.status(400).json({ error: 'Invalid email address' });
+      }
 
-    // Check if note is already shared
-    const sharesFile = path.join(__dirname, '../data/shares.json');
-    const shares = await fs.readJson(sharesFile).catch(() => ({}));
-    
-    const shareKey = `${sharerUserId}-${noteId}`;
-    let shareInfo = shares[shareKey];
-
-    if (!shareInfo) {
-      // First time sharing this note - move it to shared location
-      const sharedNoteId = uuidv4();
-      const sharedNoteFile = path.join(sharedNotesDir, `${sharedNoteId}.md`);
-      const sharedMetadataFile = path.join(sharedNotesDir, 'metadata.json');
-
-      // Move note to shared location
-      await fs.move(noteFile, sharedNoteFile);
-
-      // Update shared metadata
-      const sharedMetadata = await fs.readJson(sharedMetadataFile).catch(() => ({}));
-      sharedMetadata[sharedNoteId] = {
-        ...noteMetadata,
-        originalNoteId: noteId,
-        ownerId: sharerUserId,
-        createdAt: noteMetadata.createdAt,
-        sharedAt: new Date().toISOString()
-      };
-      await fs.writeJson(sharedMetadataFile, sharedMetadata);
-
-      // Create symlink in sharer's directory
-      const symlinkTarget = path.relative(sharerNotesDir, sharedNoteFile);
-      await fs.symlink(symlinkTarget, noteFile);
-
-      // Create share record
-      shareInfo = {
-        sharedNoteId,
-        ownerId: sharerUserId,
-        originalNoteId: noteId,
-        createdAt: new Date().toISOString(),
-        participants: {}
-      };
-      shares[shareKey] = shareInfo;
+      const invitation = await invitationManager.createInvitation(owner.id, noteId, targetUserEmail, permission, req.user);
+      await activityManager.record(owner.id, noteId, 'share', req.user, { email: invitation.email, permission, pending: true });
+      return res.status(202).json({
+        message: 'Invitation saved - the note is shared as soon as they sign in',
+        pending: true,
+        invitation,
+        sharedWith: invitation.email,
+        permission
+      });
     }
 
-    // Add participant
-    shareInfo.participants[targetUser.id] = {
-      email: targetUserEmail,
-      permission,
-      sharedAt: new Date().toISOString(),
-      accepted: false
-    };
-
-    // Create symlink in target user's directory
-    const targetNotesDir = path.join(__dirname, '../data/notes', targetUser.id);
-    await fs.ensureDir(targetNotesDir);
-    
-    const sharedNoteFile = path.join(sharedNotesDir, `${shareInfo.sharedNoteId}.md`);
-    const targetNoteFile = path.join(targetNotesDir, `${noteId}.md`);
-    
-    // Create symlink if it doesn't exist
-    if (!await fs.pathExists(targetNoteFile)) {
-      const symlinkTarget = path.relative(targetNotesDir, sharedNoteFile);
-      await fs.symlink(symlinkTarget, targetNoteFile);
+    if (targetUser.id === req.user.id) {
+      return res.status(400).json({ error: 'Cannot share note with yourself' });
     }
 
-    // Update target user's metadata
-    const targetMetadataFile = path.join(targetNotesDir, 'metadata.json');
-    const targetMetadata = await fs.readJson(targetMetadataFile).catch(() => ({}));
-    targetMetadata[noteId] = {
-      title: noteMetadata.title,
-      createdAt: noteMetadata.createdAt,
-      updatedAt: noteMetadata.updatedAt,
-      shared: true,
-      sharedBy: req.user.email,
-      permission,
-      originalNoteId: noteId,
-      sharedNoteId: shareInfo.sharedNoteId
-    };
-    await fs.writeJson(targetMetadataFile, targetMetadata);
-
-    // NEW: Update owner's metadata to track sharing
-    metadata[noteId] = {
-      ...metadata[noteId],
-      hasBeenShared: true,
-      sharedWith: metadata[noteId].sharedWith || []
-    };
-
-    // Add the new participant if not already in the list
-    const existingShare = metadata[noteId].sharedWith.find(s => s.userId === targetUser.id);
-    if (!existingShare) {
-      metadata[noteId].sharedWith.push({
-        userId: targetUser.id,
-        email: targetUserEmail,
-        permission,
-        sharedAt: new Date().toISOString()
-      });
-    } else {
-      // Update existing share (in case permission changed)
-      existingShare.permission = permission;
-      existingShare.sharedAt = new Date().toISOString();
+    if (targetUser.id === owner.id) {
+      return res.status(400).json({ error: 'This user owns the note' });
     }
 
-    await fs.writeJson(metadataFile, metadata);
-
-    // Save shares
-    await fs.writeJson(sharesFile, shares);
+    await shareManager.shareNote(owner, noteId, targetUser, permission);
+    await activityManager.record(owner.id, noteId, 'share', req.user, { email: targetUser.email, permission });
+    await notificationManager.notify(targetUser.id, 'share', {
+      title: `${req.user.name || req.user.email} shared "${await notificationManager.getNoteTitle(owner.id, noteId)}" with you`,
+      noteId,
+      actor: req.user
+    });
+    const shareKey = `${owner.id}-${noteId}`;
 
     res.json({
       message: 'Note shared successfully',
@@ -165,17 +68,126 @@ router.post('/share', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error sharing note:', error);
     res.status(500).json({ error: 'Failed to share note' });
   }
 });
 
+// Owner and participants of a note, for whoever manages its sharing
+router.get('/share/:noteId', async (req, res) => {
+  try {
+    const { noteId } = req.params;
+    const { owner, isOwner } = await shareManager.resolveManagedNote(req.user, noteId);
+    const shares = await shareManager.readShares();
+    const shareInfo = shares[`${owner.id}-${noteId}`];
+
+    res.json({
+      noteId,
+      owner: { id: owner.id, email: owner.email, name: owner.name },
+      isOwner,
+      participants: shareInfo?.participants || {},
+      invitations: await invitationManager.listForNote(owner.id, noteId)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error getting note participants:', error);
+    res.status(500).json({ error: 'Failed to get note participants' });
+  }
+});
+
+// Change a participant's role; body: { permission }
+router.put('/share/:noteId/:targetUserId', async (req, res) => {
+  try {
+    const { noteId, targetUserId } = req.params;
+    const { permission } = req.body;
+
+    if (!shareManager.isValidPermission(permission)) {
+      return res.status(400).json({ error: 'Invalid permission level' });
+    }
+
+    const { owner } = await shareManager.resolveManagedNote(req.user, noteId);
+    const updated = await shareManager.setPermission(owner.id, noteId, targetUserId, permission);
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    const targetUser = await shareManager.findUserById(targetUserId);
+    await activityManager.record(owner.id, noteId, 'share', req.user, { email: targetUser?.email || null, permission, roleChange: true });
+
+    res.json({ message: 'Permission updated', targetUserId, permission });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating permission:', error);
+    res.status(500).json({ error: 'Failed to update permission' });
+  }
+});
+
+// Cancel an invitation that hasn't been accepted yet
+router.delete('/share/:noteId/invitations/:invitationId', async (req, res) => {
+  try {
+    const { noteId, invitationId } = req.params;
+    const { owner } = await shareManager.resolveManagedNote(req.user, noteId);
+
+    const invitation = (await invitationManager.listForNote(owner.id, noteId)).find(invite => invite.id === invitationId);
+    if (!await invitationManager.cancelInvitation(owner.id, noteId, invitationId)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    await activityManager.record(owner.id, noteId, 'unshare', req.user, { email: invitation.email, pending: true });
+
+    res.json({ message: 'Invitation cancelled' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error cancelling invitation:', error);
+    res.status(500).json({ error: 'Failed to cancel invitation' });
+  }
+});
+
+// Hand a note over to another user; only its owner can do this
+router.post('/transfer', async (req, res) => {
+  try {
+    const { noteId, targetUserEmail } = req.body;
+
+    const newOwner = await shareManager.findUserByEmail(targetUserEmail);
+    if (!newOwner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (newOwner.id === req.user.id) {
+      return res.status(400).json({ error: 'You already own this note' });
+    }
+
+    await shareManager.transferOwnership(req.user, noteId, newOwner);
+    await activityManager.record(newOwner.id, noteId, 'share', req.user, { email: newOwner.email, permission: 'owner', ownershipTransfer: true });
+
+    res.json({
+      message: 'Ownership transferred',
+      noteId,
+      newOwner: newOwner.email,
+      permission: 'edit'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error transferring note:', error);
+    res.status(500).json({ error: 'Failed to transfer note' });
+  }
+});
+
 // Get shared notes for current user
 router.get('/shared-with-me', async (req, res) => {
   try {
     const userId = req.user.id;
-    const sharesFile = path.join(__dirname, '../data/shares.json');
-    const shares = await fs.readJson(sharesFile).catch(() => ({}));
+    const shares = await storage.readShares();
 
     const sharedWithMe = [];
     
@@ -206,8 +218,7 @@ router.get('/shared-with-me', async (req, res) => {
 router.get('/shared-by-me', async (req, res) => {
   try {
     const userId = req.user.id;
-    const sharesFile = path.join(__dirname, '../data/shares.json');
-    const shares = await fs.readJson(sharesFile).catch(() => ({}));
+    const shares = await storage.readShares();
 
     const sharedByMe = [];
     
@@ -234,82 +245,170 @@ router.get('/shared-by-me', async (req, res) => {
 router.delete('/unshare/:noteId/:targetUserId', async (req, res) => {
   try {
     const { noteId, targetUserId } = req.params;
-    const ownerId = req.user.id;
+    const { owner } = await shareManager.resolveManagedNote(req.user, noteId);
 
-    const sharesFile = path.join(__dirname, '../data/shares.json');
-    const shares = await fs.readJson(sharesFile).catch(() => ({}));
-    
-    const shareKey = `${ownerId}-${noteId}`;
-    const shareInfo = shares[shareKey];
+    const unshared = await shareManager.unshareNote(owner.id, noteId, targetUserId);
 
-    if (!shareInfo || shareInfo.ownerId !== ownerId) {
+    if (!unshared) {
       return res.status(404).json({ error: 'Share not found or not authorized' });
     }
 
-    // Remove participant
-    delete shareInfo.participants[targetUserId];
+    const targetUser = await shareManager.findUserById(targetUserId);
+    await activityManager.record(owner.id, noteId, 'unshare', req.user, { email: targetUser?.email || null });
 
-    // Remove symlink from target user's directory
-    const targetNotesDir = path.join(__dirname, '../data/notes', targetUserId);
-    const targetNoteFile = path.join(targetNotesDir, `${noteId}.md`);
-    
-    if (await fs.pathExists(targetNoteFile)) {
-      await fs.remove(targetNoteFile);
+    res.json({ message: 'Note unshared successfully' });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error unsharing note:', error);
+    res.status(500).json({ error: 'Failed to unshare note' });
+  }
+});
 
-    // Remove from target user's metadata
-    const targetMetadataFile = path.join(targetNotesDir, 'metadata.json');
-    const targetMetadata = await fs.readJson(targetMetadataFile).catch(() => ({}));
-    delete targetMetadata[noteId];
-    await fs.writeJson(targetMetadataFile, targetMetadata);
-
-    // NEW: Update owner's metadata to remove sharing info
-    const ownerNotesDir = path.join(__dirname, '../data/notes', ownerId);
-    const ownerMetadataFile = path.join(ownerNotesDir, 'metadata.json');
-    const ownerMetadata = await fs.readJson(ownerMetadataFile).catch(() => ({}));
-
-    if (ownerMetadata[noteId]) {
-      // Remove the user from sharedWith list
-      ownerMetadata[noteId].sharedWith = (ownerMetadata[noteId].sharedWith || [])
-        .filter(s => s.userId !== targetUserId);
-      
-      // If no one is shared with anymore, remove hasBeenShared flag
-      if (ownerMetadata[noteId].sharedWith.length === 0) {
-        ownerMetadata[noteId].hasBeenShared = false;
-        delete ownerMetadata[noteId].sharedWith;
-      }
-      
-      await fs.writeJson(ownerMetadataFile, ownerMetadata);
+// ===== PUBLIC LINKS =====
+
+// Only the owner of a note can hand out public links to it
+const findOwnNote = async (userId, noteId) => {
+  const metadata = await storage.readMetadata(userId);
+  const noteMetadata = metadata[noteId];
+  return noteMetadata && !noteMetadata.shared && !noteMetadata.trashed ? noteMetadata : null;
+};
+
+// Create a public read-only link; body: { noteId, password?, expiresAt? }
+router.post('/links', async (req, res) => {
+  try {
+    const { noteId, password = null, expiresAt = null } = req.body;
+
+    if (!await findOwnNote(req.user.id, noteId)) {
+      return res.status(404).json({ error: 'Note not found or not owned by you' });
     }
 
-    // If no more participants, move note back to owner's directory
-    if (Object.keys(shareInfo.participants).length === 0) {
-      const ownerNoteFile = path.join(ownerNotesDir, `${noteId}.md`);
-      const sharedNoteFile = path.join(__dirname, '../data/shared_notes', `${shareInfo.sharedNoteId}.md`);
+    const link = await publicLinkManager.createLink(req.user.id, noteId, {
+      password: password || null,
+      expiresAt
+    });
+    res.status(201).json({ ...link, url: `/public/${link.token}` });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating public link:', error);
+    res.status(500).json({ error: 'Failed to create public link' });
+  }
+});
 
-      // Remove symlink and restore original file
-      if (await fs.pathExists(ownerNoteFile)) {
-        await fs.remove(ownerNoteFile);
-      }
-      await fs.move(sharedNoteFile, ownerNoteFile);
+// List the public links to a note
+router.get('/links/:noteId', async (req, res) => {
+  try {
+    if (!await findOwnNote(req.user.id, req.params.noteId)) {
+      return res.json({ noteId: req.params.noteId, links: [] });
+    }
 
-      // Remove from shared metadata
-      const sharedMetadataFile = path.join(__dirname, '../data/shared_notes', 'metadata.json');
-      const sharedMetadata = await fs.readJson(sharedMetadataFile).catch(() => ({}));
-      delete sharedMetadata[shareInfo.sharedNoteId];
-      await fs.writeJson(sharedMetadataFile, sharedMetadata);
+    const links = await publicLinkManager.listLinks(req.user.id, req.params.noteId);
+    res.json({
+      noteId: req.params.noteId,
+      links: links.map(link => ({ ...link, url: `/public/${link.token}` }))
+    });
+  } catch (error) {
+    console.error('Error listing public links:', error);
+    res.status(500).json({ error: 'Failed to list public links' });
+  }
+});
+
+// Revoke a public link
+router.delete('/links/:token', async (req, res) => {
+  try {
+    const revoked = await publicLinkManager.revokeLink(req.user.id, req.params.token);
 
-      // Remove share record
-      delete shares[shareKey];
+    if (!revoked) {
+      return res.status(404).json({ error: 'Link not found or not authorized' });
     }
 
-    await fs.writeJson(sharesFile, shares);
+    res.json({ message: 'Link revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking public link:', error);
+    res.status(500).json({ error: 'Failed to revoke public link' });
+  }
+});
 
-    res.json({ message: 'Note unshared successfully' });
+// Share a folder (and every note in it, now and later) with another user
+router.post('/share-folder', async (req, res) => {
+  try {
+    const { folderId, targetUserEmail, permission = 'edit' } = req.body;
+
+    if (!['view', 'comment', 'edit'].includes(permission)) {
+      return res.status(400).json({ error: 'Invalid permission level' });
+    }
+
+    const targetUser = await shareManager.findUserByEmail(targetUserEmail);
+    if (!targetUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (targetUser.id === req.user.id) {
+      return res.status(400).json({ error: 'Cannot share folder with yourself' });
+    }
+
+    await folderManager.shareFolder(req.user, folderId, targetUser, permission);
+    const folders = await folderManager.readFolders(req.user.id);
+    await notificationManager.notify(targetUser.id, 'share', {
+      title: `${req.user.name || req.user.email} shared the folder "${folders[folderId]?.name || 'Untitled'}" with you`,
+      actor: req.user
+    });
+
+    res.json({
+      message: 'Folder shared successfully',
+      shareId: `${req.user.id}-${folderId}`,
+      sharedWith: targetUserEmail,
+      permission
+    });
 
   } catch (error) {
-    console.error('Error unsharing note:', error);
-    res.status(500).json({ error: 'Failed to unshare note' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error sharing folder:', error);
+    res.status(500).json({ error: 'Failed to share folder' });
+  }
+});
+
+// Get who a folder is shared with
+router.get('/folders/:folderId', async (req, res) => {
+  try {
+    const shareInfo = await folderManager.getFolderShare(req.user.id, req.params.folderId);
+
+    const participants = Object.entries(shareInfo?.participants || {}).map(([userId, participant]) => ({
+      userId,
+      email: participant.email,
+      permission: participant.permission,
+      sharedAt: participant.sharedAt
+    }));
+
+    res.json({ folderId: req.params.folderId, participants });
+  } catch (error) {
+    console.error('Error getting folder shares:', error);
+    res.status(500).json({ error: 'Failed to get folder shares' });
+  }
+});
+
+// Stop sharing a folder with a user
+router.delete('/unshare-folder/:folderId/:targetUserId', async (req, res) => {
+  try {
+    const { folderId, targetUserId } = req.params;
+
+    const unshared = await folderManager.unshareFolder(req.user.id, folderId, targetUserId);
+
+    if (!unshared) {
+      return res.status(404).json({ error: 'Share not found or not authorized' });
+    }
+
+    res.json({ message: 'Folder unshared successfully' });
+
+  } catch (error) {
+    console.error('Error unsharing folder:', error);
+    res.status(500).json({ error: 'Failed to unshare folder' });
   }
 });
 
@@ -0,0 +1,129 @@
+const express = require('express');
+const passport = require('passport');
+const workspaceManager = require('../utils/workspaceManager');
+const shareManager = require('../utils/shareManager');
+const notificationManager = require('../utils/notificationManager');
+const router = express.Router();
+
+// Middleware to authenticate all workspace routes
+router.use(passport.authenticate('jwt', { session: false }));
+
+const sendWorkspaceError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// List the workspaces the user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await workspaceManager.listWorkspaces(req.user.id);
+    res.json(workspaces);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to load workspaces');
+  }
+});
+
+// Create a workspace; the creator is its first admin
+router.post('/', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.createWorkspace(req.user, req.body.name);
+    res.status(201).json(workspace);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to create workspace');
+  }
+});
+
+// Members and notes of a workspace
+router.get('/:id', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.getWorkspace(req.user.id, req.params.id);
+    res.json(workspace);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to load workspace');
+  }
+});
+
+// Rename a workspace
+router.put('/:id', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.renameWorkspace(req.user, req.params.id, req.body.name);
+    res.json(workspace);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to rename workspace');
+  }
+});
+
+// Delete a workspace; its notes stay with their owners
+router.delete('/:id', async (req, res) => {
+  try {
+    await workspaceManager.deleteWorkspace(req.user, req.params.id);
+    res.json({ message: 'Workspace deleted' });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to delete workspace');
+  }
+});
+
+// Add a member: { email, role }
+router.post('/:id/members', async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+    const targetUser = await shareManager.findUserByEmail(email);
+    if (!targetUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const workspace = await workspaceManager.addMember(req.user, req.params.id, targetUser, role);
+    await notificationManager.notify(targetUser.id, 'share', {
+      title: `${req.user.name || req.user.email} added you to the workspace "${workspace.name}"`,
+      actor: req.user
+    });
+    res.status(201).json(workspace);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to add member');
+  }
+});
+
+// Change a member's role: { role }
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.setMemberRole(req.user, req.params.id, req.params.userId, req.body.role);
+    res.json(workspace);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to change role');
+  }
+});
+
+// Remove a member, or leave when it's yourself
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    await workspaceManager.removeMember(req.user, req.params.id, req.params.userId);
+    res.json({ message: req.params.userId === req.user.id ? 'Left workspace' : 'Member removed' });
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to remove member');
+  }
+});
+
+// Put one of your notes into the workspace: { noteId }
+router.post('/:id/notes', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.addNote(req.user, req.params.id, req.body.noteId);
+    res.status(201).json(workspace);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to add note');
+  }
+});
+
+// Take a note out of the workspace
+router.delete('/:id/notes/:noteId', async (req, res) => {
+  try {
+    const workspace = await workspaceManager.removeNote(req.user, req.params.id, req.params.noteId);
+    res.json(workspace);
+  } catch (error) {
+    sendWorkspaceError(res, error, 'Failed to remove note');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Migrate Images - Copies note images and attachments from one image storage
+ * driver to another
+ *
+ *   npm run migrate:images -- [--from local|s3] [--to local|s3] [--delete] [--dry-run]
+ *
+ *   --from     the driver to read (default: local)
+ *   --to       the driver to write (default: s3)
+ *   --delete   remove each file from the source once it has been copied
+ *   --dry-run  only report what would be copied
+ *
+ * The S3 side is configured with the usual S3_* variables. Files that already
+ * exist at the destination are skipped, so an interrupted run can simply be
+ * started again. Set IMAGE_STORAGE_DRIVER to the new driver afterwards.
+ */
+
+require('dotenv').config();
+const { createImageStorage, IMAGE_STORAGE_DRIVERS } = require('../storage/images');
+const imageManager = require('../utils/imageManager');
+const attachmentManager = require('../utils/attachmentManager');
+
+// <userId>/{images,attachments}/<noteId>/<filename> - the rest of data/notes stays
+const FILE_KEY_PATTERN = /^[^/]+\/(images|attachments)\/[^/]+\/[^/]+$/;
+
+const getContentType = (key) => (FILE_KEY_PATTERN.exec(key)[1] === 'attachments'
+  ? attachmentManager.resolveContentType('', key)
+  : imageManager.getContentTypeForFile(key));
+
+const parseArgs = (args) => {
+  const options = { from: 'local', to: 's3', delete: false, dryRun: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--delete') {
+      options.delete = true;
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--from' || args[i] === '--to') {
+      if (!IMAGE_STORAGE_DRIVERS.includes(args[i + 1])) {
+        throw new Error(`${args[i]} needs one of ${IMAGE_STORAGE_DRIVERS.join(', ')}`);
+      }
+      options[args[i].substring(2)] = args[++i];
+    } else {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+  if (options.from === options.to) {
+    throw new Error('--from and --to must be different drivers');
+  }
+  return options;
+};
+
+const migrate = async ({ from, to, delete: deleteSource, dryRun }) => {
+  const source = createImageStorage(from);
+  const target = createImageStorage(to);
+
+  const keys = (await source.list()).filter(key => FILE_KEY_PATTERN.test(key));
+  let copied = 0;
+  let skipped = 0;
+  let removed = 0;
+
+  for (const key of keys) {
+    if (await target.exists(key)) {
+      skipped++;
+    } else if (dryRun) {
+      console.log(`   would copy ${key}`);
+      copied++;
+    } else {
+      const data = await source.read(key);
+      if (!data) continue;
+      await target.save(key, data, getContentType(key));
+      copied++;
+    }
+
+    if (deleteSource && !dryRun) {
+      await source.remove(key);
+      removed++;
+    }
+  }
+
+  console.log(`${dryRun ? '🔍 Dry run:' : '✅ Migrated'} images and attachments from ${from} to ${to} storage`);
+  console.log(`   ${keys.length} files, ${copied} ${dryRun ? 'to copy' : 'copied'}, ${skipped} already there` +
+    (deleteSource && !dryRun ? `, ${removed} removed from ${from}` : ''));
+  if (!dryRun) {
+    console.log(`   Set IMAGE_STORAGE_DRIVER=${to} to serve them from there.`);
+  }
+};
+
+Promise.resolve()
+  .then(() => migrate(parseArgs(process.argv.slice(2))))
+  .catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+  });
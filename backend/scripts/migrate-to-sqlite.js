@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Migrate to SQLite - Copies users, shares and note metadata from the JSON
+ * files in data/ into the SQLite database used by STORAGE_DRIVER=sqlite
+ *
+ *   npm run migrate:sqlite -- [--data <dir>] [--db <file>] [--force]
+ *
+ *   --data   the data directory to read (default: backend/data)
+ *   --db     the database to create (default: SQLITE_FILE or <data>/materialnotes.db)
+ *   --force  replace an existing database instead of refusing to run
+ *
+ * Everything is written in one transaction. The JSON files are left in place,
+ * so switching STORAGE_DRIVER back to file returns to the state before the
+ * migration. Stop the server first so nothing changes while it runs.
+ */
+
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const FileStorage = require('../storage/fileStorage');
+
+const parseArgs = (args) => {
+  const options = { force: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--force') {
+      options.force = true;
+    } else if (args[i] === '--data' || args[i] === '--db') {
+      if (!args[i + 1]) throw new Error(`${args[i]} needs a value`);
+      options[args[i].substring(2)] = path.resolve(args[++i]);
+    } else {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+  return options;
+};
+
+const migrate = async ({ data, db, force }) => {
+  const dataDir = data || path.join(__dirname, '../data');
+  const dbFile = db || (process.env.SQLITE_FILE ? path.resolve(process.env.SQLITE_FILE) : path.join(dataDir, 'materialnotes.db'));
+
+  if (!await fs.pathExists(dataDir)) {
+    throw new Error(`Data directory ${dataDir} does not exist`);
+  }
+  if (await fs.pathExists(dbFile)) {
+    if (!force) {
+      throw new Error(`${dbFile} already exists; pass --force to replace it`);
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      await fs.remove(`${dbFile}${suffix}`);
+    }
+  }
+
+  const source = new FileStorage(dataDir);
+  const users = await source.readUsers();
+  const shares = await source.readShares();
+  const sharedMetadata = await source.readSharedMetadata();
+
+  const metadata = {};
+  for (const userId of await source.listMetadataUsers()) {
+    metadata[userId] = await source.readMetadata(userId);
+  }
+
+  // Required only now, so a missing better-sqlite3 fails after the checks above
+  const SqliteStorage = require('../storage/sqliteStorage');
+  const target = new SqliteStorage(dbFile);
+  try {
+    target.importDocuments({ users, shares, sharedMetadata, metadata });
+  } finally {
+    await target.close();
+  }
+
+  const noteCount = Object.values(metadata).reduce((count, entries) => count + Object.keys(entries).length, 0);
+  console.log(`✅ Migrated ${dataDir} to ${dbFile}`);
+  console.log(`   ${Object.keys(users).length} users, ${Object.keys(shares).length} shares, ` +
+    `${noteCount} notes of ${Object.keys(metadata).length} users, ${Object.keys(sharedMetadata).length} shared notes`);
+  console.log('   The JSON files were left in place. Set STORAGE_DRIVER=sqlite to use the database.');
+};
+
+Promise.resolve()
+  .then(() => migrate(parseArgs(process.argv.slice(2))))
+  .catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -1,3 +1,5 @@
+// Load .env before any module reads its settings (e.g. STORAGE_DRIVER)
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const passport = require('passport');
@@ -5,14 +7,19 @@ const session = require('express-session');
 const RedisStore = require('connect-redis').default;
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
-const fs = require('fs-extra');
 const http = require('http');
 const { Server } = require('socket.io');
 const { initializeRedis, getRedisClients, closeRedisConnections } = require('./config/redis');
+const storage = require('./storage');
 const batchingManager = require('./utils/batchingManager');
+const commentManager = require('./utils/commentManager');
+const crdtManager = require('./utils/crdtManager');
+const publicLinkManager = require('./utils/publicLinkManager');
+const shareManager = require('./utils/shareManager');
 const clientSyncTracker = require('./utils/clientSyncTracker');
-require('dotenv').config();
+const trashManager = require('./utils/trashManager');
+const notificationManager = require('./utils/notificationManager');
+const reminderManager = require('./utils/reminderManager');
 
 // Development logging utility
 const isDevelopment = process.env.NODE_ENV !== 'production';
@@ -61,6 +68,9 @@ let io;
 
 const startServer = async () => {
   try {
+    // Repair data files an earlier crash left half-written before anything reads them
+    await storage.recover();
+
     // Initialize Redis
     const { redisClient: client } = await initializeRedis();
     redisClient = client;
@@ -86,6 +96,9 @@ const startServer = async () => {
 
     // Configure batching manager with Socket.IO instance
     batchingManager.setSocketIO(io);
+    commentManager.setSocketIO(io);
+    crdtManager.setSocketIO(io);
+    notificationManager.setSocketIO(io);
 
     // Security middleware
     app.use(helmet({
@@ -128,7 +141,8 @@ const startServer = async () => {
     // CORS configuration using environment variable
     app.use(cors({
       origin: corsOrigins,
-      credentials: true
+      credentials: true,
+      exposedHeaders: ['Content-Disposition'] // file names for Markdown exports
     }));
 
     devLog('🌐 Express CORS configured with origins:', corsOrigins);
@@ -179,6 +193,12 @@ const startServer = async () => {
     app.use('/auth', require('./routes/auth'));
     app.use('/api/notes', require('./routes/notes'));
     app.use('/api/sharing', require('./routes/sharing'));
+    app.use('/api/folders', require('./routes/folders'));
+    app.use('/api/workspaces', require('./routes/workspaces'));
+    app.use('/api/activity', require('./routes/activity'));
+    app.use('/api/notifications', require('./routes/notifications'));
+    app.use('/api', require('./routes/backup'));
+    app.use('/public', require('./routes/public'));
 
     // Apply collaboration rate limiting to specific endpoints
     app.use('/api/notes/:noteId/presence', collaborationLimiter);
@@ -224,10 +244,8 @@ const startServer = async () => {
         }
         
         
-        // Look up full user data from users.json (same as Passport JWT strategy)
-        const usersFile = path.join(__dirname, 'data/users.json');
-        const users = await fs.readJson(usersFile).catch(() => ({}));
-        const fullUser = users[decoded.id];
+        // Look up full user data (same as Passport JWT strategy)
+        const fullUser = await storage.findUserById(decoded.id);
         
         if (!fullUser) {
           throw new Error(`User ${decoded.id} not found in users database`);
@@ -257,6 +275,9 @@ const startServer = async () => {
     io.on('connection', async (socket) => {
       devLog(`🔌 User connected: ${socket.user.name} (${socket.userId}) [${socket.connectionId}]`);
       
+      // Personal room for notifications meant for every tab of this user
+      socket.join(`user:${socket.userId}`);
+      
       // CRITICAL FIX: Clean up old connections for this user to prevent standby/resume duplicates
       try {
         const collaborationManager = require('./utils/collaborationManager');
@@ -275,6 +296,12 @@ const startServer = async () => {
             return;
           }
 
+          // The room carries comments and cursors, so only users who can open the note may join
+          if (!await crdtManager.resolveNote(socket.userId, noteId)) {
+            socket.emit('error', { message: 'Access denied', noteId });
+            return;
+          }
+
           // Join socket room for the note
           socket.join(`note:${noteId}`);
           
@@ -330,6 +357,8 @@ const startServer = async () => {
 
           // Leave socket room
           socket.leave(`note:${noteId}`);
+          socket.data.crdtNotes?.delete(noteId);
+          crdtManager.releaseDocument(noteId);
           
           // Remove from collaboration manager using connectionId
           const collaborationManager = require('./utils/collaborationManager');
@@ -364,6 +393,11 @@ const startServer = async () => {
             return;
           }
 
+          if (!shareManager.canEdit(await shareManager.getPermission(socket.userId, noteId))) {
+            socket.emit('error', { message: 'You do not have permission to edit this note' });
+            return;
+          }
+
           // Add to server-side batching queue for persistence
           await batchingManager.addUpdate(noteId, updates, socket.user);
 
@@ -386,6 +420,76 @@ const startServer = async () => {
         }
       });
 
+      // CRDT co-editing: exchange state vectors and send each side what it is missing
+      socket.on('crdt-sync', async (data) => {
+        try {
+          const { noteId, stateVector, generation } = data || {};
+          
+          if (!noteId) {
+            socket.emit('error', { message: 'Note ID required' });
+            return;
+          }
+
+          const reply = await crdtManager.sync(socket, noteId, { stateVector, generation });
+          socket.emit('crdt-sync-reply', reply);
+        } catch (error) {
+          console.error('❌ Error syncing shared document:', error);
+          socket.emit('error', { message: 'Failed to sync note', details: error.message });
+        }
+      });
+
+      // CRDT co-editing: merge a document update and relay it to the room
+      socket.on('crdt-update', async (data) => {
+        try {
+          const { noteId, update, generation } = data || {};
+          
+          const applied = await crdtManager.applyUpdate(socket, noteId, { update, generation });
+          if (!applied) {
+            // Out of date (the document was reset) or not allowed - start over
+            socket.emit('crdt-resync', { noteId });
+          }
+        } catch (error) {
+          console.error('❌ Error applying document update:', error);
+          socket.emit('crdt-resync', { noteId: data?.noteId });
+        }
+      });
+
+      // CRDT co-editing: persist the HTML of the merged document
+      socket.on('crdt-snapshot', async (data) => {
+        try {
+          const { noteId, html, stateVector, generation } = data || {};
+          
+          const note = await crdtManager.acceptSnapshot(socket, noteId, { html, stateVector, generation });
+          if (note) {
+            await batchingManager.addUpdate(noteId, { content: html, fromCrdt: true }, socket.user);
+          }
+        } catch (error) {
+          console.error('❌ Error saving document snapshot:', error);
+        }
+      });
+
+      // Relay a collaborator's caret and selection to everyone else in the note.
+      // Positions are opaque to the server (relative positions in the shared document).
+      // Only sockets whose access was checked by crdt-sync may send them.
+      socket.on('cursor-update', (data) => {
+        const { noteId, anchor, head } = data || {};
+        
+        if (!noteId || !socket.rooms.has(`note:${noteId}`) || !socket.data.crdtNotes?.has(noteId)) return;
+        if (JSON.stringify({ anchor, head }).length > 2000) return;
+
+        socket.to(`note:${noteId}`).emit('cursor-updated', {
+          noteId,
+          anchor,
+          head,
+          connectionId: socket.connectionId,
+          user: {
+            id: socket.user.id,
+            name: socket.user.name,
+            avatar: socket.user.avatar
+          }
+        });
+      });
+
       // Handle heartbeat/presence updates
       socket.on('heartbeat', async (data) => {
         try {
@@ -475,6 +579,11 @@ const startServer = async () => {
         } catch (error) {
           console.error('❌ Error during disconnect cleanup:', error);
         }
+
+        // Let shared documents nobody edits anymore be unloaded
+        for (const noteId of socket.data.crdtNotes?.keys() || []) {
+          crdtManager.releaseDocument(noteId);
+        }
       });
 
       // Handle errors
@@ -535,6 +644,8 @@ const startServer = async () => {
       
       // Flush all pending batches before shutdown
       await batchingManager.flushAll();
+      await crdtManager.flushAll();
+      await publicLinkManager.flushViews();
       
       // Close WebSocket connections
       io.close(() => {
@@ -550,6 +661,8 @@ const startServer = async () => {
       
       // Flush all pending batches before shutdown
       await batchingManager.flushAll();
+      await crdtManager.flushAll();
+      await publicLinkManager.flushViews();
       
       // Close WebSocket connections
       io.close(() => {
@@ -578,6 +691,14 @@ const startServer = async () => {
       console.warn('⚠️ Client sync tracker initialization failed, continuing without it:', error.message);
     }
 
+    // Purge notes that have been in the trash longer than TRASH_RETENTION_DAYS
+    trashManager.startPurgeSchedule();
+    devLog(`🗑️ Trash purge scheduled (retention: ${trashManager.retentionDays} days)`);
+
+    // Send note reminders and task due-date reminders as they come due
+    reminderManager.startSchedule();
+    devLog(`⏰ Reminders scheduled (tasks remind at ${reminderManager.taskReminderHour}:00 on their due date)`);
+
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT} (${process.env.NODE_ENV || 'development'})`);
       devLog(`🔡 WebSocket server enabled: ${process.env.WEBSOCKET_ENABLED === 'true'}`);
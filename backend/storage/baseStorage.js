@@ -0,0 +1,34 @@
+/**
+ * Base Storage - Lookups every storage driver shares
+ *
+ * Drivers implement read/write/update for users, shares and note metadata
+ * (see fileStorage.js and sqliteStorage.js); the helpers here are built on
+ * those and can be overridden where a driver can answer more directly.
+ */
+
+class BaseStorage {
+  async findUserById(userId) {
+    const users = await this.readUsers();
+    return users[userId] || null;
+  }
+
+  async findUserByEmail(email) {
+    const users = await this.readUsers();
+    return Object.values(users).find(user => user.email === email) || null;
+  }
+
+  // Insert or replace one user record
+  async saveUser(user) {
+    await this.updateUsers(users => {
+      users[user.id] = user;
+    });
+    return user;
+  }
+
+  // Repair what a crash left half-written; returns [{ file, status }] of what was repaired
+  async recover() {
+    return [];
+  }
+}
+
+module.exports = BaseStorage;
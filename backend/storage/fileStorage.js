@@ -0,0 +1,240 @@
+/**
+ * File Storage - The original JSON file layout under data/
+ *
+ *   users.json                   { [userId]: user }
+ *   shares.json                  { [`${ownerId}-${noteId}`]: share record }
+ *   notes/<userId>/metadata.json { [noteId]: metadata entry }
+ *   shared_notes/metadata.json   { [sharedNoteId]: metadata of the shared copy }
+ *
+ * Missing or unreadable files read as empty documents, as they always have.
+ * Every write is atomic (see utils/atomicFile.js) and queued per file, and
+ * update*() holds the file's queue from the read to the write, so concurrent
+ * updates of one document are applied one after the other instead of the last
+ * writer silently dropping the others' changes. recover() repairs documents a
+ * crash left truncated before the server starts using them.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const BaseStorage = require('./baseStorage');
+const atomicFile = require('../utils/atomicFile');
+
+class FileStorage extends BaseStorage {
+  constructor(dataDir) {
+    super();
+    this.driver = 'file';
+    this.dataDir = dataDir;
+    this.notesDir = path.join(dataDir, 'notes');
+    this.usersFile = path.join(dataDir, 'users.json');
+    this.sharesFile = path.join(dataDir, 'shares.json');
+    this.sharedMetadataFile = path.join(dataDir, 'shared_notes', 'metadata.json');
+  }
+
+  async readDocument(file) {
+    return await fs.readJson(file).catch(() => ({}));
+  }
+
+  // Callers hold the file's lock
+  async saveDocument(file, document) {
+    await fs.ensureDir(path.dirname(file));
+    await atomicFile.writeJson(file, document);
+  }
+
+  writeDocument(file, document) {
+    return atomicFile.withLock(file, () => this.saveDocument(file, document));
+  }
+
+  // Unchanged documents aren't rewritten
+  updateDocument(file, mutate) {
+    return atomicFile.withLock(file, async () => {
+      const document = await this.readDocument(file);
+      const before = JSON.stringify(document);
+      const result = mutate(document);
+      if (JSON.stringify(document) !== before) {
+        await this.saveDocument(file, document);
+      }
+      return result;
+    });
+  }
+
+  getMetadataFile(userId) {
+    return path.join(this.notesDir, userId, 'metadata.json');
+  }
+
+  // ===== USERS =====
+
+  readUsers() {
+    return this.readDocument(this.usersFile);
+  }
+
+  writeUsers(users) {
+    return this.writeDocument(this.usersFile, users);
+  }
+
+  updateUsers(mutate) {
+    return this.updateDocument(this.usersFile, mutate);
+  }
+
+  // ===== SHARES =====
+
+  readShares() {
+    return this.readDocument(this.sharesFile);
+  }
+
+  writeShares(shares) {
+    return this.writeDocument(this.sharesFile, shares);
+  }
+
+  updateShares(mutate) {
+    return this.updateDocument(this.sharesFile, mutate);
+  }
+
+  // ===== NOTE METADATA =====
+
+  readMetadata(userId) {
+    return this.readDocument(this.getMetadataFile(userId));
+  }
+
+  writeMetadata(userId, metadata) {
+    return this.writeDocument(this.getMetadataFile(userId), metadata);
+  }
+
+  updateMetadata(userId, mutate) {
+    return this.updateDocument(this.getMetadataFile(userId), mutate);
+  }
+
+  // User IDs that have a metadata document
+  async listMetadataUsers() {
+    if (!await fs.pathExists(this.notesDir)) return [];
+
+    const userIds = [];
+    for (const userId of await fs.readdir(this.notesDir)) {
+      if (await fs.pathExists(this.getMetadataFile(userId))) {
+        userIds.push(userId);
+      }
+    }
+    return userIds;
+  }
+
+  readSharedMetadata() {
+    return this.readDocument(this.sharedMetadataFile);
+  }
+
+  writeSharedMetadata(metadata) {
+    return this.writeDocument(this.sharedMetadataFile, metadata);
+  }
+
+  updateSharedMetadata(mutate) {
+    return this.updateDocument(this.sharedMetadataFile, mutate);
+  }
+
+  // ===== RECOVERY =====
+
+  /**
+   * Check every document at startup. A truncated one is replaced by the
+   * complete temp file of an interrupted write when there is one, otherwise
+   * it's moved aside; a lost metadata document is then rebuilt from the user's
+   * note files. Temp files of interrupted note writes are removed.
+   */
+  async recover() {
+    const repaired = [];
+    const check = async (file) => {
+      const status = await atomicFile.recoverJson(file);
+      if (status === 'restored') {
+        console.warn(`🩹 Restored ${path.relative(this.dataDir, file)} from an interrupted write`);
+      } else if (status === 'corrupt') {
+        console.error(`❌ ${path.relative(this.dataDir, file)} was unreadable and has been moved aside`);
+      }
+      if (status !== 'ok') repaired.push({ file, status });
+      return status;
+    };
+
+    await check(this.usersFile);
+    await check(this.sharesFile);
+    await check(this.sharedMetadataFile);
+    await atomicFile.removeTempFiles(path.dirname(this.sharedMetadataFile));
+
+    const userIds = await fs.pathExists(this.notesDir) ? await fs.readdir(this.notesDir) : [];
+    for (const userId of userIds) {
+      const userNotesDir = path.join(this.notesDir, userId);
+      if (!(await fs.stat(userNotesDir)).isDirectory()) continue;
+
+      if (await check(this.getMetadataFile(userId)) === 'corrupt') {
+        const metadata = await this.rebuildMetadata(userId);
+        await this.saveDocument(this.getMetadataFile(userId), metadata);
+        console.warn(`⚠️ Rebuilt metadata of ${Object.keys(metadata).length} notes for user ${userId}; tags, folders and images have to be set again`);
+      }
+      await atomicFile.removeTempFiles(userNotesDir);
+    }
+    return repaired;
+  }
+
+  // Metadata entries for the note files in a user's directory, shared notes included
+  async rebuildMetadata(userId) {
+    const userNotesDir = path.join(this.notesDir, userId);
+    const shares = Object.values(await this.readShares());
+    const sharedMetadata = await this.readSharedMetadata();
+    const users = await this.readUsers();
+    const metadata = {};
+
+    for (const name of await fs.readdir(userNotesDir)) {
+      if (!name.endsWith('.md')) continue;
+
+      const noteFile = path.join(userNotesDir, name);
+      const stats = await fs.stat(noteFile).catch(() => null);
+      if (!stats) continue; // link to a note that's gone
+
+      const sharedNoteId = path.basename(await fs.realpath(noteFile), '.md');
+      const share = shares.find(entry => entry.sharedNoteId === sharedNoteId);
+      const sharedEntry = share ? sharedMetadata[sharedNoteId] : null;
+      const entry = {
+        title: sharedEntry?.title || await this.readTitle(noteFile),
+        createdAt: sharedEntry?.createdAt || stats.birthtime.toISOString(),
+        updatedAt: stats.mtime.toISOString(),
+        images: []
+      };
+
+      if (share && share.ownerId === userId) {
+        entry.hasBeenShared = true;
+        entry.sharedWith = Object.entries(share.participants || {}).map(([participantId, participant]) => ({
+          userId: participantId,
+          email: participant.email,
+          permission: participant.permission,
+          sharedAt: participant.sharedAt
+        }));
+      } else if (share && share.participants?.[userId]) {
+        Object.assign(entry, {
+          shared: true,
+          sharedBy: users[share.ownerId]?.email || null,
+          permission: share.participants[userId].permission,
+          originalNoteId: share.originalNoteId,
+          sharedNoteId
+        });
+      }
+
+      metadata[name.slice(0, -'.md'.length)] = entry;
+    }
+    return metadata;
+  }
+
+  // The first line of text in a note file, stored as HTML or Markdown
+  async readTitle(noteFile) {
+    const content = await fs.readFile(noteFile, 'utf8').catch(() => '');
+    const firstLine = content
+      .replace(/<\/(p|h[1-6]|li|div)>|<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/gi, ' ')
+      .replace(/&lt;/gi, '<')
+      .replace(/&gt;/gi, '>')
+      .replace(/&quot;/gi, '"')
+      .replace(/&amp;/gi, '&')
+      .split('\n')
+      .map(line => line.replace(/^#+\s*/, '').trim())
+      .find(Boolean);
+    return (firstLine || 'Untitled').substring(0, 100);
+  }
+
+  async close() {}
+}
+
+module.exports = FileStorage;
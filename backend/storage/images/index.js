@@ -0,0 +1,41 @@
+/**
+ * Image Storage - Where note images and attachments are kept
+ *
+ * IMAGE_STORAGE_DRIVER picks the driver:
+ *   local  (default) files in data/notes/<userId>/images/<noteId>/ and
+ *          data/notes/<userId>/attachments/<noteId>/
+ *   s3     an S3-compatible object store (AWS S3, MinIO...), see s3ImageStorage.js
+ * `npm run migrate:images` moves existing files between the two.
+ *
+ * Keys are `<userId>/images/<noteId>/<filename>` and
+ * `<userId>/attachments/<noteId>/<filename>` with either driver. Every driver
+ * offers the same async API:
+ *   save(key, buffer, contentType), exists(key), read(key) -> Buffer | null
+ *   open(key) -> { stream, size } | null
+ *   getSignedUrl(key, expiresIn, contentType) -> URL | null when unsupported
+ *   remove(key), removePrefix(prefix), list(prefix) -> keys
+ */
+
+const path = require('path');
+const LocalImageStorage = require('./localImageStorage');
+
+const IMAGE_STORAGE_DRIVERS = ['local', 's3'];
+const NOTES_DIR = path.join(__dirname, '../../data/notes');
+
+const createImageStorage = (driver, options = {}) => {
+  if (driver === 's3') {
+    const S3ImageStorage = require('./s3ImageStorage');
+    return new S3ImageStorage(options);
+  }
+  return new LocalImageStorage(options.rootDir || NOTES_DIR);
+};
+
+const driver = (process.env.IMAGE_STORAGE_DRIVER || 'local').toLowerCase();
+if (!IMAGE_STORAGE_DRIVERS.includes(driver)) {
+  console.warn(`⚠️ Unknown IMAGE_STORAGE_DRIVER "${driver}", using local image storage`);
+}
+
+// Export singleton instance
+module.exports = createImageStorage(IMAGE_STORAGE_DRIVERS.includes(driver) ? driver : 'local');
+module.exports.createImageStorage = createImageStorage;
+module.exports.IMAGE_STORAGE_DRIVERS = IMAGE_STORAGE_DRIVERS;
@@ -0,0 +1,80 @@
+/**
+ * Local Image Storage - Image files on the server's disk
+ *
+ * Keys are paths relative to data/notes, so images stay where they have
+ * always been: data/notes/<userId>/images/<noteId>/<filename>. Files are
+ * written atomically.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const atomicFile = require('../../utils/atomicFile');
+
+class LocalImageStorage {
+  constructor(rootDir) {
+    this.driver = 'local';
+    this.rootDir = rootDir;
+  }
+
+  getFile(key) {
+    return path.join(this.rootDir, ...key.split('/'));
+  }
+
+  async save(key, data) {
+    const file = this.getFile(key);
+    await fs.ensureDir(path.dirname(file));
+    await atomicFile.writeFile(file, data);
+  }
+
+  async exists(key) {
+    return await fs.pathExists(this.getFile(key));
+  }
+
+  // The image as a Buffer, or null when there is none
+  async read(key) {
+    return await fs.readFile(this.getFile(key)).catch(() => null);
+  }
+
+  // { stream, size } for sending the image, or null when there is none
+  async open(key) {
+    const file = this.getFile(key);
+    const stats = await fs.stat(file).catch(() => null);
+    if (!stats || !stats.isFile()) return null;
+    return { stream: fs.createReadStream(file), size: stats.size };
+  }
+
+  // Images on disk are only ever streamed through the API
+  async getSignedUrl() {
+    return null;
+  }
+
+  async remove(key) {
+    await fs.remove(this.getFile(key)).catch(() => {});
+  }
+
+  async removePrefix(prefix) {
+    await fs.remove(this.getFile(prefix.replace(/\/$/, ''))).catch(() => {});
+  }
+
+  // Keys of every file under prefix
+  async list(prefix = '') {
+    const keys = [];
+    const walk = async (dir, keyPrefix) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const key = `${keyPrefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          await walk(path.join(dir, entry.name), `${key}/`);
+        } else if (entry.isFile() && !atomicFile.isTempFile(entry.name)) {
+          keys.push(key);
+        }
+      }
+    };
+
+    const trimmed = prefix.replace(/\/$/, '');
+    await walk(trimmed ? this.getFile(trimmed) : this.rootDir, trimmed ? `${trimmed}/` : '');
+    return keys;
+  }
+}
+
+module.exports = LocalImageStorage;
@@ -0,0 +1,155 @@
+/**
+ * S3 Image Storage - Image files in an S3-compatible object store
+ *
+ * Works with AWS S3 and with self-hosted stores that speak its API (MinIO,
+ * Ceph, Garage...). Keys are the same paths the local driver uses, below an
+ * optional S3_PREFIX. Reads can be streamed through the API or, with
+ * getSignedUrl(), handed to the browser as a short-lived presigned URL.
+ *
+ * Configured from the environment:
+ *   S3_BUCKET             the bucket (required)
+ *   S3_REGION             default us-east-1
+ *   S3_ENDPOINT           a custom endpoint for non-AWS stores, e.g. http://minio:9000
+ *   S3_FORCE_PATH_STYLE   bucket in the path instead of the host name
+ *                         (default true when S3_ENDPOINT is set)
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+ *                         credentials; without them the SDK's default chain is
+ *                         used (instance roles, ~/.aws, AWS_* variables)
+ *   S3_PREFIX             a key prefix, to share a bucket with other data
+ */
+
+const DELETE_BATCH_SIZE = 1000; // DeleteObjects takes at most this many keys
+
+const isNotFound = (error) =>
+  error.name === 'NoSuchKey' ||
+  error.name === 'NotFound' ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+class S3ImageStorage {
+  constructor(options = {}) {
+    try {
+      this.sdk = require('@aws-sdk/client-s3');
+      this.presigner = require('@aws-sdk/s3-request-presigner');
+    } catch (error) {
+      throw new Error('IMAGE_STORAGE_DRIVER=s3 needs the AWS SDK (npm install @aws-sdk/client-s3 @aws-sdk/s3-request-presigner)');
+    }
+
+    const env = process.env;
+    const endpoint = options.endpoint || env.S3_ENDPOINT || undefined;
+    const forcePathStyle = options.forcePathStyle !== undefined
+      ? options.forcePathStyle
+      : env.S3_FORCE_PATH_STYLE !== undefined ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(endpoint);
+    const accessKeyId = options.accessKeyId || env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = options.secretAccessKey || env.S3_SECRET_ACCESS_KEY;
+
+    this.driver = 's3';
+    this.bucket = options.bucket || env.S3_BUCKET;
+    if (!this.bucket) {
+      throw new Error('IMAGE_STORAGE_DRIVER=s3 needs S3_BUCKET');
+    }
+    this.prefix = (options.prefix || env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+
+    this.client = new this.sdk.S3Client({
+      region: options.region || env.S3_REGION || 'us-east-1',
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  getObjectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  async save(key, data, contentType) {
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      Body: data,
+      ContentType: contentType
+    }));
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new this.sdk.HeadObjectCommand({ Bucket: this.bucket, Key: this.getObjectKey(key) }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  // The image as a Buffer, or null when there is none
+  async read(key) {
+    const object = await this.open(key);
+    if (!object) return null;
+
+    const chunks = [];
+    for await (const chunk of object.stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // { stream, size } for sending the image, or null when there is none
+  async open(key) {
+    try {
+      const object = await this.client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: this.getObjectKey(key) }));
+      return { stream: object.Body, size: object.ContentLength };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  // A presigned GET URL valid for expiresIn seconds
+  async getSignedUrl(key, expiresIn, contentType) {
+    return await this.presigner.getSignedUrl(this.client, new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.getObjectKey(key),
+      ResponseContentType: contentType
+    }), { expiresIn });
+  }
+
+  async remove(key) {
+    await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: this.getObjectKey(key) }));
+  }
+
+  async removePrefix(prefix) {
+    const keys = await this.list(prefix);
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      await this.client.send(new this.sdk.DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map(key => ({ Key: this.getObjectKey(key) })),
+          Quiet: true
+        }
+      }));
+    }
+  }
+
+  // Keys of every object under prefix, without S3_PREFIX
+  async list(prefix = '') {
+    const keys = [];
+    const objectPrefix = this.getObjectKey(prefix);
+    const strip = this.prefix ? this.prefix.length + 1 : 0;
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new this.sdk.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: objectPrefix,
+        ContinuationToken: continuationToken
+      }));
+      for (const object of page.Contents || []) {
+        keys.push(object.Key.substring(strip));
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+}
+
+module.exports = S3ImageStorage;
@@ -0,0 +1,43 @@
+/**
+ * Storage - Where users, shares and note metadata are kept
+ *
+ * STORAGE_DRIVER picks the driver:
+ *   file    (default) the JSON files in data/ - users.json, shares.json and
+ *           notes/<userId>/metadata.json
+ *   sqlite  an embedded SQLite database at SQLITE_FILE (data/materialnotes.db)
+ *           with transactional writes
+ * Note content, versions and everything else stay files in data/ with either
+ * driver; images have drivers of their own (storage/images). `npm run
+ * migrate:sqlite` copies an existing data/ directory into the database.
+ *
+ * Every driver offers the same async API:
+ *   readUsers / writeUsers / updateUsers(mutate), findUserById, findUserByEmail, saveUser
+ *   readShares / writeShares / updateShares(mutate)
+ *   readMetadata(userId) / writeMetadata(userId, metadata) / updateMetadata(userId, mutate)
+ *   readSharedMetadata / writeSharedMetadata / updateSharedMetadata(mutate), listMetadataUsers
+ *   recover() - run at startup to repair what a crash left half-written
+ * update*() passes the current document to a synchronous `mutate` that changes
+ * it in place, saves it and resolves with whatever mutate returned.
+ */
+
+const path = require('path');
+const FileStorage = require('./fileStorage');
+
+const STORAGE_DRIVERS = ['file', 'sqlite'];
+const DATA_DIR = path.join(__dirname, '../data');
+
+const createStorage = (driver, { dataDir = DATA_DIR, sqliteFile } = {}) => {
+  if (driver === 'sqlite') {
+    const SqliteStorage = require('./sqliteStorage');
+    return new SqliteStorage(sqliteFile || process.env.SQLITE_FILE || path.join(dataDir, 'materialnotes.db'));
+  }
+  return new FileStorage(dataDir);
+};
+
+const driver = (process.env.STORAGE_DRIVER || 'file').toLowerCase();
+if (!STORAGE_DRIVERS.includes(driver)) {
+  console.warn(`⚠️ Unknown STORAGE_DRIVER "${driver}", using file storage`);
+}
+
+// Export singleton instance
+module.exports = createStorage(STORAGE_DRIVERS.includes(driver) ? driver : 'file');
@@ -0,0 +1,220 @@
+/**
+ * SQLite Storage - Users, shares and note metadata in one embedded database
+ *
+ * Each JSON document of the file layout becomes a table with one row per
+ * entry, the entry itself kept as JSON:
+ *   users                 id -> user
+ *   shares                share_key (`${ownerId}-${noteId}`) -> share record
+ *   note_metadata         (user_id, note_id) -> metadata entry
+ *   shared_note_metadata  shared_note_id -> metadata of the shared copy
+ *
+ * Writing a document only touches the rows that changed, inside a transaction,
+ * so a crash never leaves half a document behind. update*() reads, mutates and
+ * writes in a single transaction; its callback must therefore be synchronous.
+ * Rows come back in insertion order, which matches the key order a JSON file
+ * would have had.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const BaseStorage = require('./baseStorage');
+
+const DOCUMENTS = {
+  users: { table: 'users', key: 'id' },
+  shares: { table: 'shares', key: 'share_key' },
+  metadata: { table: 'note_metadata', key: 'note_id', scope: 'user_id' },
+  sharedMetadata: { table: 'shared_note_metadata', key: 'shared_note_id' }
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS shares (
+    share_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS note_metadata (
+    user_id TEXT NOT NULL,
+    note_id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (user_id, note_id)
+  );
+  CREATE TABLE IF NOT EXISTS shared_note_metadata (
+    shared_note_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+class SqliteStorage extends BaseStorage {
+  constructor(dbFile) {
+    super();
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.driver = 'sqlite';
+    this.dbFile = dbFile;
+    fs.ensureDirSync(path.dirname(dbFile));
+
+    this.db = new Database(dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+    this.statements = new Map();
+  }
+
+  // Prepared statements are cached by their SQL
+  statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  readRows({ table, key, scope }, scopeValue) {
+    return scope
+      ? this.statement(`SELECT ${key} AS key, data FROM ${table} WHERE ${scope} = ? ORDER BY rowid`).all(scopeValue)
+      : this.statement(`SELECT ${key} AS key, data FROM ${table} ORDER BY rowid`).all();
+  }
+
+  readDocument(spec, scopeValue) {
+    const document = {};
+    for (const row of this.readRows(spec, scopeValue)) {
+      document[row.key] = JSON.parse(row.data);
+    }
+    return document;
+  }
+
+  // Make the stored rows match `document`, changing only what differs
+  writeDocument(spec, scopeValue, document) {
+    const { table, key, scope } = spec;
+    const stored = new Map(this.readRows(spec, scopeValue).map(row => [row.key, row.data]));
+    const scopeParams = scope ? [scopeValue] : [];
+    const scopeColumns = scope ? `${scope}, ` : '';
+    const scopeFilter = scope ? ` AND ${scope} = ?` : '';
+
+    const upsert = this.statement(
+      `INSERT INTO ${table} (${scopeColumns}${key}, data) VALUES (${scope ? '?, ' : ''}?, ?) ` +
+      `ON CONFLICT (${scopeColumns}${key}) DO UPDATE SET data = excluded.data`
+    );
+    const remove = this.statement(`DELETE FROM ${table} WHERE ${key} = ?${scopeFilter}`);
+
+    for (const [entryKey, entry] of Object.entries(document || {})) {
+      const data = JSON.stringify(entry);
+      if (stored.get(entryKey) !== data) {
+        upsert.run(...scopeParams, entryKey, data);
+      }
+      stored.delete(entryKey);
+    }
+    for (const entryKey of stored.keys()) {
+      remove.run(entryKey, ...scopeParams);
+    }
+  }
+
+  updateDocument(spec, scopeValue, mutate) {
+    return this.db.transaction(() => {
+      const document = this.readDocument(spec, scopeValue);
+      const result = mutate(document);
+      if (result && typeof result.then === 'function') {
+        throw new Error('Storage update callbacks must be synchronous');
+      }
+      this.writeDocument(spec, scopeValue, document);
+      return result;
+    })();
+  }
+
+  // Write a whole data set in one transaction - all of it or, on error, none
+  importDocuments({ users = {}, shares = {}, sharedMetadata = {}, metadata = {} }) {
+    this.db.transaction(() => {
+      this.writeDocument(DOCUMENTS.users, null, users);
+      this.writeDocument(DOCUMENTS.shares, null, shares);
+      this.writeDocument(DOCUMENTS.sharedMetadata, null, sharedMetadata);
+      for (const [userId, userMetadata] of Object.entries(metadata)) {
+        this.writeDocument(DOCUMENTS.metadata, userId, userMetadata);
+      }
+    })();
+  }
+
+  // ===== USERS =====
+
+  async readUsers() {
+    return this.readDocument(DOCUMENTS.users);
+  }
+
+  async writeUsers(users) {
+    this.db.transaction(() => this.writeDocument(DOCUMENTS.users, null, users))();
+  }
+
+  async updateUsers(mutate) {
+    return this.updateDocument(DOCUMENTS.users, null, mutate);
+  }
+
+  async findUserById(userId) {
+    const row = this.statement('SELECT data FROM users WHERE id = ?').get(userId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveUser(user) {
+    this.statement('INSERT INTO users (id, data) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET data = excluded.data')
+      .run(user.id, JSON.stringify(user));
+    return user;
+  }
+
+  // ===== SHARES =====
+
+  async readShares() {
+    return this.readDocument(DOCUMENTS.shares);
+  }
+
+  async writeShares(shares) {
+    this.db.transaction(() => this.writeDocument(DOCUMENTS.shares, null, shares))();
+  }
+
+  async updateShares(mutate) {
+    return this.updateDocument(DOCUMENTS.shares, null, mutate);
+  }
+
+  // ===== NOTE METADATA =====
+
+  async readMetadata(userId) {
+    return this.readDocument(DOCUMENTS.metadata, userId);
+  }
+
+  async writeMetadata(userId, metadata) {
+    this.db.transaction(() => this.writeDocument(DOCUMENTS.metadata, userId, metadata))();
+  }
+
+  async updateMetadata(userId, mutate) {
+    return this.updateDocument(DOCUMENTS.metadata, userId, mutate);
+  }
+
+  // User IDs that have a metadata document
+  async listMetadataUsers() {
+    return this.statement('SELECT DISTINCT user_id FROM note_metadata ORDER BY user_id').all()
+      .map(row => row.user_id);
+  }
+
+  async readSharedMetadata() {
+    return this.readDocument(DOCUMENTS.sharedMetadata);
+  }
+
+  async writeSharedMetadata(metadata) {
+    this.db.transaction(() => this.writeDocument(DOCUMENTS.sharedMetadata, null, metadata))();
+  }
+
+  async updateSharedMetadata(mutate) {
+    return this.updateDocument(DOCUMENTS.sharedMetadata, null, mutate);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,109 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const atomicFile = require('../utils/atomicFile');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('atomicFile', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-atomic-'));
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  test('withLock runs the tasks for one file in order, one at a time', async () => {
+    const file = path.join(dir, 'ordered.json');
+    const events = [];
+    let running = 0;
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) =>
+      atomicFile.withLock(file, async () => {
+        running++;
+        assert.strictEqual(running, 1);
+        events.push(index);
+        await delay(Math.random() * 5);
+        running--;
+      })));
+
+    assert.deepStrictEqual(events, Array.from({ length: 20 }, (_, index) => index));
+  });
+
+  test('withLock treats paths to the same file as one lock', async () => {
+    const events = [];
+    await Promise.all([
+      atomicFile.withLock(path.join(dir, 'same.json'), async () => {
+        await delay(10);
+        events.push('first');
+      }),
+      atomicFile.withLock(path.join(dir, 'sub', '..', 'same.json'), async () => {
+        events.push('second');
+      })
+    ]);
+
+    assert.deepStrictEqual(events, ['first', 'second']);
+  });
+
+  test('withLock keeps going after a task fails', async () => {
+    const file = path.join(dir, 'failing.json');
+    const failed = atomicFile.withLock(file, async () => {
+      throw new Error('boom');
+    });
+    const next = atomicFile.withLock(file, async () => 'ran');
+
+    await assert.rejects(failed, /boom/);
+    assert.strictEqual(await next, 'ran');
+  });
+
+  test('read-modify-writes under withLock lose no changes', async () => {
+    const file = path.join(dir, 'counter.json');
+    await atomicFile.writeJson(file, { count: 0 });
+
+    await Promise.all(Array.from({ length: 50 }, () =>
+      atomicFile.withLock(file, async () => {
+        const data = await fs.readJson(file);
+        await delay(Math.random() * 2);
+        data.count++;
+        await atomicFile.writeJson(file, data);
+      })));
+
+    assert.deepStrictEqual(await fs.readJson(file), { count: 50 });
+    assert.deepStrictEqual((await fs.readdir(dir)).filter(name => atomicFile.isTempFile(name)), []);
+  });
+
+  test('recoverJson restores a truncated file from a complete temp file', async () => {
+    const file = path.join(dir, 'truncated.json');
+    await fs.writeFile(file, '{"a": 1, "b"');
+    await fs.writeJson(`${file}.tmp-0a1b2c`, { a: 1, b: 2 });
+
+    assert.strictEqual(await atomicFile.recoverJson(file), 'restored');
+    assert.deepStrictEqual(await fs.readJson(file), { a: 1, b: 2 });
+    assert.deepStrictEqual(await atomicFile.findTempFiles(file), []);
+  });
+
+  test('recoverJson ignores an incomplete temp file and moves the broken file aside', async () => {
+    const file = path.join(dir, 'broken.json');
+    await fs.writeFile(file, '{"a": ');
+    await fs.writeFile(`${file}.tmp-3d4e5f`, '{"a": 1, "b');
+
+    assert.strictEqual(await atomicFile.recoverJson(file), 'corrupt');
+    assert.strictEqual(await fs.pathExists(file), false);
+    const movedAside = (await fs.readdir(dir)).filter(name => name.startsWith('broken.json.corrupt-'));
+    assert.strictEqual(movedAside.length, 1);
+    assert.deepStrictEqual(await atomicFile.findTempFiles(file), []);
+  });
+
+  test('recoverJson leaves a valid file alone', async () => {
+    const file = path.join(dir, 'valid.json');
+    await atomicFile.writeJson(file, { ok: true });
+
+    assert.strictEqual(await atomicFile.recoverJson(file), 'ok');
+    assert.deepStrictEqual(await fs.readJson(file), { ok: true });
+  });
+});
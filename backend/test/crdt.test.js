@@ -0,0 +1,48 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const crdtManager = require('../utils/crdtManager');
+
+describe('shared document persistence', () => {
+  let dir;
+
+  const editDocument = async (noteId, text) => {
+    const entry = await crdtManager.getDocument('owner', noteId);
+    entry.doc.getText('test').insert(0, text);
+    return entry;
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-crdt-'));
+    crdtManager.crdtDir = dir;
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  test('a persisted document loads again with the same state', async () => {
+    const entry = await editDocument('saved', 'hello');
+    await crdtManager.persist(entry);
+    crdtManager.documents.delete('saved');
+
+    const loaded = await crdtManager.getDocument('owner', 'saved');
+    assert.strictEqual(loaded.doc.getText('test').toString(), 'hello');
+    assert.strictEqual(loaded.generation, entry.generation);
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, 'owner')), ['saved.bin', 'saved.json']);
+  });
+
+  test('a reset during a write does not bring the old state back', async () => {
+    const entry = await editDocument('reset', 'before');
+
+    await Promise.all([
+      crdtManager.persist(entry),
+      crdtManager.resetDocument('owner', 'reset', '<p>after</p>')
+    ]);
+
+    assert.strictEqual(await fs.pathExists(crdtManager.getStateFile('owner', 'reset')), false);
+    assert.strictEqual(await fs.pathExists(crdtManager.getMetaFile('owner', 'reset')), false);
+  });
+});
@@ -0,0 +1,139 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const passport = require('passport');
+const { Strategy } = require('passport-strategy');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const batchingManager = require('../utils/batchingManager');
+const noteOrderManager = require('../utils/noteOrderManager');
+const trashManager = require('../utils/trashManager');
+const versionManager = require('../utils/versionManager');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const ROUNDS = 15;
+
+// Signs every request in as the test user
+class TestUserStrategy extends Strategy {
+  constructor(user) {
+    super();
+    this.name = 'jwt';
+    this.user = user;
+  }
+
+  authenticate() {
+    this.success(this.user);
+  }
+}
+
+describe('concurrent note saves', () => {
+  const user = { id: `test-${uuidv4()}`, name: 'Test User', email: 'test@example.com', avatar: '' };
+  let server;
+  let baseUrl;
+
+  const createNote = async () => {
+    const noteId = uuidv4();
+    const now = new Date().toISOString();
+    await fs.outputFile(path.join(DATA_DIR, 'notes', user.id, `${noteId}.md`), '<p>Start</p>');
+    await storage.updateMetadata(user.id, metadata => {
+      metadata[noteId] = { title: 'Race', createdAt: now, updatedAt: now, images: [], tags: [] };
+    });
+    return noteId;
+  };
+
+  const putNote = async (noteId, body) => {
+    const response = await fetch(`${baseUrl}/api/notes/${noteId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    assert.strictEqual(response.status, 200);
+  };
+
+  const readEntry = async (noteId) => (await storage.readMetadata(user.id))[noteId];
+
+  before(async () => {
+    passport.use(new TestUserStrategy(user));
+    const app = express();
+    app.use(express.json());
+    app.use(passport.initialize());
+    app.use('/api/notes', require('../routes/notes'));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    for (const dir of ['notes', 'versions', 'activity', 'comments', 'crdt']) {
+      await fs.remove(path.join(DATA_DIR, dir, user.id));
+    }
+  });
+
+  test('a content save does not undo a pin made meanwhile', async () => {
+    const noteId = await createNote();
+    let lostPins = 0;
+
+    for (let round = 0; round < ROUNDS; round++) {
+      await putNote(noteId, { pinned: false });
+      await Promise.all([
+        putNote(noteId, { title: `Race ${round}`, content: `<p>Round ${round}</p>` }),
+        putNote(noteId, { pinned: true })
+      ]);
+      if (!(await readEntry(noteId)).pinned) lostPins++;
+    }
+
+    assert.strictEqual(lostPins, 0);
+    assert.strictEqual((await readEntry(noteId)).title, `Race ${ROUNDS - 1}`);
+  });
+
+  test('a batched save does not undo a pin made meanwhile', async () => {
+    const noteId = await createNote();
+    let lostPins = 0;
+
+    for (let round = 0; round < ROUNDS; round++) {
+      await noteOrderManager.setFlags(user.id, noteId, { pinned: false });
+      await Promise.all([
+        batchingManager.saveNoteUpdates(noteId, { title: `Batch ${round}`, content: `<p>Batch ${round}</p>` }, user),
+        noteOrderManager.setFlags(user.id, noteId, { pinned: true })
+      ]);
+      if (!(await readEntry(noteId)).pinned) lostPins++;
+    }
+
+    assert.strictEqual(lostPins, 0);
+  });
+
+  test('restoring a version does not undo a pin made meanwhile', async () => {
+    const noteId = await createNote();
+    const version = await versionManager.recordVersion(user.id, noteId, { title: 'Old', content: '<p>Old</p>', editor: user });
+    let lostPins = 0;
+
+    for (let round = 0; round < ROUNDS; round++) {
+      await putNote(noteId, { pinned: false });
+      await Promise.all([
+        fetch(`${baseUrl}/api/notes/${noteId}/versions/${version.id}/restore`, { method: 'POST' })
+          .then(response => assert.strictEqual(response.status, 200)),
+        putNote(noteId, { pinned: true })
+      ]);
+      if (!(await readEntry(noteId)).pinned) lostPins++;
+    }
+
+    assert.strictEqual(lostPins, 0);
+    assert.strictEqual((await readEntry(noteId)).title, 'Old');
+  });
+
+  test('a batched save does not bring back a note trashed meanwhile', async () => {
+    const noteId = await createNote();
+
+    await Promise.all([
+      batchingManager.saveNoteUpdates(noteId, { content: '<p>Late edit</p>' }, user),
+      trashManager.trashNote(user.id, noteId)
+    ]);
+
+    assert.strictEqual((await readEntry(noteId)).trashed, true);
+  });
+});
@@ -0,0 +1,38 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const notificationManager = require('../utils/notificationManager');
+
+describe('VAPID keys', () => {
+  let dir;
+
+  before(async () => {
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-vapid-'));
+    notificationManager.dataDir = dir;
+    notificationManager.vapidFile = path.join(dir, 'vapid.json');
+    notificationManager.vapidKeysPromise = null;
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  test('concurrent first requests generate a single key pair', async () => {
+    const keys = await Promise.all(Array.from({ length: 10 }, () => notificationManager.getPublicKey()));
+
+    assert.strictEqual(new Set(keys).size, 1);
+    assert.strictEqual((await fs.readJson(notificationManager.vapidFile)).publicKey, keys[0]);
+  });
+
+  test('a restart reuses the saved key pair', async () => {
+    const saved = await fs.readJson(notificationManager.vapidFile);
+    notificationManager.vapidKeysPromise = null;
+
+    const keys = await Promise.all(Array.from({ length: 5 }, () => notificationManager.getPublicKey()));
+    assert.deepStrictEqual(new Set(keys), new Set([saved.publicKey]));
+  });
+});
@@ -0,0 +1,93 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const jwt = require('jsonwebtoken');
+const publicLinkManager = require('../utils/publicLinkManager');
+
+describe('public link views', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-links-'));
+    publicLinkManager.dataDir = dir;
+    publicLinkManager.linksFile = path.join(dir, 'public_links.json');
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  test('counts views without losing any', async () => {
+    const { token } = await publicLinkManager.createLink('owner', 'note');
+
+    for (let view = 0; view < 25; view++) {
+      publicLinkManager.recordView(token);
+    }
+    assert.strictEqual((await publicLinkManager.listLinks('owner', 'note'))[0].views, 25);
+
+    await publicLinkManager.flushViews();
+    const link = await publicLinkManager.getLink(token);
+    assert.strictEqual(link.views, 25);
+    assert.ok(link.lastViewedAt);
+  });
+
+  test('a view racing a revoke does not bring the link back', async () => {
+    const links = await Promise.all(Array.from({ length: 10 }, () => publicLinkManager.createLink('owner', 'raced')));
+
+    await Promise.all(links.map(async ({ token }) => {
+      publicLinkManager.recordView(token);
+      await Promise.all([publicLinkManager.flushViews(), publicLinkManager.revokeLink('owner', token)]);
+    }));
+    await publicLinkManager.flushViews();
+
+    assert.deepStrictEqual(await publicLinkManager.listLinks('owner', 'raced'), []);
+  });
+
+  test('parallel changes keep every link', async () => {
+    await Promise.all(Array.from({ length: 20 }, () => publicLinkManager.createLink('owner', 'parallel')));
+    assert.strictEqual((await publicLinkManager.listLinks('owner', 'parallel')).length, 20);
+  });
+});
+
+describe('public link access tokens', () => {
+  let dir;
+  let secret;
+
+  before(async () => {
+    secret = process.env.JWT_SECRET;
+    delete process.env.JWT_SECRET;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-access-'));
+    publicLinkManager.dataDir = dir;
+    publicLinkManager.linksFile = path.join(dir, 'public_links.json');
+  });
+
+  after(async () => {
+    if (secret !== undefined) process.env.JWT_SECRET = secret;
+    await fs.remove(dir);
+  });
+
+  const createProtectedLink = async (password) => {
+    const { token } = await publicLinkManager.createLink('owner', 'protected', { password });
+    return await publicLinkManager.getLink(token);
+  };
+
+  test('a token opens only the link it was issued for', async () => {
+    const link = await createProtectedLink('secret');
+    const other = await createProtectedLink('secret');
+    const accessToken = publicLinkManager.createAccessToken(link);
+
+    assert.strictEqual(publicLinkManager.verifyAccessToken(link, accessToken), true);
+    assert.strictEqual(publicLinkManager.verifyAccessToken(other, accessToken), false);
+    assert.strictEqual(publicLinkManager.verifyAccessToken(link, undefined), false);
+  });
+
+  test('tokens cannot be forged without a configured JWT_SECRET', async () => {
+    const link = await createProtectedLink('secret');
+
+    const forged = jwt.sign({ publicLink: link.token }, 'fallback-secret', { expiresIn: '1h' });
+
+    assert.strictEqual(publicLinkManager.verifyAccessToken(link, forged), false);
+  });
+});
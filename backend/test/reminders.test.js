@@ -0,0 +1,120 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const storage = require('../storage');
+const notificationManager = require('../utils/notificationManager');
+const reminderManager = require('../utils/reminderManager');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('reminders', () => {
+  let dir;
+  let now;
+
+  const createNote = async (userId, noteId, { reminderAt, content = '<p>Note</p>' } = {}) => {
+    await fs.outputFile(path.join(reminderManager.notesDir, userId, `${noteId}.md`), content);
+    await storage.updateMetadata(userId, metadata => {
+      metadata[noteId] = { title: noteId, createdAt: new Date(now).toISOString(), updatedAt: new Date(now).toISOString() };
+    });
+    if (reminderAt !== undefined) {
+      await reminderManager.setReminder(userId, noteId, new Date(reminderAt).toISOString());
+    }
+  };
+
+  const reminderTitles = async (userId) =>
+    (await notificationManager.listNotifications(userId)).items
+      .filter(item => item.type === 'reminder')
+      .map(item => item.title)
+      .sort();
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-reminders-'));
+    if (storage.driver === 'file') {
+      storage.dataDir = dir;
+      storage.notesDir = path.join(dir, 'notes');
+    }
+    reminderManager.dataDir = dir;
+    reminderManager.notesDir = path.join(dir, 'notes');
+    reminderManager.remindersDir = path.join(dir, 'reminders');
+    notificationManager.dataDir = dir;
+    notificationManager.notificationsDir = path.join(dir, 'notifications');
+
+    now = new Date(2026, 2, 10, 12, 0).getTime();
+    reminderManager.setClock(() => now);
+  });
+
+  after(async () => {
+    reminderManager.setClock(null);
+    await fs.remove(dir);
+  });
+
+  test('a due reminder fires once', async () => {
+    await createNote('due-user', 'due', { reminderAt: now - MINUTE });
+
+    await reminderManager.checkDue();
+    now += MINUTE;
+    await reminderManager.checkDue();
+
+    assert.deepStrictEqual(await reminderTitles('due-user'), ['Reminder: due']);
+  });
+
+  test('a future reminder waits until its time', async () => {
+    await createNote('future-user', 'future', { reminderAt: now + HOUR });
+
+    await reminderManager.checkDue();
+    assert.deepStrictEqual(await reminderTitles('future-user'), []);
+
+    now += HOUR;
+    await reminderManager.checkDue();
+    assert.deepStrictEqual(await reminderTitles('future-user'), ['Reminder: future']);
+  });
+
+  test('a snoozed reminder fires again at its new time, not before', async () => {
+    await createNote('snooze-user', 'snoozed', { reminderAt: now });
+    await reminderManager.checkDue();
+
+    await reminderManager.setReminder('snooze-user', 'snoozed', new Date(now + 30 * MINUTE).toISOString());
+    now += 10 * MINUTE;
+    await reminderManager.checkDue();
+    assert.strictEqual((await reminderTitles('snooze-user')).length, 1);
+
+    now += 20 * MINUTE;
+    await reminderManager.checkDue();
+    assert.deepStrictEqual(await reminderTitles('snooze-user'), ['Reminder: snoozed', 'Reminder: snoozed']);
+  });
+
+  test('a cancelled reminder never fires', async () => {
+    await createNote('cancel-user', 'cancelled', { reminderAt: now + 10 * MINUTE });
+    await reminderManager.setReminder('cancel-user', 'cancelled', null);
+
+    now += HOUR;
+    await reminderManager.checkDue();
+
+    assert.deepStrictEqual(await reminderTitles('cancel-user'), []);
+  });
+
+  test('open tasks fire on their due date, done ones do not', async () => {
+    const today = new Date(now);
+    const due = [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+    await createNote('task-user', 'tasks', {
+      content: '<ul data-type="taskList">' +
+        `<li data-type="taskItem" data-checked="false" data-due="${due}"><p>Open task</p></li>` +
+        `<li data-type="taskItem" data-checked="true" data-due="${due}"><p>Done task</p></li>` +
+        '</ul>'
+    });
+
+    now = reminderManager.getTaskReminderTime(due) - MINUTE;
+    await reminderManager.checkDue();
+    assert.deepStrictEqual(await reminderTitles('task-user'), []);
+
+    now += 2 * MINUTE;
+    await reminderManager.checkDue();
+    await reminderManager.checkDue();
+    assert.deepStrictEqual(await reminderTitles('task-user'), ['Task due: Open task']);
+  });
+});
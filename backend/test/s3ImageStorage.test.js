@@ -0,0 +1,167 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const S3ImageStorage = require('../storage/images/s3ImageStorage');
+
+const BUCKET = 'materialnotes-test';
+const PAGE_SIZE = 2; // small, so listing has to follow continuation tokens
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * A minimal in-process stand-in for an S3-compatible store: path-style
+ * requests for one bucket, covering the calls the image driver makes.
+ * Set S3_TEST_ENDPOINT (plus S3_TEST_BUCKET and credentials) to run the same
+ * tests against a real store such as the docker-compose `s3` profile's MinIO.
+ */
+const createStandIn = () => {
+  const objects = new Map(); // key -> { body, contentType }
+
+  const sendXml = (res, status, xml) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>${xml}`);
+  };
+
+  const notFound = (res, method) => {
+    if (method === 'HEAD') {
+      res.writeHead(404);
+      return res.end();
+    }
+    sendXml(res, 404, '<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...keyParts] = url.pathname.split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    const body = await readBody(req);
+
+    if (bucket !== BUCKET) {
+      return sendXml(res, 404, '<Error><Code>NoSuchBucket</Code></Error>');
+    }
+
+    if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const keys = [...objects.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = Number(url.searchParams.get('continuation-token') || 0);
+      const page = keys.slice(start, start + PAGE_SIZE);
+      const truncated = start + PAGE_SIZE < keys.length;
+      return sendXml(res, 200, '<ListBucketResult>' +
+        page.map(name => `<Contents><Key>${escapeXml(name)}</Key><Size>${objects.get(name).body.length}</Size></Contents>`).join('') +
+        `<KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+        (truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : '') +
+        '</ListBucketResult>');
+    }
+
+    if (!key && req.method === 'POST' && url.searchParams.has('delete')) {
+      for (const [, name] of body.toString('utf8').matchAll(/<Key>([^<]*)<\/Key>/g)) {
+        objects.delete(name.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+      }
+      return sendXml(res, 200, '<DeleteResult></DeleteResult>');
+    }
+
+    switch (req.method) {
+      case 'PUT':
+        objects.set(key, { body, contentType: req.headers['content-type'] });
+        res.writeHead(200, { ETag: '"stand-in"' });
+        return res.end();
+      case 'GET':
+      case 'HEAD': {
+        const object = objects.get(key);
+        if (!object) return notFound(res, req.method);
+        res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+        return res.end(req.method === 'GET' ? object.body : undefined);
+      }
+      case 'DELETE':
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+      default:
+        res.writeHead(405);
+        return res.end();
+    }
+  });
+};
+
+describe('S3 image storage', () => {
+  let server;
+  let storage;
+
+  before(async () => {
+    let endpoint = process.env.S3_TEST_ENDPOINT;
+    if (!endpoint) {
+      server = createStandIn();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      endpoint = `http://127.0.0.1:${server.address().port}`;
+    }
+
+    storage = new S3ImageStorage({
+      endpoint,
+      bucket: process.env.S3_TEST_BUCKET || BUCKET,
+      prefix: `test-${Date.now()}`,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || 'minioadmin',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || 'minioadmin'
+    });
+  });
+
+  after(async () => {
+    await storage.removePrefix('');
+    storage.client.destroy();
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('saves, reads and streams an image', async () => {
+    const data = Buffer.from('not really a webp');
+    await storage.save('user/note/image.webp', data, 'image/webp');
+
+    assert.strictEqual(await storage.exists('user/note/image.webp'), true);
+    assert.deepStrictEqual(await storage.read('user/note/image.webp'), data);
+
+    const file = await storage.open('user/note/image.webp');
+    assert.strictEqual(file.size, data.length);
+  });
+
+  test('reports missing images instead of throwing', async () => {
+    assert.strictEqual(await storage.exists('user/note/missing.webp'), false);
+    assert.strictEqual(await storage.read('user/note/missing.webp'), null);
+    assert.strictEqual(await storage.open('user/note/missing.webp'), null);
+  });
+
+  test('removes a single image', async () => {
+    await storage.save('user/removed/image.webp', Buffer.from('gone'), 'image/webp');
+    await storage.remove('user/removed/image.webp');
+
+    assert.strictEqual(await storage.exists('user/removed/image.webp'), false);
+  });
+
+  test('lists keys under a prefix across pages, without the store prefix', async () => {
+    const keys = ['user/listed/a.webp', 'user/listed/b.webp', 'user/listed/c.webp', 'user/listed/d.webp', 'user/listed/e.webp'];
+    for (const key of keys) {
+      await storage.save(key, Buffer.from(key), 'image/webp');
+    }
+    await storage.save('user/other/f.webp', Buffer.from('other'), 'image/webp');
+
+    assert.deepStrictEqual((await storage.list('user/listed/')).sort(), keys);
+  });
+
+  test('removes everything under a prefix', async () => {
+    await storage.save('user/purged/a.webp', Buffer.from('a'), 'image/webp');
+    await storage.save('user/purged/b.webp', Buffer.from('b'), 'image/webp');
+    await storage.save('user/kept/c.webp', Buffer.from('c'), 'image/webp');
+
+    await storage.removePrefix('user/purged/');
+
+    assert.deepStrictEqual(await storage.list('user/purged/'), []);
+    assert.deepStrictEqual(await storage.list('user/kept/'), ['user/kept/c.webp']);
+  });
+});
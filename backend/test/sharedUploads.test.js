@@ -0,0 +1,142 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+const passport = require('passport');
+const sharp = require('sharp');
+const { Strategy } = require('passport-strategy');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const shareManager = require('../utils/shareManager');
+const imageManager = require('../utils/imageManager');
+const publicLinkManager = require('../utils/publicLinkManager');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const SHARED_FILES = ['users.json', 'shares.json', 'shared_notes', 'public_links.json'];
+
+// Signs every request in as whichever user is current
+class CurrentUserStrategy extends Strategy {
+  constructor() {
+    super();
+    this.name = 'jwt';
+    this.user = null;
+  }
+
+  authenticate() {
+    this.success(this.user);
+  }
+}
+
+describe('uploads on shared notes', () => {
+  const strategy = new CurrentUserStrategy();
+  const owner = { id: `test-${uuidv4()}`, name: 'Owner', email: `owner-${uuidv4()}@example.com`, avatar: '' };
+  const collaborator = { id: `test-${uuidv4()}`, name: 'Collaborator', email: `collaborator-${uuidv4()}@example.com`, avatar: '' };
+  const noteId = uuidv4();
+  const existingFiles = new Set();
+  let server;
+  let baseUrl;
+
+  const request = (user, method, url, body) => {
+    strategy.user = user;
+    return fetch(`${baseUrl}/api/notes/${noteId}${url}`, { method, body });
+  };
+
+  const upload = async (user, kind, field, name, type, data) => {
+    const form = new FormData();
+    form.append(field, new Blob([data], { type }), name);
+    const response = await request(user, 'POST', `/${kind}`, form);
+    assert.strictEqual(response.status, 200);
+    return await response.json();
+  };
+
+  const createPng = () => sharp({ create: { width: 4, height: 4, channels: 3, background: '#3366ff' } }).png().toBuffer();
+
+  before(async () => {
+    for (const name of SHARED_FILES) {
+      if (await fs.pathExists(path.join(DATA_DIR, name))) existingFiles.add(name);
+    }
+
+    await storage.saveUser(owner);
+    await storage.saveUser(collaborator);
+    const now = new Date().toISOString();
+    await fs.outputFile(path.join(DATA_DIR, 'notes', owner.id, `${noteId}.md`), '<p>Shared</p>');
+    await storage.updateMetadata(owner.id, metadata => {
+      metadata[noteId] = { title: 'Shared', createdAt: now, updatedAt: now, images: [], tags: [] };
+    });
+    await shareManager.shareNote(owner, noteId, collaborator, 'edit');
+
+    passport.use(strategy);
+    const app = express();
+    app.use(express.json());
+    app.use(passport.initialize());
+    app.use('/api/notes', require('../routes/notes'));
+    app.use('/public', require('../routes/public'));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await shareManager.unshareNote(owner.id, noteId, collaborator.id);
+    await storage.updateUsers(users => {
+      delete users[owner.id];
+      delete users[collaborator.id];
+    });
+    for (const userId of [owner.id, collaborator.id]) {
+      for (const dir of ['notes', 'versions', 'activity', 'comments', 'crdt']) {
+        await fs.remove(path.join(DATA_DIR, dir, userId));
+      }
+    }
+    for (const name of SHARED_FILES) {
+      if (!existingFiles.has(name)) await fs.remove(path.join(DATA_DIR, name));
+    }
+  });
+
+  test("the owner can download a collaborator's attachment", async () => {
+    const attachment = await upload(collaborator, 'attachments', 'file', 'notes.txt', 'text/plain', 'Meeting notes');
+
+    const response = await request(owner, 'GET', `/attachments/${attachment.id}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'Meeting notes');
+  });
+
+  test("the owner can load and delete a collaborator's image", async () => {
+    const image = await upload(collaborator, 'images', 'image', 'dot.png', 'image/png', await createPng());
+
+    const response = await request(owner, 'GET', `/images/${image.id}`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^image\//);
+
+    assert.strictEqual((await request(owner, 'DELETE', `/images/${image.id}`)).status, 200);
+    assert.strictEqual((await request(collaborator, 'GET', `/images/${image.id}`)).status, 404);
+  });
+
+  test('images listed in a collaborator\'s own entry still load for everyone', async () => {
+    const imageInfo = await imageManager.processAndSaveImage(await createPng(), collaborator.id, noteId, 'old.png');
+    await storage.updateMetadata(collaborator.id, metadata => {
+      metadata[noteId].images = [...(metadata[noteId].images || []), imageInfo];
+    });
+
+    assert.strictEqual((await request(owner, 'GET', `/images/${imageInfo.id}`)).status, 200);
+    assert.strictEqual((await request(collaborator, 'GET', `/images/${imageInfo.id}`)).status, 200);
+  });
+
+  test("a public link shows collaborators' images and attachments", async () => {
+    const image = await upload(collaborator, 'images', 'image', 'new.png', 'image/png', await createPng());
+    const attachment = await upload(collaborator, 'attachments', 'file', 'public.txt', 'text/plain', 'For everyone');
+    const oldImage = await imageManager.processAndSaveImage(await createPng(), collaborator.id, noteId, 'older.png');
+    await storage.updateMetadata(collaborator.id, metadata => {
+      metadata[noteId].images = [...(metadata[noteId].images || []), oldImage];
+    });
+    const { token } = await publicLinkManager.createLink(owner.id, noteId);
+
+    for (const url of [`images/${image.id}`, `images/${oldImage.id}`, `attachments/${attachment.id}`]) {
+      const response = await fetch(`${baseUrl}/public/${token}/${url}`);
+      assert.strictEqual(response.status, 200, url);
+    }
+  });
+});
@@ -0,0 +1,95 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const storage = require('../storage');
+const shareManager = require('../utils/shareManager');
+const trashManager = require('../utils/trashManager');
+
+const PARTICIPANTS = 8;
+
+describe('sharing', () => {
+  const owner = { id: 'owner', email: 'owner@example.com' };
+  const participants = Array.from({ length: PARTICIPANTS }, (_, index) => ({
+    id: `participant-${index}`,
+    email: `participant-${index}@example.com`
+  }));
+  let dir;
+
+  const createNote = async (noteId) => {
+    const now = new Date().toISOString();
+    await fs.outputFile(path.join(shareManager.notesDir, owner.id, `${noteId}.md`), '<p>Shared</p>');
+    await storage.updateMetadata(owner.id, metadata => {
+      metadata[noteId] = { title: 'Shared', createdAt: now, updatedAt: now };
+    });
+  };
+
+  const readParticipants = async (noteId) =>
+    Object.keys((await storage.readShares())[`${owner.id}-${noteId}`]?.participants || {}).sort();
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-sharing-'));
+    if (storage.driver === 'file') {
+      storage.dataDir = dir;
+      storage.notesDir = path.join(dir, 'notes');
+      storage.usersFile = path.join(dir, 'users.json');
+      storage.sharesFile = path.join(dir, 'shares.json');
+      storage.sharedMetadataFile = path.join(dir, 'shared_notes', 'metadata.json');
+    }
+    shareManager.dataDir = dir;
+    shareManager.notesDir = path.join(dir, 'notes');
+    shareManager.sharedNotesDir = path.join(dir, 'shared_notes');
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  test('parallel shares of a shared note keep every participant', async () => {
+    await createNote('note-a');
+    await shareManager.shareNote(owner, 'note-a', participants[0], 'edit');
+
+    await Promise.all(participants.slice(1).map(user => shareManager.shareNote(owner, 'note-a', user, 'view')));
+
+    assert.deepStrictEqual(await readParticipants('note-a'), participants.map(user => user.id).sort());
+  });
+
+  test('parallel unshares remove exactly the users unshared', async () => {
+    await createNote('note-b');
+    for (const user of participants) {
+      await shareManager.shareNote(owner, 'note-b', user, 'edit');
+    }
+
+    const removed = participants.slice(0, PARTICIPANTS / 2);
+    await Promise.all(removed.map(user => shareManager.unshareNote(owner.id, 'note-b', user.id)));
+
+    assert.deepStrictEqual(await readParticipants('note-b'), participants.slice(PARTICIPANTS / 2).map(user => user.id).sort());
+  });
+
+  test('unsharing everyone in parallel moves the note back to the owner', async () => {
+    await createNote('note-c');
+    for (const user of participants) {
+      await shareManager.shareNote(owner, 'note-c', user, 'edit');
+    }
+
+    await Promise.all(participants.map(user => shareManager.unshareNote(owner.id, 'note-c', user.id)));
+
+    assert.strictEqual((await storage.readShares())[`${owner.id}-note-c`], undefined);
+    const noteFile = path.join(shareManager.notesDir, owner.id, 'note-c.md');
+    assert.strictEqual((await fs.lstat(noteFile)).isSymbolicLink(), false);
+    assert.strictEqual(await fs.readFile(noteFile, 'utf8'), '<p>Shared</p>');
+  });
+
+  test('a participant deleting their copy for good leaves the share', async () => {
+    await createNote('note-d');
+    await shareManager.shareNote(owner, 'note-d', participants[0], 'edit');
+    await shareManager.shareNote(owner, 'note-d', participants[1], 'edit');
+
+    await trashManager.purgeNote(participants[0].id, 'note-d');
+
+    assert.deepStrictEqual(await readParticipants('note-d'), [participants[1].id]);
+    const ownerEntry = (await storage.readMetadata(owner.id))['note-d'];
+    assert.deepStrictEqual(ownerEntry.sharedWith.map(entry => entry.userId), [participants[1].id]);
+  });
+});
@@ -0,0 +1,115 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const FileStorage = require('../storage/fileStorage');
+const SqliteStorage = require('../storage/sqliteStorage');
+
+const createStorage = (driver, dataDir) =>
+  driver === 'sqlite' ? new SqliteStorage(path.join(dataDir, 'test.db')) : new FileStorage(dataDir);
+
+const SAVES = 50;
+
+for (const driver of ['file', 'sqlite']) {
+  describe(`${driver} storage`, () => {
+    let dataDir;
+    let storage;
+
+    before(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-storage-'));
+      storage = createStorage(driver, dataDir);
+    });
+
+    after(async () => {
+      storage.db?.close();
+      await fs.remove(dataDir);
+    });
+
+    test('keeps every entry of parallel metadata updates', async () => {
+      await Promise.all(Array.from({ length: SAVES }, (_, index) =>
+        storage.updateMetadata('user-1', metadata => {
+          metadata[`note-${index}`] = { title: `Note ${index}`, images: [] };
+        })));
+
+      const metadata = await storage.readMetadata('user-1');
+      assert.strictEqual(Object.keys(metadata).length, SAVES);
+    });
+
+    test('applies parallel changes to one entry one after the other', async () => {
+      await storage.updateMetadata('user-2', metadata => {
+        metadata.note = { title: 'Counter', count: 0, tags: [] };
+      });
+
+      await Promise.all(Array.from({ length: SAVES }, (_, index) =>
+        storage.updateMetadata('user-2', metadata => {
+          metadata.note.count++;
+          metadata.note.tags.push(`tag-${index}`);
+        })));
+
+      const { note } = await storage.readMetadata('user-2');
+      assert.strictEqual(note.count, SAVES);
+      assert.strictEqual(note.tags.length, SAVES);
+    });
+
+    test('keeps parallel users and shares updates apart from each other', async () => {
+      await Promise.all(Array.from({ length: SAVES }, (_, index) => Promise.all([
+        storage.updateUsers(users => {
+          users[`user-${index}`] = { id: `user-${index}`, email: `user${index}@example.com` };
+        }),
+        storage.updateShares(shares => {
+          shares[`owner-note-${index}`] = { ownerId: 'owner', participants: {} };
+        })
+      ])));
+
+      assert.strictEqual(Object.keys(await storage.readUsers()).length, SAVES);
+      assert.strictEqual(Object.keys(await storage.readShares()).length, SAVES);
+    });
+  });
+}
+
+describe('file storage recovery', () => {
+  let dataDir;
+  let storage;
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'materialnotes-recover-'));
+    storage = createStorage('file', dataDir);
+  });
+
+  after(async () => {
+    await fs.remove(dataDir);
+  });
+
+  test('restores a truncated document from the temp file of an interrupted write', async () => {
+    await storage.writeUsers({ 'user-1': { id: 'user-1' } });
+    await fs.writeFile(storage.usersFile, '{"user-1": {"id": "us');
+    await fs.writeJson(`${storage.usersFile}.tmp-abc123`, { 'user-1': { id: 'user-1' }, 'user-2': { id: 'user-2' } });
+
+    const repaired = await storage.recover();
+
+    assert.deepStrictEqual(repaired.map(entry => entry.status), ['restored']);
+    assert.deepStrictEqual(Object.keys(await storage.readUsers()), ['user-1', 'user-2']);
+    assert.deepStrictEqual(await atomicTempFiles(dataDir), []);
+  });
+
+  test('rebuilds truncated metadata from the note files', async () => {
+    const notesDir = path.join(dataDir, 'notes', 'user-1');
+    await fs.ensureDir(notesDir);
+    await fs.writeFile(path.join(notesDir, 'note-1.md'), '# First note\n\nHello');
+    await fs.writeFile(path.join(notesDir, 'note-2.md'), '# Second note\n\nWorld');
+    await fs.writeFile(storage.getMetadataFile('user-1'), '{"note-1": {"title": "Fir');
+
+    const repaired = await storage.recover();
+
+    assert.deepStrictEqual(repaired.map(entry => entry.status), ['corrupt']);
+    const metadata = await storage.readMetadata('user-1');
+    assert.deepStrictEqual(Object.keys(metadata).sort(), ['note-1', 'note-2']);
+    const movedAside = (await fs.readdir(notesDir)).filter(name => name.startsWith('metadata.json.corrupt-'));
+    assert.strictEqual(movedAside.length, 1);
+  });
+});
+
+async function atomicTempFiles(dir) {
+  return (await fs.readdir(dir)).filter(name => name.includes('.tmp'));
+}
@@ -0,0 +1,472 @@
+/**
+ * Account Archive - Full account backup and restore
+ *
+ * A backup is a zip holding everything a user owns, in the server's own format:
+ *
+ *   manifest.json     format, version, source account and counts
+ *   metadata.json     metadata entries of the user's own notes (trash included)
+ *   notes/<id>.html   note content as HTML, whatever the storage format
+ *   images/<id>/...   the notes' image files
+ *   attachments/<id>/...  the notes' attached files
+ *   folders.json      the user's own notebooks
+ *   preferences.json  list preferences (sort mode)
+ *   shares.json       who the user shared notes and folders with, by email,
+ *                     and which notes others shared with them
+ *
+ * Restoring gives every note, image, attachment and folder a new ID (so an
+ * archive can be restored next to the original, or twice) and rewrites image
+ * and attachment URLs to match.
+ * Notes whose title and content already exist in the account are skipped, and
+ * folders with the same name and parent are reused. Shares are restored for
+ * collaborators that have an account on this instance; notes other people
+ * shared with the user stay with their owners and are only reported.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const noteFormat = require('./noteFormat');
+const imageManager = require('./imageManager');
+const attachmentManager = require('./attachmentManager');
+const versionManager = require('./versionManager');
+const searchIndex = require('./searchIndex');
+const shareManager = require('./shareManager');
+const folderManager = require('./folderManager');
+const noteOrderManager = require('./noteOrderManager');
+
+const ARCHIVE_FORMAT = 'material-notes-backup';
+const ARCHIVE_VERSION = 1;
+const MAX_RESTORE_BYTES = 1024 * 1024 * 1024; // uncompressed, guards against zip bombs
+
+// Metadata fields carried over on restore; sharing state is rebuilt from shares.json
+const RESTORED_FIELDS = ['title', 'createdAt', 'updatedAt', 'tags', 'pinned', 'favorite', 'sortOrder', 'trashed', 'trashedAt'];
+
+function archiveError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+class AccountArchive {
+  constructor() {
+    this.notesDir = path.join(__dirname, '../data/notes');
+  }
+
+  // Same title and content (ignoring image IDs, which change on restore) = duplicate
+  fingerprint(title, content) {
+    const normalized = (content || '')
+      .replace(imageManager.imageUrlPattern(), '/api/notes/images')
+      .replace(attachmentManager.attachmentUrlPattern(), '/api/notes/attachments')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return crypto.createHash('sha256').update(`${title || ''}\n${normalized}`).digest('hex');
+  }
+
+  // ===== BACKUP =====
+
+  /**
+   * Build the backup zip for a user. Returns a Node stream so large accounts
+   * don't have to fit in one buffer; image files are read as the zip is written.
+   */
+  async createBackup(user) {
+    const userNotesDir = path.join(this.notesDir, user.id);
+    const metadata = await storage.readMetadata(user.id);
+    const allFolders = await folderManager.readFolders(user.id);
+    const preferences = await noteOrderManager.getPreferences(user.id);
+    const allShares = await shareManager.readShares();
+    const folderShares = await folderManager.readFolderShares();
+
+    const zip = new JSZip();
+    const ownMetadata = {};
+    const sharedWithMe = [];
+    let imageCount = 0;
+    let attachmentCount = 0;
+
+    for (const [noteId, meta] of Object.entries(metadata)) {
+      if (meta.shared) {
+        sharedWithMe.push({
+          noteId,
+          title: meta.title,
+          sharedBy: meta.sharedBy,
+          permission: meta.permission
+        });
+        continue;
+      }
+
+      const noteFile = path.join(userNotesDir, `${noteId}.md`);
+      if (!await fs.pathExists(noteFile)) continue;
+
+      zip.file(`notes/${noteId}.html`, await noteFormat.readNote(noteFile));
+      ownMetadata[noteId] = meta;
+
+      for (const image of meta.images || []) {
+        if (!await imageManager.imageExists(user.id, noteId, image.filename)) continue;
+
+        for (const filename of imageManager.getImageFiles(image)) {
+          if (filename === image.filename || await imageManager.imageExists(user.id, noteId, filename)) {
+            zip.file(`images/${noteId}/${filename}`, imageManager.createImageStream(user.id, noteId, filename));
+          }
+        }
+        imageCount++;
+      }
+
+      for (const attachment of meta.attachments || []) {
+        if (await attachmentManager.attachmentExists(user.id, noteId, attachment.filename)) {
+          zip.file(`attachments/${noteId}/${attachment.filename}`, attachmentManager.createAttachmentStream(user.id, noteId, attachment.filename));
+          attachmentCount++;
+        }
+      }
+    }
+
+    const ownFolders = Object.fromEntries(
+      Object.entries(allFolders).filter(([, folder]) => !folder.shared)
+    );
+
+    // Access granted through a shared folder comes back with the folder share
+    const listParticipants = (participants) =>
+      Object.values(participants || {})
+        .filter(participant => !participant.viaFolder)
+        .map(participant => ({ email: participant.email, permission: participant.permission }));
+
+    const shares = {
+      notes: Object.values(allShares)
+        .filter(share => share.ownerId === user.id && ownMetadata[share.originalNoteId])
+        .map(share => ({ noteId: share.originalNoteId, participants: listParticipants(share.participants) }))
+        .filter(share => share.participants.length > 0),
+      folders: Object.values(folderShares)
+        .filter(share => share.ownerId === user.id && ownFolders[share.folderId])
+        .map(share => ({ folderId: share.folderId, participants: listParticipants(share.participants) }))
+        .filter(share => share.participants.length > 0),
+      sharedWithMe
+    };
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      account: { id: user.id, email: user.email, name: user.name },
+      counts: {
+        notes: Object.keys(ownMetadata).length,
+        images: imageCount,
+        attachments: attachmentCount,
+        folders: Object.keys(ownFolders).length,
+        sharedNotes: shares.notes.length,
+        sharedFolders: shares.folders.length
+      }
+    };
+
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    zip.file('metadata.json', JSON.stringify(ownMetadata, null, 2));
+    zip.file('folders.json', JSON.stringify(ownFolders, null, 2));
+    zip.file('preferences.json', JSON.stringify({ sortMode: preferences.sortMode }, null, 2));
+    zip.file('shares.json', JSON.stringify(shares, null, 2));
+
+    console.log(`💾 Backing up ${manifest.counts.notes} notes, ${imageCount} images, ${attachmentCount} attachments and ${manifest.counts.folders} folders for user ${user.id}`);
+    return {
+      manifest,
+      stream: zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+    };
+  }
+
+  // ===== RESTORE =====
+
+  async readArchive(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw archiveError('The file is not a valid zip archive');
+    }
+
+    let totalBytes = 0;
+    const read = async (name, type = 'string') => {
+      const entry = zip.file(name);
+      if (!entry) return null;
+      const data = await entry.async(type);
+      totalBytes += data.length;
+      if (totalBytes > MAX_RESTORE_BYTES) {
+        throw archiveError('The backup is too large to restore', 413);
+      }
+      return data;
+    };
+    const readJson = async (name, fallback) => {
+      const text = await read(name);
+      if (text === null) return fallback;
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw archiveError(`The backup is damaged: ${name} is not valid JSON`);
+      }
+    };
+
+    const manifest = await readJson('manifest.json', null);
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+      throw archiveError('This is not a notes backup archive');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+      throw archiveError('This backup was made by a newer version and cannot be restored here');
+    }
+
+    return {
+      manifest,
+      read,
+      metadata: await readJson('metadata.json', {}),
+      folders: await readJson('folders.json', {}),
+      preferences: await readJson('preferences.json', {}),
+      shares: await readJson('shares.json', { notes: [], folders: [], sharedWithMe: [] })
+    };
+  }
+
+  /**
+   * Restore folders, reusing an existing folder with the same name and parent.
+   * Returns a map of archive folder ID -> folder ID in this account, and the
+   * archive IDs of the folders that were newly created.
+   */
+  async restoreFolders(userId, archiveFolders, result) {
+    return await folderManager.updateFolders(userId, folders => {
+      const folderIdMap = new Map();
+      const createdFolderIds = new Set();
+      const pending = Object.entries(archiveFolders);
+
+      // Parents before children; anything whose parent never resolves lands at the top level
+      while (pending.length > 0) {
+        const index = pending.findIndex(([, folder]) => !folder.parentId || folderIdMap.has(folder.parentId) || !archiveFolders[folder.parentId]);
+        const [oldId, folder] = pending.splice(index === -1 ? 0 : index, 1)[0];
+        const parentId = folderIdMap.get(folder.parentId) || null;
+        const name = folderManager.normalizeName(folder.name) || 'Untitled';
+
+        const existingId = Object.keys(folders).find(id =>
+          !folders[id].shared && folders[id].name === name && (folders[id].parentId || null) === parentId
+        );
+        if (existingId) {
+          folderIdMap.set(oldId, existingId);
+          continue;
+        }
+
+        const newId = uuidv4();
+        const now = new Date().toISOString();
+        folders[newId] = {
+          name,
+          parentId,
+          createdAt: folder.createdAt || now,
+          updatedAt: now
+        };
+        folderIdMap.set(oldId, newId);
+        createdFolderIds.add(oldId);
+        result.folders++;
+      }
+
+      return { folderIdMap, createdFolderIds };
+    });
+  }
+
+  /**
+   * Restore a backup zip into user's account. Returns a summary of what was
+   * restored, skipped as duplicate or could not be restored.
+   */
+  async restoreBackup(user, buffer) {
+    const archive = await this.readArchive(buffer);
+    const userNotesDir = path.join(this.notesDir, user.id);
+    await fs.ensureDir(userNotesDir);
+
+    const result = {
+      notes: 0,
+      images: 0,
+      attachments: 0,
+      folders: 0,
+      duplicates: [],
+      failed: [],
+      shares: { restored: 0, unresolved: [] },
+      sharedWithMe: (archive.shares.sharedWithMe || []).length
+    };
+
+    const { folderIdMap, createdFolderIds } = await this.restoreFolders(user.id, archive.folders, result);
+
+    const metadata = await storage.readMetadata(user.id);
+
+    const existingFingerprints = new Map();
+    for (const [noteId, meta] of Object.entries(metadata)) {
+      if (meta.shared) continue;
+      const content = await noteFormat.readNote(path.join(userNotesDir, `${noteId}.md`)).catch(() => null);
+      if (content !== null) {
+        existingFingerprints.set(this.fingerprint(meta.title, content), noteId);
+      }
+    }
+
+    const noteIdMap = new Map();
+    const restoredNotes = [];
+
+    for (const [oldId, archiveMeta] of Object.entries(archive.metadata)) {
+      try {
+        const archivedContent = await archive.read(`notes/${oldId}.html`);
+        if (archivedContent === null) {
+          result.failed.push({ title: archiveMeta.title, reason: 'Note content missing from backup' });
+          continue;
+        }
+
+        const fingerprint = this.fingerprint(archiveMeta.title, archivedContent);
+        if (existingFingerprints.has(fingerprint)) {
+          result.duplicates.push({ title: archiveMeta.title });
+          continue;
+        }
+
+        const noteId = uuidv4();
+        const imageIdMap = new Map();
+        const images = [];
+
+        for (const image of archiveMeta.images || []) {
+          const data = await archive.read(`images/${oldId}/${image.filename}`, 'nodebuffer');
+          if (!data) continue;
+
+          const imageId = uuidv4();
+          const filename = `${imageId}${path.extname(image.filename)}`;
+          await imageManager.saveImage(user.id, noteId, filename, data);
+
+          // Variant files are named after the image ID too
+          const variants = [];
+          for (const variant of image.variants || []) {
+            const variantData = await archive.read(`images/${oldId}/${variant.filename}`, 'nodebuffer');
+            if (!variantData) continue;
+            const variantFilename = variant.filename.replace(image.id, imageId);
+            await imageManager.saveImage(user.id, noteId, variantFilename, variantData);
+            variants.push({ ...variant, filename: variantFilename });
+          }
+
+          images.push({ ...image, id: imageId, filename, ...(image.variants ? { variants } : {}) });
+          imageIdMap.set(image.id, imageId);
+          result.images++;
+        }
+
+        const attachmentIdMap = new Map();
+        const attachments = [];
+
+        for (const attachment of archiveMeta.attachments || []) {
+          const data = await archive.read(`attachments/${oldId}/${attachment.filename}`, 'nodebuffer');
+          if (!data) continue;
+
+          const attachmentId = uuidv4();
+          const filename = `${attachmentId}${path.extname(attachment.filename)}`;
+          await attachmentManager.saveAttachmentFile(user.id, noteId, filename, data, attachment.contentType);
+
+          attachments.push({ ...attachment, id: attachmentId, filename });
+          attachmentIdMap.set(attachment.id, attachmentId);
+          result.attachments++;
+        }
+
+        const content = archivedContent
+          .replace(imageManager.imageUrlPattern(), (url, imageNoteId, imageId) => {
+            if (imageNoteId !== oldId || !imageIdMap.has(imageId)) return url;
+            return url.replace(`/api/notes/${oldId}/images/${imageId}`, imageManager.getImageUrl(noteId, imageIdMap.get(imageId)));
+          })
+          .replace(attachmentManager.attachmentUrlPattern(), (url, attachmentNoteId, attachmentId) => {
+            if (attachmentNoteId !== oldId || !attachmentIdMap.has(attachmentId)) return url;
+            return url.replace(
+              `/api/notes/${oldId}/attachments/${attachmentId}`,
+              attachmentManager.getAttachmentUrl(noteId, attachmentIdMap.get(attachmentId))
+            );
+          });
+
+        await noteFormat.writeNote(path.join(userNotesDir, `${noteId}.md`), content);
+
+        const restoredFields = RESTORED_FIELDS.filter(field => archiveMeta[field] !== undefined);
+        const folderId = archiveMeta.folderId ? folderIdMap.get(archiveMeta.folderId) : null;
+        metadata[noteId] = {
+          ...Object.fromEntries(restoredFields.map(field => [field, archiveMeta[field]])),
+          title: archiveMeta.title || 'Untitled',
+          images,
+          ...(attachments.length > 0 ? { attachments } : {}),
+          ...(folderId ? { folderId } : {}),
+          lastEditedBy: user.id,
+          lastEditorName: user.name,
+          lastEditorAvatar: user.avatar
+        };
+
+        existingFingerprints.set(fingerprint, noteId);
+        noteIdMap.set(oldId, noteId);
+        restoredNotes.push({ noteId, content });
+        result.notes++;
+      } catch (error) {
+        if (error.status) throw error;
+        console.error(`❌ Failed to restore note ${oldId}:`, error);
+        result.failed.push({ title: archiveMeta.title, reason: error.message });
+      }
+    }
+
+    // Add the restored entries to the current metadata, which may have changed meanwhile
+    await storage.updateMetadata(user.id, latestMetadata => {
+      for (const { noteId } of restoredNotes) {
+        latestMetadata[noteId] = metadata[noteId];
+      }
+    });
+
+    for (const { noteId, content } of restoredNotes) {
+      await versionManager.recordVersion(user.id, noteId, {
+        title: metadata[noteId].title,
+        content,
+        editor: user,
+        source: 'backup'
+      });
+      if (!metadata[noteId].trashed) {
+        searchIndex.updateNote(user.id, noteId, { title: metadata[noteId].title, content, metadata: metadata[noteId] });
+      }
+    }
+
+    // Keep the account's own sort mode; only restore it into an account that never chose one
+    const preferences = await noteOrderManager.getPreferences(user.id);
+    if (!preferences.updatedAt && archive.preferences.sortMode) {
+      await noteOrderManager.setSortMode(user.id, archive.preferences.sortMode);
+    }
+
+    await this.restoreShares(user, archive.shares, { noteIdMap, folderIdMap, createdFolderIds, metadata }, result);
+    await folderManager.syncFolderShares(user.id);
+
+    console.log(`♻️ Restored backup for user ${user.id}: ${result.notes} notes, ${result.images} images, ${result.folders} folders, ${result.duplicates.length} duplicates skipped`);
+    return result;
+  }
+
+  // Only notes and folders created by this restore are shared again, so restoring
+  // twice doesn't bring back shares the user removed in the meantime
+  async restoreShares(user, shares, { noteIdMap, folderIdMap, createdFolderIds, metadata }, result) {
+    const resolveParticipant = async (participant) => {
+      if (!participant.email || participant.email === user.email) return null;
+      const targetUser = await shareManager.findUserByEmail(participant.email);
+      if (!targetUser) {
+        if (!result.shares.unresolved.includes(participant.email)) {
+          result.shares.unresolved.push(participant.email);
+        }
+        return null;
+      }
+      return targetUser;
+    };
+    const permissionOf = participant => (shareManager.isValidPermission(participant.permission) ? participant.permission : 'edit');
+
+    for (const share of shares.notes || []) {
+      const noteId = noteIdMap.get(share.noteId);
+      if (!noteId || metadata[noteId]?.trashed) continue;
+
+      for (const participant of share.participants || []) {
+        const targetUser = await resolveParticipant(participant);
+        if (targetUser && await shareManager.shareNote(user, noteId, targetUser, permissionOf(participant))) {
+          result.shares.restored++;
+        }
+      }
+    }
+
+    for (const share of shares.folders || []) {
+      if (!createdFolderIds.has(share.folderId)) continue;
+      const folderId = folderIdMap.get(share.folderId);
+
+      for (const participant of share.participants || []) {
+        const targetUser = await resolveParticipant(participant);
+        if (targetUser) {
+          await folderManager.shareFolder(user, folderId, targetUser, permissionOf(participant));
+          result.shares.restored++;
+        }
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountArchive();
@@ -0,0 +1,235 @@
+/**
+ * Activity Manager - Append-only log of what happened to each note
+ *
+ * Events live in data/activity/<ownerId>/<noteId>.jsonl, one JSON object per
+ * line, keyed by the original owner so every participant of a shared note
+ * reads the same log:
+ * { id, type, noteId, ownerId, actor: { id, name, email } | null, timestamp, details }.
+ * A null actor means the server did it (e.g. the scheduled trash purge).
+ * Lines are only ever appended; the log of a purged note stays with its owner.
+ *
+ * Saves arrive every few seconds while someone types, so an edit is logged at
+ * most once per EDIT_COALESCE_MINUTES for the same person and note. Restoring
+ * a version is always logged.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+
+const EVENT_TYPES = ['create', 'edit', 'share', 'unshare', 'lock', 'image_upload', 'attachment_upload', 'delete'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const activityError = (message, status) => Object.assign(new Error(message), { status });
+
+class ActivityManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.activityDir = path.join(this.dataDir, 'activity');
+    this.notesDir = path.join(this.dataDir, 'notes');
+    this.editCoalesceMs = (parseFloat(process.env.EDIT_COALESCE_MINUTES) || 10) * 60 * 1000;
+    this.lastEdits = new Map(); // `${ownerId}/${noteId}/${actorId}` -> time of the last logged edit
+    this.queues = new Map(); // `${ownerId}/${noteId}` -> promise chain serializing appends
+  }
+
+  getActivityFile(ownerId, noteId) {
+    return path.join(this.activityDir, ownerId, `${noteId}.jsonl`);
+  }
+
+  isValidType(type) {
+    return EVENT_TYPES.includes(type);
+  }
+
+  // Run appends to one log one at a time so lines never interleave
+  enqueue(ownerId, noteId, task) {
+    const key = `${ownerId}/${noteId}`;
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(key, next);
+    next.finally(() => {
+      if (this.queues.get(key) === next) {
+        this.queues.delete(key);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Append an event to the log of one of ownerId's notes. Logging never fails
+   * the action that triggered it - errors are only reported. Returns the event,
+   * or null when it was coalesced or could not be written.
+   */
+  async record(ownerId, noteId, type, actor, details = {}) {
+    if (!ownerId || !noteId || !this.isValidType(type)) return null;
+
+    const now = Date.now();
+    if (type === 'edit' && actor && !details.restoredFrom) {
+      const editKey = `${ownerId}/${noteId}/${actor.id}`;
+      if (now - (this.lastEdits.get(editKey) || 0) < this.editCoalesceMs) return null;
+      this.lastEdits.set(editKey, now);
+    }
+
+    const event = {
+      id: uuidv4(),
+      type,
+      noteId,
+      ownerId,
+      actor: actor ? { id: actor.id, name: actor.name || null, email: actor.email || null } : null,
+      timestamp: new Date(now).toISOString(),
+      details
+    };
+
+    try {
+      await this.enqueue(ownerId, noteId, async () => {
+        const activityFile = this.getActivityFile(ownerId, noteId);
+        await fs.ensureDir(path.dirname(activityFile));
+        await fs.appendFile(activityFile, `${JSON.stringify(event)}\n`);
+      });
+      return event;
+    } catch (error) {
+      console.error(`❌ Failed to record ${type} activity for note ${noteId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Same as record() for a note as it appears in userId's own list - a
+   * participant's entry is logged against the owner's note.
+   */
+  async recordForUser(userId, noteId, type, actor, details = {}) {
+    try {
+      const metadata = await storage.readMetadata(userId);
+      const source = await this.resolveSource(userId, noteId, metadata[noteId], new Map());
+      if (!source) return null;
+      return await this.record(source.ownerId, source.ownerNoteId, type, actor, details);
+    } catch (error) {
+      console.error(`❌ Failed to record ${type} activity for note ${noteId}:`, error);
+      return null;
+    }
+  }
+
+  // Where the log of one of userId's metadata entries lives
+  async resolveSource(userId, noteId, noteMetadata, ownersByEmail) {
+    if (!noteMetadata) return null;
+    if (!noteMetadata.shared) {
+      return { ownerId: userId, ownerNoteId: noteId, localNoteId: noteId, title: noteMetadata.title };
+    }
+    if (!noteMetadata.sharedBy || !noteMetadata.originalNoteId) return null;
+
+    if (!ownersByEmail.has(noteMetadata.sharedBy)) {
+      const shareManager = require('./shareManager');
+      ownersByEmail.set(noteMetadata.sharedBy, await shareManager.findUserByEmail(noteMetadata.sharedBy));
+    }
+    const owner = ownersByEmail.get(noteMetadata.sharedBy);
+    if (!owner) return null;
+
+    return { ownerId: owner.id, ownerNoteId: noteMetadata.originalNoteId, localNoteId: noteId, title: noteMetadata.title };
+  }
+
+  async readEvents(ownerId, noteId) {
+    const text = await fs.readFile(this.getActivityFile(ownerId, noteId), 'utf8').catch(() => '');
+    const events = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash mid-append - skip it
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Events the user may see, newest first: every note they own (including
+   * ones purged since) and every note shared with them.
+   * Filters: noteId, actorId, type, since, until (ISO dates), before (event ID
+   * of the last event of the previous page) and limit.
+   * Returns { events, hasMore }; each event carries the user's own noteId and
+   * the note's current title.
+   */
+  async queryActivity(userId, filters = {}) {
+    const { noteId, actorId, type, since, until, before } = filters;
+    const limit = Math.min(parseInt(filters.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    if (type && !type.split(',').every(eventType => this.isValidType(eventType))) {
+      throw activityError('Invalid activity type', 400);
+    }
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+    if (Number.isNaN(sinceTime) || Number.isNaN(untilTime)) {
+      throw activityError('Invalid date filter', 400);
+    }
+
+    const metadata = await storage.readMetadata(userId);
+    const ownersByEmail = new Map();
+    const sources = new Map(); // `${ownerId}/${ownerNoteId}` -> source
+
+    for (const [localNoteId, noteMetadata] of Object.entries(metadata)) {
+      if (noteId && localNoteId !== noteId) continue;
+      const source = await this.resolveSource(userId, localNoteId, noteMetadata, ownersByEmail);
+      if (source) {
+        sources.set(`${source.ownerId}/${source.ownerNoteId}`, source);
+      }
+    }
+
+    // Logs of the user's own notes that no longer have a metadata entry
+    const ownLogs = await fs.readdir(path.join(this.activityDir, userId)).catch(() => []);
+    for (const file of ownLogs) {
+      const ownerNoteId = path.basename(file, '.jsonl');
+      if (noteId && ownerNoteId !== noteId) continue;
+      if (!sources.has(`${userId}/${ownerNoteId}`)) {
+        sources.set(`${userId}/${ownerNoteId}`, { ownerId: userId, ownerNoteId, localNoteId: ownerNoteId, title: null });
+      }
+    }
+
+    if (noteId && sources.size === 0) {
+      throw activityError('Note not found', 404);
+    }
+
+    const types = type ? type.split(',') : null;
+    let events = [];
+    for (const source of sources.values()) {
+      const noteEvents = await this.readEvents(source.ownerId, source.ownerNoteId);
+      for (const event of noteEvents) {
+        if (actorId && event.actor?.id !== actorId) continue;
+        if (types && !types.includes(event.type)) continue;
+        const time = new Date(event.timestamp).getTime();
+        if (sinceTime !== null && time < sinceTime) continue;
+        if (untilTime !== null && time > untilTime) continue;
+        events.push({ ...event, noteId: source.localNoteId, noteTitle: source.title });
+      }
+    }
+
+    events.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id));
+
+    if (before) {
+      const index = events.findIndex(event => event.id === before);
+      events = index === -1 ? [] : events.slice(index + 1);
+    }
+
+    return {
+      events: events.slice(0, limit),
+      hasMore: events.length > limit
+    };
+  }
+
+  async moveActivity(fromOwnerId, toOwnerId, noteId) {
+    await this.enqueue(fromOwnerId, noteId, async () => {
+      const sourceFile = this.getActivityFile(fromOwnerId, noteId);
+      if (!await fs.pathExists(sourceFile)) return;
+
+      // Keep anything already logged under the new owner after the moved history
+      const targetFile = this.getActivityFile(toOwnerId, noteId);
+      const existing = await fs.readFile(targetFile, 'utf8').catch(() => '');
+      await fs.ensureDir(path.dirname(targetFile));
+      await fs.writeFile(targetFile, (await fs.readFile(sourceFile, 'utf8')) + existing);
+      await fs.remove(sourceFile);
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new ActivityManager();
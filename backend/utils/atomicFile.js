@@ -0,0 +1,138 @@
+/**
+ * Atomic File - Crash-safe file writes and per-file write serialization
+ *
+ * writeFile()/writeJson() write to a temp file next to the target, flush it to
+ * disk and rename it over the target, so a crash or a full disk leaves either
+ * the old file or the new one - never half of one. withLock() runs tasks for
+ * the same file one at a time; every read-modify-write of a shared file goes
+ * through it so concurrent requests can't overwrite each other's changes.
+ * Callers pass resolved paths (symlinks followed), so a participant's link and
+ * the shared note it points to share one lock.
+ *
+ * Temp files are named `<file>.tmp-<random>`. recoverJson() is run at startup
+ * and repairs what an interrupted write may have left behind.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const TEMP_FILE_PATTERN = /\.tmp(-[0-9a-f]+)?$/;
+
+class AtomicFile {
+  constructor() {
+    this.queues = new Map(); // resolved path -> promise chain of the tasks writing it
+  }
+
+  // Run task once every earlier task for the same file has settled
+  withLock(file, task) {
+    const key = path.resolve(file);
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(key, next);
+    next.finally(() => {
+      if (this.queues.get(key) === next) {
+        this.queues.delete(key);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  // Write data to a temp file beside `file`, flush it and rename it into place
+  async writeFile(file, data) {
+    const tempFile = `${file}.tmp-${crypto.randomBytes(6).toString('hex')}`;
+    try {
+      const handle = await fs.promises.open(tempFile, 'w');
+      try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      await fs.remove(tempFile).catch(() => {});
+      throw error;
+    }
+  }
+
+  writeJson(file, value) {
+    return this.writeFile(file, JSON.stringify(value) + '\n');
+  }
+
+  isTempFile(name) {
+    return TEMP_FILE_PATTERN.test(name);
+  }
+
+  // Remove every temp file in dir; returns how many there were
+  async removeTempFiles(dir) {
+    const names = (await fs.readdir(dir).catch(() => [])).filter(name => this.isTempFile(name));
+    for (const name of names) {
+      await fs.remove(path.join(dir, name)).catch(() => {});
+    }
+    return names.length;
+  }
+
+  // Temp files an interrupted write of `file` left behind, newest first
+  async findTempFiles(file) {
+    const dir = path.dirname(file);
+    const prefix = `${path.basename(file)}.tmp`;
+    const names = await fs.readdir(dir).catch(() => []);
+
+    const tempFiles = [];
+    for (const name of names) {
+      if (!name.startsWith(prefix) || !this.isTempFile(name)) continue;
+      const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (stats) tempFiles.push({ file: path.join(dir, name), mtimeMs: stats.mtimeMs });
+    }
+    return tempFiles.sort((a, b) => b.mtimeMs - a.mtimeMs).map(entry => entry.file);
+  }
+
+  async isValidJson(file) {
+    try {
+      JSON.parse(await fs.readFile(file, 'utf8'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check a JSON file and repair it if needed. Returns
+   *   'ok'        the file parses (or doesn't exist and never did)
+   *   'restored'  it was missing or truncated and a complete temp file took its place
+   *   'corrupt'   it doesn't parse and nothing could replace it; it was moved
+   *               aside to `<file>.corrupt-<timestamp>` so it reads as empty
+   * Leftover temp files are removed in every case.
+   */
+  async recoverJson(file) {
+    const tempFiles = await this.findTempFiles(file);
+    const exists = await fs.pathExists(file);
+    let status = 'ok';
+
+    if (!exists || !await this.isValidJson(file)) {
+      // A temp file is only renamed after it has been written in full, so a
+      // parsable one holds a write that was interrupted just before the rename
+      for (const tempFile of tempFiles) {
+        if (await this.isValidJson(tempFile)) {
+          await fs.rename(tempFile, file);
+          status = 'restored';
+          break;
+        }
+      }
+
+      if (status !== 'restored' && exists) {
+        await fs.move(file, `${file}.corrupt-${Date.now()}`);
+        status = 'corrupt';
+      }
+    }
+
+    for (const tempFile of tempFiles) {
+      await fs.remove(tempFile).catch(() => {});
+    }
+    return status;
+  }
+}
+
+// Export singleton instance
+module.exports = new AtomicFile();
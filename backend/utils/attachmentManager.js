@@ -0,0 +1,195 @@
+/**
+ * Attachment Manager - Files of any allowed type attached to notes
+ *
+ * Attachments are kept by the image storage driver (storage/images) under
+ * `<userId>/attachments/<noteId>/<filename>` and listed in the note's
+ * `attachments` metadata as { id, filename, originalName, contentType, size,
+ * createdAt }. Unlike images they are stored exactly as uploaded.
+ *
+ * ATTACHMENT_ALLOWED_TYPES is a comma-separated MIME allowlist (`audio/*` style
+ * wildcards allowed) and ATTACHMENT_MAX_SIZE_MB the per-file limit. Downloads
+ * always carry `Content-Disposition: attachment`; only PDFs may be shown
+ * inline, for the editor's preview.
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const imageStorage = require('../storage/images');
+
+const DEFAULT_MAX_SIZE_MB = 25;
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'audio/*',
+  'application/rtf',
+  'application/msword',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation',
+  'application/zip',
+  'application/gzip',
+  'application/x-tar',
+  'application/x-7z-compressed',
+  'application/vnd.rar'
+];
+
+// Browsers send application/octet-stream (or nothing) for types the OS doesn't
+// know; these extensions get their real type so the allowlist can judge them
+const EXTENSION_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.rtf': 'application/rtf',
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed',
+  '.rar': 'application/vnd.rar'
+};
+
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+const attachmentError = (message, status) => Object.assign(new Error(message), { status });
+
+class AttachmentManager {
+  constructor() {
+    const allowed = (process.env.ATTACHMENT_ALLOWED_TYPES || '')
+      .split(',')
+      .map(type => type.trim().toLowerCase())
+      .filter(Boolean);
+    this.allowedTypes = allowed.length > 0 ? allowed : DEFAULT_ALLOWED_TYPES;
+    this.maxSize = (parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+  }
+
+  getAttachmentKey(userId, noteId, filename = '') {
+    return `${userId}/attachments/${noteId}/${filename}`;
+  }
+
+  getAttachmentUrl(noteId, attachmentId) {
+    return `/api/notes/${noteId}/attachments/${attachmentId}`;
+  }
+
+  // Matches attachment URLs in note content, with or without the API origin in
+  // front. Captures the note ID and attachment ID; a new RegExp each time
+  // since it's global.
+  attachmentUrlPattern() {
+    return /(?:https?:\/\/[^\s"')]*?)?\/api\/notes\/([^/\s"')]+)\/attachments\/([^/\s"')?#]+)/g;
+  }
+
+  // The upload's MIME type without parameters, looked up by extension when
+  // the browser didn't know it
+  resolveContentType(mimetype, originalName) {
+    const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+    if (!GENERIC_TYPES.includes(type)) return type;
+    return EXTENSION_TYPES[path.extname(originalName || '').toLowerCase()] || 'application/octet-stream';
+  }
+
+  isAllowedType(contentType) {
+    return this.allowedTypes.some(allowed =>
+      allowed === contentType || (allowed.endsWith('/*') && contentType.startsWith(allowed.slice(0, -1))));
+  }
+
+  // Only PDFs are shown in the browser; everything else is downloaded
+  canPreview(attachment) {
+    return attachment.contentType === 'application/pdf';
+  }
+
+  // A Content-Disposition header value, with an ASCII fallback for old clients
+  contentDisposition(type, filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+  }
+
+  /**
+   * Check and store an uploaded file; returns the entry for the note's
+   * `attachments` metadata. Throws with a status for files that aren't allowed.
+   */
+  async saveAttachment(buffer, userId, noteId, originalName, mimetype) {
+    const contentType = this.resolveContentType(mimetype, originalName);
+    if (!this.isAllowedType(contentType)) {
+      throw attachmentError(`Files of type ${contentType} can't be attached`, 415);
+    }
+    if (buffer.length > this.maxSize) {
+      throw attachmentError(`Attachments can be at most ${Math.round(this.maxSize / 1024 / 1024)}MB`, 413);
+    }
+    // PDFs are the one type served inline, so make sure it really is one
+    if (contentType === 'application/pdf' && buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw attachmentError('The file is not a valid PDF', 400);
+    }
+
+    const attachmentId = uuidv4();
+    const ext = path.extname(originalName || '').toLowerCase();
+    const filename = `${attachmentId}${/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : ''}`;
+    await this.saveAttachmentFile(userId, noteId, filename, buffer, contentType);
+
+    return {
+      id: attachmentId,
+      filename,
+      originalName: originalName || filename,
+      contentType,
+      size: buffer.length,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async saveAttachmentFile(userId, noteId, filename, data, contentType) {
+    await imageStorage.save(this.getAttachmentKey(userId, noteId, filename), data, contentType);
+  }
+
+  async attachmentExists(userId, noteId, filename) {
+    return await imageStorage.exists(this.getAttachmentKey(userId, noteId, filename));
+  }
+
+  // { stream, size } for sending the file, or null when it's missing
+  async openAttachment(userId, noteId, attachment) {
+    return await imageStorage.open(this.getAttachmentKey(userId, noteId, attachment.filename));
+  }
+
+  // A stream that only opens the file once it is first read (see imageManager)
+  createAttachmentStream(userId, noteId, filename) {
+    const key = this.getAttachmentKey(userId, noteId, filename);
+    return Readable.from((async function* () {
+      const attachment = await imageStorage.open(key);
+      if (!attachment) {
+        throw new Error(`Attachment ${key} is missing`);
+      }
+      yield* attachment.stream;
+    })());
+  }
+
+  async removeAttachment(userId, noteId, attachment) {
+    await imageStorage.remove(this.getAttachmentKey(userId, noteId, attachment.filename));
+  }
+
+  // Remove every attachment of a note
+  async removeNoteAttachments(userId, noteId) {
+    await imageStorage.removePrefix(this.getAttachmentKey(userId, noteId));
+  }
+}
+
+// Export singleton instance
+module.exports = new AttachmentManager();
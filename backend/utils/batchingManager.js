@@ -2,6 +2,17 @@
 const fs = require('fs-extra');
 const path = require('path');
 const fastDiff = require('fast-diff');
+const storage = require('../storage');
+const versionManager = require('./versionManager');
+const searchIndex = require('./searchIndex');
+const tagManager = require('./tagManager');
+const noteFormat = require('./noteFormat');
+const commentManager = require('./commentManager');
+const crdtManager = require('./crdtManager');
+const shareManager = require('./shareManager');
+const activityManager = require('./activityManager');
+const notificationManager = require('./notificationManager');
+const mentionManager = require('./mentionManager');
 
 
 class BatchingManager {
@@ -203,6 +214,11 @@ class BatchingManager {
       batch.updates.title = updates.title;
     }
     
+    // Snapshots of the shared document are already merged; anything else replaces it
+    if (updates.contentDiff || updates.content !== undefined) {
+      batch.updates.fromCrdt = !!updates.fromCrdt;
+    }
+    
     // Handle content vs contentDiff - prioritize diff-based updates
     if (updates.contentDiff) {
       // If we don't have accumulated content, we need to read the current file content
@@ -210,7 +226,7 @@ class BatchingManager {
         try {
           const originalNoteInfo = await this.findOriginalNoteInfo(editor.userId || editor.id, noteId);
           if (originalNoteInfo) {
-            const currentContent = await fs.readFile(originalNoteInfo.noteFile, 'utf8').catch(() => '');
+            const currentContent = await noteFormat.readNote(originalNoteInfo.noteFile).catch(() => '');
             batch.updates.content = currentContent;
             batch.accumulatedContentDiffs = [];
           }
@@ -322,6 +338,9 @@ class BatchingManager {
 
       // Save to database - reuse existing note saving logic
       const savedResult = await this.saveNoteUpdates(noteId, batch.updates, batch.lastEditor);
+      if (!savedResult) {
+        return;
+      }
       
       console.log(`✅ [BATCH] Successfully saved batch for note ${noteId}`);
 
@@ -368,51 +387,99 @@ class BatchingManager {
       throw new Error(`Note not found or no access: ${noteId} for user ${userId}`);
     }
 
-    const { noteFile, metadata, metadataFile, allMetadata } = originalNoteInfo;
+    const { noteFile, metadata } = originalNoteInfo;
+
+    // Live edits that arrive after the note was moved to the trash are dropped
+    if (metadata.trashed) {
+      console.log(`🗑️ [BATCH] Skipping save for trashed note ${noteId}`);
+      return null;
+    }
+
+    // The editor's role may have changed since the update was queued
+    if (!shareManager.canEdit(await shareManager.getPermission(userId, noteId))) {
+      console.log(`🔒 [BATCH] Skipping save from user ${userId} without edit access to note ${noteId}`);
+      return null;
+    }
 
     // Read current note content (pure HTML format, not markdown with metadata)
-    const currentContent = await fs.readFile(noteFile, 'utf8');
+    const currentContent = await noteFormat.readNote(noteFile);
+    
+    // Snapshot pre-existing content once so notes created before version history can be restored
+    await versionManager.ensureBaseline(originalNoteInfo.ownerId, originalNoteInfo.noteId, noteFile, metadata);
     
     // Use new content if provided, otherwise keep current
     const finalContent = updates.content !== undefined ? updates.content : currentContent;
+    
+    // Hashtags typed since the last save become tags for the owner and every participant
+    const addedTags = tagManager.getAddedHashtags(currentContent, finalContent);
 
-    // Write the file atomically (content only, no metadata headers)
-    const tempFile = noteFile + '.tmp';
-    await fs.writeFile(tempFile, finalContent, 'utf8');
-    await fs.move(tempFile, noteFile, { overwrite: true });
+    // Write the file (content only, no metadata headers)
+    await noteFormat.writeNote(noteFile, finalContent);
 
-    // Update metadata.json with new timestamp and other changes
-    const updatedAt = new Date().toISOString();
-    const updatedMetadata = {
-      ...metadata,
-      updatedAt: updatedAt,
-      lastEditedBy: userId,
-      lastEditorName: editor?.name || 'Unknown',
-      lastEditorAvatar: editor?.avatar || ''
-    };
+    // Keep comment anchors on the text they were written about
+    await commentManager.updateAnchors(originalNoteInfo.ownerId, originalNoteInfo.noteId, currentContent, finalContent);
 
-    // Update title if provided
-    if (updates.title !== undefined) {
-      updatedMetadata.title = updates.title;
+    // Content that didn't come from the shared document replaces it for open editors
+    if (!updates.fromCrdt && finalContent !== currentContent) {
+      await crdtManager.resetDocument(originalNoteInfo.ownerId, originalNoteInfo.noteId, finalContent);
     }
 
-    // Update the metadata in the allMetadata object
-    allMetadata[originalNoteInfo.noteId] = updatedMetadata;
+    // Update the note's metadata with new timestamp and other changes. Only
+    // these fields are merged into the current entry, so pins, images and
+    // other changes made since the note was read above are kept.
+    const updatedAt = new Date().toISOString();
+    const updatedMetadata = await storage.updateMetadata(originalNoteInfo.ownerId, ownerMetadata => {
+      const entry = ownerMetadata[originalNoteInfo.noteId];
+      // Trashed (or deleted) while this batch was being written
+      if (!entry || entry.trashed) return null;
+
+      entry.updatedAt = updatedAt;
+      entry.lastEditedBy = userId;
+      entry.lastEditorName = editor?.name || 'Unknown';
+      entry.lastEditorAvatar = editor?.avatar || '';
+
+      // Update title if provided
+      if (updates.title !== undefined) {
+        entry.title = updates.title;
+      }
+
+      if (addedTags.length > 0) {
+        entry.tags = tagManager.mergeTags(entry.tags, addedTags);
+      }
+      return { ...entry };
+    });
+
+    if (!updatedMetadata) {
+      console.log(`🗑️ [BATCH] Note ${noteId} was trashed while saving, leaving its metadata alone`);
+      return null;
+    }
 
-    // Write updated metadata.json
-    await fs.writeJson(metadataFile, allMetadata, { spaces: 2 });
+    // Keep a point-in-time snapshot of this batch
+    await versionManager.recordVersion(originalNoteInfo.ownerId, originalNoteInfo.noteId, {
+      title: updatedMetadata.title,
+      content: finalContent,
+      editor: { id: userId, name: editor?.name, avatar: editor?.avatar },
+      source: 'batch'
+    });
+    const editedBy = { id: userId, name: editor?.name, email: editor?.email };
+    await activityManager.record(originalNoteInfo.ownerId, originalNoteInfo.noteId, 'edit', editedBy);
+    notificationManager.notifyNoteChanged(originalNoteInfo.ownerId, originalNoteInfo.noteId, editedBy);
+    mentionManager.notifyNewMentions(originalNoteInfo.ownerId, originalNoteInfo.noteId, currentContent, finalContent, editedBy);
+    searchIndex.updateNote(originalNoteInfo.ownerId, originalNoteInfo.noteId, {
+      title: updatedMetadata.title,
+      content: finalContent,
+      metadata: updatedMetadata
+    });
 
     // Sync changes to all shared copies (content + metadata)
     if (metadata.hasBeenShared || metadata.shared) {
-      await this.syncSharedNoteUpdates(originalNoteInfo, updatedMetadata, finalContent);
+      await this.syncSharedNoteUpdates(originalNoteInfo, updatedMetadata, finalContent, addedTags);
     }
 
     if (this.debug) {
       console.log(`💾 [BATCH] Saved note ${noteId} with updates:`, {
         titleChanged: updates.title !== undefined,
         contentChanged: updates.content !== undefined,
-        wasDiffBased: !!(batch.accumulatedContentDiffs && batch.accumulatedContentDiffs.length > 0),
-        totalDiffsApplied: batch.accumulatedContentDiffs ? batch.accumulatedContentDiffs.length : 0,
         newUpdatedAt: updatedAt,
         isShared: originalNoteInfo.isShared,
         noteFile,
@@ -436,8 +503,7 @@ class BatchingManager {
   async findOriginalNoteInfo(userId, noteId) {
     try {
       const userNotesDir = path.join(__dirname, '../data/notes', userId);
-      const metadataFile = path.join(userNotesDir, 'metadata.json');
-      const metadata = await fs.readJson(metadataFile).catch(() => ({}));
+      const metadata = await storage.readMetadata(userId);
       const noteMetadata = metadata[noteId];
 
       if (!noteMetadata) return null;
@@ -451,18 +517,14 @@ class BatchingManager {
           userId
         });
 
-        const usersFile = path.join(__dirname, '../data/users.json');
-        const users = await fs.readJson(usersFile).catch(() => ({}));
-        
-        const originalOwner = Object.values(users).find(u => u.email === noteMetadata.sharedBy);
+        const originalOwner = await storage.findUserByEmail(noteMetadata.sharedBy);
         if (!originalOwner) {
           console.error('❌ [BATCH] Could not find original owner with email:', noteMetadata.sharedBy);
           return null;
         }
 
         const originalOwnerDir = path.join(__dirname, '../data/notes', originalOwner.id);
-        const originalMetadataFile = path.join(originalOwnerDir, 'metadata.json');
-        const originalMetadata = await fs.readJson(originalMetadataFile).catch(() => ({}));
+        const originalMetadata = await storage.readMetadata(originalOwner.id);
         
         const originalNoteMetadata = originalMetadata[noteMetadata.originalNoteId];
         
@@ -472,8 +534,6 @@ class BatchingManager {
           return {
             noteFile: originalNoteFile,
             metadata: originalNoteMetadata,
-            metadataFile: originalMetadataFile,
-            allMetadata: originalMetadata,
             isShared: true,
             ownerId: originalOwner.id,
             noteId: noteMetadata.originalNoteId,
@@ -488,8 +548,6 @@ class BatchingManager {
           return {
             noteFile,
             metadata: noteMetadata,
-            metadataFile,
-            allMetadata: metadata,
             isShared: false,
             ownerId: userId,
             noteId: noteId
@@ -542,7 +600,7 @@ class BatchingManager {
   }
 
   // Sync shared note updates to all participants (content + metadata)
-  async syncSharedNoteUpdates(originalNoteInfo, updatedMetadata, content) {
+  async syncSharedNoteUpdates(originalNoteInfo, updatedMetadata, content, addedTags = []) {
     if (!originalNoteInfo.metadata.hasBeenShared && !updatedMetadata.shared) return;
 
     try {
@@ -552,8 +610,7 @@ class BatchingManager {
         updatedAt: updatedMetadata.updatedAt
       });
 
-      const sharesFile = path.join(__dirname, '../data/shares.json');
-      const shares = await fs.readJson(sharesFile).catch(() => ({}));
+      const shares = await storage.readShares();
       
       const shareKey = `${originalNoteInfo.ownerId}-${originalNoteInfo.noteId}`;
       const shareInfo = shares[shareKey];
@@ -569,36 +626,40 @@ class BatchingManager {
       for (const [participantId, participantInfo] of Object.entries(shareInfo.participants)) {
         try {
           const participantNotesDir = path.join(__dirname, '../data/notes', participantId);
-          const participantMetadataFile = path.join(participantNotesDir, 'metadata.json');
-          const participantMetadata = await fs.readJson(participantMetadataFile).catch(() => ({}));
           
-          let participantNoteId = null;
-          for (const [noteId, noteData] of Object.entries(participantMetadata)) {
-            if (noteData.originalNoteId === originalNoteInfo.noteId || 
-                (noteData.shared && noteId === originalNoteInfo.noteId)) {
-              participantNoteId = noteId;
-              break;
-            }
-          }
-          
-          if (participantNoteId && participantMetadata[participantNoteId]) {
-            // Update metadata
-            participantMetadata[participantNoteId] = {
-              ...participantMetadata[participantNoteId],
+          // One read-modify-write, a single transaction with the SQLite driver
+          const synced = await storage.updateMetadata(participantId, participantMetadata => {
+            const noteId = Object.keys(participantMetadata).find(id =>
+              participantMetadata[id].originalNoteId === originalNoteInfo.noteId ||
+              (participantMetadata[id].shared && id === originalNoteInfo.noteId));
+            if (!noteId) return null;
+
+            participantMetadata[noteId] = {
+              ...participantMetadata[noteId],
               title: updatedMetadata.title,
               updatedAt: updatedMetadata.updatedAt,
               lastEditedBy: updatedMetadata.lastEditedBy,
               lastEditorName: updatedMetadata.lastEditorName,
               lastEditorAvatar: updatedMetadata.lastEditorAvatar
             };
-            
-            await fs.writeJson(participantMetadataFile, participantMetadata);
+
+            if (addedTags.length > 0) {
+              participantMetadata[noteId].tags = tagManager.mergeTags(participantMetadata[noteId].tags, addedTags);
+            }
+            return { noteId, entry: participantMetadata[noteId] };
+          });
+          
+          if (synced) {
+            const participantNoteId = synced.noteId;
             
             // CRUCIAL: Also update the content file
             const participantNoteFile = path.join(participantNotesDir, `${participantNoteId}.md`);
-            const tempFile = participantNoteFile + '.tmp';
-            await fs.writeFile(tempFile, content, 'utf8');
-            await fs.move(tempFile, participantNoteFile, { overwrite: true });
+            await noteFormat.writeNote(participantNoteFile, content);
+            searchIndex.updateNote(participantId, participantNoteId, {
+              title: updatedMetadata.title,
+              content,
+              metadata: synced.entry
+            });
             
             console.log(`✅ [BATCH] Synced note content AND metadata to participant ${participantId} (note ${participantNoteId})`);
           } else {
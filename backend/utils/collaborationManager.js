@@ -618,10 +618,24 @@ class CollaborationManager {
         const keys = await redisClient.keys('active_editors:*');
         for (const key of keys) {
           const noteId = key.replace('active_editors:', '');
-          const editorsBeforeCleanup = await this.getActiveEditors(noteId);
+          const storedEditors = await redisClient.hgetall(key);
+          const editorsAfterCleanup = await this.getActiveEditors(noteId);
           
-          // getActiveEditors already handles cleanup, but we can emit events if needed
-          if (editorsBeforeCleanup.length === 0) {
+          // getActiveEditors drops stale editors - tell the room who went away
+          const remaining = new Set(editorsAfterCleanup.map(editor => editor.id));
+          for (const [connectionId, editorDataString] of Object.entries(storedEditors)) {
+            if (remaining.has(connectionId)) continue;
+            
+            let editorData = null;
+            try {
+              editorData = JSON.parse(editorDataString);
+            } catch (parseError) {
+              // Corrupted entries were removed as well
+            }
+            await this.emitPresenceChange(noteId, 'timeout', connectionId, editorData);
+          }
+          
+          if (editorsAfterCleanup.length === 0) {
             // Note has no active editors - could emit a "note-inactive" event
             if (this.io) {
               this.io.to(`note:${noteId}`).emit('note-inactive', {
@@ -0,0 +1,327 @@
+/**
+ * Comment Manager - Comment threads anchored to ranges of a note's content
+ *
+ * Threads live in data/comments/<ownerId>/<noteId>.json, keyed by the original
+ * owner so every participant of a shared note sees the same discussion. An
+ * anchor is a { start, end } pair of offsets into the stored HTML plus the
+ * quoted text; offsets are moved along with every content save so comments stay
+ * attached to the text they were written about.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const fastDiff = require('fast-diff');
+const { v4: uuidv4 } = require('uuid');
+const atomicFile = require('./atomicFile');
+
+const MAX_COMMENT_LENGTH = 10000;
+const MAX_QUOTE_LENGTH = 1000;
+
+const commentError = (message, status) => Object.assign(new Error(message), { status });
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Visible text of an HTML fragment without whitespace - used to compare quotes,
+// which the editor joins across paragraphs with spaces
+const fragmentText = (html) => String(html || '')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, '');
+
+class CommentManager {
+  constructor() {
+    this.commentsDir = path.join(__dirname, '../data/comments');
+    this.io = null; // Will be set by server.js
+  }
+
+  setSocketIO(ioInstance) {
+    this.io = ioInstance;
+  }
+
+  getCommentsFile(ownerId, noteId) {
+    return path.join(this.commentsDir, ownerId, `${noteId}.json`);
+  }
+
+  // Run mutations for one note one at a time, under its comments file's lock
+  enqueue(ownerId, noteId, task) {
+    return atomicFile.withLock(this.getCommentsFile(ownerId, noteId), task);
+  }
+
+  async readThreads(ownerId, noteId) {
+    return await fs.readJson(this.getCommentsFile(ownerId, noteId)).catch(() => []);
+  }
+
+  async writeThreads(ownerId, noteId, threads) {
+    const commentsFile = this.getCommentsFile(ownerId, noteId);
+    if (threads.length === 0) {
+      await fs.remove(commentsFile);
+      return;
+    }
+    await fs.ensureDir(path.dirname(commentsFile));
+    await atomicFile.writeFile(commentsFile, JSON.stringify(threads, null, 2) + '\n');
+  }
+
+  // Let everyone with the note open see the change
+  broadcast(noteId, threads) {
+    if (this.io) {
+      this.io.to(`note:${noteId}`).emit('comments-updated', { noteId, threads });
+    }
+  }
+
+  // Read, change and save a note's threads, then broadcast the result
+  async mutate(ownerId, noteId, change) {
+    return this.enqueue(ownerId, noteId, async () => {
+      const threads = await this.readThreads(ownerId, noteId);
+      const result = await change(threads);
+      if (result === false) return threads;
+
+      await this.writeThreads(ownerId, noteId, threads);
+      this.broadcast(noteId, threads);
+      return threads;
+    });
+  }
+
+  validateBody(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+      throw commentError('Comment cannot be empty', 400);
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+      throw commentError(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`, 400);
+    }
+    return body.trim();
+  }
+
+  /**
+   * Check an anchor sent by the editor against the stored content. If the note
+   * changed under the selection (a save landed in between), look for the quoted
+   * text closest to where the user selected it.
+   */
+  resolveAnchor(content, anchor) {
+    const start = Number(anchor?.start);
+    const end = Number(anchor?.end);
+    const quote = typeof anchor?.quote === 'string' ? anchor.quote.slice(0, MAX_QUOTE_LENGTH) : '';
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || !quote.trim()) {
+      throw commentError('Select some text to comment on', 400);
+    }
+
+    if (end <= content.length && fragmentText(content.slice(start, end)) === fragmentText(quote)) {
+      return { start, end, quote };
+    }
+
+    const needle = escapeHtml(quote);
+    let best = -1;
+    for (let index = content.indexOf(needle); index !== -1; index = content.indexOf(needle, index + 1)) {
+      if (best === -1 || Math.abs(index - start) < Math.abs(best - start)) {
+        best = index;
+      }
+    }
+    if (best === -1) {
+      throw commentError('The selected text has changed. Select it again to comment.', 409);
+    }
+    return { start: best, end: best + needle.length, quote };
+  }
+
+  findThread(threads, threadId) {
+    const thread = threads.find(t => t.id === threadId);
+    if (!thread) {
+      throw commentError('Comment thread not found', 404);
+    }
+    return thread;
+  }
+
+  newComment(user, body) {
+    return {
+      id: uuidv4(),
+      body,
+      author: { id: user.id, name: user.name, avatar: user.avatar || '' },
+      createdAt: new Date().toISOString(),
+      editedAt: null
+    };
+  }
+
+  async listThreads(ownerId, noteId) {
+    return await this.readThreads(ownerId, noteId);
+  }
+
+  async createThread(ownerId, noteId, content, user, { anchor, body }) {
+    const text = this.validateBody(body);
+    const resolved = this.resolveAnchor(content, anchor);
+
+    return this.mutate(ownerId, noteId, (threads) => {
+      const comment = this.newComment(user, text);
+      threads.push({
+        id: uuidv4(),
+        anchor: resolved,
+        status: 'open',
+        detached: false,
+        createdAt: comment.createdAt,
+        createdBy: comment.author,
+        resolvedAt: null,
+        resolvedBy: null,
+        comments: [comment]
+      });
+    });
+  }
+
+  async addReply(ownerId, noteId, threadId, user, body) {
+    const text = this.validateBody(body);
+
+    return this.mutate(ownerId, noteId, (threads) => {
+      const thread = this.findThread(threads, threadId);
+      thread.comments.push(this.newComment(user, text));
+    });
+  }
+
+  async setStatus(ownerId, noteId, threadId, user, status) {
+    if (status !== 'open' && status !== 'resolved') {
+      throw commentError('Status must be open or resolved', 400);
+    }
+
+    return this.mutate(ownerId, noteId, (threads) => {
+      const thread = this.findThread(threads, threadId);
+      if (thread.status === status) return false;
+
+      thread.status = status;
+      thread.resolvedAt = status === 'resolved' ? new Date().toISOString() : null;
+      thread.resolvedBy = status === 'resolved' ? { id: user.id, name: user.name, avatar: user.avatar || '' } : null;
+    });
+  }
+
+  // Only the author can change what they wrote
+  async editComment(ownerId, noteId, threadId, commentId, user, body) {
+    const text = this.validateBody(body);
+
+    return this.mutate(ownerId, noteId, (threads) => {
+      const thread = this.findThread(threads, threadId);
+      const comment = thread.comments.find(c => c.id === commentId);
+      if (!comment) {
+        throw commentError('Comment not found', 404);
+      }
+      if (comment.author.id !== user.id) {
+        throw commentError('You can only edit your own comments', 403);
+      }
+      comment.body = text;
+      comment.editedAt = new Date().toISOString();
+    });
+  }
+
+  // Authors can delete their comments, the note's owners (canModerate) can delete
+  // any. Deleting the first comment removes the whole thread.
+  async deleteComment(ownerId, noteId, threadId, commentId, user, canModerate = user.id === ownerId) {
+    return this.mutate(ownerId, noteId, (threads) => {
+      const thread = this.findThread(threads, threadId);
+      const index = thread.comments.findIndex(c => c.id === commentId);
+      if (index === -1) {
+        throw commentError('Comment not found', 404);
+      }
+      if (thread.comments[index].author.id !== user.id && !canModerate) {
+        throw commentError('You can only delete your own comments', 403);
+      }
+
+      if (index === 0) {
+        threads.splice(threads.indexOf(thread), 1);
+      } else {
+        thread.comments.splice(index, 1);
+      }
+    });
+  }
+
+  /**
+   * Map an offset in oldContent to newContent. Starts stick to text inserted
+   * right before them (bias right), ends don't grow into text typed after them.
+   */
+  mapOffset(diff, offset, bias) {
+    let oldPos = 0;
+    let newPos = 0;
+
+    for (const [op, text] of diff) {
+      const length = text.length;
+      if (op === fastDiff.EQUAL) {
+        if (offset < oldPos + length || (offset === oldPos + length && bias === 'left')) {
+          return newPos + (offset - oldPos);
+        }
+        oldPos += length;
+        newPos += length;
+      } else if (op === fastDiff.INSERT) {
+        if (offset === oldPos && bias === 'left') {
+          return newPos;
+        }
+        newPos += length;
+      } else {
+        if (offset < oldPos + length) {
+          // The text around the offset was deleted - collapse onto the deletion point
+          return newPos;
+        }
+        oldPos += length;
+      }
+    }
+
+    return newPos;
+  }
+
+  /**
+   * Move every anchor of a note from oldContent to newContent. Threads whose
+   * text was deleted entirely are kept but marked detached. Never throws - a
+   * failure here must not fail the save that triggered it.
+   */
+  async updateAnchors(ownerId, noteId, oldContent, newContent) {
+    if (oldContent === newContent) return;
+
+    try {
+      await this.enqueue(ownerId, noteId, async () => {
+        const threads = await this.readThreads(ownerId, noteId);
+        if (threads.length === 0) return;
+
+        const diff = fastDiff(oldContent || '', newContent || '');
+        let changed = false;
+
+        threads.forEach(thread => {
+          if (thread.detached) return;
+
+          const start = this.mapOffset(diff, thread.anchor.start, 'right');
+          const end = Math.max(start, this.mapOffset(diff, thread.anchor.end, 'left'));
+          const detached = end === start || !fragmentText(newContent.slice(start, end));
+
+          if (start !== thread.anchor.start || end !== thread.anchor.end || detached) {
+            thread.anchor = { ...thread.anchor, start, end };
+            thread.detached = detached;
+            changed = true;
+          }
+        });
+
+        if (changed) {
+          await this.writeThreads(ownerId, noteId, threads);
+          this.broadcast(noteId, threads);
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to move comment anchors for note ${noteId}:`, error);
+    }
+  }
+
+  // Called when a note changes hands
+  async moveComments(fromOwnerId, toOwnerId, noteId) {
+    await this.enqueue(fromOwnerId, noteId, async () => {
+      const sourceFile = this.getCommentsFile(fromOwnerId, noteId);
+      if (!await fs.pathExists(sourceFile)) return;
+      await fs.move(sourceFile, this.getCommentsFile(toOwnerId, noteId), { overwrite: true });
+    });
+  }
+
+  // Called when a note is deleted for good
+  async removeAllComments(ownerId, noteId) {
+    await this.enqueue(ownerId, noteId, () => fs.remove(this.getCommentsFile(ownerId, noteId)));
+  }
+}
+
+// Export singleton instance
+module.exports = new CommentManager();
@@ -0,0 +1,362 @@
+/**
+ * CRDT Manager - Server copies of the Yjs documents behind live co-editing
+ *
+ * Every note that is edited over Socket.IO has a Yjs document that clients merge
+ * their changes into, so concurrent edits never have to be reconciled by hand.
+ * The server keeps one copy per note (keyed by the original owner, like version
+ * history), relays updates through the note's room and persists the document
+ * state under data/crdt/<ownerId>/<noteId>.bin.
+ *
+ * The server never renders the document itself. Clients send an HTML snapshot
+ * along with their state vector; a snapshot is only written to the note file
+ * when that state vector matches the server's, i.e. when the HTML is exactly
+ * the merged document.
+ *
+ * Content written any other way (HTTP saves, version restores, offline sync)
+ * replaces the document: the state is dropped and clients in the room rebuild
+ * it from the new content.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const Y = require('yjs');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const noteFormat = require('./noteFormat');
+const atomicFile = require('./atomicFile');
+
+const PERSIST_DELAY = 2000; // ms of quiet before the document state is written
+const SEED_TIMEOUT = 10000; // how long one client gets to fill an empty document
+const UNLOAD_DELAY = 60 * 1000; // keep documents in memory a while after the room empties
+
+class CrdtManager {
+  constructor() {
+    this.crdtDir = path.join(__dirname, '../data/crdt');
+    this.documents = new Map(); // noteId -> { ownerId, noteId, doc, generation, ... }
+    this.loading = new Map(); // noteId -> promise of a document being read from disk
+    this.io = null; // Will be set by server.js
+  }
+
+  setSocketIO(ioInstance) {
+    this.io = ioInstance;
+  }
+
+  getStateFile(ownerId, noteId) {
+    return path.join(this.crdtDir, ownerId, `${noteId}.bin`);
+  }
+
+  getMetaFile(ownerId, noteId) {
+    return path.join(this.crdtDir, ownerId, `${noteId}.json`);
+  }
+
+  /**
+   * Resolve the owner's copy of a note for a user, or null without access.
+   * Participants with view permission can follow along but not send updates.
+   */
+  async resolveNote(userId, noteId) {
+    const batchingManager = require('./batchingManager');
+    const shareManager = require('./shareManager');
+
+    const userMetadata = await storage.readMetadata(userId);
+    const noteMetadata = userMetadata[noteId];
+    if (!noteMetadata || noteMetadata.trashed || noteMetadata.deletedByOwner) return null;
+
+    const originalNoteInfo = await batchingManager.findOriginalNoteInfo(userId, noteId);
+    if (!originalNoteInfo || originalNoteInfo.metadata.trashed) return null;
+
+    return {
+      ownerId: originalNoteInfo.ownerId,
+      noteId: originalNoteInfo.noteId,
+      canEdit: shareManager.canEdit(shareManager.permissionOf(noteMetadata))
+    };
+  }
+
+  // Get the in-memory document for a note, reading saved state on first use
+  async getDocument(ownerId, noteId) {
+    const existing = this.documents.get(noteId);
+    if (existing) return existing;
+    if (this.loading.has(noteId)) return this.loading.get(noteId);
+
+    const load = (async () => {
+      const doc = new Y.Doc();
+      const state = await fs.readFile(this.getStateFile(ownerId, noteId)).catch(() => null);
+      const meta = await fs.readJson(this.getMetaFile(ownerId, noteId)).catch(() => null);
+
+      if (state && meta) {
+        Y.applyUpdate(doc, new Uint8Array(state));
+      }
+
+      const entry = {
+        ownerId,
+        noteId,
+        doc,
+        generation: (state && meta?.generation) || uuidv4(),
+        snapshotVector: meta?.snapshotVector || null,
+        seeding: null, // { socketId, expiresAt } while a client fills an empty document
+        persistTimer: null,
+        unloadTimer: null
+      };
+
+      doc.on('update', () => this.schedulePersist(entry));
+      this.documents.set(noteId, entry);
+      return entry;
+    })();
+
+    this.loading.set(noteId, load);
+    try {
+      return await load;
+    } finally {
+      this.loading.delete(noteId);
+    }
+  }
+
+  isEmpty(entry) {
+    return entry.doc.store.clients.size === 0;
+  }
+
+  schedulePersist(entry) {
+    if (entry.persistTimer) {
+      clearTimeout(entry.persistTimer);
+    }
+    entry.persistTimer = setTimeout(() => {
+      entry.persistTimer = null;
+      this.persist(entry).catch(error => {
+        console.error(`❌ [CRDT] Failed to persist document for note ${entry.noteId}:`, error);
+      });
+    }, PERSIST_DELAY);
+  }
+
+  async persist(entry) {
+    if (entry.persistTimer) {
+      clearTimeout(entry.persistTimer);
+      entry.persistTimer = null;
+    }
+    if (this.isEmpty(entry)) return;
+
+    const stateFile = this.getStateFile(entry.ownerId, entry.noteId);
+    await atomicFile.withLock(stateFile, async () => {
+      // Reset or deleted while waiting for the lock - don't write the old document back
+      if (this.documents.get(entry.noteId) !== entry) return;
+
+      await fs.ensureDir(path.dirname(stateFile));
+      await atomicFile.writeFile(stateFile, Buffer.from(Y.encodeStateAsUpdate(entry.doc)));
+      await atomicFile.writeJson(this.getMetaFile(entry.ownerId, entry.noteId), {
+        generation: entry.generation,
+        snapshotVector: entry.snapshotVector
+      });
+    });
+  }
+
+  // Delete a note's saved state, waiting for a write in progress
+  removeFiles(ownerId, noteId) {
+    return atomicFile.withLock(this.getStateFile(ownerId, noteId), async () => {
+      await fs.remove(this.getStateFile(ownerId, noteId));
+      await fs.remove(this.getMetaFile(ownerId, noteId));
+    });
+  }
+
+  /**
+   * First step of a client's sync: given its state vector, answer with
+   * everything it's missing plus the server's own state vector so it can send
+   * back what the server is missing. An empty document is handed to exactly
+   * one client to fill from the note's content (`seed: true`).
+   */
+  async sync(socket, noteId, { stateVector, generation } = {}) {
+    const note = await this.resolveNote(socket.userId, noteId);
+    if (!note) {
+      return { noteId, error: 'Access denied' };
+    }
+
+    const entry = await this.getDocument(note.ownerId, note.noteId);
+    this.cancelUnload(entry);
+
+    // Remember access for this connection so updates don't re-read metadata
+    if (!socket.data.crdtNotes) {
+      socket.data.crdtNotes = new Map();
+    }
+    socket.data.crdtNotes.set(noteId, note);
+
+    let seed = false;
+    if (this.isEmpty(entry) && note.canEdit) {
+      const now = Date.now();
+      if (!entry.seeding || entry.seeding.expiresAt < now || entry.seeding.socketId === socket.id) {
+        entry.seeding = { socketId: socket.id, expiresAt: now + SEED_TIMEOUT };
+        seed = true;
+      }
+    }
+
+    // A client holding a document from before a reset must start over from the
+    // saved content (and gets it to compare against its own, unsynced changes)
+    const reset = !!generation && generation !== entry.generation;
+    const clientVector = !reset && stateVector ? new Uint8Array(stateVector) : undefined;
+
+    return {
+      noteId,
+      generation: entry.generation,
+      seed,
+      canEdit: note.canEdit,
+      update: Y.encodeStateAsUpdate(entry.doc, clientVector),
+      stateVector: Y.encodeStateVector(entry.doc),
+      reset,
+      content: reset ? await this.readContent(note.ownerId, note.noteId) : undefined
+    };
+  }
+
+  /**
+   * Merge a client's update and relay it to everyone else in the room.
+   * Returns false when the update was refused (no sync yet, view-only access
+   * or a document that has been reset since).
+   */
+  async applyUpdate(socket, noteId, { update, generation }) {
+    const note = socket.data.crdtNotes?.get(noteId);
+    if (!note || !note.canEdit || !update) return false;
+
+    const entry = await this.getDocument(note.ownerId, note.noteId);
+    if (generation !== entry.generation) return false;
+
+    Y.applyUpdate(entry.doc, new Uint8Array(update), socket.id);
+    if (entry.seeding?.socketId === socket.id) {
+      entry.seeding = null;
+    }
+
+    socket.to(`note:${noteId}`).emit('crdt-update', { noteId, generation, update });
+    return true;
+  }
+
+  /**
+   * Accept a client's rendering of the document when it matches the server's
+   * state exactly. Returns the owner's note reference to save under, or null.
+   */
+  async acceptSnapshot(socket, noteId, { html, stateVector, generation }) {
+    if (typeof html !== 'string' || !stateVector) return null;
+
+    const note = socket.data.crdtNotes?.get(noteId);
+    if (!note || !note.canEdit) return null;
+
+    const entry = await this.getDocument(note.ownerId, note.noteId);
+    if (generation !== entry.generation) return null;
+
+    const serverVector = Buffer.from(Y.encodeStateVector(entry.doc)).toString('base64');
+    const clientVector = Buffer.from(new Uint8Array(stateVector)).toString('base64');
+    if (clientVector !== serverVector || serverVector === entry.snapshotVector) return null;
+
+    entry.snapshotVector = serverVector;
+    this.schedulePersist(entry);
+    return note;
+  }
+
+  /**
+   * Content changed outside the shared document. Drop the document so the next
+   * sync rebuilds it from the new content, and tell open editors to do so now.
+   */
+  async resetDocument(ownerId, noteId, content) {
+    const entry = this.documents.get(noteId);
+    const hasState = entry ? !this.isEmpty(entry) : await fs.pathExists(this.getStateFile(ownerId, noteId));
+    if (!hasState) return;
+
+    if (entry) {
+      if (entry.persistTimer) clearTimeout(entry.persistTimer);
+      if (entry.unloadTimer) clearTimeout(entry.unloadTimer);
+      entry.doc.destroy();
+      this.documents.delete(noteId);
+    }
+    await this.removeFiles(ownerId, noteId);
+
+    if (this.io) {
+      this.io.to(`note:${noteId}`).emit('crdt-reset', { noteId, content });
+    }
+    console.log(`🔁 [CRDT] Reset shared document for note ${noteId}`);
+  }
+
+  async readContent(ownerId, noteId) {
+    const noteFile = path.join(__dirname, '../data/notes', ownerId, `${noteId}.md`);
+    return await noteFormat.readNote(noteFile).catch(() => '');
+  }
+
+  cancelUnload(entry) {
+    if (entry.unloadTimer) {
+      clearTimeout(entry.unloadTimer);
+      entry.unloadTimer = null;
+    }
+  }
+
+  // Called when a socket leaves a note's room; frees the document once nobody is editing
+  releaseDocument(noteId) {
+    const entry = this.documents.get(noteId);
+    if (!entry || !this.io) return;
+
+    const room = this.io.sockets.adapter.rooms.get(`note:${noteId}`);
+    if (room && room.size > 0) return;
+
+    this.cancelUnload(entry);
+    entry.unloadTimer = setTimeout(async () => {
+      const current = this.io.sockets.adapter.rooms.get(`note:${noteId}`);
+      if (this.documents.get(noteId) !== entry || (current && current.size > 0)) return;
+
+      try {
+        await this.persist(entry);
+      } catch (error) {
+        console.error(`❌ [CRDT] Failed to persist document for note ${noteId}:`, error);
+      }
+      entry.doc.destroy();
+      this.documents.delete(noteId);
+    }, UNLOAD_DELAY);
+  }
+
+  // Write every document with pending changes (used on shutdown)
+  async flushAll() {
+    for (const entry of this.documents.values()) {
+      if (entry.persistTimer) {
+        await this.persist(entry).catch(error => {
+          console.error(`❌ [CRDT] Failed to persist document for note ${entry.noteId}:`, error);
+        });
+      }
+    }
+  }
+
+  // Roles or ownership changed: make every open editor sync again, which re-checks access
+  refreshAccess(noteId) {
+    if (!this.io) return;
+
+    const room = this.io.sockets.adapter.rooms.get(`note:${noteId}`);
+    for (const socketId of room || []) {
+      this.io.sockets.sockets.get(socketId)?.data.crdtNotes?.delete(noteId);
+    }
+    this.io.to(`note:${noteId}`).emit('crdt-resync', { noteId });
+  }
+
+  // Called when a note changes hands; open editors keep their session
+  async moveDocument(fromOwnerId, toOwnerId, noteId) {
+    const entry = this.documents.get(noteId);
+    if (entry) {
+      await this.persist(entry);
+      entry.ownerId = toOwnerId;
+    }
+
+    await atomicFile.withLock(this.getStateFile(fromOwnerId, noteId), async () => {
+      for (const [source, target] of [
+        [this.getStateFile(fromOwnerId, noteId), this.getStateFile(toOwnerId, noteId)],
+        [this.getMetaFile(fromOwnerId, noteId), this.getMetaFile(toOwnerId, noteId)]
+      ]) {
+        if (await fs.pathExists(source)) {
+          await fs.move(source, target, { overwrite: true });
+        }
+      }
+    });
+  }
+
+  // Called when a note is deleted for good
+  async removeDocument(ownerId, noteId) {
+    const entry = this.documents.get(noteId);
+    if (entry) {
+      if (entry.persistTimer) clearTimeout(entry.persistTimer);
+      if (entry.unloadTimer) clearTimeout(entry.unloadTimer);
+      entry.doc.destroy();
+      this.documents.delete(noteId);
+    }
+    await this.removeFiles(ownerId, noteId);
+  }
+}
+
+// Export singleton instance
+module.exports = new CrdtManager();
@@ -0,0 +1,419 @@
+/**
+ * Folder Manager - Nested notebooks stored per user in folders.json
+ *
+ * data/notes/<userId>/folders.json maps folder IDs to { name, parentId, ... }.
+ * A note's placement is the `folderId` on its metadata entry (missing = top level).
+ *
+ * Sharing a folder is recorded in data/folder_shares.json keyed by
+ * `${ownerId}-${folderId}`. syncFolderShares() reconciles those records with the
+ * owner's current tree: every note under a shared folder is shared with each
+ * participant (marked viaFolder), the folder structure is mirrored into the
+ * participant's folders.json, and notes that left the folder lose the access
+ * they only had through it. It runs after anything that changes the tree, so
+ * notes added to a shared folder later are picked up automatically.
+ *
+ * Both files are only changed through updateFolders()/updateFolderShares(),
+ * which hold the file's lock (utils/atomicFile.js) from the read to the write.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const atomicFile = require('./atomicFile');
+const shareManager = require('./shareManager');
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+class FolderManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notesDir = path.join(this.dataDir, 'notes');
+    this.folderSharesFile = path.join(this.dataDir, 'folder_shares.json');
+  }
+
+  getFoldersFile(userId) {
+    return path.join(this.notesDir, userId, 'folders.json');
+  }
+
+  async readFolders(userId) {
+    return await fs.readJson(this.getFoldersFile(userId)).catch(() => ({}));
+  }
+
+  // Change a user's folders in place with a synchronous mutate; resolves with what it returned
+  updateFolders(userId, mutate) {
+    const foldersFile = this.getFoldersFile(userId);
+    return atomicFile.withLock(foldersFile, async () => {
+      const folders = await this.readFolders(userId);
+      const result = mutate(folders);
+      await fs.ensureDir(path.dirname(foldersFile));
+      await atomicFile.writeJson(foldersFile, folders);
+      return result;
+    });
+  }
+
+  async readFolderShares() {
+    return await fs.readJson(this.folderSharesFile).catch(() => ({}));
+  }
+
+  updateFolderShares(mutate) {
+    return atomicFile.withLock(this.folderSharesFile, async () => {
+      const folderShares = await this.readFolderShares();
+      const result = mutate(folderShares);
+      await fs.ensureDir(this.dataDir);
+      await atomicFile.writeJson(this.folderSharesFile, folderShares);
+      return result;
+    });
+  }
+
+  normalizeName(name) {
+    return typeof name === 'string' ? name.trim().substring(0, MAX_FOLDER_NAME_LENGTH) : '';
+  }
+
+  // folderId plus every folder nested below it
+  getSubtreeIds(folders, folderId) {
+    const ids = new Set([folderId]);
+    let added = true;
+    while (added) {
+      added = false;
+      for (const [id, folder] of Object.entries(folders)) {
+        if (!ids.has(id) && ids.has(folder.parentId)) {
+          ids.add(id);
+          added = true;
+        }
+      }
+    }
+    return ids;
+  }
+
+  async listFolders(userId) {
+    const folders = await this.readFolders(userId);
+    return Object.entries(folders)
+      .map(([id, folder]) => ({ id, ...folder }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Create a folder. Throws an Error with a `status` for invalid input.
+   */
+  async createFolder(userId, { name, parentId = null }) {
+    const folderName = this.normalizeName(name);
+    if (!folderName) {
+      throw Object.assign(new Error('Folder name is required'), { status: 400 });
+    }
+
+    const now = new Date().toISOString();
+    const id = uuidv4();
+    const folder = await this.updateFolders(userId, folders => {
+      if (parentId) {
+        this.assertOwnFolder(folders, parentId);
+      }
+
+      folders[id] = {
+        name: folderName,
+        parentId: parentId || null,
+        createdAt: now,
+        updatedAt: now
+      };
+      return folders[id];
+    });
+
+    if (parentId) {
+      await this.syncFolderShares(userId);
+    }
+
+    console.log(`📁 Created folder ${id} (${folderName}) for user ${userId}`);
+    return { id, ...folder };
+  }
+
+  // Folders mirrored from someone else's shared notebook are read-only
+  assertOwnFolder(folders, folderId) {
+    const folder = folders[folderId];
+    if (!folder) {
+      throw Object.assign(new Error('Folder not found'), { status: 404 });
+    }
+    if (folder.shared) {
+      throw Object.assign(new Error('Folders shared with you can only be changed by their owner'), { status: 403 });
+    }
+    return folder;
+  }
+
+  /**
+   * Rename and/or move a folder. Moving a folder into its own subtree is rejected.
+   */
+  async updateFolder(userId, folderId, { name, parentId }) {
+    const folder = await this.updateFolders(userId, folders => {
+      const folder = this.assertOwnFolder(folders, folderId);
+
+      if (name !== undefined) {
+        const folderName = this.normalizeName(name);
+        if (!folderName) {
+          throw Object.assign(new Error('Folder name is required'), { status: 400 });
+        }
+        folder.name = folderName;
+      }
+
+      if (parentId !== undefined) {
+        if (parentId) {
+          this.assertOwnFolder(folders, parentId);
+          if (this.getSubtreeIds(folders, folderId).has(parentId)) {
+            throw Object.assign(new Error('Cannot move a folder into itself'), { status: 400 });
+          }
+        }
+        folder.parentId = parentId || null;
+      }
+
+      folder.updatedAt = new Date().toISOString();
+      return folder;
+    });
+    await this.syncFolderShares(userId);
+
+    return { id: folderId, ...folder };
+  }
+
+  /**
+   * Delete a folder. Its notes and subfolders move up to its parent, so
+   * deleting a folder never deletes notes.
+   */
+  async deleteFolder(userId, folderId) {
+    const parentId = await this.updateFolders(userId, folders => {
+      const folder = this.assertOwnFolder(folders, folderId);
+      const parentId = folder.parentId || null;
+
+      for (const child of Object.values(folders)) {
+        if (child.parentId === folderId) {
+          child.parentId = parentId;
+        }
+      }
+      delete folders[folderId];
+      return parentId;
+    });
+
+    const movedNotes = await storage.updateMetadata(userId, metadata => {
+      let moved = 0;
+      for (const meta of Object.values(metadata)) {
+        if (meta.folderId === folderId) {
+          if (parentId) {
+            meta.folderId = parentId;
+          } else {
+            delete meta.folderId;
+          }
+          moved++;
+        }
+      }
+      return moved;
+    });
+
+    // A deleted folder can no longer be shared
+    const folderShares = await this.readFolderShares();
+    const shareKey = `${userId}-${folderId}`;
+    if (folderShares[shareKey]) {
+      for (const participantId of Object.keys(folderShares[shareKey].participants)) {
+        await this.unshareFolder(userId, folderId, participantId);
+      }
+    }
+    await this.syncFolderShares(userId);
+
+    console.log(`🗑️ Deleted folder ${folderId} for user ${userId} (${movedNotes} notes moved up)`);
+    return { movedNotes };
+  }
+
+  /**
+   * Move one of the user's notes into a folder (null = top level).
+   * Shared notes that come from someone else's notebook stay where the owner put them.
+   */
+  async moveNote(userId, noteId, folderId) {
+    const folders = await this.readFolders(userId);
+    const noteMetadata = await storage.updateMetadata(userId, metadata => {
+      const meta = metadata[noteId];
+
+      if (!meta) {
+        throw Object.assign(new Error('Note not found'), { status: 404 });
+      }
+
+      if (meta.folderId && folders[meta.folderId]?.shared) {
+        throw Object.assign(new Error('Notes in a shared notebook follow the owner\'s folders'), { status: 403 });
+      }
+
+      if (folderId) {
+        this.assertOwnFolder(folders, folderId);
+        meta.folderId = folderId;
+      } else {
+        delete meta.folderId;
+      }
+      return meta;
+    });
+
+    if (!noteMetadata.shared) {
+      await this.syncFolderShares(userId);
+    }
+
+    return noteMetadata.folderId || null;
+  }
+
+  // ===== FOLDER SHARING =====
+
+  async shareFolder(owner, folderId, targetUser, permission) {
+    const folders = await this.readFolders(owner.id);
+    this.assertOwnFolder(folders, folderId);
+
+    const shareInfo = await this.updateFolderShares(folderShares => {
+      const shareKey = `${owner.id}-${folderId}`;
+      const shareInfo = folderShares[shareKey] || {
+        ownerId: owner.id,
+        ownerEmail: owner.email,
+        folderId,
+        createdAt: new Date().toISOString(),
+        participants: {}
+      };
+
+      shareInfo.participants[targetUser.id] = {
+        email: targetUser.email,
+        permission,
+        sharedAt: new Date().toISOString()
+      };
+      folderShares[shareKey] = shareInfo;
+      return shareInfo;
+    });
+
+    await this.syncFolderShares(owner.id);
+
+    console.log(`📁 Shared folder ${folderId} of user ${owner.id} with ${targetUser.email} (${permission})`);
+    return shareInfo;
+  }
+
+  async unshareFolder(ownerId, folderId, targetUserId) {
+    const removed = await this.updateFolderShares(folderShares => {
+      const shareKey = `${ownerId}-${folderId}`;
+      const shareInfo = folderShares[shareKey];
+
+      if (!shareInfo || !shareInfo.participants[targetUserId]) return false;
+
+      delete shareInfo.participants[targetUserId];
+      if (Object.keys(shareInfo.participants).length === 0) {
+        delete folderShares[shareKey];
+      }
+      return true;
+    });
+    if (!removed) return false;
+
+    // Withdraw note access that only came from this folder
+    const shares = await shareManager.readShares();
+    for (const noteShare of Object.values(shares)) {
+      const participant = noteShare.participants[targetUserId];
+      if (noteShare.ownerId === ownerId && participant && participant.viaFolder === folderId) {
+        await shareManager.unshareNote(ownerId, noteShare.originalNoteId, targetUserId);
+      }
+    }
+
+    // Drop the mirrored folders
+    await this.updateFolders(targetUserId, participantFolders => {
+      for (const [id, folder] of Object.entries(participantFolders)) {
+        if (folder.shared && folder.ownerId === ownerId && folder.rootFolderId === folderId) {
+          delete participantFolders[id];
+        }
+      }
+    });
+
+    await this.syncFolderShares(ownerId);
+    return true;
+  }
+
+  async getFolderShare(ownerId, folderId) {
+    const folderShares = await this.readFolderShares();
+    return folderShares[`${ownerId}-${folderId}`] || null;
+  }
+
+  /**
+   * Reconcile every folder the owner has shared with the owner's current folders
+   * and notes. Safe to call repeatedly; errors are logged, never thrown, so a
+   * failed reconcile cannot fail the save that triggered it.
+   */
+  async syncFolderShares(ownerId) {
+    try {
+      const folderShares = await this.readFolderShares();
+      const ownerShares = Object.values(folderShares).filter(share => share.ownerId === ownerId);
+      if (ownerShares.length === 0) return;
+
+      const owner = await shareManager.findUserById(ownerId);
+      if (!owner) return;
+
+      const folders = await this.readFolders(ownerId);
+
+      for (const folderShare of ownerShares) {
+        if (!folders[folderShare.folderId]) continue;
+        await this.syncFolderShare(owner, folders, folderShare);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync shared folders for user ${ownerId}:`, error);
+    }
+  }
+
+  async syncFolderShare(owner, folders, folderShare) {
+    const rootFolderId = folderShare.folderId;
+    const subtree = this.getSubtreeIds(folders, rootFolderId);
+
+    const ownerMetadata = await storage.readMetadata(owner.id);
+    // Trashed notes keep whatever access they had so participants see "deleted by owner"
+    const notesInTree = Object.entries(ownerMetadata)
+      .filter(([, meta]) => !meta.shared && meta.folderId && subtree.has(meta.folderId));
+
+    for (const [participantId, participant] of Object.entries(folderShare.participants)) {
+      const targetUser = { id: participantId, email: participant.email };
+
+      // Mirror the folder structure
+      await this.updateFolders(participantId, participantFolders => {
+        for (const [id, folder] of Object.entries(participantFolders)) {
+          if (folder.shared && folder.ownerId === owner.id && folder.rootFolderId === rootFolderId && !subtree.has(id)) {
+            delete participantFolders[id];
+          }
+        }
+        for (const id of subtree) {
+          participantFolders[id] = {
+            name: folders[id].name,
+            parentId: id === rootFolderId ? null : folders[id].parentId,
+            createdAt: folders[id].createdAt,
+            updatedAt: folders[id].updatedAt,
+            shared: true,
+            sharedBy: owner.email,
+            ownerId: owner.id,
+            rootFolderId,
+            permission: participant.permission
+          };
+        }
+      });
+
+      // Share notes that are new to the folder
+      for (const [noteId, meta] of notesInTree) {
+        if (meta.trashed) continue;
+        await shareManager.shareNote(owner, noteId, targetUser, participant.permission, { viaFolder: rootFolderId });
+      }
+
+      // Place shared notes like the owner did, and drop access to notes that left the folder
+      const shares = await shareManager.readShares();
+      const inTree = new Map(notesInTree);
+      const leftFolder = await storage.updateMetadata(participantId, participantMetadata => {
+        const left = [];
+        for (const noteShare of Object.values(shares)) {
+          if (noteShare.ownerId !== owner.id || !noteShare.participants[participantId]) continue;
+
+          const noteId = noteShare.originalNoteId;
+          const ownerNote = inTree.get(noteId);
+          if (ownerNote && participantMetadata[noteId]) {
+            participantMetadata[noteId].folderId = ownerNote.folderId;
+          } else if (!ownerNote && noteShare.participants[participantId].viaFolder === rootFolderId) {
+            left.push(noteId);
+          }
+        }
+        return left;
+      });
+
+      for (const noteId of leftFolder) {
+        await shareManager.unshareNote(owner.id, noteId, participantId);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new FolderManager();
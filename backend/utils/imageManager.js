@@ -0,0 +1,249 @@
+/**
+ * Image Manager - Stores images attached to notes
+ *
+ * Images are kept by the image storage driver (storage/images) under
+ * `<userId>/images/<noteId>/<filename>` - on disk in data/notes/ or in an
+ * S3-compatible bucket - and are listed in the note's `images` metadata.
+ *
+ * Uploads are turned EXIF-upright and every metadata block (camera data, GPS
+ * location...) is dropped. The image keeps its format where browsers can show
+ * it - PNG screenshots stay lossless, GIFs stay animated - and is at most 1200px
+ * wide. Next to it go smaller copies for srcset and WebP/AVIF copies of every
+ * width, each kept only when it is smaller than the original-format copy.
+ * selectVariant() picks the copy a request gets from its ?w= and Accept
+ * header. Images uploaded before this were all re-encoded as JPEG and have no
+ * `format` or `variants`.
+ *
+ * With IMAGE_SIGNED_URLS=true and a driver that supports it, the API answers
+ * image requests with a redirect to a short-lived signed URL
+ * (IMAGE_SIGNED_URL_EXPIRES seconds, default 300) instead of streaming the
+ * bytes itself.
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const imageStorage = require('../storage/images');
+
+const MAX_IMAGE_WIDTH = 1200;
+const VARIANT_WIDTHS = [400, 800]; // smaller copies for srcset, below the full width
+const MODERN_FORMATS = ['avif', 'webp']; // most preferred first
+const DEFAULT_SIGNED_URL_EXPIRES = 300;
+
+// Formats images are stored in, with their encoder options
+const FORMATS = {
+  jpeg: { ext: '.jpg', contentType: 'image/jpeg', options: { quality: 85, mozjpeg: true } },
+  png: { ext: '.png', contentType: 'image/png', options: { compressionLevel: 9, palette: false } },
+  gif: { ext: '.gif', contentType: 'image/gif', options: {} },
+  webp: { ext: '.webp', contentType: 'image/webp', options: { quality: 80 } },
+  avif: { ext: '.avif', contentType: 'image/avif', options: { quality: 55, effort: 4 } }
+};
+
+class ImageManager {
+  getImageKey(userId, noteId, filename = '') {
+    return `${userId}/images/${noteId}/${filename}`;
+  }
+
+  getImageUrl(noteId, imageId) {
+    return `/api/notes/${noteId}/images/${imageId}`;
+  }
+
+  getContentType(format) {
+    return (FORMATS[format] || FORMATS.jpeg).contentType;
+  }
+
+  // By extension; only for files without an entry to ask, like in migrations
+  getContentTypeForFile(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    const format = Object.keys(FORMATS).find(name => FORMATS[name].ext === ext);
+    return this.getContentType(format);
+  }
+
+  // Matches image URLs in note content, with or without the API origin in front
+  // and with an optional ?w= width. Captures the note ID, image ID and width;
+  // a new RegExp each time since it's global.
+  imageUrlPattern() {
+    return /(?:https?:\/\/[^\s"')]*?)?\/api\/notes\/([^/\s"')]+)\/images\/([^/\s"')?#]+)(?:\?w=(\d+))?/g;
+  }
+
+  // The format an upload is stored in: its own where browsers show it,
+  // otherwise PNG when it has transparency and JPEG when it doesn't
+  getStoredFormat(metadata) {
+    if (['jpeg', 'png', 'gif', 'webp'].includes(metadata.format)) return metadata.format;
+    if (metadata.format === 'heif' && metadata.compression === 'av1') return 'avif';
+    return metadata.hasAlpha ? 'png' : 'jpeg';
+  }
+
+  // EXIF-rotated and resized to width, metadata stripped (sharp's default)
+  async encode(imageBuffer, { width, format, animated, lossless }) {
+    const image = animated ? sharp(imageBuffer, { animated: true }) : sharp(imageBuffer).rotate();
+    return await image
+      .resize(width, null, { withoutEnlargement: true })
+      .toFormat(format, lossless ? { ...FORMATS[format].options, lossless: true } : FORMATS[format].options)
+      .toBuffer();
+  }
+
+  // Process and save an image; returns the entry for the note's `images` metadata
+  async processAndSaveImage(imageBuffer, userId, noteId, originalName) {
+    let metadata;
+    try {
+      metadata = await sharp(imageBuffer).metadata();
+    } catch (error) {
+      throw new Error('Invalid image file');
+    }
+
+    const imageId = uuidv4();
+    const format = this.getStoredFormat(metadata);
+    const animated = (metadata.pages || 1) > 1 && ['gif', 'webp'].includes(format);
+    const lossless = format === 'png' || format === 'gif';
+
+    // Orientations 5-8 turn the image on its side
+    const pageHeight = metadata.pageHeight || metadata.height;
+    const [sourceWidth, sourceHeight] = metadata.orientation >= 5 ? [pageHeight, metadata.width] : [metadata.width, pageHeight];
+    const width = Math.min(sourceWidth, MAX_IMAGE_WIDTH);
+    const heightAt = (variantWidth) => Math.round(variantWidth * sourceHeight / sourceWidth);
+
+    // Animations only get WebP copies (sharp can't write animated AVIF), and
+    // lossless sources only lossless WebP, so screenshots stay sharp
+    const modernFormats = (animated || lossless ? ['webp'] : MODERN_FORMATS).filter(modern => modern !== format);
+
+    let primary;
+    const variants = [];
+    for (const variantWidth of [...VARIANT_WIDTHS.filter(w => w < width), width]) {
+      const baseline = await this.encode(imageBuffer, { width: variantWidth, format, animated });
+      const copies = [{ format, buffer: baseline }];
+      for (const modern of modernFormats) {
+        const buffer = await this.encode(imageBuffer, { width: variantWidth, format: modern, animated, lossless });
+        if (buffer.length < baseline.length) {
+          copies.push({ format: modern, buffer });
+        }
+      }
+
+      for (const copy of copies) {
+        const isPrimary = variantWidth === width && copy.format === format;
+        const filename = isPrimary ? `${imageId}${FORMATS[format].ext}` : `${imageId}-${variantWidth}${FORMATS[copy.format].ext}`;
+        await this.saveImage(userId, noteId, filename, copy.buffer);
+
+        const file = { filename, format: copy.format, width: variantWidth, height: heightAt(variantWidth), size: copy.buffer.length };
+        if (isPrimary) {
+          primary = file;
+        } else {
+          variants.push(file);
+        }
+      }
+    }
+
+    return {
+      id: imageId,
+      filename: primary.filename,
+      originalName,
+      format,
+      size: primary.size,
+      width,
+      height: heightAt(width),
+      variants,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Every stored file of an image entry, the main one first
+  getImageFiles(imageInfo) {
+    return [imageInfo.filename, ...(imageInfo.variants || []).map(variant => variant.filename)];
+  }
+
+  // The widths an image can be requested in (?w=), smallest first
+  getImageWidths(imageInfo) {
+    const widths = [imageInfo.width, ...(imageInfo.variants || []).map(variant => variant.width)];
+    return [...new Set(widths.filter(Boolean))].sort((a, b) => a - b);
+  }
+
+  // Whether an Accept header explicitly lists contentType (wildcards don't
+  // count: browsers that can't decode AVIF still send image/*)
+  accepts(accept, contentType) {
+    return (accept || '').split(',').some(part => {
+      const [type, ...params] = part.split(';').map(value => value.trim().toLowerCase());
+      return type === contentType && !params.some(param => /^q=0(\.0*)?$/.test(param));
+    });
+  }
+
+  /**
+   * The stored file that best answers a request: the narrowest copy at least
+   * `width` wide (the widest when none is, or when no width was asked for), in
+   * the most preferred format the Accept header lists. Returns
+   * { filename, format, width }.
+   */
+  selectVariant(imageInfo, { accept, width } = {}) {
+    const primary = { filename: imageInfo.filename, format: imageInfo.format || 'jpeg', width: imageInfo.width };
+    const files = [primary, ...(imageInfo.variants || [])];
+
+    const widths = this.getImageWidths(imageInfo);
+    const targetWidth = (width && widths.find(w => w >= width)) || widths[widths.length - 1];
+    const candidates = files.filter(file => file.width === targetWidth);
+    if (candidates.length === 0) return primary;
+
+    for (const format of MODERN_FORMATS) {
+      const match = candidates.find(file => file.format === format);
+      if (match && this.accepts(accept, this.getContentType(format))) return match;
+    }
+    return candidates.find(file => file.format === primary.format) || primary;
+  }
+
+  async saveImage(userId, noteId, filename, data) {
+    await imageStorage.save(this.getImageKey(userId, noteId, filename), data, this.getContentTypeForFile(filename));
+  }
+
+  async imageExists(userId, noteId, filename) {
+    return await imageStorage.exists(this.getImageKey(userId, noteId, filename));
+  }
+
+  // The image as a Buffer, or null when it's missing
+  async readImage(userId, noteId, filename) {
+    return await imageStorage.read(this.getImageKey(userId, noteId, filename));
+  }
+
+  // { stream, size, contentType } for sending a file selectVariant() picked,
+  // or null when it's missing
+  async openImage(userId, noteId, variant) {
+    const image = await imageStorage.open(this.getImageKey(userId, noteId, variant.filename));
+    return image && { ...image, contentType: this.getContentType(variant.format) };
+  }
+
+  // A stream that only opens the image once it is first read, so an archive
+  // with many images doesn't hold a connection or file handle open per image
+  createImageStream(userId, noteId, filename) {
+    const key = this.getImageKey(userId, noteId, filename);
+    return Readable.from((async function* () {
+      const image = await imageStorage.open(key);
+      if (!image) {
+        throw new Error(`Image ${key} is missing`);
+      }
+      yield* image.stream;
+    })());
+  }
+
+  // A short-lived URL the browser can load the image from directly, or null
+  // when signed URLs are off or the driver can't make them
+  async getSignedImageUrl(userId, noteId, variant) {
+    if (process.env.IMAGE_SIGNED_URLS !== 'true') {
+      return null;
+    }
+    const expiresIn = parseInt(process.env.IMAGE_SIGNED_URL_EXPIRES, 10) || DEFAULT_SIGNED_URL_EXPIRES;
+    return await imageStorage.getSignedUrl(this.getImageKey(userId, noteId, variant.filename), expiresIn, this.getContentType(variant.format));
+  }
+
+  // Remove an image entry's files, its variants included
+  async removeImage(userId, noteId, imageInfo) {
+    for (const filename of this.getImageFiles(imageInfo)) {
+      await imageStorage.remove(this.getImageKey(userId, noteId, filename));
+    }
+  }
+
+  // Remove every image of a note
+  async removeNoteImages(userId, noteId) {
+    await imageStorage.removePrefix(this.getImageKey(userId, noteId));
+  }
+}
+
+// Export singleton instance
+module.exports = new ImageManager();
@@ -0,0 +1,166 @@
+/**
+ * Invitation Manager - Shares waiting for someone who hasn't signed up yet
+ *
+ * Sharing a note with an email that has no account stores an invitation in
+ * data/invitations.json, keyed by invitation ID:
+ * { id, email, ownerId, noteId, permission, invitedBy, createdAt }.
+ * The first time that email signs in, every invitation for it is turned into
+ * a regular share and removed. Changes go through updateInvitations(), which
+ * holds the file's lock from the read to the write.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const atomicFile = require('./atomicFile');
+
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
+class InvitationManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.invitationsFile = path.join(this.dataDir, 'invitations.json');
+  }
+
+  async readInvitations() {
+    return await fs.readJson(this.invitationsFile).catch(() => ({}));
+  }
+
+  // Change the invitations in place with a synchronous mutate; resolves with what it returned
+  updateInvitations(mutate) {
+    return atomicFile.withLock(this.invitationsFile, async () => {
+      const invitations = await this.readInvitations();
+      const before = JSON.stringify(invitations);
+      const result = mutate(invitations);
+      if (JSON.stringify(invitations) !== before) {
+        await fs.ensureDir(this.dataDir);
+        await atomicFile.writeJson(this.invitationsFile, invitations);
+      }
+      return result;
+    });
+  }
+
+  isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
+  }
+
+  toPublic(invitation) {
+    return {
+      id: invitation.id,
+      email: invitation.email,
+      permission: invitation.permission,
+      invitedBy: invitation.invitedBy.email,
+      createdAt: invitation.createdAt
+    };
+  }
+
+  // Invite an email to one of owner's notes; inviting it again just updates the role
+  async createInvitation(ownerId, noteId, email, permission, invitedBy) {
+    const normalized = normalizeEmail(email);
+    const invitation = await this.updateInvitations(invitations => {
+      const existing = Object.values(invitations).find(invite =>
+        invite.ownerId === ownerId && invite.noteId === noteId && invite.email === normalized);
+
+      if (existing) {
+        existing.permission = permission;
+        return existing;
+      }
+
+      const created = {
+        id: uuidv4(),
+        email: normalized,
+        ownerId,
+        noteId,
+        permission,
+        invitedBy: { id: invitedBy.id, email: invitedBy.email },
+        createdAt: new Date().toISOString()
+      };
+      invitations[created.id] = created;
+      return created;
+    });
+
+    console.log(`✉️ Invited ${normalized} to note ${noteId} of user ${ownerId}`);
+    return this.toPublic(invitation);
+  }
+
+  async listForNote(ownerId, noteId) {
+    const invitations = await this.readInvitations();
+    return Object.values(invitations)
+      .filter(invite => invite.ownerId === ownerId && invite.noteId === noteId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(invite => this.toPublic(invite));
+  }
+
+  async cancelInvitation(ownerId, noteId, invitationId) {
+    const invitation = await this.updateInvitations(invitations => {
+      const invitation = invitations[invitationId];
+      if (!invitation || invitation.ownerId !== ownerId || invitation.noteId !== noteId) return null;
+
+      delete invitations[invitationId];
+      return invitation;
+    });
+    if (!invitation) return false;
+
+    console.log(`✉️ Cancelled invitation of ${invitation.email} to note ${noteId}`);
+    return true;
+  }
+
+  // Drop every invitation to a note that no longer exists
+  async removeInvitationsForNote(ownerId, noteId) {
+    await this.updateInvitations(invitations => {
+      Object.keys(invitations)
+        .filter(id => invitations[id].ownerId === ownerId && invitations[id].noteId === noteId)
+        .forEach(id => delete invitations[id]);
+    });
+  }
+
+  // Invitations stay valid when the note changes hands
+  async transferInvitations(fromOwnerId, toOwnerId, noteId) {
+    await this.updateInvitations(invitations => {
+      Object.values(invitations)
+        .filter(invite => invite.ownerId === fromOwnerId && invite.noteId === noteId)
+        .forEach(invite => { invite.ownerId = toOwnerId; });
+    });
+  }
+
+  /**
+   * Turn a newly signed-up user's invitations into shares. Invitations to notes
+   * that are gone or in the trash are dropped. Returns the number of notes shared.
+   */
+  async fulfillInvitations(user) {
+    const shareManager = require('./shareManager');
+
+    const invitations = await this.readInvitations();
+    const email = normalizeEmail(user.email);
+    const pending = Object.values(invitations).filter(invite => invite.email === email);
+    if (pending.length === 0) return 0;
+
+    let fulfilled = 0;
+    for (const invitation of pending) {
+      try {
+        const owner = await shareManager.findUserById(invitation.ownerId);
+        const ownerMetadata = owner ? await storage.readMetadata(owner.id) : {};
+        const noteMetadata = ownerMetadata[invitation.noteId];
+
+        if (owner && owner.id !== user.id && noteMetadata && !noteMetadata.trashed &&
+            await shareManager.shareNote(owner, invitation.noteId, user, invitation.permission)) {
+          fulfilled++;
+        }
+      } catch (error) {
+        console.error(`Failed to fulfill invitation ${invitation.id}:`, error);
+      }
+    }
+
+    // Re-read so invitations created meanwhile are kept
+    await this.updateInvitations(latest => {
+      pending.forEach(invitation => delete latest[invitation.id]);
+    });
+
+    console.log(`✉️ Fulfilled ${fulfilled} invitation(s) for ${user.email}`);
+    return fulfilled;
+  }
+}
+
+// Export singleton instance
+module.exports = new InvitationManager();
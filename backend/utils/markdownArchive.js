@@ -0,0 +1,472 @@
+/**
+ * Markdown Archive - Imports and exports notes as Markdown files
+ *
+ * Export: a single note becomes a .md file, or a .zip with an images/ folder
+ * when it has images. The whole account becomes a .zip that mirrors the
+ * notebook tree, with every note's images under images/<noteId>/ and linked
+ * relatively, so the result opens in any Markdown editor.
+ *
+ * Import: a .md file or a .zip of them. Directories in the zip become
+ * notebooks, relative image links are looked up inside the zip and stored as
+ * regular note images, and front matter (title, tags, dates) is honoured.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const noteFormat = require('./noteFormat');
+const imageManager = require('./imageManager');
+const versionManager = require('./versionManager');
+const searchIndex = require('./searchIndex');
+const tagManager = require('./tagManager');
+const folderManager = require('./folderManager');
+const activityManager = require('./activityManager');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const MAX_IMPORT_NOTES = 1000;
+const MAX_IMPORT_BYTES = 200 * 1024 * 1024; // uncompressed, guards against zip bombs
+const MAX_FILENAME_LENGTH = 100;
+
+// ![alt](src "title") and <img src="...">
+const MARKDOWN_IMAGE_PATTERN = /(!\[[^\]]*\]\()(<[^>]+>|[^)\s]+)((?:\s+"[^"]*")?\))/g;
+const HTML_IMAGE_PATTERN = /(<img\b[^>]*?\bsrc=")([^"]+)(")/gi;
+
+function importError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+class MarkdownArchive {
+  constructor() {
+    this.notesDir = path.join(__dirname, '../data/notes');
+  }
+
+  isMarkdownFile(name) {
+    return MARKDOWN_EXTENSIONS.includes(path.extname(name).toLowerCase());
+  }
+
+  sanitizeFilename(name) {
+    const cleaned = (name || '')
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+      .replace(/\s+/g, ' ')
+      .replace(/^[.\s]+|[.\s]+$/g, '')
+      .substring(0, MAX_FILENAME_LENGTH);
+    return cleaned || 'Untitled';
+  }
+
+  // "Title.md", then "Title (2).md", ... within one directory
+  uniquePath(usedPaths, dir, baseName, ext) {
+    let candidate = path.posix.join(dir, `${baseName}${ext}`);
+    for (let i = 2; usedPaths.has(candidate.toLowerCase()); i++) {
+      candidate = path.posix.join(dir, `${baseName} (${i})${ext}`);
+    }
+    usedPaths.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  // ===== FRONT MATTER =====
+
+  buildFrontMatter(meta) {
+    const lines = ['---', `title: ${JSON.stringify(meta.title || 'Untitled')}`];
+    if (meta.tags && meta.tags.length > 0) {
+      lines.push(`tags: [${meta.tags.map(tag => JSON.stringify(tag)).join(', ')}]`);
+    }
+    if (meta.createdAt) lines.push(`created: ${meta.createdAt}`);
+    if (meta.updatedAt) lines.push(`updated: ${meta.updatedAt}`);
+    lines.push('---', '');
+    return lines.join('\n');
+  }
+
+  parseYamlValue(raw) {
+    const value = raw.trim();
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return value.slice(1, -1).split(',').map(item => this.parseYamlValue(item)).filter(Boolean);
+    }
+    if (value.startsWith('"')) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value.slice(1, -1);
+      }
+    }
+    if (value.startsWith("'") && value.endsWith("'")) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    return value;
+  }
+
+  // Only the simple `key: value` / `key: [a, b]` / `- item` subset of YAML that note apps write
+  parseFrontMatter(text) {
+    const match = text.match(/^﻿?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { data: {}, body: text };
+
+    const data = {};
+    let listKey = null;
+    for (const line of match[1].split(/\r?\n/)) {
+      const item = line.match(/^\s+-\s+(.*)$/);
+      if (item && listKey) {
+        data[listKey].push(this.parseYamlValue(item[1]));
+        continue;
+      }
+
+      const pair = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+      if (!pair) continue;
+      const key = pair[1].toLowerCase();
+      if (pair[2].trim() === '') {
+        data[key] = [];
+        listKey = key;
+      } else {
+        data[key] = this.parseYamlValue(pair[2]);
+        listKey = null;
+      }
+    }
+
+    return { data, body: text.slice(match[0].length) };
+  }
+
+  parseDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  // ===== EXPORT =====
+
+  async readUserData(userId) {
+    const userNotesDir = path.join(this.notesDir, userId);
+    const metadata = await storage.readMetadata(userId);
+    const folders = await folderManager.readFolders(userId);
+    return { userNotesDir, metadata, folders };
+  }
+
+  /**
+   * Convert one note to Markdown. Image URLs are rewritten to
+   * `${imagePrefix}<filename>` and the images are returned for bundling.
+   */
+  async noteToMarkdown(userId, noteId, meta, imagePrefix) {
+    const noteFile = path.join(this.notesDir, userId, `${noteId}.md`);
+    const html = await noteFormat.readNote(noteFile).catch(() => '');
+    const images = [];
+
+    const rewrittenHtml = html.replace(imageManager.imageUrlPattern(), (url, imageNoteId, imageId) => {
+      const imageInfo = (meta.images || []).find(img => img.id === imageId);
+      if (imageNoteId !== noteId || !imageInfo) return url;
+
+      if (!images.some(image => image.id === imageId)) {
+        images.push({ id: imageId, filename: imageInfo.filename });
+      }
+      return `${imagePrefix}${encodeURI(imageInfo.filename)}`;
+    });
+
+    const markdown = this.buildFrontMatter(meta) + '\n' + noteFormat.htmlToMarkdown(rewrittenHtml);
+    return { markdown, images };
+  }
+
+  /**
+   * Export a single note: a .md file, or a .zip when it has images.
+   * Returns null when the note does not exist.
+   */
+  async exportNote(userId, noteId) {
+    const { userNotesDir, metadata } = await this.readUserData(userId);
+    const meta = metadata[noteId];
+    if (!meta || !await fs.pathExists(path.join(userNotesDir, `${noteId}.md`))) return null;
+
+    const baseName = this.sanitizeFilename(meta.title);
+    const { markdown, images } = await this.noteToMarkdown(userId, noteId, meta, 'images/');
+
+    if (images.length === 0) {
+      return {
+        filename: `${baseName}.md`,
+        contentType: 'text/markdown; charset=utf-8',
+        buffer: Buffer.from(markdown, 'utf8')
+      };
+    }
+
+    const zip = new JSZip();
+    zip.file(`${baseName}.md`, markdown);
+    for (const image of images) {
+      const data = await imageManager.readImage(userId, noteId, image.filename);
+      if (data) {
+        zip.file(`images/${image.filename}`, data);
+      }
+    }
+
+    return {
+      filename: `${baseName}.zip`,
+      contentType: 'application/zip',
+      buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+    };
+  }
+
+  // Directory (inside the archive) for each notebook, following parents
+  buildFolderPaths(folders) {
+    const paths = new Map();
+    const resolve = (folderId, seen = new Set()) => {
+      if (paths.has(folderId)) return paths.get(folderId);
+      const folder = folders[folderId];
+      if (!folder || seen.has(folderId)) return '';
+      seen.add(folderId);
+
+      const parentPath = folder.parentId ? resolve(folder.parentId, seen) : '';
+      const folderPath = path.posix.join(parentPath, this.sanitizeFilename(folder.name));
+      paths.set(folderId, folderPath);
+      return folderPath;
+    };
+
+    Object.keys(folders).forEach(folderId => resolve(folderId));
+    return paths;
+  }
+
+  /**
+   * Export every note outside the trash as a zip mirroring the notebook tree.
+   */
+  async exportAll(userId) {
+    const { userNotesDir, metadata, folders } = await this.readUserData(userId);
+    const folderPaths = this.buildFolderPaths(folders);
+    const usedPaths = new Set();
+    const zip = new JSZip();
+    let noteCount = 0;
+
+    for (const [noteId, meta] of Object.entries(metadata)) {
+      if (meta.trashed || !await fs.pathExists(path.join(userNotesDir, `${noteId}.md`))) continue;
+
+      const dir = (meta.folderId && folderPaths.get(meta.folderId)) || '';
+      const depth = dir ? dir.split('/').length : 0;
+      const imagePrefix = `${'../'.repeat(depth)}images/${noteId}/`;
+
+      const { markdown, images } = await this.noteToMarkdown(userId, noteId, meta, imagePrefix);
+      zip.file(this.uniquePath(usedPaths, dir, this.sanitizeFilename(meta.title), '.md'), markdown);
+
+      for (const image of images) {
+        const data = await imageManager.readImage(userId, noteId, image.filename);
+        if (data) {
+          zip.file(`images/${noteId}/${image.filename}`, data);
+        }
+      }
+      noteCount++;
+    }
+
+    console.log(`📦 Exported ${noteCount} notes as Markdown for user ${userId}`);
+    return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  // ===== IMPORT =====
+
+  /**
+   * Import an uploaded .md or .zip file. Returns { imported, skipped }.
+   * Throws an error with `status` for files that can't be imported.
+   */
+  async importFile(user, file, { folderId = null } = {}) {
+    if (folderId) {
+      const folders = await folderManager.readFolders(user.id);
+      if (!folders[folderId] || folders[folderId].shared) {
+        throw importError('Notes can only be imported into your own folders');
+      }
+    }
+
+    const name = file.originalname || 'Untitled.md';
+    let result;
+
+    if (path.extname(name).toLowerCase() === '.zip') {
+      result = await this.importZip(user, file.buffer, folderId);
+    } else if (this.isMarkdownFile(name)) {
+      const note = await this.createNoteFromMarkdown(user, {
+        name,
+        text: file.buffer.toString('utf8'),
+        folderId
+      });
+      result = { imported: [note], skipped: [] };
+    } else {
+      throw importError('Only .md, .markdown, .txt and .zip files can be imported');
+    }
+
+    if (result.imported.some(note => note.folderId)) {
+      await folderManager.syncFolderShares(user.id);
+    }
+
+    console.log(`📥 Imported ${result.imported.length} notes for user ${user.id} (${result.skipped.length} skipped)`);
+    return result;
+  }
+
+  async importZip(user, buffer, folderId) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw importError('The file is not a valid zip archive');
+    }
+
+    const entries = Object.values(zip.files).filter(entry => {
+      const baseName = path.posix.basename(entry.name);
+      return !entry.dir && !entry.name.startsWith('__MACOSX/') && !baseName.startsWith('.');
+    });
+    const markdownEntries = entries.filter(entry => this.isMarkdownFile(entry.name));
+
+    if (markdownEntries.length === 0) {
+      throw importError('The zip archive contains no Markdown files');
+    }
+    if (markdownEntries.length > MAX_IMPORT_NOTES) {
+      throw importError(`A zip can contain at most ${MAX_IMPORT_NOTES} notes`);
+    }
+
+    let totalBytes = 0;
+    const readEntry = async (entry) => {
+      const data = await entry.async('nodebuffer');
+      totalBytes += data.length;
+      if (totalBytes > MAX_IMPORT_BYTES) {
+        throw importError('The zip archive is too large to import', 413);
+      }
+      return data;
+    };
+
+    const folderIdsByPath = new Map([['', folderId]]);
+    const folderForDir = async (dir) => {
+      if (folderIdsByPath.has(dir)) return folderIdsByPath.get(dir);
+      const parentId = await folderForDir(path.posix.dirname(dir) === '.' ? '' : path.posix.dirname(dir));
+      const folder = await folderManager.createFolder(user.id, { name: path.posix.basename(dir), parentId });
+      folderIdsByPath.set(dir, folder.id);
+      return folder.id;
+    };
+
+    const imported = [];
+    const skipped = [];
+
+    for (const entry of markdownEntries) {
+      try {
+        const dir = path.posix.dirname(entry.name) === '.' ? '' : path.posix.dirname(entry.name);
+        const text = (await readEntry(entry)).toString('utf8');
+
+        const note = await this.createNoteFromMarkdown(user, {
+          name: entry.name,
+          text,
+          folderId: await folderForDir(dir),
+          resolveImage: async (src) => {
+            const imagePath = path.posix.normalize(path.posix.join(dir, src));
+            const imageEntry = zip.file(imagePath);
+            return imageEntry ? { buffer: await readEntry(imageEntry), name: path.posix.basename(imagePath) } : null;
+          }
+        });
+        imported.push(note);
+      } catch (error) {
+        if (error.status === 413) throw error;
+        console.error(`❌ Failed to import ${entry.name}:`, error);
+        skipped.push({ name: entry.name, reason: error.message });
+      }
+    }
+
+    return { imported, skipped };
+  }
+
+  // Relative links are candidates for bundled images; URLs and data URIs are left alone
+  isRelativeImageSource(src) {
+    return !/^(?:[a-z][a-z0-9+.-]*:|\/\/|\/|#)/i.test(src);
+  }
+
+  /**
+   * Create one note from Markdown text. `resolveImage(src)` returns
+   * { buffer, name } for a relative image link, or null.
+   */
+  async createNoteFromMarkdown(user, { name, text, folderId = null, resolveImage = null }) {
+    const { data, body } = this.parseFrontMatter(text.replace(/\r\n/g, '\n'));
+    let markdown = body;
+
+    // Title: front matter, then a leading "# Heading" (which is then dropped), then the file name
+    let title = typeof data.title === 'string' ? data.title.trim() : '';
+    if (!title) {
+      const heading = markdown.match(/^\s*#\s+(.+?)\s*#*\s*(?:\n|$)/);
+      if (heading) {
+        title = heading[1];
+        markdown = markdown.slice(heading[0].length);
+      }
+    }
+    if (!title) {
+      title = path.basename(name, path.extname(name));
+    }
+
+    const noteId = uuidv4();
+    const images = [];
+
+    if (resolveImage) {
+      const uploaded = new Map();
+      const uploadImage = async (rawSrc) => {
+        const src = rawSrc.replace(/^<|>$/g, '');
+        if (!this.isRelativeImageSource(src)) return null;
+        if (uploaded.has(src)) return uploaded.get(src);
+
+        let url = null;
+        try {
+          const image = await resolveImage(decodeURIComponent(src.split(/[?#]/)[0]));
+          if (image) {
+            const imageInfo = await imageManager.processAndSaveImage(image.buffer, user.id, noteId, image.name);
+            images.push(imageInfo);
+            url = imageManager.getImageUrl(noteId, imageInfo.id);
+          }
+        } catch (error) {
+          if (error.status) throw error;
+          console.warn(`⚠️ Could not import image ${src} for ${name}:`, error.message);
+        }
+        uploaded.set(src, url);
+        return url;
+      };
+
+      markdown = await this.replaceAsync(markdown, MARKDOWN_IMAGE_PATTERN, async (match, before, src, after) => {
+        const url = await uploadImage(src);
+        return url ? `${before}${url}${after}` : match;
+      });
+      markdown = await this.replaceAsync(markdown, HTML_IMAGE_PATTERN, async (match, before, src, after) => {
+        const url = await uploadImage(src);
+        return url ? `${before}${url}${after}` : match;
+      });
+    }
+
+    const content = noteFormat.markdownToHtml(markdown);
+    const now = new Date().toISOString();
+    const createdAt = this.parseDate(data.created || data.date) || now;
+    const frontMatterTags = Array.isArray(data.tags) ? data.tags : (typeof data.tags === 'string' ? data.tags.split(/[,\s]+/) : []);
+
+    const userNotesDir = path.join(this.notesDir, user.id);
+    await fs.ensureDir(userNotesDir);
+    await noteFormat.writeNote(path.join(userNotesDir, `${noteId}.md`), content);
+
+    await storage.updateMetadata(user.id, metadata => {
+      metadata[noteId] = {
+        title,
+        createdAt,
+        updatedAt: this.parseDate(data.updated) || now,
+        images,
+        tags: tagManager.mergeTags(frontMatterTags, tagManager.extractHashtags(content)),
+        ...(folderId ? { folderId } : {}),
+        lastEditedBy: user.id,
+        lastEditorName: user.name,
+        lastEditorAvatar: user.avatar
+      };
+    });
+
+    await versionManager.recordVersion(user.id, noteId, {
+      title,
+      content,
+      editor: user,
+      source: 'import'
+    });
+    await activityManager.record(user.id, noteId, 'create', user, { source: 'import' });
+    searchIndex.updateNote(user.id, noteId, { title, content, metadata: metadata[noteId] });
+
+    return { id: noteId, title, folderId, images: images.length };
+  }
+
+  async replaceAsync(text, pattern, replacer) {
+    const matches = Array.from(text.matchAll(pattern));
+    if (matches.length === 0) return text;
+
+    const replacements = [];
+    for (const match of matches) {
+      replacements.push(await replacer(...match));
+    }
+
+    let index = 0;
+    return text.replace(pattern, () => replacements[index++]);
+  }
+}
+
+// Export singleton instance
+module.exports = new MarkdownArchive();
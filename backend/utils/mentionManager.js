@@ -0,0 +1,169 @@
+/**
+ * Mention Manager - @mentions of collaborators inside note content
+ *
+ * The editor stores a mention as an inline span in the note's HTML:
+ *   <span data-type="mention" data-id="<userId>" data-label="<name>" class="mention">@name</span>
+ * The label is the name at the time of mentioning and is never rewritten, so a
+ * note's content (and its hash) only changes when someone edits it.
+ *
+ * Only the owner and participants of a note can be mentioned in it. Someone is
+ * notified when a save adds the first mention of them, like hashtags becoming
+ * tags; "notes where I'm mentioned" is answered from the content itself.
+ */
+
+const path = require('path');
+const storage = require('../storage');
+const noteFormat = require('./noteFormat');
+const notificationManager = require('./notificationManager');
+
+const MENTION_TAG_PATTERN = /<span\b[^>]*\bdata-type="mention"[^>]*>/g;
+const EXCERPT_LENGTH = 140;
+
+const mentionError = (message, status) => Object.assign(new Error(message), { status });
+
+// Plain text of an HTML fragment, for notification excerpts
+const toText = (html) => html
+  .replace(/<\/?(p|div|h[1-6]|li|ul|ol|blockquote|pre|br)[^>]*>/gi, ' ')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/&quot;/gi, '"')
+  .replace(/&amp;/gi, '&')
+  .replace(/\s+/g, ' ');
+
+class MentionManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notesDir = path.join(this.dataDir, 'notes');
+  }
+
+  // Mention tags in stored HTML as [{ id, index }], in document order
+  findMentions(content) {
+    if (!content) return [];
+
+    const mentions = [];
+    for (const match of content.matchAll(MENTION_TAG_PATTERN)) {
+      const id = /\bdata-id="([^"]*)"/.exec(match[0]);
+      if (id && id[1]) {
+        mentions.push({ id: id[1], index: match.index });
+      }
+    }
+    return mentions;
+  }
+
+  extractMentionIds(content) {
+    return Array.from(new Set(this.findMentions(content).map(mention => mention.id)));
+  }
+
+  // Users mentioned in the new content but not in the previous one
+  getAddedMentions(previousContent, newContent) {
+    const before = new Set(this.extractMentionIds(previousContent));
+    return this.extractMentionIds(newContent).filter(userId => !before.has(userId));
+  }
+
+  // The text around the first mention of userId, for the notification body
+  getExcerpt(content, userId) {
+    const mention = this.findMentions(content).find(entry => entry.id === userId);
+    if (!mention) return '';
+
+    const before = toText(content.substring(0, mention.index)).trimStart();
+    const after = toText(content.substring(mention.index)).trimEnd();
+    const lead = Math.min(before.length, Math.floor(EXCERPT_LENGTH / 3));
+    const excerpt = before.substring(before.length - lead) + after.substring(0, EXCERPT_LENGTH - lead);
+
+    return `${lead < before.length ? '…' : ''}${excerpt.trim()}${after.length > EXCERPT_LENGTH - lead ? '…' : ''}`;
+  }
+
+  // User IDs with access to an owner's note: the owner and every participant
+  async getNoteMemberIds(ownerId, noteId) {
+    const shares = await storage.readShares();
+    const shareInfo = shares[`${ownerId}-${noteId}`];
+    return [ownerId, ...Object.keys(shareInfo?.participants || {})];
+  }
+
+  /**
+   * The people userId can mention in one of their notes - the owner and the
+   * participants, minus userId themselves - as [{ id, name, email }].
+   * Throws 404 when userId has no such note.
+   */
+  async getMentionableUsers(userId, noteId) {
+    const metadata = await storage.readMetadata(userId);
+    const noteMetadata = metadata[noteId];
+    if (!noteMetadata || noteMetadata.trashed) {
+      throw mentionError('Note not found', 404);
+    }
+
+    const shares = await storage.readShares();
+    const shareInfo = noteMetadata.shared
+      ? Object.values(shares).find(share => share.sharedNoteId === noteMetadata.sharedNoteId)
+      : shares[`${userId}-${noteId}`];
+    if (!shareInfo) return [];
+
+    const users = await storage.readUsers();
+    return [shareInfo.ownerId, ...Object.keys(shareInfo.participants || {})]
+      .filter(memberId => memberId !== userId && users[memberId])
+      .map(memberId => ({
+        id: memberId,
+        name: users[memberId].name || users[memberId].email,
+        email: users[memberId].email
+      }));
+  }
+
+  /**
+   * Notify everyone a save newly mentions in an owner's note. Mentions of
+   * people without access and of the author themselves are skipped, and
+   * failures are only logged so the save still succeeds.
+   */
+  async notifyNewMentions(ownerId, noteId, previousContent, newContent, author) {
+    try {
+      const added = this.getAddedMentions(previousContent, newContent).filter(userId => userId !== author.id);
+      if (added.length === 0) return;
+
+      const memberIds = new Set(await this.getNoteMemberIds(ownerId, noteId));
+      const title = await notificationManager.getNoteTitle(ownerId, noteId);
+      for (const userId of added) {
+        if (!memberIds.has(userId)) continue;
+
+        await notificationManager.notify(userId, 'mention', {
+          title: `${author.name || 'Someone'} mentioned you in "${title}"`,
+          body: this.getExcerpt(newContent, userId),
+          noteId,
+          actor: author
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to notify mentions in note ${noteId}:`, error);
+    }
+  }
+
+  /**
+   * Notes in userId's list whose current content mentions them, most recently
+   * updated first, as [{ id, title, updatedAt, shared, sharedBy }].
+   */
+  async findMentioningNotes(userId) {
+    const userNotesDir = path.join(this.notesDir, userId);
+    const metadata = await storage.readMetadata(userId);
+
+    const notes = [];
+    for (const [noteId, meta] of Object.entries(metadata)) {
+      if (meta.trashed || meta.deletedByOwner) continue;
+
+      const content = await noteFormat.readNote(path.join(userNotesDir, `${noteId}.md`)).catch(() => '');
+      if (!this.extractMentionIds(content).includes(userId)) continue;
+
+      notes.push({
+        id: noteId,
+        title: meta.title,
+        updatedAt: meta.updatedAt,
+        shared: meta.shared || false,
+        sharedBy: meta.sharedBy || null
+      });
+    }
+
+    return notes.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+}
+
+// Export singleton instance
+module.exports = new MentionManager();
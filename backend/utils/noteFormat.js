@@ -0,0 +1,139 @@
+/**
+ * Note Format - Reads and writes note files, converting between HTML and Markdown
+ *
+ * The editor (Tiptap) works in HTML and the API keeps speaking HTML. By default
+ * that HTML is what lands in the .md files. With NOTE_STORAGE_FORMAT=markdown
+ * the files hold real Markdown instead, so the data directory can be used by
+ * other tools: readNote() converts to HTML and writeNote() converts back.
+ *
+ * Markdown can't represent every editor detail, so the HTML this process wrote
+ * is remembered next to the Markdown it produced. As long as the file still
+ * holds that Markdown, reads return the exact HTML - content hashes and
+ * live-edit diffs stay stable. Files changed by another tool are converted.
+ */
+
+const fs = require('fs-extra');
+const { Marked } = require('marked');
+const TurndownService = require('turndown');
+const atomicFile = require('./atomicFile');
+
+const STORAGE_FORMATS = ['html', 'markdown'];
+const MAX_CACHED_NOTES = 500;
+
+class NoteFormat {
+  constructor() {
+    const format = (process.env.NOTE_STORAGE_FORMAT || 'html').toLowerCase();
+    this.storageFormat = STORAGE_FORMATS.includes(format) ? format : 'html';
+    this.writtenContent = new Map(); // filePath -> { markdown, html }
+
+    this.marked = new Marked({
+      gfm: true,
+      breaks: false,
+      renderer: {
+        // GFM task lists become Tiptap taskList/taskItem nodes
+        list(token) {
+          if (!token.items.some(item => item.task)) return false;
+          const items = token.items.map(item => this.listitem(item)).join('');
+          return `<ul data-type="taskList">${items}</ul>\n`;
+        },
+        listitem(item) {
+          if (!item.task) return false;
+          const body = this.parser.parse(item.tokens, !!item.loose);
+          return `<li data-type="taskItem" data-checked="${!!item.checked}">${body}</li>`;
+        },
+        checkbox() {
+          return '';
+        }
+      }
+    });
+
+    this.turndown = new TurndownService({
+      headingStyle: 'atx',
+      codeBlockStyle: 'fenced',
+      bulletListMarker: '-',
+      emDelimiter: '*'
+    });
+    // Markdown has no underline or attachment cards; inline HTML keeps them
+    this.turndown.keep(['u']);
+    this.turndown.keep(node => node.nodeName === 'DIV' && node.getAttribute('data-type') === 'attachment');
+    this.turndown.addRule('strikethrough', {
+      filter: ['del', 's', 'strike'],
+      replacement: content => `~~${content}~~`
+    });
+    this.turndown.addRule('taskCheckbox', {
+      filter: node => node.nodeName === 'LABEL' && node.parentNode?.getAttribute?.('data-type') === 'taskItem',
+      replacement: () => ''
+    });
+    this.turndown.addRule('taskItem', {
+      filter: node => node.nodeName === 'LI' && node.getAttribute('data-type') === 'taskItem',
+      replacement: (content, node) => {
+        const checked = node.getAttribute('data-checked') === 'true';
+        const body = content.trim().replace(/\n{2,}/g, '\n').replace(/\n/g, '\n    ');
+        return `- [${checked ? 'x' : ' '}] ${body}\n`;
+      }
+    });
+  }
+
+  isMarkdownStorage() {
+    return this.storageFormat === 'markdown';
+  }
+
+  markdownToHtml(markdown) {
+    if (!markdown || !markdown.trim()) return '';
+    return this.marked.parse(markdown).trim();
+  }
+
+  htmlToMarkdown(html) {
+    if (!html || !html.trim()) return '';
+    return this.turndown.turndown(html).trim() + '\n';
+  }
+
+  rememberWrite(filePath, markdown, html) {
+    this.writtenContent.delete(filePath);
+    this.writtenContent.set(filePath, { markdown, html });
+    if (this.writtenContent.size > MAX_CACHED_NOTES) {
+      this.writtenContent.delete(this.writtenContent.keys().next().value);
+    }
+  }
+
+  // Convert what's on disk into the HTML the API serves
+  fromStorage(filePath, stored) {
+    if (!this.isMarkdownStorage()) return stored;
+
+    const written = this.writtenContent.get(filePath);
+    if (written && written.markdown === stored) return written.html;
+    return this.markdownToHtml(stored);
+  }
+
+  // Convert editor HTML into what goes on disk
+  toStorage(filePath, html) {
+    if (!this.isMarkdownStorage()) return html;
+
+    const markdown = this.htmlToMarkdown(html || '');
+    this.rememberWrite(filePath, markdown, html || '');
+    return markdown;
+  }
+
+  /**
+   * Read a note file (symlinks are followed) and return its content as HTML.
+   */
+  async readNote(filePath) {
+    const realPath = await fs.realpath(filePath).catch(() => filePath);
+    const stored = await fs.readFile(realPath, 'utf8');
+    return this.fromStorage(realPath, stored);
+  }
+
+  /**
+   * Write HTML content to a note file in the configured storage format.
+   * Symlinks are followed so a shared note is updated in place for everyone.
+   * The write is atomic and queued behind any other write to the same file.
+   */
+  async writeNote(filePath, html) {
+    const realPath = await fs.realpath(filePath).catch(() => filePath);
+    const stored = this.toStorage(realPath, html);
+    await atomicFile.withLock(realPath, () => atomicFile.writeFile(realPath, stored));
+  }
+}
+
+// Export singleton instance
+module.exports = new NoteFormat();
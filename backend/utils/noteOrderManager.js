@@ -0,0 +1,128 @@
+/**
+ * Note Order Manager - Pinned/favorite flags and per-user sort preferences
+ *
+ * Like tags, `pinned`, `favorite` and the manual `sortOrder` position live on
+ * each user's own metadata entry, so sharing a note never changes how the
+ * other person has arranged it. The chosen sort mode is kept in
+ * data/notes/<userId>/preferences.json so every device lists notes the same way.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const storage = require('../storage');
+const atomicFile = require('./atomicFile');
+
+const SORT_MODES = ['updated', 'created', 'title', 'manual'];
+const DEFAULT_SORT_MODE = 'updated';
+
+class NoteOrderManager {
+  constructor() {
+    this.notesDir = path.join(__dirname, '../data/notes');
+    this.sortModes = SORT_MODES;
+  }
+
+  getPreferencesFile(userId) {
+    return path.join(this.notesDir, userId, 'preferences.json');
+  }
+
+  async getPreferences(userId) {
+    const preferences = await fs.readJson(this.getPreferencesFile(userId)).catch(() => ({}));
+    return {
+      sortMode: SORT_MODES.includes(preferences.sortMode) ? preferences.sortMode : DEFAULT_SORT_MODE,
+      updatedAt: preferences.updatedAt || null
+    };
+  }
+
+  async setSortMode(userId, sortMode) {
+    if (!SORT_MODES.includes(sortMode)) return null;
+
+    const preferencesFile = this.getPreferencesFile(userId);
+    return await atomicFile.withLock(preferencesFile, async () => {
+      const preferences = await fs.readJson(preferencesFile).catch(() => ({}));
+      preferences.sortMode = sortMode;
+      preferences.updatedAt = new Date().toISOString();
+
+      await fs.ensureDir(path.join(this.notesDir, userId));
+      await atomicFile.writeJson(preferencesFile, preferences);
+      return { sortMode, updatedAt: preferences.updatedAt };
+    });
+  }
+
+  /**
+   * Set `pinned` and/or `favorite` on one of the user's notes.
+   * Returns the saved flags, or null when the note does not exist.
+   */
+  async setFlags(userId, noteId, { pinned, favorite }) {
+    return await storage.updateMetadata(userId, metadata => {
+      const meta = metadata[noteId];
+      if (!meta) return null;
+
+      if (pinned !== undefined) {
+        if (pinned) {
+          meta.pinned = true;
+        } else {
+          delete meta.pinned;
+        }
+      }
+      if (favorite !== undefined) {
+        if (favorite) {
+          meta.favorite = true;
+        } else {
+          delete meta.favorite;
+        }
+      }
+
+      return { pinned: !!meta.pinned, favorite: !!meta.favorite };
+    });
+  }
+
+  /**
+   * Store a manual order: each listed note gets its index as `sortOrder`.
+   * Unknown IDs are ignored. Returns the IDs that were ordered.
+   */
+  async setManualOrder(userId, noteIds) {
+    return await storage.updateMetadata(userId, metadata => {
+      const ordered = [];
+      for (const noteId of noteIds) {
+        if (!metadata[noteId] || ordered.includes(noteId)) continue;
+        metadata[noteId].sortOrder = ordered.length;
+        ordered.push(noteId);
+      }
+      return ordered;
+    });
+  }
+
+  // Fields every note response carries
+  getOrderFields(meta) {
+    return {
+      pinned: meta.pinned || false,
+      favorite: meta.favorite || false,
+      sortOrder: meta.sortOrder ?? null
+    };
+  }
+
+  /**
+   * Sort note objects (as returned by the API) in place: pinned notes first,
+   * then by the sort mode. In manual mode notes that were never placed
+   * (new ones) come first, newest on top.
+   */
+  sortNotes(notes, sortMode = DEFAULT_SORT_MODE) {
+    const byUpdated = (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt);
+    const compare = {
+      updated: byUpdated,
+      created: (a, b) => (new Date(b.createdAt) - new Date(a.createdAt)) || byUpdated(a, b),
+      title: (a, b) => (a.title || 'Untitled').localeCompare(b.title || 'Untitled', undefined, { sensitivity: 'base' }) || byUpdated(a, b),
+      manual: (a, b) => {
+        const aPlaced = a.sortOrder !== null && a.sortOrder !== undefined;
+        const bPlaced = b.sortOrder !== null && b.sortOrder !== undefined;
+        if (aPlaced !== bPlaced) return aPlaced ? 1 : -1;
+        return aPlaced ? (a.sortOrder - b.sortOrder) : byUpdated(a, b);
+      }
+    }[sortMode] || byUpdated;
+
+    return notes.sort((a, b) => ((b.pinned ? 1 : 0) - (a.pinned ? 1 : 0)) || compare(a, b));
+  }
+}
+
+// Export singleton instance
+module.exports = new NoteOrderManager();
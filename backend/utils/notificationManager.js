@@ -0,0 +1,356 @@
+/**
+ * Notification Manager - In-app inbox and Web Push for shared-note events
+ *
+ * Each user has data/notifications/<userId>.json:
+ *   items          newest first, at most MAX_ITEMS:
+ *                  { id, type, title, body, noteId, actor, createdAt, read }
+ *   preferences    { [type]: { inApp, push } } - missing entries mean on
+ *   subscriptions  Web Push subscriptions per device:
+ *                  { [id]: { endpoint, keys, userAgent, createdAt } }
+ *
+ * New inbox items go to the user's open tabs through their `user:<id>` socket
+ * room. Pushes are signed with VAPID keys from VAPID_PUBLIC_KEY /
+ * VAPID_PRIVATE_KEY, or with a pair generated once into data/vapid.json.
+ * Subscriptions the push service reports as gone are dropped.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const webpush = require('web-push');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const atomicFile = require('./atomicFile');
+
+const NOTIFICATION_TYPES = [
+  { type: 'share', label: 'Notes and folders shared with you' },
+  { type: 'mention', label: 'You are @mentioned' },
+  { type: 'comment_reply', label: 'Replies in comment threads you are part of' },
+  { type: 'note_changed', label: 'Shared notes changed while you were away' },
+  { type: 'reminder', label: 'Note reminders and tasks that are due' }
+];
+const MAX_ITEMS = 100;
+
+const notificationError = (message, status) => Object.assign(new Error(message), { status });
+
+class NotificationManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notificationsDir = path.join(this.dataDir, 'notifications');
+    this.notesDir = path.join(this.dataDir, 'notes');
+    this.vapidFile = path.join(this.dataDir, 'vapid.json');
+    this.vapidKeysPromise = null;
+    this.io = null; // Will be set by server.js
+  }
+
+  setSocketIO(ioInstance) {
+    this.io = ioInstance;
+  }
+
+  get types() {
+    return NOTIFICATION_TYPES;
+  }
+
+  isValidType(type) {
+    return NOTIFICATION_TYPES.some(entry => entry.type === type);
+  }
+
+  getNotificationsFile(userId) {
+    return path.join(this.notificationsDir, `${userId}.json`);
+  }
+
+  // Run changes to one user's file one at a time, under the file's lock
+  enqueue(userId, task) {
+    return atomicFile.withLock(this.getNotificationsFile(userId), task);
+  }
+
+  async readState(userId) {
+    const state = await fs.readJson(this.getNotificationsFile(userId)).catch(() => ({}));
+    return {
+      items: state.items || [],
+      preferences: state.preferences || {},
+      subscriptions: state.subscriptions || {}
+    };
+  }
+
+  async writeState(userId, state) {
+    await fs.ensureDir(this.notificationsDir);
+    await atomicFile.writeJson(this.getNotificationsFile(userId), state);
+  }
+
+  // Every type with both channels filled in
+  resolvePreferences(preferences = {}) {
+    return Object.fromEntries(NOTIFICATION_TYPES.map(({ type }) => [type, {
+      inApp: preferences[type]?.inApp !== false,
+      push: preferences[type]?.push !== false
+    }]));
+  }
+
+  // ===== VAPID =====
+
+  // Concurrent callers share one load, so only one key pair is ever generated
+  getVapidKeys() {
+    if (!this.vapidKeysPromise) {
+      this.vapidKeysPromise = this.loadVapidKeys().catch(error => {
+        this.vapidKeysPromise = null;
+        throw error;
+      });
+    }
+    return this.vapidKeysPromise;
+  }
+
+  async loadVapidKeys() {
+    let keys;
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      keys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    } else {
+      await fs.ensureDir(this.dataDir);
+      keys = await atomicFile.withLock(this.vapidFile, async () => {
+        const saved = await fs.readJson(this.vapidFile).catch(() => null);
+        if (saved) return saved;
+
+        const generated = webpush.generateVAPIDKeys();
+        await atomicFile.writeJson(this.vapidFile, generated);
+        console.log('🔔 Generated VAPID keys for Web Push in data/vapid.json');
+        return generated;
+      });
+    }
+
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@localhost', keys.publicKey, keys.privateKey);
+    return keys;
+  }
+
+  async getPublicKey() {
+    return (await this.getVapidKeys()).publicKey;
+  }
+
+  // ===== INBOX =====
+
+  async listNotifications(userId) {
+    const { items } = await this.readState(userId);
+    return { items, unreadCount: items.filter(item => !item.read).length };
+  }
+
+  // Mark the given notifications read, or all of them without IDs
+  async markRead(userId, ids = null) {
+    return this.enqueue(userId, async () => {
+      const state = await this.readState(userId);
+      const idSet = Array.isArray(ids) ? new Set(ids) : null;
+      state.items.forEach(item => {
+        if (!idSet || idSet.has(item.id)) {
+          item.read = true;
+        }
+      });
+      await this.writeState(userId, state);
+      return { items: state.items, unreadCount: state.items.filter(item => !item.read).length };
+    });
+  }
+
+  async getPreferences(userId) {
+    const { preferences } = await this.readState(userId);
+    return this.resolvePreferences(preferences);
+  }
+
+  async setPreferences(userId, changes = {}) {
+    for (const [type, channels] of Object.entries(changes)) {
+      if (!this.isValidType(type) || typeof channels !== 'object' || channels === null) {
+        throw notificationError(`Unknown notification type: ${type}`, 400);
+      }
+    }
+
+    return this.enqueue(userId, async () => {
+      const state = await this.readState(userId);
+      for (const [type, channels] of Object.entries(changes)) {
+        state.preferences[type] = {
+          ...this.resolvePreferences(state.preferences)[type],
+          ...(typeof channels.inApp === 'boolean' ? { inApp: channels.inApp } : {}),
+          ...(typeof channels.push === 'boolean' ? { push: channels.push } : {})
+        };
+      }
+      await this.writeState(userId, state);
+      return this.resolvePreferences(state.preferences);
+    });
+  }
+
+  // ===== PUSH SUBSCRIPTIONS =====
+
+  subscriptionId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex').substring(0, 16);
+  }
+
+  // Store a browser's PushSubscription; subscribing the same device again replaces it
+  async addSubscription(userId, subscription, userAgent = '') {
+    if (!subscription || typeof subscription.endpoint !== 'string' || !/^https:\/\//.test(subscription.endpoint) ||
+        !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      throw notificationError('Invalid push subscription', 400);
+    }
+
+    return this.enqueue(userId, async () => {
+      const state = await this.readState(userId);
+      const id = this.subscriptionId(subscription.endpoint);
+      state.subscriptions[id] = {
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+        userAgent: String(userAgent).substring(0, 200),
+        createdAt: new Date().toISOString()
+      };
+      await this.writeState(userId, state);
+      return { id };
+    });
+  }
+
+  async removeSubscription(userId, id) {
+    return this.enqueue(userId, async () => {
+      const state = await this.readState(userId);
+      if (!state.subscriptions[id]) return false;
+      delete state.subscriptions[id];
+      await this.writeState(userId, state);
+      return true;
+    });
+  }
+
+  async sendPush(userId, subscriptions, payload) {
+    if (Object.keys(subscriptions).length === 0) return;
+    await this.getVapidKeys();
+
+    const gone = [];
+    await Promise.all(Object.entries(subscriptions).map(async ([id, subscription]) => {
+      try {
+        await webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: 24 * 60 * 60 });
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          gone.push(id);
+        } else {
+          console.error(`❌ Push to device ${id} of user ${userId} failed:`, error.message);
+        }
+      }
+    }));
+
+    if (gone.length > 0) {
+      await this.enqueue(userId, async () => {
+        const state = await this.readState(userId);
+        gone.forEach(id => delete state.subscriptions[id]);
+        await this.writeState(userId, state);
+      });
+    }
+  }
+
+  // ===== SENDING =====
+
+  /**
+   * Notify a user through the channels they kept on for this type.
+   * `actor` is whoever caused it. Failures are only logged so the action
+   * that triggered the notification still succeeds. Returns the inbox item,
+   * or null when in-app notifications of this type are off.
+   */
+  async notify(userId, type, { title, body = '', noteId = null, actor = null }) {
+    try {
+      const state = await this.readState(userId);
+      const channels = this.resolvePreferences(state.preferences)[type];
+      if (!channels || (!channels.inApp && !channels.push)) return null;
+
+      const item = {
+        id: uuidv4(),
+        type,
+        title,
+        body,
+        noteId,
+        actor: actor ? { id: actor.id, name: actor.name || actor.email || null } : null,
+        createdAt: new Date().toISOString(),
+        read: false
+      };
+
+      if (channels.inApp) {
+        const unreadCount = await this.enqueue(userId, async () => {
+          const latest = await this.readState(userId);
+          latest.items = [item, ...latest.items].slice(0, MAX_ITEMS);
+          await this.writeState(userId, latest);
+          return latest.items.filter(entry => !entry.read).length;
+        });
+        if (this.io) {
+          this.io.to(`user:${userId}`).emit('notification', { item, unreadCount });
+        }
+      }
+
+      if (channels.push) {
+        await this.sendPush(userId, state.subscriptions, {
+          title,
+          body,
+          tag: noteId ? `${type}:${noteId}` : type,
+          url: noteId ? `/?note=${encodeURIComponent(noteId)}` : '/'
+        });
+      }
+
+      return channels.inApp ? item : null;
+    } catch (error) {
+      console.error(`❌ Failed to send ${type} notification to user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  async getNoteTitle(ownerId, noteId) {
+    const metadata = await storage.readMetadata(ownerId);
+    return metadata[noteId]?.title || 'Untitled';
+  }
+
+  // Whether userId has the note open in any tab right now
+  async isViewingNote(userId, noteId) {
+    if (!this.io) return false;
+    const socketIds = this.io.sockets.adapter.rooms.get(`note:${noteId}`) || new Set();
+    return Array.from(socketIds).some(socketId => this.io.sockets.sockets.get(socketId)?.userId === userId);
+  }
+
+  /**
+   * Tell the owner and participants of a shared note that editor changed it -
+   * only those who don't have it open, and only once until they've read the
+   * previous notice for that note.
+   */
+  async notifyNoteChanged(ownerId, noteId, editor) {
+    try {
+      const shares = await storage.readShares();
+      const shareInfo = shares[`${ownerId}-${noteId}`];
+      if (!shareInfo || !shareInfo.participants) return;
+
+      const recipients = [ownerId, ...Object.keys(shareInfo.participants)].filter(userId => userId !== editor.id);
+      if (recipients.length === 0) return;
+
+      const title = await this.getNoteTitle(ownerId, noteId);
+      for (const userId of recipients) {
+        if (await this.isViewingNote(userId, noteId)) continue;
+
+        const { items } = await this.readState(userId);
+        if (items.some(item => item.type === 'note_changed' && item.noteId === noteId && !item.read)) continue;
+
+        await this.notify(userId, 'note_changed', {
+          title: `${editor.name || 'Someone'} changed "${title}"`,
+          body: 'Open the note to see what changed',
+          noteId,
+          actor: editor
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to notify about changes to note ${noteId}:`, error);
+    }
+  }
+
+  // Tell everyone else in a comment thread about a new reply
+  async notifyCommentReply(ownerId, noteId, thread, replier) {
+    const recipients = new Set(thread.comments.map(comment => comment.author.id));
+    recipients.delete(replier.id);
+    if (recipients.size === 0) return;
+
+    const title = await this.getNoteTitle(ownerId, noteId);
+    const reply = thread.comments[thread.comments.length - 1];
+    for (const userId of recipients) {
+      await this.notify(userId, 'comment_reply', {
+        title: `${replier.name || 'Someone'} replied in "${title}"`,
+        body: reply.body.length > 140 ? `${reply.body.substring(0, 140)}…` : reply.body,
+        noteId,
+        actor: replier
+      });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new NotificationManager();
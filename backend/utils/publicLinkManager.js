@@ -0,0 +1,227 @@
+/**
+ * Public Link Manager - Read-only links to a note for people without an account
+ *
+ * data/public_links.json maps an unguessable token to { ownerId, noteId, ... }.
+ * A link can have a password (stored as a salted scrypt hash) and an expiry.
+ * Opening a password-protected link hands out a short-lived access token so
+ * the note's images can be fetched without asking for the password again.
+ *
+ * Changes go through updateLinks(), which holds the file's lock from the read
+ * to the write. Views are counted in memory and added to the links that still
+ * exist every VIEW_FLUSH_DELAY, instead of rewriting the file on every visit.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const atomicFile = require('./atomicFile');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_BYTES = 24;
+const MAX_PASSWORD_LENGTH = 200;
+const ACCESS_TOKEN_TTL = '1h';
+const VIEW_FLUSH_DELAY = 10 * 1000;
+
+class PublicLinkManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.linksFile = path.join(this.dataDir, 'public_links.json');
+    this.pendingViews = new Map(); // token -> { views, lastViewedAt } not yet saved
+    this.viewFlushTimer = null;
+  }
+
+  async readLinks() {
+    return await fs.readJson(this.linksFile).catch(() => ({}));
+  }
+
+  // Change the links in place with a synchronous mutate; resolves with what it returned
+  updateLinks(mutate) {
+    return atomicFile.withLock(this.linksFile, async () => {
+      const links = await this.readLinks();
+      const before = JSON.stringify(links);
+      const result = mutate(links);
+      if (JSON.stringify(links) !== before) {
+        await fs.ensureDir(this.dataDir);
+        await atomicFile.writeJson(this.linksFile, links);
+      }
+      return result;
+    });
+  }
+
+  async hashPassword(password, salt) {
+    const hash = await scrypt(password, salt, 64);
+    return hash.toString('hex');
+  }
+
+  isExpired(link, now = Date.now()) {
+    return !!link.expiresAt && new Date(link.expiresAt).getTime() <= now;
+  }
+
+  // What the owner sees - never the password hash
+  toPublic(link) {
+    const pending = this.pendingViews.get(link.token);
+    return {
+      token: link.token,
+      noteId: link.noteId,
+      createdAt: link.createdAt,
+      expiresAt: link.expiresAt,
+      hasPassword: !!link.passwordHash,
+      expired: this.isExpired(link),
+      views: (link.views || 0) + (pending?.views || 0),
+      lastViewedAt: pending?.lastViewedAt || link.lastViewedAt || null
+    };
+  }
+
+  /**
+   * Create a link to one of ownerId's notes. `expiresAt` is an ISO date (or
+   * null for no expiry), `password` an optional string.
+   */
+  async createLink(ownerId, noteId, { password = null, expiresAt = null } = {}) {
+    if (expiresAt) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+        throw Object.assign(new Error('Expiry must be a date in the future'), { status: 400 });
+      }
+      expiresAt = expiry.toISOString();
+    }
+    if (password !== null && (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH)) {
+      throw Object.assign(new Error('Invalid password'), { status: 400 });
+    }
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const link = {
+      token,
+      ownerId,
+      noteId,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt || null,
+      views: 0
+    };
+
+    if (password) {
+      link.passwordSalt = crypto.randomBytes(16).toString('hex');
+      link.passwordHash = await this.hashPassword(password, link.passwordSalt);
+    }
+
+    await this.updateLinks(links => {
+      links[token] = link;
+    });
+
+    console.log(`🔗 Created public link for note ${noteId} of user ${ownerId}`);
+    return this.toPublic(link);
+  }
+
+  async listLinks(ownerId, noteId) {
+    const links = await this.readLinks();
+    return Object.values(links)
+      .filter(link => link.ownerId === ownerId && link.noteId === noteId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(link => this.toPublic(link));
+  }
+
+  async revokeLink(ownerId, token) {
+    const link = await this.updateLinks(links => {
+      const link = links[token];
+      if (!link || link.ownerId !== ownerId) return null;
+
+      delete links[token];
+      return link;
+    });
+    if (!link) return false;
+    this.pendingViews.delete(token);
+
+    console.log(`🔗 Revoked public link for note ${link.noteId} of user ${ownerId}`);
+    return true;
+  }
+
+  // Drop every link to a note that no longer exists
+  async removeLinksForNote(ownerId, noteId) {
+    await this.updateLinks(links => {
+      Object.keys(links)
+        .filter(token => links[token].ownerId === ownerId && links[token].noteId === noteId)
+        .forEach(token => delete links[token]);
+    });
+  }
+
+  // Links keep working when the note changes hands
+  async transferLinks(fromOwnerId, toOwnerId, noteId) {
+    await this.updateLinks(links => {
+      Object.values(links)
+        .filter(link => link.ownerId === fromOwnerId && link.noteId === noteId)
+        .forEach(link => { link.ownerId = toOwnerId; });
+    });
+  }
+
+  async getLink(token) {
+    if (typeof token !== 'string' || !token) return null;
+    const links = await this.readLinks();
+    return Object.prototype.hasOwnProperty.call(links, token) ? links[token] : null;
+  }
+
+  async verifyPassword(link, password) {
+    if (!link.passwordHash) return true;
+    if (typeof password !== 'string' || !password || password.length > MAX_PASSWORD_LENGTH) return false;
+
+    const hash = Buffer.from(await this.hashPassword(password, link.passwordSalt), 'hex');
+    const expected = Buffer.from(link.passwordHash, 'hex');
+    return hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+  }
+
+  // Access tokens are signed with the link's own password hash, which never
+  // leaves the server, so they can't be forged even without a JWT_SECRET
+  getAccessSecret(link) {
+    return `${process.env.JWT_SECRET || ''}:${link.token}:${link.passwordHash}`;
+  }
+
+  // Lets a visitor who entered the password load the note's images
+  createAccessToken(link) {
+    return jwt.sign({ publicLink: link.token }, this.getAccessSecret(link), { expiresIn: ACCESS_TOKEN_TTL });
+  }
+
+  verifyAccessToken(link, accessToken) {
+    if (!link.passwordHash) return true;
+    try {
+      const decoded = jwt.verify(accessToken || '', this.getAccessSecret(link));
+      return decoded.publicLink === link.token;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  recordView(token) {
+    const pending = this.pendingViews.get(token) || { views: 0 };
+    pending.views++;
+    pending.lastViewedAt = new Date().toISOString();
+    this.pendingViews.set(token, pending);
+
+    if (!this.viewFlushTimer) {
+      this.viewFlushTimer = setTimeout(() => {
+        this.flushViews().catch(error => console.error('Failed to save public link views:', error));
+      }, VIEW_FLUSH_DELAY);
+      this.viewFlushTimer.unref();
+    }
+  }
+
+  // Add the views counted since the last flush; links revoked meanwhile stay revoked
+  async flushViews() {
+    clearTimeout(this.viewFlushTimer);
+    this.viewFlushTimer = null;
+    const pendingViews = this.pendingViews;
+    this.pendingViews = new Map();
+
+    await this.updateLinks(links => {
+      for (const [token, pending] of pendingViews) {
+        const link = links[token];
+        if (!link) continue;
+        link.views = (link.views || 0) + pending.views;
+        link.lastViewedAt = pending.lastViewedAt;
+      }
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new PublicLinkManager();
@@ -0,0 +1,228 @@
+/**
+ * Reminder Manager - Note reminders and task due dates
+ *
+ * A note reminder is `reminderAt` (an ISO time) on the user's own metadata
+ * entry, so like tags it is personal even on shared notes. Task items carry
+ * their due date in the note's HTML:
+ *   <li data-type="taskItem" data-checked="false" data-due="2026-10-20">
+ * Everyone who has the note is reminded of an open task at TASK_REMINDER_HOUR
+ * (server time) on its due date.
+ *
+ * Reminders go out as 'reminder' notifications, so they reach the inbox and
+ * the service worker like every other notification. What has already fired is
+ * kept in data/reminders/<userId>.json:
+ *   notes  { [noteId]: reminderAt }       the reminder that fired
+ *   tasks  { [noteId]: [taskKey, ...] }   due date and text of tasks that fired
+ * Reminders missed while the server was down fire on the next check, unless
+ * they are more than MAX_LATENESS old.
+ *
+ * All times come from the clock, which tests can replace with setClock().
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const storage = require('../storage');
+const atomicFile = require('./atomicFile');
+const noteFormat = require('./noteFormat');
+const notificationManager = require('./notificationManager');
+const taskManager = require('./taskManager');
+
+const HOUR = 60 * 60 * 1000;
+const MAX_LATENESS = 24 * HOUR;
+const DUE_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const reminderError = (message, status) => Object.assign(new Error(message), { status });
+
+class ReminderManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notesDir = path.join(this.dataDir, 'notes');
+    this.remindersDir = path.join(this.dataDir, 'reminders');
+    this.taskReminderHour = parseInt(process.env.TASK_REMINDER_HOUR, 10) || 9;
+    this.clock = () => Date.now();
+    this.checkInterval = null;
+    this.checking = null;
+  }
+
+  // Replace the clock (a function returning epoch milliseconds), e.g. with a fake one in tests
+  setClock(clock) {
+    this.clock = clock || (() => Date.now());
+  }
+
+  getStateFile(userId) {
+    return path.join(this.remindersDir, `${userId}.json`);
+  }
+
+  async readState(userId) {
+    const state = await fs.readJson(this.getStateFile(userId)).catch(() => ({}));
+    return { notes: state.notes || {}, tasks: state.tasks || {} };
+  }
+
+  async writeState(userId, state) {
+    await fs.ensureDir(this.remindersDir);
+    await atomicFile.writeJson(this.getStateFile(userId), state);
+  }
+
+  // ===== DUE DATES =====
+
+  // When a task due on `due` (YYYY-MM-DD) is reminded of, in epoch milliseconds
+  getTaskReminderTime(due) {
+    const [, year, month, day] = DUE_DATE_PATTERN.exec(due);
+    return new Date(Number(year), Number(month) - 1, Number(day), this.taskReminderHour).getTime();
+  }
+
+  /**
+   * Task items with a valid due date in stored HTML, in document order, as
+   * [{ key, due, text, checked }]. The key identifies the task for the
+   * fired-state, so changing a task's text or due date reminds again.
+   */
+  findDueTasks(content) {
+    return taskManager.findTasks(content)
+      .filter(task => task.due)
+      .map(task => ({ key: `${task.due}|${task.text}`, due: task.due, text: task.text, checked: task.checked }));
+  }
+
+  // ===== NOTE REMINDERS =====
+
+  /**
+   * Set or clear (null) the reminder on one of the user's notes. Returns the
+   * saved reminderAt, or undefined when the note does not exist.
+   */
+  async setReminder(userId, noteId, reminderAt) {
+    let value = null;
+    if (reminderAt !== null && reminderAt !== '') {
+      const time = new Date(reminderAt).getTime();
+      if (typeof reminderAt !== 'string' || Number.isNaN(time)) {
+        throw reminderError('reminderAt must be an ISO date and time or null', 400);
+      }
+      value = new Date(time).toISOString();
+    }
+
+    return await storage.updateMetadata(userId, metadata => {
+      const meta = metadata[noteId];
+      if (!meta) return undefined;
+
+      if (value) {
+        meta.reminderAt = value;
+      } else {
+        delete meta.reminderAt;
+      }
+      return value;
+    });
+  }
+
+  // ===== SCHEDULE =====
+
+  // Send every reminder of one user that is due at `now`; returns how many were sent
+  async checkUser(userId, now) {
+    // The state file is locked from the read to the write, so checks can't overlap
+    const due = await atomicFile.withLock(this.getStateFile(userId), () => this.takeDueReminders(userId, now));
+    for (const reminder of due) {
+      await notificationManager.notify(userId, 'reminder', reminder);
+    }
+    return due.length;
+  }
+
+  // Reminders of one user that are due at `now` and haven't fired yet, marked as fired
+  async takeDueReminders(userId, now) {
+    const metadata = await storage.readMetadata(userId);
+    const state = await this.readState(userId);
+    const nextState = { notes: {}, tasks: {} };
+    const due = [];
+
+    for (const [noteId, meta] of Object.entries(metadata)) {
+      if (meta.trashed || meta.deletedByOwner) continue;
+
+      if (meta.reminderAt) {
+        const time = new Date(meta.reminderAt).getTime();
+        if (state.notes[noteId] === meta.reminderAt) {
+          nextState.notes[noteId] = meta.reminderAt;
+        } else if (time <= now) {
+          nextState.notes[noteId] = meta.reminderAt;
+          if (now - time <= MAX_LATENESS) {
+            due.push({ noteId, title: `Reminder: ${meta.title || 'Untitled'}`, body: '' });
+          }
+        }
+      }
+
+      const content = await noteFormat.readNote(path.join(this.notesDir, userId, `${noteId}.md`)).catch(() => '');
+      const fired = new Set(state.tasks[noteId] || []);
+      const keys = [];
+      for (const task of this.findDueTasks(content)) {
+        if (task.checked) continue;
+
+        const time = this.getTaskReminderTime(task.due);
+        if (fired.has(task.key)) {
+          keys.push(task.key);
+        } else if (time <= now) {
+          keys.push(task.key);
+          if (now - time <= MAX_LATENESS) {
+            due.push({ noteId, title: `Task due: ${task.text || 'Untitled task'}`, body: `In "${meta.title || 'Untitled'}"` });
+          }
+        }
+      }
+      if (keys.length > 0) {
+        nextState.tasks[noteId] = Array.from(new Set(keys));
+      }
+    }
+
+    // Remember what fired before sending, so a failing push can't repeat reminders
+    if (JSON.stringify(nextState) !== JSON.stringify(state)) {
+      await this.writeState(userId, nextState);
+    }
+    return due;
+  }
+
+  // Check every user at the clock's current time; returns how many reminders were sent
+  async checkDue(now = this.clock()) {
+    if (this.checking) return this.checking;
+
+    this.checking = (async () => {
+      if (!await fs.pathExists(this.notesDir)) return 0;
+
+      let sentCount = 0;
+      for (const userId of await fs.readdir(this.notesDir)) {
+        try {
+          sentCount += await this.checkUser(userId, now);
+        } catch (error) {
+          console.error(`❌ Reminder check failed for user ${userId}:`, error);
+        }
+      }
+      if (sentCount > 0) {
+        console.log(`⏰ Sent ${sentCount} reminders`);
+      }
+      return sentCount;
+    })();
+
+    try {
+      return await this.checking;
+    } finally {
+      this.checking = null;
+    }
+  }
+
+  startSchedule(intervalMs = 60 * 1000) {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.checkDue().catch(error => {
+        console.warn('⚠️ Reminder check failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Catch up on reminders that came due while the server was down
+    this.checkDue().catch(error => {
+      console.warn('⚠️ Initial reminder check failed:', error.message);
+    });
+  }
+
+  stopSchedule() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ReminderManager();
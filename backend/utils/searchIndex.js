@@ -0,0 +1,448 @@
+/**
+ * Search Index - In-memory full-text index over each user's notes
+ *
+ * One index per user covers their own notes and the notes shared with them.
+ * An index is built the first time a user searches and is then kept current
+ * by the note save paths (updateNote / removeNote / markStale). Every search
+ * also reconciles the index against the note metadata, so notes changed outside
+ * those paths (new shares, trash restores) are picked up on the next query.
+ *
+ * Query syntax:
+ *   word            match in title or body (the last bare word also matches as a prefix)
+ *   word*           prefix match
+ *   "some phrase"   exact phrase
+ *   title:word      restrict to the title (title:"a phrase" works too)
+ *   tag:name        notes tagged with name (tag:na* for a prefix)
+ * All clauses must match. Results are ranked with BM25, title hits weigh more.
+ */
+
+const path = require('path');
+const storage = require('../storage');
+const noteFormat = require('./noteFormat');
+
+const TITLE_WEIGHT = 2.5;
+const PHRASE_BONUS = 1.5;
+const PREFIX_PENALTY = 0.7;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 160;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'"
+};
+
+function normalizeTerm(term) {
+  return term.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Split text into normalized terms, keeping character offsets for snippets
+function tokenize(text) {
+  const tokens = [];
+  if (!text) return tokens;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    tokens.push({
+      term: normalizeTerm(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+// Turn stored note HTML into plain text
+function extractText(content) {
+  if (!content) return '';
+  return content
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/?(p|div|h[1-6]|li|ul|ol|blockquote|pre|br|tr|td|th)[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[a-z#0-9]+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()] || ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function normalizeTag(tag) {
+  return normalizeTerm(String(tag).replace(/^#/, '').trim());
+}
+
+// Parse a query string into clauses: { field, terms, phrase, prefix }
+function parseQuery(query) {
+  const clauses = [];
+  const pattern = /(?:(title|tag):)?(?:"([^"]*)"?|(\S+))/gi;
+  const raw = (query || '').trim();
+
+  for (const match of raw.matchAll(pattern)) {
+    const field = match[1] ? match[1].toLowerCase() : 'any';
+    const quoted = match[2] !== undefined;
+    const value = quoted ? match[2] : match[3];
+    if (!value) continue;
+
+    if (field === 'tag') {
+      const prefix = value.endsWith('*');
+      const tag = normalizeTag(value.replace(/\*+$/, ''));
+      if (tag) clauses.push({ field, terms: [tag], phrase: false, prefix });
+      continue;
+    }
+
+    const prefix = !quoted && value.endsWith('*');
+    const terms = tokenize(value).map(token => token.term);
+    if (terms.length === 0) continue;
+
+    if (quoted || terms.length > 1) {
+      // "foo-bar" style words tokenize to several terms and behave like a phrase
+      clauses.push({ field, terms, phrase: true, prefix: false });
+    } else {
+      clauses.push({ field, terms, phrase: false, prefix });
+    }
+  }
+
+  // Search-as-you-type: the last bare word also matches longer words
+  const last = clauses[clauses.length - 1];
+  if (last && last.field === 'any' && !last.phrase && !/\s$/.test(query || '')) {
+    last.prefix = true;
+    last.implicitPrefix = true;
+  }
+
+  return clauses;
+}
+
+class SearchIndex {
+  constructor() {
+    this.notesDir = path.join(__dirname, '../data/notes');
+    this.indexes = new Map(); // userId -> { docs: Map<noteId, doc>, stale: Set<noteId>, loaded, loading }
+  }
+
+  getUserIndex(userId) {
+    if (!this.indexes.has(userId)) {
+      this.indexes.set(userId, { docs: new Map(), stale: new Set(), loaded: false, loading: null });
+    }
+    return this.indexes.get(userId);
+  }
+
+  buildDoc(noteId, noteMetadata, content) {
+    const title = noteMetadata.title || 'Untitled';
+    const text = extractText(content);
+    const titleTerms = tokenize(title).map(token => token.term);
+    const bodyTerms = tokenize(text).map(token => token.term);
+
+    const positions = (terms) => {
+      const map = new Map();
+      terms.forEach((term, position) => {
+        if (!map.has(term)) map.set(term, []);
+        map.get(term).push(position);
+      });
+      return map;
+    };
+
+    return {
+      id: noteId,
+      title,
+      text,
+      tags: (Array.isArray(noteMetadata.tags) ? noteMetadata.tags : []).map(normalizeTag).filter(Boolean),
+      updatedAt: noteMetadata.updatedAt,
+      createdAt: noteMetadata.createdAt,
+      shared: noteMetadata.shared || false,
+      sharedBy: noteMetadata.sharedBy || null,
+      permission: noteMetadata.permission || 'edit',
+      titleLength: titleTerms.length,
+      bodyLength: bodyTerms.length,
+      titlePositions: positions(titleTerms),
+      bodyPositions: positions(bodyTerms)
+    };
+  }
+
+  async readNote(userId, noteId) {
+    const noteFile = path.join(this.notesDir, userId, `${noteId}.md`);
+    return await noteFormat.readNote(noteFile).catch(() => null);
+  }
+
+  /**
+   * Bring a user's index in line with their note metadata: index new notes,
+   * re-read notes whose updatedAt moved or that were marked stale, drop
+   * notes that are gone or trashed.
+   */
+  async reconcile(userId) {
+    const index = this.getUserIndex(userId);
+    const metadata = await storage.readMetadata(userId);
+
+    for (const noteId of index.docs.keys()) {
+      if (!metadata[noteId] || metadata[noteId].trashed) {
+        index.docs.delete(noteId);
+      }
+    }
+
+    let reindexed = 0;
+    for (const [noteId, noteMetadata] of Object.entries(metadata)) {
+      if (noteMetadata.trashed) continue;
+
+      const existing = index.docs.get(noteId);
+      if (existing && !index.stale.has(noteId) && existing.updatedAt === noteMetadata.updatedAt) {
+        continue;
+      }
+
+      const content = await this.readNote(userId, noteId);
+      if (content === null) {
+        index.docs.delete(noteId);
+      } else {
+        index.docs.set(noteId, this.buildDoc(noteId, noteMetadata, content));
+        reindexed++;
+      }
+      index.stale.delete(noteId);
+    }
+
+    if (!index.loaded) {
+      index.loaded = true;
+      console.log(`🔎 Built search index for user ${userId} (${index.docs.size} notes)`);
+    } else if (reindexed > 0) {
+      console.log(`🔎 Reindexed ${reindexed} notes for user ${userId}`);
+    }
+  }
+
+  // Serialize reconciles per user so concurrent searches do not duplicate work
+  async ensureIndex(userId) {
+    const index = this.getUserIndex(userId);
+    if (!index.loading) {
+      index.loading = this.reconcile(userId).finally(() => {
+        index.loading = null;
+      });
+    }
+    await index.loading;
+    return index;
+  }
+
+  /**
+   * Index a note right after it was saved. A no-op until the user has searched
+   * once, since the first search builds the whole index anyway.
+   */
+  updateNote(userId, noteId, { title, content, metadata = {} }) {
+    try {
+      const index = this.indexes.get(userId);
+      if (!index || !index.loaded) return;
+
+      if (metadata.trashed) {
+        index.docs.delete(noteId);
+        return;
+      }
+
+      index.docs.set(noteId, this.buildDoc(noteId, { ...metadata, title }, content));
+      index.stale.delete(noteId);
+    } catch (error) {
+      console.error(`❌ Failed to index note ${noteId}:`, error);
+    }
+  }
+
+  // Flag a note for re-reading on the user's next search (content changed elsewhere)
+  markStale(userId, noteId) {
+    const index = this.indexes.get(userId);
+    if (index && index.loaded) {
+      index.stale.add(noteId);
+    }
+  }
+
+  removeNote(userId, noteId) {
+    const index = this.indexes.get(userId);
+    if (index) {
+      index.docs.delete(noteId);
+      index.stale.delete(noteId);
+    }
+  }
+
+  // Expand a clause term to the indexed terms it matches
+  expandTerm(vocabulary, term, prefix) {
+    if (!prefix) return vocabulary.has(term) ? [term] : [];
+    const matches = [];
+    for (const candidate of vocabulary) {
+      if (candidate.startsWith(term)) matches.push(candidate);
+    }
+    return matches;
+  }
+
+  // Start positions where terms occur consecutively
+  findPhrase(positionsMap, terms) {
+    const first = positionsMap.get(terms[0]);
+    if (!first) return [];
+
+    return first.filter(start =>
+      terms.every((term, offset) => (positionsMap.get(term) || []).includes(start + offset))
+    );
+  }
+
+  bm25(tf, docLength, avgLength, idf) {
+    if (tf === 0) return 0;
+    const norm = BM25_K1 * (1 - BM25_B + BM25_B * (docLength / (avgLength || 1)));
+    return idf * ((tf * (BM25_K1 + 1)) / (tf + norm));
+  }
+
+  /**
+   * Run a query against a user's notes. Returns ranked results with an HTML
+   * snippet in which matched words are wrapped in <mark>.
+   */
+  async search(userId, query, { limit = 50 } = {}) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) return { results: [], total: 0 };
+
+    const index = await this.ensureIndex(userId);
+    const docs = Array.from(index.docs.values());
+    const docCount = docs.length || 1;
+
+    let avgTitle = 0;
+    let avgBody = 0;
+    const vocabulary = new Set();
+    const documentFrequency = new Map();
+
+    for (const doc of docs) {
+      avgTitle += doc.titleLength;
+      avgBody += doc.bodyLength;
+      const seen = new Set([...doc.titlePositions.keys(), ...doc.bodyPositions.keys()]);
+      for (const term of seen) {
+        vocabulary.add(term);
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+    avgTitle /= docCount;
+    avgBody /= docCount;
+
+    const idf = (term) => {
+      const df = documentFrequency.get(term) || 0;
+      return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+    };
+
+    // Resolve prefix clauses once against the whole vocabulary
+    const resolved = clauses.map(clause => {
+      if (clause.field === 'tag' || clause.phrase) return { ...clause, expansions: null };
+      return { ...clause, expansions: this.expandTerm(vocabulary, clause.terms[0], clause.prefix) };
+    });
+
+    const results = [];
+
+    for (const doc of docs) {
+      let score = 0;
+      let matched = true;
+      const highlightTerms = new Set();
+
+      for (const clause of resolved) {
+        if (clause.field === 'tag') {
+          const tag = clause.terms[0];
+          const hit = doc.tags.some(docTag => clause.prefix ? docTag.startsWith(tag) : docTag === tag);
+          if (!hit) { matched = false; break; }
+          score += 0.5;
+          continue;
+        }
+
+        const inTitleOnly = clause.field === 'title';
+
+        if (clause.phrase) {
+          const titleHits = this.findPhrase(doc.titlePositions, clause.terms).length;
+          const bodyHits = inTitleOnly ? 0 : this.findPhrase(doc.bodyPositions, clause.terms).length;
+          if (titleHits + bodyHits === 0) { matched = false; break; }
+
+          const phraseIdf = clause.terms.reduce((sum, term) => sum + idf(term), 0);
+          score += PHRASE_BONUS * (
+            TITLE_WEIGHT * this.bm25(titleHits, doc.titleLength, avgTitle, phraseIdf) +
+            this.bm25(bodyHits, doc.bodyLength, avgBody, phraseIdf)
+          );
+          clause.terms.forEach(term => highlightTerms.add(term));
+          continue;
+        }
+
+        let best = 0;
+        for (const term of clause.expansions) {
+          const titleTf = (doc.titlePositions.get(term) || []).length;
+          const bodyTf = inTitleOnly ? 0 : (doc.bodyPositions.get(term) || []).length;
+          if (titleTf + bodyTf === 0) continue;
+
+          const termIdf = idf(term);
+          let termScore = TITLE_WEIGHT * this.bm25(titleTf, doc.titleLength, avgTitle, termIdf) +
+            this.bm25(bodyTf, doc.bodyLength, avgBody, termIdf);
+          if (term !== clause.terms[0]) termScore *= PREFIX_PENALTY;
+
+          best = Math.max(best, termScore);
+          highlightTerms.add(term);
+        }
+
+        if (best === 0) { matched = false; break; }
+        score += best;
+      }
+
+      if (!matched) continue;
+
+      results.push({ doc, score, highlightTerms });
+    }
+
+    // Highest score first, most recently updated breaks ties
+    results.sort((a, b) => (b.score - a.score) || (new Date(b.doc.updatedAt) - new Date(a.doc.updatedAt)));
+
+    return {
+      total: results.length,
+      results: results.slice(0, limit).map(({ doc, score, highlightTerms }) => ({
+        id: doc.id,
+        title: doc.title,
+        titleHighlight: this.highlight(doc.title, highlightTerms),
+        snippet: this.buildSnippet(doc.text, highlightTerms),
+        tags: doc.tags,
+        score: Math.round(score * 1000) / 1000,
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt,
+        shared: doc.shared,
+        sharedBy: doc.sharedBy,
+        permission: doc.permission
+      }))
+    };
+  }
+
+  // Escape text and wrap matched words in <mark>
+  highlight(text, terms, start = 0, end = text.length) {
+    let html = '';
+    let cursor = start;
+
+    for (const token of tokenize(text.slice(start, end))) {
+      if (!terms.has(token.term)) continue;
+      const tokenStart = start + token.start;
+      const tokenEnd = start + token.end;
+      html += escapeHtml(text.slice(cursor, tokenStart)) + `<mark>${escapeHtml(text.slice(tokenStart, tokenEnd))}</mark>`;
+      cursor = tokenEnd;
+    }
+
+    return html + escapeHtml(text.slice(cursor, end));
+  }
+
+  // Window of body text around the first match
+  buildSnippet(text, terms) {
+    if (!text) return '';
+
+    const firstMatch = tokenize(text).find(token => terms.has(token.term));
+    let start = 0;
+    if (firstMatch && firstMatch.start > SNIPPET_LENGTH / 3) {
+      start = firstMatch.start - Math.floor(SNIPPET_LENGTH / 3);
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < firstMatch.start) start = space + 1;
+    }
+
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+
+    return (start > 0 ? '… ' : '') + this.highlight(text, terms, start, end) + (end < text.length ? ' …' : '');
+  }
+}
+
+// Export singleton instance
+module.exports = new SearchIndex();
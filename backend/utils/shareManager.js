@@ -0,0 +1,504 @@
+/**
+ * Share Manager - Shares and unshares individual notes between users
+ *
+ * A shared note's file moves to data/shared_notes/ and both the owner and each
+ * participant get a symlink to it. The share records in storage/ say who has
+ * access, keyed by `${ownerId}-${noteId}`.
+ *
+ * Participants have one of these roles (stored as `permission`):
+ *   view     read the note and its comments
+ *   comment  view, plus start and reply to comment threads
+ *   edit     comment, plus change the note
+ *   owner    edit, plus share, unshare and change roles (a co-owner)
+ * The note's actual owner can do all of that and transfer ownership.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const versionManager = require('./versionManager');
+const commentManager = require('./commentManager');
+const crdtManager = require('./crdtManager');
+const publicLinkManager = require('./publicLinkManager');
+const invitationManager = require('./invitationManager');
+const searchIndex = require('./searchIndex');
+const activityManager = require('./activityManager');
+
+const PERMISSIONS = ['view', 'comment', 'edit', 'owner'];
+
+// Metadata every user keeps for themselves, whoever owns the note
+const PERSONAL_FIELDS = ['tags', 'folderId', 'pinned', 'favorite', 'sortOrder', 'reminderAt'];
+const SHARING_FIELDS = ['shared', 'sharedBy', 'permission', 'originalNoteId', 'sharedNoteId', 'hasBeenShared', 'sharedWith'];
+const UPLOAD_FIELDS = ['images', 'attachments']; // files live under the ID whose entry lists them
+
+const shareError = (message, status) => Object.assign(new Error(message), { status });
+
+const pickFields = (entry, fields) => Object.fromEntries(
+  fields.filter(field => entry && entry[field] !== undefined).map(field => [field, entry[field]])
+);
+
+class ShareManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notesDir = path.join(this.dataDir, 'notes');
+    this.sharedNotesDir = path.join(this.dataDir, 'shared_notes');
+  }
+
+  async readShares() {
+    return await storage.readShares();
+  }
+
+  async findUserByEmail(email) {
+    return await storage.findUserByEmail(email);
+  }
+
+  async findUserById(userId) {
+    return await storage.findUserById(userId);
+  }
+
+  isValidPermission(permission) {
+    return PERMISSIONS.includes(permission);
+  }
+
+  /**
+   * A user's role on a note from their metadata entry: 'owner' for the owner
+   * and co-owners, the share permission for everyone else, null without access.
+   * Deleted notes are read-only for everybody.
+   */
+  permissionOf(noteMetadata) {
+    if (!noteMetadata) return null;
+    if (noteMetadata.trashed || noteMetadata.deletedByOwner) return 'view';
+    if (!noteMetadata.shared) return 'owner';
+    return noteMetadata.permission || 'edit';
+  }
+
+  async getPermission(userId, noteId) {
+    const metadata = await storage.readMetadata(userId);
+    return this.permissionOf(metadata[noteId]);
+  }
+
+  /**
+   * Find an image or attachment (`field` is 'images' or 'attachments') of one
+   * of ownerId's notes. Uploads are kept with the owner's entry, but earlier
+   * ones, and those of a previous owner, are listed in a participant's entry
+   * and stored under their ID. Resolves with { userId, item }, or null.
+   */
+  async findUpload(ownerId, noteId, field, id) {
+    const shareInfo = (await this.readShares())[`${ownerId}-${noteId}`];
+    const userIds = [ownerId, ...Object.keys(shareInfo?.participants || {})];
+
+    for (const userId of userIds) {
+      const entry = (await storage.readMetadata(userId))[noteId];
+      const item = (entry?.[field] || []).find(upload => upload.id === id);
+      if (item) return { userId, item };
+    }
+    return null;
+  }
+
+  canEdit(permission) {
+    return permission === 'edit' || permission === 'owner';
+  }
+
+  canComment(permission) {
+    return this.canEdit(permission) || permission === 'comment';
+  }
+
+  canManage(permission) {
+    return permission === 'owner';
+  }
+
+  /**
+   * The owner of a note whose sharing `user` may manage - the user themselves
+   * or, for a co-owner, the user who owns the note. Throws with a status
+   * when the note doesn't exist or the user is not allowed.
+   */
+  async resolveManagedNote(user, noteId) {
+    const metadata = await storage.readMetadata(user.id);
+    const noteMetadata = metadata[noteId];
+
+    if (!noteMetadata || !await fs.pathExists(path.join(this.notesDir, user.id, `${noteId}.md`))) {
+      throw shareError('Note not found', 404);
+    }
+    if (!noteMetadata.shared) {
+      return { owner: user, isOwner: true };
+    }
+    if (!this.canManage(this.permissionOf(noteMetadata))) {
+      throw shareError('Only the owner and co-owners can manage sharing', 403);
+    }
+
+    const shares = await this.readShares();
+    const shareInfo = Object.values(shares).find(share => share.sharedNoteId === noteMetadata.sharedNoteId);
+    const owner = shareInfo && await this.findUserById(shareInfo.ownerId);
+    if (!owner) {
+      throw shareError('Note not found', 404);
+    }
+    return { owner, isOwner: false };
+  }
+
+  /**
+   * Give targetUser access to one of sharer's notes.
+   * `options.viaFolder` / `options.viaWorkspace` mark access granted through a shared
+   * folder or a workspace, so it can be withdrawn with them without touching notes
+   * that were shared directly.
+   * Returns the share record, or null when the note does not exist.
+   */
+  async shareNote(sharer, noteId, targetUser, permission, options = {}) {
+    const sharerNotesDir = path.join(this.notesDir, sharer.id);
+    const noteFile = path.join(sharerNotesDir, `${noteId}.md`);
+
+    if (!await fs.pathExists(noteFile)) return null;
+
+    const metadata = await storage.readMetadata(sharer.id);
+    const noteMetadata = metadata[noteId];
+    if (!noteMetadata) return null;
+
+    await fs.ensureDir(this.sharedNotesDir);
+
+    const shares = await this.readShares();
+    const shareKey = `${sharer.id}-${noteId}`;
+    let shareInfo = shares[shareKey];
+
+    if (!shareInfo) {
+      // First time sharing this note - move it to shared location
+      const sharedNoteId = uuidv4();
+      const sharedNoteFile = path.join(this.sharedNotesDir, `${sharedNoteId}.md`);
+
+      // Move note to shared location
+      await fs.move(noteFile, sharedNoteFile);
+
+      // Update shared metadata
+      await storage.updateSharedMetadata(sharedMetadata => {
+        sharedMetadata[sharedNoteId] = {
+          ...noteMetadata,
+          originalNoteId: noteId,
+          ownerId: sharer.id,
+          createdAt: noteMetadata.createdAt,
+          sharedAt: new Date().toISOString()
+        };
+      });
+
+      // Create symlink in sharer's directory
+      const symlinkTarget = path.relative(sharerNotesDir, sharedNoteFile);
+      await fs.symlink(symlinkTarget, noteFile);
+
+      // Create share record
+      shareInfo = {
+        sharedNoteId,
+        ownerId: sharer.id,
+        originalNoteId: noteId,
+        createdAt: new Date().toISOString(),
+        participants: {}
+      };
+    }
+
+    // Add the participant to the latest record; others may have been added or removed meanwhile
+    const isGranted = entry => !!(entry.viaFolder || entry.viaWorkspace);
+    let skipped = false;
+    shareInfo = await storage.updateShares(latestShares => {
+      const record = latestShares[shareKey] || shareInfo;
+      latestShares[shareKey] = record;
+
+      // A direct share replaces folder- or workspace-granted access, which never downgrades a direct share
+      const existingParticipant = record.participants[targetUser.id];
+      if (existingParticipant && !isGranted(existingParticipant) && isGranted(options)) {
+        skipped = true;
+        return record;
+      }
+
+      record.participants[targetUser.id] = {
+        email: targetUser.email,
+        permission,
+        sharedAt: new Date().toISOString(),
+        accepted: false,
+        ...(options.viaFolder ? { viaFolder: options.viaFolder } : {}),
+        ...(options.viaWorkspace ? { viaWorkspace: options.viaWorkspace } : {})
+      };
+      return record;
+    });
+    if (skipped) return shareInfo;
+
+    // Create symlink in target user's directory
+    const targetNotesDir = path.join(this.notesDir, targetUser.id);
+    await fs.ensureDir(targetNotesDir);
+
+    const sharedNoteFile = path.join(this.sharedNotesDir, `${shareInfo.sharedNoteId}.md`);
+    const targetNoteFile = path.join(targetNotesDir, `${noteId}.md`);
+
+    // Create symlink if it doesn't exist
+    if (!await fs.pathExists(targetNoteFile)) {
+      const symlinkTarget = path.relative(targetNotesDir, sharedNoteFile);
+      await fs.symlink(symlinkTarget, targetNoteFile);
+    }
+
+    // Update target user's metadata, keeping their personal tags, folder placement and ordering
+    await storage.updateMetadata(targetUser.id, targetMetadata => {
+      targetMetadata[noteId] = {
+        title: noteMetadata.title,
+        createdAt: noteMetadata.createdAt,
+        updatedAt: noteMetadata.updatedAt,
+        shared: true,
+        sharedBy: sharer.email,
+        permission,
+        originalNoteId: noteId,
+        sharedNoteId: shareInfo.sharedNoteId,
+        ...pickFields(targetMetadata[noteId], [...PERSONAL_FIELDS, 'workspaceId'])
+      };
+    });
+
+    // Update owner's metadata to track sharing
+    await storage.updateMetadata(sharer.id, ownerMetadata => {
+      if (!ownerMetadata[noteId]) return;
+
+      ownerMetadata[noteId] = {
+        ...ownerMetadata[noteId],
+        hasBeenShared: true,
+        sharedWith: ownerMetadata[noteId].sharedWith || []
+      };
+
+      // Add the new participant if not already in the list
+      const existingShare = ownerMetadata[noteId].sharedWith.find(s => s.userId === targetUser.id);
+      if (!existingShare) {
+        ownerMetadata[noteId].sharedWith.push({
+          userId: targetUser.id,
+          email: targetUser.email,
+          permission,
+          sharedAt: new Date().toISOString()
+        });
+      } else {
+        // Update existing share (in case permission changed)
+        existingShare.permission = permission;
+        existingShare.sharedAt = new Date().toISOString();
+      }
+    });
+
+    return shareInfo;
+  }
+
+  /**
+   * Change a participant's role without re-sharing. Access that came from a
+   * shared folder becomes a direct share, so syncing the folder won't undo it.
+   * Returns false when there is no such participant.
+   */
+  async setPermission(ownerId, noteId, targetUserId, permission) {
+    const updated = await storage.updateShares(shares => {
+      const participant = shares[`${ownerId}-${noteId}`]?.participants[targetUserId];
+      if (!participant) return false;
+
+      participant.permission = permission;
+      delete participant.viaFolder;
+      delete participant.viaWorkspace;
+      return true;
+    });
+    if (!updated) return false;
+
+    await storage.updateMetadata(targetUserId, targetMetadata => {
+      if (targetMetadata[noteId]) {
+        targetMetadata[noteId].permission = permission;
+      }
+    });
+
+    await storage.updateMetadata(ownerId, ownerMetadata => {
+      const sharedWith = ownerMetadata[noteId]?.sharedWith?.find(entry => entry.userId === targetUserId);
+      if (sharedWith) {
+        sharedWith.permission = permission;
+      }
+    });
+
+    crdtManager.refreshAccess(noteId);
+    return true;
+  }
+
+  /**
+   * Hand one of owner's notes over to newOwner. The note is shared with the new
+   * owner first if needed; afterwards the previous owner is an editor. Every
+   * participant's entry is pointed at the new owner, and the history, comments
+   * and public links kept under the owner's ID move along.
+   */
+  async transferOwnership(owner, noteId, newOwner) {
+    const workspaceManager = require('./workspaceManager');
+
+    const initialMetadata = await storage.readMetadata(owner.id);
+    const noteMetadata = initialMetadata[noteId];
+
+    if (!noteMetadata || noteMetadata.shared) {
+      throw shareError('Note not found or not owned by you', 404);
+    }
+    if (noteMetadata.trashed) {
+      throw shareError('Restore the note from the trash before transferring it', 400);
+    }
+
+    // The new owner needs access first; this also moves the file to the shared location
+    if (!await this.shareNote(owner, noteId, newOwner, 'edit')) {
+      throw shareError('Note not found', 404);
+    }
+
+    // Hand the latest share record over, so participants changed meanwhile are kept
+    const now = new Date().toISOString();
+    const shareInfo = await storage.updateShares(latestShares => {
+      const record = latestShares[`${owner.id}-${noteId}`];
+      if (!record) return null;
+
+      delete record.participants[newOwner.id];
+      record.participants[owner.id] = {
+        email: owner.email,
+        permission: 'edit',
+        sharedAt: now,
+        accepted: true
+      };
+      // Folder-granted access came from the previous owner's folders
+      Object.values(record.participants).forEach(participant => delete participant.viaFolder);
+      record.ownerId = newOwner.id;
+
+      delete latestShares[`${owner.id}-${noteId}`];
+      latestShares[`${newOwner.id}-${noteId}`] = record;
+      return record;
+    });
+    if (!shareInfo) {
+      throw shareError('Note not found', 404);
+    }
+
+    await storage.updateSharedMetadata(sharedMetadata => {
+      if (sharedMetadata[shareInfo.sharedNoteId]) {
+        sharedMetadata[shareInfo.sharedNoteId].ownerId = newOwner.id;
+      }
+    });
+
+    // Swap the owner's and the new owner's entries; personal fields and
+    // uploaded images and attachments stay with whoever they belong to
+    const ownerEntry = await storage.updateMetadata(owner.id, ownerMetadata => {
+      const entry = ownerMetadata[noteId];
+      ownerMetadata[noteId] = {
+        title: entry.title,
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt,
+        shared: true,
+        sharedBy: newOwner.email,
+        permission: 'edit',
+        originalNoteId: noteId,
+        sharedNoteId: shareInfo.sharedNoteId,
+        ...pickFields(entry, [...PERSONAL_FIELDS, ...UPLOAD_FIELDS])
+      };
+      return entry;
+    });
+
+    const noteFields = Object.fromEntries(Object.entries(ownerEntry)
+      .filter(([field]) => !PERSONAL_FIELDS.includes(field) && !SHARING_FIELDS.includes(field) && !UPLOAD_FIELDS.includes(field)));
+
+    await storage.updateMetadata(newOwner.id, newOwnerMetadata => {
+      newOwnerMetadata[noteId] = {
+        ...noteFields,
+        ...pickFields(newOwnerMetadata[noteId], [...PERSONAL_FIELDS, ...UPLOAD_FIELDS]),
+        hasBeenShared: true,
+        sharedWith: Object.entries(shareInfo.participants).map(([userId, participant]) => ({
+          userId,
+          email: participant.email,
+          permission: participant.permission,
+          sharedAt: participant.sharedAt
+        }))
+      };
+    });
+
+    for (const participantId of Object.keys(shareInfo.participants)) {
+      if (participantId === owner.id) continue;
+
+      await storage.updateMetadata(participantId, participantMetadata => {
+        if (!participantMetadata[noteId]) return;
+
+        participantMetadata[noteId].sharedBy = newOwner.email;
+        participantMetadata[noteId].originalNoteId = noteId;
+      });
+    }
+
+    // Everything else stored under the owner's ID
+    await versionManager.moveVersions(owner.id, newOwner.id, noteId);
+    await commentManager.moveComments(owner.id, newOwner.id, noteId);
+    await activityManager.moveActivity(owner.id, newOwner.id, noteId);
+    await publicLinkManager.transferLinks(owner.id, newOwner.id, noteId);
+    await invitationManager.transferInvitations(owner.id, newOwner.id, noteId);
+    await workspaceManager.transferNote(owner.id, newOwner.id, noteId);
+    await crdtManager.moveDocument(owner.id, newOwner.id, noteId);
+    crdtManager.refreshAccess(noteId);
+    searchIndex.markStale(owner.id, noteId);
+    searchIndex.markStale(newOwner.id, noteId);
+
+    console.log(`👑 Transferred note ${noteId} from ${owner.email} to ${newOwner.email}`);
+    return shareInfo;
+  }
+
+  /**
+   * Remove targetUserId's access to one of owner's notes. When nobody is left,
+   * the note moves back into the owner's directory. Returns false when there
+   * was no such share.
+   */
+  async unshareNote(ownerId, noteId, targetUserId) {
+    const shareKey = `${ownerId}-${noteId}`;
+
+    // Remove the participant from the latest record, or the record itself when nobody is left
+    const shareInfo = await storage.updateShares(latestShares => {
+      const record = latestShares[shareKey];
+      if (!record || record.ownerId !== ownerId) return null;
+
+      delete record.participants[targetUserId];
+      if (Object.keys(record.participants).length === 0) {
+        delete latestShares[shareKey];
+      }
+      return record;
+    });
+    if (!shareInfo) return false;
+
+    // Remove symlink from target user's directory
+    const targetNotesDir = path.join(this.notesDir, targetUserId);
+    const targetNoteFile = path.join(targetNotesDir, `${noteId}.md`);
+
+    if (await fs.pathExists(targetNoteFile)) {
+      await fs.remove(targetNoteFile);
+    }
+
+    // Remove from target user's metadata
+    await storage.updateMetadata(targetUserId, targetMetadata => {
+      delete targetMetadata[noteId];
+    });
+
+    // Update owner's metadata to remove sharing info
+    const ownerNotesDir = path.join(this.notesDir, ownerId);
+    await storage.updateMetadata(ownerId, ownerMetadata => {
+      if (!ownerMetadata[noteId]) return;
+
+      // Remove the user from sharedWith list
+      ownerMetadata[noteId].sharedWith = (ownerMetadata[noteId].sharedWith || [])
+        .filter(s => s.userId !== targetUserId);
+
+      // If no one is shared with anymore, remove hasBeenShared flag
+      if (ownerMetadata[noteId].sharedWith.length === 0) {
+        ownerMetadata[noteId].hasBeenShared = false;
+        delete ownerMetadata[noteId].sharedWith;
+      }
+    });
+
+    // If no more participants, move note back to owner's directory
+    if (Object.keys(shareInfo.participants).length === 0) {
+      const ownerNoteFile = path.join(ownerNotesDir, `${noteId}.md`);
+      const sharedNoteFile = path.join(this.sharedNotesDir, `${shareInfo.sharedNoteId}.md`);
+
+      // Remove symlink and restore original file
+      if (await fs.pathExists(ownerNoteFile)) {
+        await fs.remove(ownerNoteFile);
+      }
+      await fs.move(sharedNoteFile, ownerNoteFile);
+
+      // Remove from shared metadata
+      await storage.updateSharedMetadata(sharedMetadata => {
+        delete sharedMetadata[shareInfo.sharedNoteId];
+      });
+
+    }
+
+    // The removed user's open editors must not keep sending updates
+    crdtManager.refreshAccess(noteId);
+    return true;
+  }
+}
+
+// Export singleton instance
+module.exports = new ShareManager();
@@ -0,0 +1,138 @@
+/**
+ * Tag Manager - Note tags stored in each user's note metadata
+ *
+ * Tags are personal: every user keeps their own `tags` array on their metadata
+ * entry, including on notes shared with them. Hashtags typed into a note's
+ * content (#idea) are added as tags for everyone who has the note, but only
+ * when they first appear, so removing a tag by hand sticks.
+ */
+
+const path = require('path');
+const storage = require('../storage');
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_NOTE = 50;
+
+// A hashtag starts after whitespace or an opening bracket and needs at least one letter
+const HASHTAG_PATTERN = /(^|[\s(\[{,;])#([\p{L}\p{N}_-]*\p{L}[\p{L}\p{N}_-]*)/gu;
+
+class TagManager {
+  constructor() {
+    this.notesDir = path.join(__dirname, '../data/notes');
+  }
+
+  // Lowercase, strip a leading '#', turn inner whitespace into dashes
+  normalizeTag(tag) {
+    if (typeof tag !== 'string') return '';
+    return tag
+      .trim()
+      .replace(/^#+/, '')
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+      .substring(0, MAX_TAG_LENGTH);
+  }
+
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const unique = new Set(tags.map(tag => this.normalizeTag(tag)).filter(Boolean));
+    return Array.from(unique).slice(0, MAX_TAGS_PER_NOTE);
+  }
+
+  mergeTags(existing, added) {
+    return this.normalizeTags([...(existing || []), ...(added || [])]);
+  }
+
+  extractHashtags(content) {
+    if (!content) return [];
+
+    const text = content
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/gi, ' ')
+      .replace(/&amp;/gi, '&');
+
+    const tags = [];
+    for (const match of text.matchAll(HASHTAG_PATTERN)) {
+      tags.push(match[2]);
+    }
+    return this.normalizeTags(tags);
+  }
+
+  // Hashtags present in the new content but not in the previous one
+  getAddedHashtags(previousContent, newContent) {
+    const before = new Set(this.extractHashtags(previousContent));
+    return this.extractHashtags(newContent).filter(tag => !before.has(tag));
+  }
+
+  /**
+   * Replace the tags on one of the user's notes. Returns the saved tags,
+   * or null when the note does not exist.
+   */
+  async setTags(userId, noteId, tags) {
+    return await this.updateTags(userId, noteId, () => tags);
+  }
+
+  async addTags(userId, noteId, tags) {
+    return await this.updateTags(userId, noteId, current => this.mergeTags(current, tags));
+  }
+
+  async removeTag(userId, noteId, tag) {
+    const normalized = this.normalizeTag(tag);
+    return await this.updateTags(userId, noteId, current => (current || []).filter(t => t !== normalized));
+  }
+
+  // Replace a note's tags with change(currentTags) in one metadata update
+  async updateTags(userId, noteId, change) {
+    return await storage.updateMetadata(userId, metadata => {
+      if (!metadata[noteId]) return null;
+
+      metadata[noteId].tags = this.normalizeTags(change(metadata[noteId].tags));
+      return metadata[noteId].tags;
+    });
+  }
+
+  // Every tag the user has on notes outside the trash, most used first
+  async listTags(userId) {
+    const metadata = await storage.readMetadata(userId);
+    const counts = new Map();
+
+    for (const meta of Object.values(metadata)) {
+      if (meta.trashed) continue;
+      for (const tag of meta.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    return Array.from(counts.entries())
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => (b.count - a.count) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Rename a tag on all of the user's notes, merging into the new name when
+   * a note already has both. Returns the IDs of the notes that changed.
+   */
+  async renameTag(userId, fromTag, toTag) {
+    const from = this.normalizeTag(fromTag);
+    const to = this.normalizeTag(toTag);
+    if (!from || !to) return [];
+
+    const changedIds = await storage.updateMetadata(userId, metadata => {
+      const changed = [];
+      for (const [noteId, meta] of Object.entries(metadata)) {
+        if (!meta.tags || !meta.tags.includes(from)) continue;
+        meta.tags = this.normalizeTags(meta.tags.map(tag => tag === from ? to : tag));
+        changed.push(noteId);
+      }
+      return changed;
+    });
+
+    if (changedIds.length > 0) {
+      console.log(`🏷️ Renamed tag "${from}" to "${to}" on ${changedIds.length} notes for user ${userId}`);
+    }
+
+    return changedIds;
+  }
+}
+
+// Export singleton instance
+module.exports = new TagManager();
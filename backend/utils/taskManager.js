@@ -0,0 +1,117 @@
+/**
+ * Task Manager - Task items across all of a user's notes
+ *
+ * Task lists live in the note's HTML like every other block:
+ *   <ul data-type="taskList">
+ *     <li data-type="taskItem" data-checked="false" data-due="2026-10-20">...</li>
+ *   </ul>
+ * There is no separate task store; tasks are parsed from the content each time,
+ * so they can never disagree with the notes. A task is addressed by its index
+ * among the note's task items (in document order), which is what a client
+ * needs to toggle it in the content and save the note the usual way.
+ */
+
+const path = require('path');
+const storage = require('../storage');
+const noteFormat = require('./noteFormat');
+const shareManager = require('./shareManager');
+
+const TASK_ITEM_PATTERN = /<li\b[^>]*\bdata-type="taskItem"[^>]*>/g;
+const DUE_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_TEXT_LENGTH = 200;
+const STATUSES = ['open', 'done', 'all'];
+
+const taskError = (message, status) => Object.assign(new Error(message), { status });
+
+// Plain text of an HTML fragment
+const toText = (html) => html
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/&quot;/gi, '"')
+  .replace(/&amp;/gi, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+class TaskManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notesDir = path.join(this.dataDir, 'notes');
+  }
+
+  isValidDueDate(due) {
+    const match = DUE_DATE_PATTERN.exec(due || '');
+    if (!match) return false;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]);
+  }
+
+  /**
+   * Task items in stored HTML, in document order, as
+   * [{ index, text, checked, due }]. due is a YYYY-MM-DD date or null.
+   */
+  findTasks(content) {
+    if (!content || !content.includes('taskItem')) return [];
+
+    const tasks = [];
+    for (const match of content.matchAll(TASK_ITEM_PATTERN)) {
+      const due = /\bdata-due="([^"]*)"/.exec(match[0]);
+
+      // The task's own text runs until a nested list item starts or this one ends
+      const rest = content.substring(match.index + match[0].length);
+      const end = rest.search(/<li\b|<\/li>/);
+
+      tasks.push({
+        index: tasks.length,
+        text: toText(end === -1 ? rest : rest.substring(0, end)).substring(0, MAX_TEXT_LENGTH),
+        checked: /\bdata-checked="true"/.test(match[0]),
+        due: due && this.isValidDueDate(due[1]) ? due[1] : null
+      });
+    }
+    return tasks;
+  }
+
+  /**
+   * Every task in userId's notes (own and shared, not trashed) with its note,
+   * as [{ noteId, noteTitle, updatedAt, shared, sharedBy, canEdit, index, text,
+   * checked, due }]. status is 'open' (default), 'done' or 'all'. Notes are
+   * ordered most recently updated first, tasks in document order within them.
+   */
+  async listTasks(userId, { status = 'open' } = {}) {
+    if (!STATUSES.includes(status)) {
+      throw taskError(`status must be one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const userNotesDir = path.join(this.notesDir, userId);
+    const metadata = await storage.readMetadata(userId);
+    const entries = Object.entries(metadata)
+      .filter(([, meta]) => !meta.trashed && !meta.deletedByOwner)
+      .sort(([, a], [, b]) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    const tasks = [];
+    for (const [noteId, meta] of entries) {
+      const content = await noteFormat.readNote(path.join(userNotesDir, `${noteId}.md`)).catch(() => '');
+      const canEdit = shareManager.canEdit(shareManager.permissionOf(meta));
+
+      for (const task of this.findTasks(content)) {
+        if (status === 'open' && task.checked) continue;
+        if (status === 'done' && !task.checked) continue;
+
+        tasks.push({
+          noteId,
+          noteTitle: meta.title || 'Untitled',
+          updatedAt: meta.updatedAt,
+          shared: meta.shared || false,
+          sharedBy: meta.sharedBy || null,
+          canEdit,
+          ...task
+        });
+      }
+    }
+    return tasks;
+  }
+}
+
+// Export singleton instance
+module.exports = new TaskManager();
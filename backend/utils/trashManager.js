@@ -0,0 +1,295 @@
+/**
+ * Trash Manager - Soft delete, restore and scheduled purge of notes
+ *
+ * Deleting a note only flags its metadata entry as trashed. Notes are removed
+ * for good when the trash is emptied or after TRASH_RETENTION_DAYS. When an owner
+ * trashes a shared note, participants keep their entry flagged as deletedByOwner
+ * instead of losing it, so they see what happened rather than a 404.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const storage = require('../storage');
+const versionManager = require('./versionManager');
+const imageManager = require('./imageManager');
+const attachmentManager = require('./attachmentManager');
+const searchIndex = require('./searchIndex');
+const publicLinkManager = require('./publicLinkManager');
+const invitationManager = require('./invitationManager');
+const workspaceManager = require('./workspaceManager');
+const commentManager = require('./commentManager');
+const crdtManager = require('./crdtManager');
+const activityManager = require('./activityManager');
+const shareManager = require('./shareManager');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class TrashManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notesDir = path.join(this.dataDir, 'notes');
+    this.retentionDays = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+    this.purgeInterval = null;
+  }
+
+  getPurgeDate(trashedAt) {
+    return new Date(new Date(trashedAt).getTime() + this.retentionDays * DAY).toISOString();
+  }
+
+  /**
+   * Move a note to the user's trash. Returns false when the note does not exist.
+   */
+  async trashNote(userId, noteId) {
+    const trashedAt = new Date().toISOString();
+    const noteMetadata = await storage.updateMetadata(userId, metadata => {
+      if (!metadata[noteId]) return null;
+
+      metadata[noteId] = {
+        ...metadata[noteId],
+        trashed: true,
+        trashedAt
+      };
+      return metadata[noteId];
+    });
+    if (!noteMetadata) return false;
+
+    searchIndex.removeNote(userId, noteId);
+
+    // Owner trashed a shared note - tell every participant
+    if (!noteMetadata.shared && noteMetadata.hasBeenShared) {
+      await this.setDeletedByOwner(userId, noteId, trashedAt);
+    }
+
+    // Open editors re-check access, so a trashed note stops taking live updates
+    crdtManager.refreshAccess(noteId);
+
+    console.log(`🗑️ Moved note ${noteId} to trash for user ${userId}`);
+    return true;
+  }
+
+  /**
+   * Bring a note back out of the trash. Returns false when it is not in the trash.
+   */
+  async restoreNote(userId, noteId) {
+    const noteMetadata = await storage.updateMetadata(userId, metadata => {
+      const meta = metadata[noteId];
+      if (!meta || !meta.trashed) return null;
+
+      delete meta.trashed;
+      delete meta.trashedAt;
+      return meta;
+    });
+    if (!noteMetadata) return false;
+
+    searchIndex.markStale(userId, noteId);
+
+    if (!noteMetadata.shared && noteMetadata.hasBeenShared) {
+      await this.setDeletedByOwner(userId, noteId, null);
+    }
+
+    console.log(`♻️ Restored note ${noteId} from trash for user ${userId}`);
+    return true;
+  }
+
+  async listTrash(userId) {
+    const metadata = await storage.readMetadata(userId);
+
+    return Object.entries(metadata)
+      .filter(([, meta]) => meta.trashed)
+      .map(([id, meta]) => ({
+        id,
+        title: meta.title,
+        createdAt: meta.createdAt,
+        updatedAt: meta.updatedAt,
+        trashedAt: meta.trashedAt,
+        purgeAt: this.getPurgeDate(meta.trashedAt),
+        shared: meta.shared || false,
+        sharedBy: meta.sharedBy || null,
+        hasBeenShared: meta.hasBeenShared || false
+      }))
+      .sort((a, b) => new Date(b.trashedAt) - new Date(a.trashedAt));
+  }
+
+  // Flag (or unflag, when deletedAt is null) every participant's copy of a shared note
+  async setDeletedByOwner(ownerId, noteId, deletedAt, { purged = false } = {}) {
+    const shares = await storage.readShares();
+    const shareInfo = shares[`${ownerId}-${noteId}`];
+
+    if (!shareInfo || !shareInfo.participants) return;
+
+    for (const participantId of Object.keys(shareInfo.participants)) {
+      try {
+        const participantNoteId = await storage.updateMetadata(participantId, metadata => {
+          const id = Object.keys(metadata).find(key =>
+            metadata[key].shared && (metadata[key].originalNoteId === noteId || key === noteId)
+          );
+          if (!id) return null;
+
+          const participantNote = metadata[id];
+          if (deletedAt) {
+            participantNote.deletedByOwner = true;
+            participantNote.deletedByOwnerAt = deletedAt;
+            if (purged) participantNote.ownerPurged = true;
+          } else {
+            delete participantNote.deletedByOwner;
+            delete participantNote.deletedByOwnerAt;
+          }
+          return id;
+        });
+
+        if (participantNoteId && deletedAt && purged) {
+          await fs.remove(path.join(this.notesDir, participantId, `${participantNoteId}.md`)).catch(() => {});
+        }
+      } catch (error) {
+        console.error(`❌ Failed to update deleted-by-owner flag for participant ${participantId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Permanently delete a note: file, metadata entry, images, attachments and version history.
+   * Purging an owner's shared note also dissolves the share and leaves participants
+   * a tombstone entry flagged deletedByOwner. `actor` is the user who asked for it,
+   * null for the scheduled purge.
+   */
+  async purgeNote(userId, noteId, actor = null) {
+    const metadata = await storage.readMetadata(userId);
+    const noteMetadata = metadata[noteId];
+    const userNotesDir = path.join(this.notesDir, userId);
+    const noteFile = path.join(userNotesDir, `${noteId}.md`);
+
+    const collaborationManager = require('./collaborationManager');
+    const fileLockManager = require('./fileLock');
+
+    const isParticipantCopy = noteMetadata && noteMetadata.shared && noteMetadata.sharedBy;
+
+    if (noteMetadata && !isParticipantCopy && noteMetadata.hasBeenShared) {
+      await this.setDeletedByOwner(userId, noteId, noteMetadata.trashedAt || new Date().toISOString(), { purged: true });
+      await this.dissolveShare(userId, noteId);
+    }
+
+    // A participant deleting their copy leaves the share, so the owner no longer lists them
+    if (isParticipantCopy) {
+      await this.leaveShare(userId, noteMetadata);
+    }
+
+    await fs.remove(noteFile).catch(() => {});
+    await imageManager.removeNoteImages(userId, noteId).catch(error => {
+      console.error(`Error removing images of note ${noteId}:`, error);
+    });
+    await attachmentManager.removeNoteAttachments(userId, noteId).catch(error => {
+      console.error(`Error removing attachments of note ${noteId}:`, error);
+    });
+
+    if (!isParticipantCopy) {
+      await versionManager.removeAllVersions(userId, noteId);
+      await publicLinkManager.removeLinksForNote(userId, noteId);
+      await invitationManager.removeInvitationsForNote(userId, noteId);
+      await workspaceManager.forgetNote(userId, noteId);
+      await commentManager.removeAllComments(userId, noteId);
+      await crdtManager.removeDocument(userId, noteId);
+      if (noteMetadata) {
+        await activityManager.record(userId, noteId, 'delete', actor, { permanent: true, title: noteMetadata.title });
+      }
+    }
+
+    await collaborationManager.removeActiveEditor(isParticipantCopy ? noteMetadata.originalNoteId : noteId, userId).catch(() => {});
+    await fileLockManager.releaseLock(noteId, userId);
+
+    // Drop the entry from the current metadata, not the copy read above
+    await storage.updateMetadata(userId, latestMetadata => {
+      delete latestMetadata[noteId];
+    });
+    searchIndex.removeNote(userId, noteId);
+
+    console.log(`🔥 Permanently deleted note ${noteId} for user ${userId}`);
+  }
+
+  // Remove the shared copy and share record of a note that is being purged by its owner
+  async leaveShare(userId, noteMetadata) {
+    const shareInfo = Object.values(await storage.readShares())
+      .find(share => share.sharedNoteId === noteMetadata.sharedNoteId);
+    if (!shareInfo) return; // the owner already deleted the note
+
+    await shareManager.unshareNote(shareInfo.ownerId, shareInfo.originalNoteId, userId);
+  }
+
+  async dissolveShare(ownerId, noteId) {
+    const shareKey = `${ownerId}-${noteId}`;
+    const shareInfo = (await storage.readShares())[shareKey];
+
+    if (!shareInfo) return;
+
+    const sharedNotesDir = path.join(this.dataDir, 'shared_notes');
+    await fs.remove(path.join(sharedNotesDir, `${shareInfo.sharedNoteId}.md`)).catch(() => {});
+
+    await storage.updateSharedMetadata(sharedMetadata => {
+      delete sharedMetadata[shareInfo.sharedNoteId];
+    });
+
+    await storage.updateShares(shares => {
+      delete shares[shareKey];
+    });
+  }
+
+  async emptyTrash(userId, actor = null) {
+    const trashed = await this.listTrash(userId);
+    for (const note of trashed) {
+      await this.purgeNote(userId, note.id, actor);
+    }
+    return trashed.length;
+  }
+
+  // Purge every trashed note older than the retention period, across all users
+  async purgeExpired(now = Date.now()) {
+    if (!await fs.pathExists(this.notesDir)) return 0;
+
+    const cutoff = now - this.retentionDays * DAY;
+    const userIds = await fs.readdir(this.notesDir);
+    let purgedCount = 0;
+
+    for (const userId of userIds) {
+      try {
+        const metadata = await storage.readMetadata(userId);
+        for (const [noteId, meta] of Object.entries(metadata)) {
+          if (meta.trashed && new Date(meta.trashedAt).getTime() < cutoff) {
+            await this.purgeNote(userId, noteId);
+            purgedCount++;
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Trash purge failed for user ${userId}:`, error);
+      }
+    }
+
+    if (purgedCount > 0) {
+      console.log(`🧹 Purged ${purgedCount} notes older than ${this.retentionDays} days from trash`);
+    }
+    return purgedCount;
+  }
+
+  startPurgeSchedule(intervalMs = 60 * 60 * 1000) {
+    if (this.purgeInterval) return;
+
+    this.purgeInterval = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        console.warn('⚠️ Trash purge failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Catch up on anything that expired while the server was down
+    this.purgeExpired().catch(error => {
+      console.warn('⚠️ Initial trash purge failed:', error.message);
+    });
+  }
+
+  stopPurgeSchedule() {
+    if (this.purgeInterval) {
+      clearInterval(this.purgeInterval);
+      this.purgeInterval = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TrashManager();
@@ -0,0 +1,212 @@
+/**
+ * Version Manager - Keeps compressed point-in-time snapshots of every note save
+ *
+ * Snapshots live under data/versions/<ownerId>/<noteId>/ as gzipped JSON files,
+ * with an index.json listing them newest first. Shared notes are always keyed by
+ * the original owner and note ID so every participant sees the same history.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const noteFormat = require('./noteFormat');
+const atomicFile = require('./atomicFile');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+class VersionManager {
+  constructor() {
+    this.versionsDir = path.join(__dirname, '../data/versions');
+
+    // Retention policy: every save for keepAllMs, then one per hour, then one per day
+    this.retention = {
+      keepAllMs: (parseFloat(process.env.VERSION_KEEP_ALL_HOURS) || 24) * HOUR,
+      hourlyMs: (parseFloat(process.env.VERSION_KEEP_HOURLY_DAYS) || 30) * DAY,
+      dailyMs: (parseFloat(process.env.VERSION_KEEP_DAILY_DAYS) || 365) * DAY
+    };
+  }
+
+  getNoteVersionsDir(ownerId, noteId) {
+    return path.join(this.versionsDir, ownerId, noteId);
+  }
+
+  getIndexFile(ownerId, noteId) {
+    return path.join(this.getNoteVersionsDir(ownerId, noteId), 'index.json');
+  }
+
+  getSnapshotFile(ownerId, noteId, versionId) {
+    return path.join(this.getNoteVersionsDir(ownerId, noteId), `${versionId}.json.gz`);
+  }
+
+  hashSnapshot(title, content) {
+    return crypto.createHash('sha256').update(`${title || ''}|||${content || ''}`, 'utf8').digest('hex').substring(0, 16);
+  }
+
+  // Run index mutations for one note one at a time
+  enqueue(ownerId, noteId, task) {
+    return atomicFile.withLock(this.getIndexFile(ownerId, noteId), task);
+  }
+
+  async readIndex(ownerId, noteId) {
+    return await fs.readJson(this.getIndexFile(ownerId, noteId)).catch(() => []);
+  }
+
+  async writeIndex(ownerId, noteId, index) {
+    await fs.ensureDir(this.getNoteVersionsDir(ownerId, noteId));
+    await atomicFile.writeFile(this.getIndexFile(ownerId, noteId), JSON.stringify(index, null, 2) + '\n');
+  }
+
+  /**
+   * Record a snapshot of a note after it has been saved.
+   * Identical consecutive snapshots are skipped. Never throws - a failed snapshot
+   * must not fail the save that triggered it.
+   */
+  async recordVersion(ownerId, noteId, { title, content, editor, source = 'save', restoredFrom = null }) {
+    try {
+      return await this.enqueue(ownerId, noteId, async () => {
+        const index = await this.readIndex(ownerId, noteId);
+        const contentHash = this.hashSnapshot(title, content);
+
+        if (index.length > 0 && index[0].contentHash === contentHash && source !== 'restore') {
+          return index[0];
+        }
+
+        const version = {
+          id: uuidv4(),
+          createdAt: new Date().toISOString(),
+          title: title || 'Untitled',
+          size: Buffer.byteLength(content || '', 'utf8'),
+          contentHash,
+          editedBy: editor?.id || editor?.userId || null,
+          editorName: editor?.name || 'Unknown',
+          editorAvatar: editor?.avatar || null,
+          source
+        };
+
+        if (restoredFrom) {
+          version.restoredFrom = restoredFrom;
+        }
+
+        const compressed = await gzip(JSON.stringify({ title: title || '', content: content || '' }));
+        await fs.ensureDir(this.getNoteVersionsDir(ownerId, noteId));
+        await atomicFile.writeFile(this.getSnapshotFile(ownerId, noteId, version.id), compressed);
+
+        index.unshift(version);
+        const retained = await this.applyRetention(ownerId, noteId, index);
+        await this.writeIndex(ownerId, noteId, retained);
+
+        console.log(`🕘 Recorded version ${version.id} for note ${noteId} (${source}, ${retained.length} kept)`);
+        return version;
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record version for note ${noteId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Make sure a note that predates version history has a baseline snapshot,
+   * so the content about to be overwritten can still be restored.
+   */
+  async ensureBaseline(ownerId, noteId, noteFile, metadata = {}) {
+    try {
+      const index = await this.readIndex(ownerId, noteId);
+      if (index.length > 0) return;
+
+      const content = await noteFormat.readNote(noteFile).catch(() => null);
+      if (content === null) return;
+
+      await this.recordVersion(ownerId, noteId, {
+        title: metadata.title,
+        content,
+        editor: {
+          id: metadata.lastEditedBy,
+          name: metadata.lastEditorName,
+          avatar: metadata.lastEditorAvatar
+        },
+        source: 'baseline'
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record baseline version for note ${noteId}:`, error);
+    }
+  }
+
+  // Keep every version newer than keepAllMs, then the newest per hour, then the newest per day
+  async applyRetention(ownerId, noteId, index, now = Date.now()) {
+    const kept = [];
+    const seenBuckets = new Set();
+
+    index.forEach((version, position) => {
+      const age = now - new Date(version.createdAt).getTime();
+      let bucket = null;
+
+      if (position === 0 || age < this.retention.keepAllMs) {
+        kept.push(version);
+        return;
+      } else if (age < this.retention.hourlyMs) {
+        bucket = `h:${Math.floor(new Date(version.createdAt).getTime() / HOUR)}`;
+      } else if (age < this.retention.dailyMs) {
+        bucket = `d:${Math.floor(new Date(version.createdAt).getTime() / DAY)}`;
+      }
+
+      if (bucket && !seenBuckets.has(bucket)) {
+        seenBuckets.add(bucket);
+        kept.push(version);
+      }
+    });
+
+    const keptIds = new Set(kept.map(version => version.id));
+    for (const version of index) {
+      if (!keptIds.has(version.id)) {
+        await fs.remove(this.getSnapshotFile(ownerId, noteId, version.id)).catch(() => {});
+      }
+    }
+
+    return kept;
+  }
+
+  async listVersions(ownerId, noteId) {
+    return await this.readIndex(ownerId, noteId);
+  }
+
+  async getVersion(ownerId, noteId, versionId) {
+    const index = await this.readIndex(ownerId, noteId);
+    const version = index.find(v => v.id === versionId);
+    if (!version) return null;
+
+    const snapshotFile = this.getSnapshotFile(ownerId, noteId, versionId);
+    if (!await fs.pathExists(snapshotFile)) return null;
+
+    const snapshot = JSON.parse((await gunzip(await fs.readFile(snapshotFile))).toString('utf8'));
+    return {
+      ...version,
+      title: snapshot.title,
+      content: snapshot.content
+    };
+  }
+
+  // Called when a note changes hands; history is kept under the owner's ID
+  async moveVersions(fromOwnerId, toOwnerId, noteId) {
+    await this.enqueue(fromOwnerId, noteId, async () => {
+      const sourceDir = this.getNoteVersionsDir(fromOwnerId, noteId);
+      if (!await fs.pathExists(sourceDir)) return;
+      await fs.move(sourceDir, this.getNoteVersionsDir(toOwnerId, noteId), { overwrite: true });
+    });
+  }
+
+  async removeAllVersions(ownerId, noteId) {
+    await this.enqueue(ownerId, noteId, async () => {
+      await fs.remove(this.getNoteVersionsDir(ownerId, noteId));
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new VersionManager();
@@ -0,0 +1,464 @@
+/**
+ * Workspace Manager - Named teams that share a space of notes
+ *
+ * data/workspaces.json maps workspace IDs to
+ * { id, name, createdBy, createdAt, updatedAt, members, notes }:
+ *   members  { [userId]: { email, name, role, joinedAt } }
+ *   notes    { [`${ownerId}-${noteId}`]: { ownerId, noteId, addedBy, addedAt } }
+ *
+ * A note stays with its owner and uses the regular shared_notes storage: every
+ * other member is a participant in the note's share (marked viaWorkspace), with the
+ * note permission that matches their workspace role. syncWorkspace() reconciles
+ * those participants with the workspace after every change, and labels each
+ * member's metadata entry with `workspaceId` so clients can show the space.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const atomicFile = require('./atomicFile');
+const shareManager = require('./shareManager');
+
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+
+// Workspace role -> note permission for the workspace's notes
+const ROLE_PERMISSIONS = {
+  admin: 'owner',
+  editor: 'edit',
+  commenter: 'comment',
+  viewer: 'view'
+};
+
+const workspaceError = (message, status) => Object.assign(new Error(message), { status });
+
+class WorkspaceManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../data');
+    this.notesDir = path.join(this.dataDir, 'notes');
+    this.workspacesFile = path.join(this.dataDir, 'workspaces.json');
+  }
+
+  // Run workspace changes one at a time under workspaces.json's lock; each one may rewrite many shares
+  enqueue(task) {
+    return atomicFile.withLock(this.workspacesFile, task);
+  }
+
+  async readWorkspaces() {
+    return await fs.readJson(this.workspacesFile).catch(() => ({}));
+  }
+
+  async writeWorkspaces(workspaces) {
+    await fs.ensureDir(this.dataDir);
+    await atomicFile.writeJson(this.workspacesFile, workspaces);
+  }
+
+  isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+  }
+
+  normalizeName(name) {
+    return typeof name === 'string' ? name.trim().substring(0, MAX_WORKSPACE_NAME_LENGTH) : '';
+  }
+
+  // The workspace if userId belongs to it; outsiders can't tell it exists
+  getMembership(workspaces, workspaceId, userId) {
+    const workspace = workspaces[workspaceId];
+    if (!workspace || !workspace.members[userId]) {
+      throw workspaceError('Workspace not found', 404);
+    }
+    return workspace;
+  }
+
+  assertAdmin(workspace, userId) {
+    if (workspace.members[userId].role !== 'admin') {
+      throw workspaceError('Only workspace admins can do this', 403);
+    }
+  }
+
+  adminCount(workspace) {
+    return Object.values(workspace.members).filter(member => member.role === 'admin').length;
+  }
+
+  summarize(workspace, userId) {
+    return {
+      id: workspace.id,
+      name: workspace.name,
+      role: workspace.members[userId].role,
+      memberCount: Object.keys(workspace.members).length,
+      noteCount: Object.keys(workspace.notes).length,
+      createdAt: workspace.createdAt,
+      updatedAt: workspace.updatedAt
+    };
+  }
+
+  async listWorkspaces(userId) {
+    const workspaces = await this.readWorkspaces();
+    return Object.values(workspaces)
+      .filter(workspace => workspace.members[userId])
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(workspace => this.summarize(workspace, userId));
+  }
+
+  // Members and notes of a workspace, as seen by one of its members
+  async getWorkspace(userId, workspaceId) {
+    const workspaces = await this.readWorkspaces();
+    const workspace = this.getMembership(workspaces, workspaceId, userId);
+
+    const notes = [];
+    for (const entry of Object.values(workspace.notes)) {
+      const metadata = await storage.readMetadata(entry.ownerId);
+      const noteMetadata = metadata[entry.noteId];
+      if (!noteMetadata) continue;
+
+      notes.push({
+        noteId: entry.noteId,
+        ownerId: entry.ownerId,
+        ownerEmail: workspace.members[entry.ownerId]?.email || null,
+        title: noteMetadata.title,
+        trashed: !!noteMetadata.trashed,
+        addedAt: entry.addedAt
+      });
+    }
+
+    return {
+      ...this.summarize(workspace, userId),
+      members: Object.entries(workspace.members)
+        .map(([memberId, member]) => ({ userId: memberId, ...member }))
+        .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt)),
+      notes: notes.sort((a, b) => (a.title || '').localeCompare(b.title || ''))
+    };
+  }
+
+  async createWorkspace(user, name) {
+    const workspaceName = this.normalizeName(name);
+    if (!workspaceName) {
+      throw workspaceError('Workspace name is required', 400);
+    }
+
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const now = new Date().toISOString();
+      const workspace = {
+        id: uuidv4(),
+        name: workspaceName,
+        createdBy: user.id,
+        createdAt: now,
+        updatedAt: now,
+        members: {
+          [user.id]: { email: user.email, name: user.name || null, role: 'admin', joinedAt: now }
+        },
+        notes: {}
+      };
+      workspaces[workspace.id] = workspace;
+      await this.writeWorkspaces(workspaces);
+
+      console.log(`👥 Created workspace "${workspaceName}" for ${user.email}`);
+      return this.summarize(workspace, user.id);
+    });
+  }
+
+  async renameWorkspace(user, workspaceId, name) {
+    const workspaceName = this.normalizeName(name);
+    if (!workspaceName) {
+      throw workspaceError('Workspace name is required', 400);
+    }
+
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const workspace = this.getMembership(workspaces, workspaceId, user.id);
+      this.assertAdmin(workspace, user.id);
+
+      workspace.name = workspaceName;
+      workspace.updatedAt = new Date().toISOString();
+      await this.writeWorkspaces(workspaces);
+      return this.summarize(workspace, user.id);
+    });
+  }
+
+  // Members lose access to the notes; the notes stay with their owners
+  async deleteWorkspace(user, workspaceId) {
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const workspace = this.getMembership(workspaces, workspaceId, user.id);
+      this.assertAdmin(workspace, user.id);
+
+      delete workspaces[workspaceId];
+      await this.writeWorkspaces(workspaces);
+      await this.clearOwnerLabels(workspaceId, Object.values(workspace.notes));
+      await this.syncWorkspace({ ...workspace, members: {}, notes: {} }, Object.keys(workspace.members));
+
+      console.log(`👥 Deleted workspace "${workspace.name}"`);
+    });
+  }
+
+  async addMember(user, workspaceId, targetUser, role) {
+    if (!this.isValidRole(role)) {
+      throw workspaceError('Invalid workspace role', 400);
+    }
+
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const workspace = this.getMembership(workspaces, workspaceId, user.id);
+      this.assertAdmin(workspace, user.id);
+
+      if (workspace.members[targetUser.id]) {
+        throw workspaceError('This user is already a member', 400);
+      }
+
+      workspace.members[targetUser.id] = {
+        email: targetUser.email,
+        name: targetUser.name || null,
+        role,
+        joinedAt: new Date().toISOString()
+      };
+      workspace.updatedAt = new Date().toISOString();
+      await this.writeWorkspaces(workspaces);
+      await this.syncWorkspace(workspace);
+
+      console.log(`👥 Added ${targetUser.email} to workspace "${workspace.name}" (${role})`);
+      return this.getWorkspace(user.id, workspaceId);
+    });
+  }
+
+  async setMemberRole(user, workspaceId, targetUserId, role) {
+    if (!this.isValidRole(role)) {
+      throw workspaceError('Invalid workspace role', 400);
+    }
+
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const workspace = this.getMembership(workspaces, workspaceId, user.id);
+      this.assertAdmin(workspace, user.id);
+
+      const member = workspace.members[targetUserId];
+      if (!member) {
+        throw workspaceError('Member not found', 404);
+      }
+      if (member.role === 'admin' && role !== 'admin' && this.adminCount(workspace) === 1) {
+        throw workspaceError('A workspace needs at least one admin', 400);
+      }
+
+      member.role = role;
+      workspace.updatedAt = new Date().toISOString();
+      await this.writeWorkspaces(workspaces);
+      await this.syncWorkspace(workspace);
+      return this.getWorkspace(user.id, workspaceId);
+    });
+  }
+
+  /**
+   * Remove a member (admins) or leave (anyone). Notes the member added leave
+   * the workspace with them. The last member leaving deletes the workspace.
+   */
+  async removeMember(user, workspaceId, targetUserId) {
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const workspace = this.getMembership(workspaces, workspaceId, user.id);
+      if (targetUserId !== user.id) {
+        this.assertAdmin(workspace, user.id);
+      }
+
+      const member = workspace.members[targetUserId];
+      if (!member) {
+        throw workspaceError('Member not found', 404);
+      }
+
+      const remaining = Object.keys(workspace.members).length - 1;
+      if (member.role === 'admin' && remaining > 0 && this.adminCount(workspace) === 1) {
+        throw workspaceError('Make another member an admin first', 400);
+      }
+
+      delete workspace.members[targetUserId];
+      const removedNotes = Object.entries(workspace.notes).filter(([, entry]) => entry.ownerId === targetUserId);
+      removedNotes.forEach(([key]) => delete workspace.notes[key]);
+
+      if (remaining === 0) {
+        delete workspaces[workspaceId];
+      } else {
+        workspace.updatedAt = new Date().toISOString();
+      }
+      await this.writeWorkspaces(workspaces);
+
+      await this.clearOwnerLabels(workspaceId, removedNotes.map(([, entry]) => entry));
+      await this.syncWorkspace(workspace, [targetUserId]);
+      return true;
+    });
+  }
+
+  // Put one of the user's own notes into the workspace
+  async addNote(user, workspaceId, noteId) {
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const workspace = this.getMembership(workspaces, workspaceId, user.id);
+      if (!shareManager.canEdit(ROLE_PERMISSIONS[workspace.members[user.id].role])) {
+        throw workspaceError('Viewers and commenters cannot add notes', 403);
+      }
+
+      const metadata = await storage.readMetadata(user.id);
+      const noteMetadata = metadata[noteId];
+      if (!noteMetadata || noteMetadata.shared || noteMetadata.trashed) {
+        throw workspaceError('Note not found or not owned by you', 404);
+      }
+
+      const otherWorkspace = Object.values(workspaces)
+        .find(other => other.id !== workspaceId && other.notes[`${user.id}-${noteId}`]);
+      if (otherWorkspace) {
+        throw workspaceError(`This note is already in the workspace "${otherWorkspace.name}"`, 400);
+      }
+
+      workspace.notes[`${user.id}-${noteId}`] = {
+        ownerId: user.id,
+        noteId,
+        addedBy: user.id,
+        addedAt: new Date().toISOString()
+      };
+      workspace.updatedAt = new Date().toISOString();
+      await this.writeWorkspaces(workspaces);
+      await this.syncWorkspace(workspace);
+
+      console.log(`👥 Added note ${noteId} to workspace "${workspace.name}"`);
+      return this.getWorkspace(user.id, workspaceId);
+    });
+  }
+
+  // Admins can take any note out; other members only their own
+  async removeNote(user, workspaceId, noteId) {
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const workspace = this.getMembership(workspaces, workspaceId, user.id);
+
+      const key = Object.keys(workspace.notes).find(noteKey => workspace.notes[noteKey].noteId === noteId);
+      if (!key) {
+        throw workspaceError('Note not found in this workspace', 404);
+      }
+      const entry = workspace.notes[key];
+      if (entry.ownerId !== user.id) {
+        this.assertAdmin(workspace, user.id);
+      }
+
+      delete workspace.notes[key];
+      workspace.updatedAt = new Date().toISOString();
+      await this.writeWorkspaces(workspaces);
+
+      await this.clearOwnerLabels(workspaceId, [entry]);
+      await this.syncWorkspace(workspace);
+      return this.getWorkspace(user.id, workspaceId);
+    });
+  }
+
+  // Called when a note is deleted for good
+  async forgetNote(ownerId, noteId) {
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const key = `${ownerId}-${noteId}`;
+      const affected = Object.values(workspaces).filter(workspace => workspace.notes[key]);
+      if (affected.length === 0) return;
+
+      affected.forEach(workspace => delete workspace.notes[key]);
+      await this.writeWorkspaces(workspaces);
+    });
+  }
+
+  // Called when a note changes hands; it stays in its workspace if the new owner is a member
+  async transferNote(fromOwnerId, toOwnerId, noteId) {
+    return this.enqueue(async () => {
+      const workspaces = await this.readWorkspaces();
+      const fromKey = `${fromOwnerId}-${noteId}`;
+      const affected = Object.values(workspaces).filter(workspace => workspace.notes[fromKey]);
+      if (affected.length === 0) return;
+
+      for (const workspace of affected) {
+        if (workspace.members[toOwnerId]) {
+          workspace.notes[`${toOwnerId}-${noteId}`] = { ...workspace.notes[fromKey], ownerId: toOwnerId };
+        } else {
+          await this.clearOwnerLabels(workspace.id, [{ ownerId: toOwnerId, noteId }]);
+        }
+        delete workspace.notes[fromKey];
+      }
+      await this.writeWorkspaces(workspaces);
+
+      for (const workspace of affected) {
+        await this.syncWorkspace(workspace);
+      }
+    });
+  }
+
+  async clearOwnerLabels(workspaceId, entries) {
+    for (const entry of entries) {
+      await storage.updateMetadata(entry.ownerId, metadata => {
+        if (metadata[entry.noteId]?.workspaceId === workspaceId) {
+          delete metadata[entry.noteId].workspaceId;
+        }
+      });
+    }
+  }
+
+  /**
+   * Reconcile note shares with a workspace: share each note with every member
+   * but its owner, at the member's role, and withdraw access that only came
+   * from this workspace. `formerMemberIds` are users who just left.
+   * Errors are logged, never thrown - the workspace change itself has been saved.
+   */
+  async syncWorkspace(workspace, formerMemberIds = []) {
+    try {
+      const labels = new Map(); // userId -> Set of noteIds labelled with this workspace
+
+      for (const entry of Object.values(workspace.notes)) {
+        const owner = await shareManager.findUserById(entry.ownerId);
+        if (!owner) continue;
+
+        const noteMetadata = await storage.updateMetadata(owner.id, metadata => {
+          if (metadata[entry.noteId]) {
+            metadata[entry.noteId].workspaceId = workspace.id;
+          }
+          return metadata[entry.noteId];
+        });
+        if (!noteMetadata) continue;
+
+        for (const [memberId, member] of Object.entries(workspace.members)) {
+          if (memberId === owner.id) continue;
+          if (!labels.has(memberId)) labels.set(memberId, new Set());
+          labels.get(memberId).add(entry.noteId);
+
+          // Trashed notes keep whatever access they had so members see "deleted by owner"
+          if (noteMetadata.trashed) continue;
+          await shareManager.shareNote(owner, entry.noteId, { id: memberId, email: member.email },
+            ROLE_PERMISSIONS[member.role], { viaWorkspace: workspace.id });
+        }
+      }
+
+      // Withdraw access that came from this workspace but no longer applies
+      const shares = await shareManager.readShares();
+      for (const noteShare of Object.values(shares)) {
+        const inWorkspace = !!workspace.notes[`${noteShare.ownerId}-${noteShare.originalNoteId}`];
+        for (const [participantId, participant] of Object.entries(noteShare.participants)) {
+          if (participant.viaWorkspace !== workspace.id) continue;
+          if (!inWorkspace || !workspace.members[participantId]) {
+            await shareManager.unshareNote(noteShare.ownerId, noteShare.originalNoteId, participantId);
+          }
+        }
+      }
+
+      // Label members' entries so their note lists can show the workspace
+      for (const userId of new Set([...Object.keys(workspace.members), ...formerMemberIds])) {
+        const labelled = labels.get(userId) || new Set();
+        await storage.updateMetadata(userId, metadata => {
+          for (const [noteId, noteMetadata] of Object.entries(metadata)) {
+            if (!noteMetadata.shared) continue;
+            if (labelled.has(noteId)) {
+              noteMetadata.workspaceId = workspace.id;
+            } else if (noteMetadata.workspaceId === workspace.id) {
+              delete noteMetadata.workspaceId;
+            }
+          }
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync workspace ${workspace.id}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WorkspaceManager();
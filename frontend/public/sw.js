@@ -185,16 +185,25 @@ async function syncOfflineChanges() {
   }
 }
 
-// Handle push notifications
+// Handle push notifications - the server sends { title, body, tag, url } as JSON
 self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data.text() };
+  }
+
   const options = {
-    body: event.data ? event.data.text() : 'New notification from Material Notes',
+    body: payload.body || 'New notification from Material Notes',
     icon: '/icon-192.png',
     badge: '/icon-192.png',
     vibrate: [200, 100, 200],
+    tag: payload.tag,
+    renotify: !!payload.tag,
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      url: payload.url || '/'
     },
     actions: [
       {
@@ -211,19 +220,28 @@ self.addEventListener('push', (event) => {
   };
 
   event.waitUntil(
-    self.registration.showNotification('Material Notes', options)
+    self.registration.showNotification(payload.title || 'Material Notes', options)
   );
 });
 
-// Handle notification clicks
+// Handle notification clicks - focus an open tab on the notification's URL or open one
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
 
-  if (event.action === 'explore') {
-    event.waitUntil(
-      clients.openWindow('/')
-    );
+  if (event.action === 'close') {
+    return;
   }
+
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const client = windowClients.find((windowClient) => windowClient.url.startsWith(self.location.origin));
+      if (client) {
+        return client.navigate(url).then((navigated) => (navigated || client).focus());
+      }
+      return clients.openWindow(url);
+    })
+  );
 });
 
 // Listen for messages from main thread
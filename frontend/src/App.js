@@ -39,8 +39,16 @@ import Login from './components/Login';
 import NoteEditor from './components/NoteEditor';
 import NotesList from './components/NotesList';
 import OfflineStatus from './components/OfflineStatus';
+import TrashDialog from './components/TrashDialog';
+import ImportMarkdownDialog from './components/ImportMarkdownDialog';
+import SettingsDialog from './components/SettingsDialog';
+import ShareFolderDialog from './components/ShareFolderDialog';
+import WorkspacesDialog from './components/WorkspacesDialog';
+import NotificationsMenu from './components/NotificationsMenu';
+import TasksView from './components/TasksView';
 import api from './utils/api';
 import offlineStorage from './utils/offlineStorage';
+import { findTaskItems, setTaskChecked } from './utils/tasks';
 import connectionController from './services/ConnectionController';
 import webSocketManager from './services/WebSocketManager';
 import { syncService } from './services/syncService';
@@ -150,6 +158,33 @@ function App() {
   const [conflicts, setConflicts] = useState([]);
   const [showConflictDialog, setShowConflictDialog] = useState(false);
   
+  // Trash state
+  const [showTrashDialog, setShowTrashDialog] = useState(false);
+  const [showTasks, setShowTasks] = useState(false);
+  const [lastTrashedNote, setLastTrashedNote] = useState(null);
+  
+  // Markdown import/export
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  
+  // Settings page (backup & restore)
+  const [showSettings, setShowSettings] = useState(false);
+  
+  // Notebooks (folders)
+  const [folders, setFolders] = useState([]);
+  const [selectedFolderId, setSelectedFolderId] = useState(null);
+  const [shareFolder, setShareFolder] = useState(null);
+  
+  // Team workspaces
+  const [workspaces, setWorkspaces] = useState([]);
+  const [selectedWorkspaceId, setSelectedWorkspaceId] = useState(null);
+  const [showWorkspacesDialog, setShowWorkspacesDialog] = useState(false);
+  
+  // Note to open once it's in the list - from a notification or a push's ?note= link
+  const [pendingOpenNoteId, setPendingOpenNoteId] = useState(() => new URLSearchParams(window.location.search).get('note'));
+  
+  // List order, kept on the server so every device sorts the same way
+  const [sortMode, setSortMode] = useState('updated');
+  
   // WebSocket state - simplified
   const [websocketConnected, setWebsocketConnected] = useState(false);
   const [connectionMode, setConnectionMode] = useState('connecting'); // 'connecting', 'websocket', 'http', 'offline'
@@ -647,6 +682,9 @@ function App() {
       
       setNotes(allNotes);
       setErrorMessage('');
+      loadFolders();
+      loadWorkspaces();
+      loadPreferences();
       
       // Handle selected note updates (non-conflicted only)
       if (selectedNote && syncResult.updatedNotes.length > 0) {
@@ -903,8 +941,11 @@ function App() {
 // STOP
 // STOP
 
-  // Create note function
-  const createNote = async () => {
+  // Create note function (in folderId when it's one of the user's own folders)
+  const createNote = async (folderId = null) => {
+    const targetFolder = folders.find(folder => folder.id === folderId && !folder.shared);
+    const targetFolderId = targetFolder ? targetFolder.id : null;
+    
     try {
       if (pendingSave && selectedNote) {
         await updateNote(selectedNote.id, pendingSave);
@@ -920,7 +961,8 @@ function App() {
           updatedAt: new Date().toISOString(),
           offline: true,
           pendingSync: true,
-          permission: 'edit'
+          permission: 'edit',
+          folderId: targetFolderId
         };
         
         const newNotes = [tempNote, ...notes];
@@ -939,7 +981,8 @@ function App() {
 
       const response = await api.post('/api/notes', {
         title: '',
-        content: ''
+        content: '',
+        ...(targetFolderId ? { folderId: targetFolderId } : {})
       });
       const newNote = response.data;
       setNotes([newNote, ...notes]);
@@ -969,7 +1012,8 @@ function App() {
           updatedAt: new Date().toISOString(),
           offline: true,
           pendingSync: true,
-          permission: 'edit'
+          permission: 'edit',
+          folderId: targetFolderId
         };
         
         const newNotes = [tempNote, ...notes];
@@ -1146,8 +1190,12 @@ function App() {
 
   const deleteNote = async (id) => {
     try {
-      await api.delete(`/api/notes/${id}`);
+      const trashedNote = notes.find(note => note.id === id);
+      const response = await api.delete(`/api/notes/${id}`);
       setNotes(notes.filter(note => note.id !== id));
+      if (response?.data?.trashed && trashedNote) {
+        setLastTrashedNote(trashedNote);
+      }
       if (selectedNote && selectedNote.id === id) {
         setSelectedNote(null);
         if (isMobile) {
@@ -1181,6 +1229,214 @@ function App() {
     }
   };
 
+  // ===== NOTEBOOKS =====
+  
+  const loadFolders = async () => {
+    try {
+      const response = await api.get('/api/folders');
+      setFolders(response.data || []);
+      await offlineStorage.storeMetadata('folders', response.data || []);
+    } catch (error) {
+      // Offline - fall back to the last known folders
+      const cachedFolders = await offlineStorage.getMetadata('folders').catch(() => null);
+      if (cachedFolders) {
+        setFolders(cachedFolders);
+      }
+    }
+  };
+  
+  const handleFolderError = (error, fallbackMessage) => {
+    console.error(fallbackMessage, error);
+    setErrorMessage(error.response?.data?.error || fallbackMessage);
+  };
+  
+  const createFolder = async (name, parentId = null) => {
+    try {
+      await api.post('/api/folders', { name, parentId });
+      await loadFolders();
+    } catch (error) {
+      handleFolderError(error, 'Failed to create notebook.');
+    }
+  };
+  
+  const renameFolder = async (folderId, name) => {
+    try {
+      await api.put(`/api/folders/${folderId}`, { name });
+      await loadFolders();
+    } catch (error) {
+      handleFolderError(error, 'Failed to rename notebook.');
+    }
+  };
+  
+  const moveFolder = async (folderId, parentId) => {
+    try {
+      await api.put(`/api/folders/${folderId}`, { parentId });
+      await loadFolders();
+    } catch (error) {
+      handleFolderError(error, 'Failed to move notebook.');
+    }
+  };
+  
+  const deleteFolder = async (folderId) => {
+    try {
+      await api.delete(`/api/folders/${folderId}`);
+      if (selectedFolderId === folderId) {
+        setSelectedFolderId(null);
+      }
+      await loadFolders();
+      await loadNotes();
+    } catch (error) {
+      handleFolderError(error, 'Failed to delete notebook.');
+    }
+  };
+  
+  // ===== WORKSPACES =====
+  
+  const loadWorkspaces = async () => {
+    try {
+      const response = await api.get('/api/workspaces');
+      setWorkspaces(response.data || []);
+      await offlineStorage.storeMetadata('workspaces', response.data || []);
+    } catch (error) {
+      const cachedWorkspaces = await offlineStorage.getMetadata('workspaces').catch(() => null);
+      if (cachedWorkspaces) {
+        setWorkspaces(cachedWorkspaces);
+      }
+    }
+  };
+  
+  // Membership and workspace notes change which notes are shared with whom
+  const handleWorkspacesChanged = async () => {
+    await loadWorkspaces();
+    await loadNotes();
+  };
+  
+  // Workspaces you left or that were deleted can't stay selected
+  useEffect(() => {
+    if (selectedWorkspaceId && !workspaces.some(workspace => workspace.id === selectedWorkspaceId)) {
+      setSelectedWorkspaceId(null);
+    }
+  }, [workspaces, selectedWorkspaceId]);
+  
+  // ===== NOTIFICATIONS =====
+  
+  useEffect(() => {
+    if (!pendingOpenNoteId) return;
+    const note = notes.find(candidate => candidate.id === pendingOpenNoteId);
+    if (!note) return;
+    
+    setPendingOpenNoteId(null);
+    setShowTasks(false);
+    setSelectedNote(note);
+    if (isMobile) {
+      setMobileView('editor');
+    }
+    if (new URLSearchParams(window.location.search).has('note')) {
+      window.history.replaceState({}, document.title, window.location.pathname);
+    }
+  }, [notes, pendingOpenNoteId, isMobile]);
+  
+  // ===== TASKS =====
+  
+  const openTasks = async () => {
+    if (pendingSave && selectedNote) {
+      try {
+        await updateNote(selectedNote.id, pendingSave);
+        setPendingSave(null);
+      } catch (error) {
+        console.error('Failed to save before opening tasks:', error);
+      }
+    }
+    setShowTasks(true);
+  };
+  
+  const openNoteFromTasks = (noteId) => {
+    setShowTasks(false);
+    setPendingOpenNoteId(noteId);
+  };
+  
+  // Check or uncheck a task from the Tasks view by patching its note's content
+  // and saving it like any other edit, so offline saves and conflicts are handled
+  // by the usual sync. Returns false when the task is no longer where it was.
+  const handleToggleTask = async (task, checked) => {
+    let content = notes.find(note => note.id === task.noteId)?.content;
+    if (isOnline) {
+      try {
+        const response = await api.get(`/api/notes/${task.noteId}`);
+        content = response.data.content;
+      } catch (error) {
+        if (!api.isNetworkError(error)) throw error;
+      }
+    }
+    
+    const current = findTaskItems(content)[task.index];
+    if (!current || current.text !== task.text) {
+      return false;
+    }
+    
+    await updateNote(task.noteId, { content: setTaskChecked(content, task.index, checked) });
+    return true;
+  };
+  
+  // ===== PINNING AND SORTING =====
+  
+  const loadPreferences = async () => {
+    try {
+      const response = await api.get('/api/notes/preferences');
+      setSortMode(response.data.sortMode);
+      await offlineStorage.storeMetadata('preferences', response.data);
+    } catch (error) {
+      const cachedPreferences = await offlineStorage.getMetadata('preferences').catch(() => null);
+      if (cachedPreferences?.sortMode) {
+        setSortMode(cachedPreferences.sortMode);
+      }
+    }
+  };
+  
+  const changeSortMode = async (mode) => {
+    const previousMode = sortMode;
+    setSortMode(mode);
+    
+    try {
+      const response = await api.put('/api/notes/preferences', { sortMode: mode });
+      await offlineStorage.storeMetadata('preferences', response.data);
+    } catch (error) {
+      console.error('Failed to save sort mode:', error);
+      setSortMode(previousMode);
+      setErrorMessage(error.response?.data?.error || 'Failed to change the sort order.');
+    }
+  };
+  
+  const toggleNoteFlag = async (noteId, flags) => {
+    setNotes(prevNotes => prevNotes.map(note => note.id === noteId ? { ...note, ...flags } : note));
+    await updateNote(noteId, flags);
+  };
+  
+  const reorderNotes = async (noteIds) => {
+    const positions = new Map(noteIds.map((id, index) => [id, index]));
+    setNotes(prevNotes => prevNotes.map(note => positions.has(note.id) ? { ...note, sortOrder: positions.get(note.id) } : note));
+    
+    try {
+      await api.put('/api/notes/order', { noteIds });
+    } catch (error) {
+      console.error('Failed to save note order:', error);
+      setErrorMessage(error.response?.data?.error || 'Failed to save the new order.');
+      await loadNotes();
+    }
+  };
+  
+  const moveNoteToFolder = async (noteId, folderId) => {
+    const note = notes.find(n => n.id === noteId);
+    if (!note || (note.folderId || null) === folderId) return;
+    
+    if (folders.find(folder => folder.id === note.folderId)?.shared) {
+      setErrorMessage('Notes in a shared notebook stay where the owner put them.');
+      return;
+    }
+    
+    await updateNote(noteId, { folderId });
+  };
+
   useEffect(() => {
     const token = new URLSearchParams(window.location.search).get('token');
     if (token) {
@@ -1453,6 +1709,31 @@ function App() {
     setNotesTimestamps(new Map());
   };
 
+  // Download every note as a zip of Markdown files
+  const exportAllNotes = async () => {
+    setAnchorEl(null);
+    try {
+      await api.download('/api/notes/export', 'notes.zip');
+    } catch (error) {
+      console.error('Failed to export notes:', error);
+      setErrorMessage(error.response?.data?.error || error.message || 'Failed to export notes');
+    }
+  };
+
+  const undoTrashNote = async () => {
+    const note = lastTrashedNote;
+    setLastTrashedNote(null);
+    if (!note) return;
+
+    try {
+      await api.post(`/api/notes/${note.id}/restore`);
+      await loadNotes();
+    } catch (error) {
+      console.error('Failed to restore note:', error);
+      setErrorMessage('Failed to restore note. You can still restore it from the trash.');
+    }
+  };
+
   const logout = async () => {
     try {
       if (pendingSave && selectedNote) {
@@ -1662,11 +1943,17 @@ function App() {
               </IconButton>
             )}
             
+            <NotificationsMenu
+              onOpenNote={setPendingOpenNoteId}
+              onOpenSettings={() => setShowSettings(true)}
+              isMobile={isMobile}
+            />
+            
             {!isMobile && (
               <Button
                 color="inherit"
                 startIcon={<AddIcon />}
-                onClick={createNote}
+                onClick={() => createNote(selectedFolderId)}
                 sx={{ mr: 2, fontSize: '1rem', px: 3 }}
               >
                 New Note
@@ -1701,6 +1988,12 @@ function App() {
               onClose={() => setAnchorEl(null)}
               sx={{ '& .MuiMenuItem-root': { fontSize: '1rem' } }}
             >
+              <MenuItem onClick={() => { setAnchorEl(null); openTasks(); }}>Tasks</MenuItem>
+              <MenuItem onClick={() => { setAnchorEl(null); setShowWorkspacesDialog(true); }}>Workspaces…</MenuItem>
+              <MenuItem onClick={() => { setAnchorEl(null); setShowTrashDialog(true); }}>Trash</MenuItem>
+              <MenuItem onClick={() => { setAnchorEl(null); setShowImportDialog(true); }}>Import Markdown…</MenuItem>
+              <MenuItem onClick={exportAllNotes}>Export all notes</MenuItem>
+              <MenuItem onClick={() => { setAnchorEl(null); setShowSettings(true); }}>Settings</MenuItem>
               <MenuItem onClick={logout}>Logout</MenuItem>
             </Menu>
           </Toolbar>
@@ -1731,13 +2024,29 @@ function App() {
                 onSelectNote={handleNoteSelect}
                 onDeleteNote={deleteNote}
                 onCreateNote={createNote}
+                folders={folders}
+                selectedFolderId={selectedFolderId}
+                onSelectFolder={setSelectedFolderId}
+                onCreateFolder={createFolder}
+                onRenameFolder={renameFolder}
+                onMoveFolder={moveFolder}
+                onDeleteFolder={deleteFolder}
+                onMoveNote={moveNoteToFolder}
+                onShareFolder={setShareFolder}
+                workspaces={workspaces}
+                selectedWorkspaceId={selectedWorkspaceId}
+                onSelectWorkspace={setSelectedWorkspaceId}
+                sortMode={sortMode}
+                onChangeSortMode={changeSortMode}
+                onToggleNoteFlag={toggleNoteFlag}
+                onReorderNotes={reorderNotes}
                 isMobile={isMobile}
                 currentUser={user}
               />
             </Box>
           )}
 
-          {shouldShowEditor && selectedNote && (!isMobile || mobileView === 'editor') && (
+          {shouldShowEditor && selectedNote && !showTasks && (!isMobile || mobileView === 'editor') && (
             <Box
               sx={{
                 flexGrow: 1,
@@ -1766,7 +2075,32 @@ function App() {
             </Box>
           )}
 
-          {!isMobile && !selectedNote && (
+          {showTasks && (
+            <Box
+              sx={{
+                flexGrow: 1,
+                width: isMobile ? '100%' : 'auto',
+                position: isMobile ? 'absolute' : 'relative',
+                top: 0,
+                left: 0,
+                right: 0,
+                bottom: 0,
+                zIndex: isMobile ? 2 : 'auto',
+                backgroundColor: 'background.default'
+              }}
+            >
+              <TasksView
+                notes={notes}
+                isOnline={isOnline}
+                onOpenNote={openNoteFromTasks}
+                onToggleTask={handleToggleTask}
+                onBack={() => setShowTasks(false)}
+                isMobile={isMobile}
+              />
+            </Box>
+          )}
+
+          {!isMobile && !selectedNote && !showTasks && (
             <Box
               sx={{
                 flexGrow: 1,
@@ -1783,11 +2117,11 @@ function App() {
           )}
         </Box>
 
-        {isMobile && mobileView === 'list' && (
+        {isMobile && mobileView === 'list' && !showTasks && (
           <Fab
             color="primary"
             aria-label="add note"
-            onClick={createNote}
+            onClick={() => createNote(selectedFolderId)}
             sx={{
               position: 'fixed',
               bottom: 24,
@@ -1802,6 +2136,66 @@ function App() {
       
       <OfflineStatus />
       
+      <TrashDialog
+        open={showTrashDialog}
+        onClose={() => setShowTrashDialog(false)}
+        onNotesChanged={() => loadNotes()}
+        isMobile={isMobile}
+      />
+      
+      <ImportMarkdownDialog
+        open={showImportDialog}
+        onClose={() => setShowImportDialog(false)}
+        folders={folders}
+        onImported={() => loadNotes()}
+        isMobile={isMobile}
+      />
+      
+      <SettingsDialog
+        open={showSettings}
+        onClose={() => setShowSettings(false)}
+        onRestored={() => loadNotes()}
+      />
+      
+      <WorkspacesDialog
+        open={showWorkspacesDialog}
+        onClose={() => setShowWorkspacesDialog(false)}
+        currentUser={user}
+        currentNote={selectedNote}
+        onWorkspacesChanged={handleWorkspacesChanged}
+        isMobile={isMobile}
+      />
+      
+      <ShareFolderDialog
+        open={!!shareFolder}
+        onClose={() => setShareFolder(null)}
+        folder={shareFolder}
+        onFolderUpdated={() => loadNotes()}
+      />
+      
+      <Snackbar
+        open={!!lastTrashedNote}
+        autoHideDuration={6000}
+        onClose={(event, reason) => {
+          if (reason !== 'clickaway') {
+            setLastTrashedNote(null);
+          }
+        }}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          severity="info"
+          onClose={() => setLastTrashedNote(null)}
+          action={
+            <Button color="inherit" size="small" onClick={undoTrashNote}>
+              Undo
+            </Button>
+          }
+        >
+          Moved "{lastTrashedNote?.title || 'Untitled'}" to trash
+        </Alert>
+      </Snackbar>
+      
       <Dialog open={showErrorDialog} onClose={() => setShowErrorDialog(false)}>
         <DialogTitle>
           <Box display="flex" alignItems="center" gap={1}>
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Button,
+  Divider,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  NoteAdd as CreateIcon,
+  Edit as EditIcon,
+  PersonAdd as ShareIcon,
+  PersonRemove as UnshareIcon,
+  Lock as LockIcon,
+  Image as ImageIcon,
+  AttachFile as AttachmentIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import { roleLabel } from '../utils/permissions';
+
+const PAGE_SIZE = 30;
+
+const EVENT_ICONS = {
+  create: CreateIcon,
+  edit: EditIcon,
+  share: ShareIcon,
+  unshare: UnshareIcon,
+  lock: LockIcon,
+  image_upload: ImageIcon,
+  attachment_upload: AttachmentIcon,
+  delete: DeleteIcon
+};
+
+const formatEventTime = (dateString) => {
+  try {
+    const date = new Date(dateString);
+    const now = new Date();
+    const sameDay = date.toDateString() === now.toDateString();
+
+    if (sameDay) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  } catch (error) {
+    return 'Unknown date';
+  }
+};
+
+// One line describing what the event's actor did
+const describeEvent = (event) => {
+  const details = event.details || {};
+  const target = details.email || 'someone';
+
+  switch (event.type) {
+    case 'create':
+      return details.source === 'import' ? 'imported the note' : 'created the note';
+    case 'edit':
+      return details.restoredFrom ? 'restored an earlier version' : 'edited the note';
+    case 'share':
+      if (details.ownershipTransfer) return `handed the note over to ${target}`;
+      if (details.roleChange) return `changed ${target}'s role to "${roleLabel(details.permission)}"`;
+      return `${details.pending ? 'invited' : 'shared the note with'} ${target} (${roleLabel(details.permission).toLowerCase()})`;
+    case 'unshare':
+      return details.pending ? `cancelled the invitation for ${target}` : `stopped sharing with ${target}`;
+    case 'lock':
+      return 'locked the note for editing';
+    case 'image_upload':
+      return `added the image ${details.originalName || ''}`.trim();
+    case 'attachment_upload':
+      return `attached the file ${details.originalName || ''}`.trim();
+    case 'delete':
+      return details.permanent ? 'deleted the note permanently' : 'moved the note to the trash';
+    default:
+      return event.type;
+  }
+};
+
+// Who did what to a note, newest first
+const ActivityFeed = ({ noteId, active = true }) => {
+  const [events, setEvents] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadActivity = useCallback(async (before = null) => {
+    if (!noteId) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ noteId, limit: PAGE_SIZE, ...(before ? { before } : {}) });
+      const response = await api.get(`/api/activity?${params}`);
+      setEvents(prev => (before ? [...prev, ...response.data.events] : response.data.events));
+      setHasMore(response.data.hasMore);
+    } catch (error) {
+      console.error('Failed to load activity:', error);
+      setError(error.response?.data?.error || 'Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId]);
+
+  useEffect(() => {
+    if (active) {
+      loadActivity();
+    }
+  }, [active, loadActivity]);
+
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ m: 2 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!loading && events.length === 0) {
+    return (
+      <Box sx={{ p: 3, textAlign: 'center' }}>
+        <Typography color="text.secondary">
+          No activity yet
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ overflow: 'auto', flexGrow: 1 }}>
+      <List>
+        {events.map((event, index) => {
+          const EventIcon = EVENT_ICONS[event.type] || EditIcon;
+          const actorName = event.actor ? (event.actor.name || event.actor.email || 'Someone') : 'Automatic cleanup';
+          return (
+            <React.Fragment key={event.id}>
+              <ListItem alignItems="flex-start">
+                <ListItemAvatar>
+                  <Avatar sx={{ bgcolor: 'action.selected', color: 'text.primary' }}>
+                    <EventIcon fontSize="small" />
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={
+                    <Typography variant="body2">
+                      <strong>{actorName}</strong> {describeEvent(event)}
+                    </Typography>
+                  }
+                  secondary={formatEventTime(event.timestamp)}
+                />
+              </ListItem>
+              {index < events.length - 1 && <Divider component="li" />}
+            </React.Fragment>
+          );
+        })}
+      </List>
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={28} />
+        </Box>
+      )}
+
+      {!loading && hasMore && (
+        <Box sx={{ p: 2, pt: 0 }}>
+          <Button fullWidth onClick={() => loadActivity(events[events.length - 1].id)}>
+            Show older activity
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ActivityFeed;
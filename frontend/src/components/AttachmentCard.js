@@ -0,0 +1,91 @@
+import React from 'react';
+import { NodeViewWrapper } from '@tiptap/react';
+import { Paper, Box, Typography, IconButton, Tooltip } from '@mui/material';
+import {
+  PictureAsPdf as PdfIcon,
+  AudioFile as AudioIcon,
+  Description as DocumentIcon,
+  TableChart as SpreadsheetIcon,
+  Slideshow as PresentationIcon,
+  FolderZip as ArchiveIcon,
+  Article as TextIcon,
+  InsertDriveFile as FileIcon,
+  Visibility as PreviewIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
+
+const FILE_KINDS = [
+  { label: 'PDF', icon: PdfIcon, color: '#d32f2f', match: type => type === 'application/pdf' },
+  { label: 'Audio', icon: AudioIcon, color: '#7b1fa2', match: type => type.startsWith('audio/') },
+  { label: 'Spreadsheet', icon: SpreadsheetIcon, color: '#2e7d32', match: type => /spreadsheet|excel|text\/csv/.test(type) },
+  { label: 'Presentation', icon: PresentationIcon, color: '#ef6c00', match: type => /presentation|powerpoint/.test(type) },
+  { label: 'Document', icon: DocumentIcon, color: '#1565c0', match: type => /wordprocessing|msword|opendocument\.text|rtf/.test(type) },
+  { label: 'Archive', icon: ArchiveIcon, color: '#6d4c41', match: type => /zip|tar|7z|rar/.test(type) },
+  { label: 'Text', icon: TextIcon, color: '#546e7a', match: type => type.startsWith('text/') }
+];
+
+const OTHER_KIND = { label: 'File', icon: FileIcon, color: '#757575' };
+
+export const getFileKind = (contentType) =>
+  FILE_KINDS.find(kind => kind.match(contentType || '')) || OTHER_KIND;
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(bytes < 10 * 1024 ? 1 : 0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Node view of an attachment in the editor: type icon, name and size, with
+// download and (for PDFs) preview buttons
+const AttachmentCard = ({ node, extension, selected }) => {
+  const { name, size, contentType } = node.attrs;
+  const kind = getFileKind(contentType);
+  const Icon = kind.icon;
+  const { onDownload, onPreview } = extension.options;
+
+  return (
+    <NodeViewWrapper data-drag-handle>
+      <Paper
+        variant="outlined"
+        contentEditable={false}
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1.5,
+          p: 1.5,
+          my: 1,
+          maxWidth: 480,
+          borderColor: selected ? 'primary.main' : 'divider',
+          userSelect: 'none'
+        }}
+      >
+        <Icon sx={{ color: kind.color, fontSize: 32, flexShrink: 0 }} />
+        <Box sx={{ minWidth: 0, flex: 1 }}>
+          <Typography variant="body2" noWrap sx={{ fontWeight: 500 }} title={name}>
+            {name}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {[kind.label, formatFileSize(size)].filter(Boolean).join(' · ')}
+          </Typography>
+        </Box>
+        {contentType === 'application/pdf' && onPreview && (
+          <Tooltip title="Preview">
+            <IconButton size="small" onClick={() => onPreview(node.attrs)}>
+              <PreviewIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        {onDownload && (
+          <Tooltip title="Download">
+            <IconButton size="small" onClick={() => onDownload(node.attrs)}>
+              <DownloadIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Paper>
+    </NodeViewWrapper>
+  );
+};
+
+export default AttachmentCard;
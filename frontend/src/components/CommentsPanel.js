@@ -0,0 +1,378 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  Avatar,
+  Button,
+  TextField,
+  Alert,
+  Paper,
+  Chip,
+  Switch,
+  FormControlLabel,
+  CircularProgress
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Comment as CommentIcon,
+  CheckCircleOutline as ResolveIcon,
+  Replay as ReopenIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import { canCommentNote } from '../utils/permissions';
+
+const formatCommentTime = (dateString) => {
+  try {
+    const date = new Date(dateString);
+    const now = new Date();
+    const sameDay = date.toDateString() === now.toDateString();
+
+    if (sameDay) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  } catch (error) {
+    return '';
+  }
+};
+
+const Quote = ({ text, detached }) => (
+  <Box
+    sx={{
+      borderLeft: 3,
+      borderColor: detached ? 'divider' : 'warning.main',
+      pl: 1,
+      mb: 1,
+      color: 'text.secondary',
+      fontStyle: 'italic',
+      overflow: 'hidden',
+      display: '-webkit-box',
+      WebkitLineClamp: 3,
+      WebkitBoxOrient: 'vertical'
+    }}
+  >
+    <Typography variant="body2" component="span" sx={{ textDecoration: detached ? 'line-through' : 'none' }}>
+      {text}
+    </Typography>
+  </Box>
+);
+
+// Side panel listing a note's comment threads. Threads are owned by NoteEditor
+// (they also drive the highlights in the editor); every request here returns
+// the full updated list, which is handed back through onThreadsChange.
+const CommentsPanel = ({
+  open,
+  onClose,
+  note,
+  threads,
+  activeThreadId,
+  onSelectThread,
+  pendingAnchor,
+  onCancelPending,
+  onThreadsChange,
+  currentUser,
+  isMobile = false
+}) => {
+  const [newComment, setNewComment] = useState('');
+  const [replies, setReplies] = useState({});
+  const [editing, setEditing] = useState(null); // { threadId, commentId, body }
+  const [showResolved, setShowResolved] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Viewers can read threads; owners and co-owners can delete anyone's comments
+  const canComment = canCommentNote(note);
+  const canModerate = !note?.sharedBy || note?.permission === 'owner';
+
+  useEffect(() => {
+    setNewComment('');
+    setReplies({});
+    setEditing(null);
+    setError('');
+  }, [note?.id]);
+
+  const request = async (method, url, data) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await api[method](url, data);
+      onThreadsChange(response.data.threads || []);
+      return true;
+    } catch (error) {
+      console.error('Comment request failed:', error);
+      setError(error.response?.data?.error || 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!pendingAnchor || !newComment.trim()) return;
+    const created = await request('post', `/api/notes/${note.id}/comments`, {
+      anchor: pendingAnchor,
+      body: newComment
+    });
+    if (created) {
+      setNewComment('');
+      onCancelPending();
+    }
+  };
+
+  const handleReply = async (threadId) => {
+    const body = replies[threadId];
+    if (!body?.trim()) return;
+    if (await request('post', `/api/notes/${note.id}/comments/${threadId}/replies`, { body })) {
+      setReplies(prev => ({ ...prev, [threadId]: '' }));
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editing?.body.trim()) return;
+    const { threadId, commentId, body } = editing;
+    if (await request('put', `/api/notes/${note.id}/comments/${threadId}/replies/${commentId}`, { body })) {
+      setEditing(null);
+    }
+  };
+
+  const handleStatus = (threadId, status) => request('put', `/api/notes/${note.id}/comments/${threadId}`, { status });
+
+  const handleDelete = (threadId, commentId) => request('delete', `/api/notes/${note.id}/comments/${threadId}/replies/${commentId}`);
+
+  const openCount = threads.filter(t => t.status !== 'resolved').length;
+  const visibleThreads = threads
+    .filter(t => showResolved || t.status !== 'resolved' || t.id === activeThreadId)
+    .sort((a, b) => (a.detached - b.detached) || (a.anchor.start - b.anchor.start));
+
+  return (
+    <Drawer
+      anchor="right"
+      open={open}
+      onClose={onClose}
+      variant={isMobile ? 'temporary' : 'persistent'}
+      PaperProps={{
+        sx: { width: isMobile ? '100%' : 360, maxWidth: '100%' }
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, p: 2, borderBottom: 1, borderColor: 'divider' }}>
+        <CommentIcon color="primary" />
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Comments
+        </Typography>
+        {busy && <CircularProgress size={20} />}
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ px: 2, py: 0.5, borderBottom: 1, borderColor: 'divider' }}>
+        <FormControlLabel
+          control={<Switch size="small" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />}
+          label={<Typography variant="body2">Show resolved</Typography>}
+        />
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ m: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ overflow: 'auto', flexGrow: 1, p: 2, display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {pendingAnchor && canComment && (
+          <Paper variant="outlined" sx={{ p: 1.5, borderColor: 'primary.main' }}>
+            <Quote text={pendingAnchor.quote} />
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              size="small"
+              placeholder="Add a comment..."
+              value={newComment}
+              onChange={(e) => setNewComment(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleCreate();
+              }}
+              autoFocus
+            />
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+              <Button size="small" onClick={() => { setNewComment(''); onCancelPending(); }}>
+                Cancel
+              </Button>
+              <Button size="small" variant="contained" onClick={handleCreate} disabled={busy || !newComment.trim()}>
+                Comment
+              </Button>
+            </Box>
+          </Paper>
+        )}
+
+        {visibleThreads.length === 0 && !pendingAnchor && (
+          <Box sx={{ p: 2, textAlign: 'center' }}>
+            <Typography color="text.secondary">
+              {threads.length > openCount ? 'All comments are resolved' : 'No comments yet'}
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              {canComment
+                ? 'Select some text and press the comment button to start a discussion.'
+                : 'You can read the comments on this note but not add any.'}
+            </Typography>
+          </Box>
+        )}
+
+        {visibleThreads.map(thread => {
+          const resolved = thread.status === 'resolved';
+          const active = thread.id === activeThreadId;
+
+          return (
+            <Paper
+              key={thread.id}
+              variant="outlined"
+              onClick={() => onSelectThread(thread.id)}
+              sx={{
+                p: 1.5,
+                cursor: 'pointer',
+                borderColor: active ? 'warning.main' : 'divider',
+                opacity: resolved && !active ? 0.7 : 1
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1 }}>
+                <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                  <Quote text={thread.anchor.quote} detached={thread.detached} />
+                </Box>
+                {canComment && (
+                  <IconButton
+                    size="small"
+                    title={resolved ? 'Reopen' : 'Resolve'}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleStatus(thread.id, resolved ? 'open' : 'resolved');
+                    }}
+                    disabled={busy}
+                  >
+                    {resolved ? <ReopenIcon fontSize="small" /> : <ResolveIcon fontSize="small" />}
+                  </IconButton>
+                )}
+              </Box>
+
+              {(thread.detached || resolved) && (
+                <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                  {thread.detached && <Chip label="Text deleted" size="small" variant="outlined" />}
+                  {resolved && (
+                    <Chip
+                      label={`Resolved${thread.resolvedBy ? ` by ${thread.resolvedBy.name}` : ''}`}
+                      size="small"
+                      color="success"
+                      variant="outlined"
+                    />
+                  )}
+                </Box>
+              )}
+
+              {thread.comments.map(comment => {
+                const isAuthor = canComment && comment.author.id === currentUser?.id;
+                const isEditing = editing?.commentId === comment.id;
+
+                return (
+                  <Box key={comment.id} sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                    <Avatar src={comment.author.avatar || undefined} sx={{ width: 28, height: 28, fontSize: 14 }}>
+                      {comment.author.name?.charAt(0)}
+                    </Avatar>
+                    <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }} noWrap>
+                          {comment.author.name || 'Unknown'}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }} noWrap>
+                          {formatCommentTime(comment.createdAt)}{comment.editedAt ? ' (edited)' : ''}
+                        </Typography>
+                        {isAuthor && !isEditing && (
+                          <IconButton
+                            size="small"
+                            title="Edit"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setEditing({ threadId: thread.id, commentId: comment.id, body: comment.body });
+                            }}
+                          >
+                            <EditIcon sx={{ fontSize: 16 }} />
+                          </IconButton>
+                        )}
+                        {(isAuthor || (canComment && canModerate)) && !isEditing && (
+                          <IconButton
+                            size="small"
+                            title={comment.id === thread.comments[0].id ? 'Delete thread' : 'Delete'}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDelete(thread.id, comment.id);
+                            }}
+                            disabled={busy}
+                          >
+                            <DeleteIcon sx={{ fontSize: 16 }} />
+                          </IconButton>
+                        )}
+                      </Box>
+                      {isEditing ? (
+                        <Box onClick={(e) => e.stopPropagation()}>
+                          <TextField
+                            fullWidth
+                            multiline
+                            size="small"
+                            value={editing.body}
+                            onChange={(e) => setEditing(prev => ({ ...prev, body: e.target.value }))}
+                            autoFocus
+                          />
+                          <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 0.5 }}>
+                            <Button size="small" onClick={() => setEditing(null)}>
+                              Cancel
+                            </Button>
+                            <Button size="small" variant="contained" onClick={handleSaveEdit} disabled={busy || !editing.body.trim()}>
+                              Save
+                            </Button>
+                          </Box>
+                        </Box>
+                      ) : (
+                        <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                          {comment.body}
+                        </Typography>
+                      )}
+                    </Box>
+                  </Box>
+                );
+              })}
+
+              {active && canComment && (
+                <Box sx={{ display: 'flex', gap: 1, mt: 1.5 }} onClick={(e) => e.stopPropagation()}>
+                  <TextField
+                    fullWidth
+                    multiline
+                    size="small"
+                    placeholder="Reply..."
+                    value={replies[thread.id] || ''}
+                    onChange={(e) => setReplies(prev => ({ ...prev, [thread.id]: e.target.value }))}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleReply(thread.id);
+                    }}
+                  />
+                  <Button
+                    size="small"
+                    variant="contained"
+                    onClick={() => handleReply(thread.id)}
+                    disabled={busy || !replies[thread.id]?.trim()}
+                  >
+                    Reply
+                  </Button>
+                </Box>
+              )}
+            </Paper>
+          );
+        })}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default CommentsPanel;
@@ -0,0 +1,339 @@
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Typography,
+  Menu,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  Tooltip,
+  Collapse
+} from '@mui/material';
+import {
+  Folder as FolderIcon,
+  FolderOpen as FolderOpenIcon,
+  FolderShared as FolderSharedIcon,
+  CreateNewFolder as CreateNewFolderIcon,
+  Notes as AllNotesIcon,
+  ExpandMore as ExpandMoreIcon,
+  ChevronRight as ChevronRightIcon,
+  MoreVert as MoreVertIcon
+} from '@mui/icons-material';
+
+// dataTransfer types used when dragging notes (from NotesList) and folders
+export const NOTE_DRAG_TYPE = 'application/x-note-id';
+const FOLDER_DRAG_TYPE = 'application/x-folder-id';
+
+const FolderTree = ({
+  folders = [],
+  notes = [],
+  selectedFolderId,
+  onSelectFolder,
+  onCreateFolder,
+  onRenameFolder,
+  onMoveFolder,
+  onDeleteFolder,
+  onMoveNote,
+  onShareFolder,
+  isMobile = false
+}) => {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [collapsed, setCollapsed] = useState(false);
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [menuFolder, setMenuFolder] = useState(null);
+  const [nameDialog, setNameDialog] = useState(null); // { mode: 'create' | 'rename', parentId, folder }
+  const [folderName, setFolderName] = useState('');
+  const [deleteFolder, setDeleteFolder] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const childrenByParent = useMemo(() => {
+    const folderIds = new Set(folders.map(folder => folder.id));
+    const map = new Map();
+    folders.forEach(folder => {
+      // A parent we can't see (e.g. above a shared folder) puts the folder at the top
+      const parentId = folder.parentId && folderIds.has(folder.parentId) ? folder.parentId : null;
+      if (!map.has(parentId)) map.set(parentId, []);
+      map.get(parentId).push(folder);
+    });
+    map.forEach(children => children.sort((a, b) => a.name.localeCompare(b.name)));
+    return map;
+  }, [folders]);
+
+  const noteCounts = useMemo(() => {
+    const counts = new Map();
+    notes.forEach(note => {
+      if (note?.folderId) counts.set(note.folderId, (counts.get(note.folderId) || 0) + 1);
+    });
+    return counts;
+  }, [notes]);
+
+  const toggleExpanded = (folderId) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(folderId)) {
+        next.delete(folderId);
+      } else {
+        next.add(folderId);
+      }
+      return next;
+    });
+  };
+
+  const isInSubtree = (folderId, rootId) => {
+    const byId = new Map(folders.map(folder => [folder.id, folder]));
+    let current = byId.get(folderId);
+    while (current) {
+      if (current.id === rootId) return true;
+      current = byId.get(current.parentId);
+    }
+    return false;
+  };
+
+  // ===== DRAG AND DROP =====
+
+  const canDropOn = (folder) => !folder || !folder.shared;
+
+  const handleDragOver = (e, folder) => {
+    const types = Array.from(e.dataTransfer.types || []);
+    if (!canDropOn(folder) || (!types.includes(NOTE_DRAG_TYPE) && !types.includes(FOLDER_DRAG_TYPE))) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTarget(folder ? folder.id : 'root');
+  };
+
+  const handleDrop = (e, folder) => {
+    e.preventDefault();
+    setDropTarget(null);
+    if (!canDropOn(folder)) return;
+
+    const targetId = folder ? folder.id : null;
+    const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+    const folderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE);
+
+    if (noteId) {
+      onMoveNote(noteId, targetId);
+    } else if (folderId && folderId !== targetId && !(targetId && isInSubtree(targetId, folderId))) {
+      onMoveFolder(folderId, targetId);
+      if (targetId) {
+        setExpanded(prev => new Set(prev).add(targetId));
+      }
+    }
+  };
+
+  // ===== MENU AND DIALOGS =====
+
+  const openMenu = (e, folder) => {
+    e.stopPropagation();
+    setMenuAnchor(e.currentTarget);
+    setMenuFolder(folder);
+  };
+
+  const closeMenu = () => {
+    setMenuAnchor(null);
+    setMenuFolder(null);
+  };
+
+  const openNameDialog = (mode, { parentId = null, folder = null } = {}) => {
+    closeMenu();
+    setFolderName(mode === 'rename' ? folder.name : '');
+    setNameDialog({ mode, parentId, folder });
+  };
+
+  const handleNameSubmit = async () => {
+    const name = folderName.trim();
+    if (!name) return;
+
+    const { mode, parentId, folder } = nameDialog;
+    setNameDialog(null);
+
+    if (mode === 'rename') {
+      await onRenameFolder(folder.id, name);
+    } else {
+      await onCreateFolder(name, parentId);
+      if (parentId) {
+        setExpanded(prev => new Set(prev).add(parentId));
+      }
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    const folder = deleteFolder;
+    setDeleteFolder(null);
+    await onDeleteFolder(folder.id);
+  };
+
+  const renderFolder = (folder, depth) => {
+    const children = childrenByParent.get(folder.id) || [];
+    const isExpanded = expanded.has(folder.id);
+    const isSelected = selectedFolderId === folder.id;
+    const Icon = folder.shared ? FolderSharedIcon : (isExpanded ? FolderOpenIcon : FolderIcon);
+
+    return (
+      <React.Fragment key={folder.id}>
+        <ListItemButton
+          selected={isSelected}
+          onClick={() => onSelectFolder(folder.id)}
+          draggable={!folder.shared}
+          onDragStart={(e) => {
+            e.dataTransfer.setData(FOLDER_DRAG_TYPE, folder.id);
+            e.dataTransfer.effectAllowed = 'move';
+          }}
+          onDragOver={(e) => handleDragOver(e, folder)}
+          onDragLeave={() => setDropTarget(null)}
+          onDrop={(e) => handleDrop(e, folder)}
+          sx={{
+            pl: 1 + depth * 2,
+            py: isMobile ? 1 : 0.5,
+            outline: dropTarget === folder.id ? 2 : 0,
+            outlineColor: 'primary.main',
+            outlineStyle: 'dashed'
+          }}
+        >
+          <Box
+            component="span"
+            onClick={(e) => {
+              e.stopPropagation();
+              if (children.length > 0) toggleExpanded(folder.id);
+            }}
+            sx={{ display: 'flex', width: 24, color: 'text.secondary' }}
+          >
+            {children.length > 0 && (isExpanded ? <ExpandMoreIcon fontSize="small" /> : <ChevronRightIcon fontSize="small" />)}
+          </Box>
+          <ListItemIcon sx={{ minWidth: 32 }}>
+            <Tooltip title={folder.shared ? `Shared by ${folder.sharedBy}` : ''} disableHoverListener={!folder.shared}>
+              <Icon fontSize="small" color={isSelected ? 'primary' : 'action'} />
+            </Tooltip>
+          </ListItemIcon>
+          <ListItemText
+            primary={folder.name}
+            primaryTypographyProps={{ noWrap: true, fontSize: isMobile ? '1rem' : '0.9rem' }}
+          />
+          <Typography variant="caption" color="text.disabled" sx={{ mx: 1 }}>
+            {noteCounts.get(folder.id) || ''}
+          </Typography>
+          {!folder.shared && (
+            <IconButton size="small" edge="end" onClick={(e) => openMenu(e, folder)}>
+              <MoreVertIcon fontSize="small" />
+            </IconButton>
+          )}
+        </ListItemButton>
+        {children.length > 0 && (
+          <Collapse in={isExpanded} timeout="auto" unmountOnExit>
+            {children.map(child => renderFolder(child, depth + 1))}
+          </Collapse>
+        )}
+      </React.Fragment>
+    );
+  };
+
+  const topLevelFolders = childrenByParent.get(null) || [];
+
+  return (
+    <Box sx={{ mt: 1.5 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+        <Box
+          onClick={() => setCollapsed(prev => !prev)}
+          sx={{ display: 'flex', alignItems: 'center', cursor: 'pointer', flexGrow: 1, color: 'text.secondary' }}
+        >
+          {collapsed ? <ChevronRightIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+          <Typography variant="overline" sx={{ lineHeight: 2 }}>
+            Notebooks
+          </Typography>
+        </Box>
+        <Tooltip title="New notebook">
+          <IconButton size="small" onClick={() => openNameDialog('create')}>
+            <CreateNewFolderIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Collapse in={!collapsed} timeout="auto">
+        <List dense disablePadding sx={{ maxHeight: isMobile ? 240 : 280, overflow: 'auto' }}>
+          <ListItemButton
+            selected={!selectedFolderId}
+            onClick={() => onSelectFolder(null)}
+            onDragOver={(e) => handleDragOver(e, null)}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => handleDrop(e, null)}
+            sx={{
+              pl: 1,
+              py: isMobile ? 1 : 0.5,
+              outline: dropTarget === 'root' ? 2 : 0,
+              outlineColor: 'primary.main',
+              outlineStyle: 'dashed'
+            }}
+          >
+            <Box component="span" sx={{ width: 24 }} />
+            <ListItemIcon sx={{ minWidth: 32 }}>
+              <AllNotesIcon fontSize="small" color={!selectedFolderId ? 'primary' : 'action'} />
+            </ListItemIcon>
+            <ListItemText
+              primary="All notes"
+              primaryTypographyProps={{ fontSize: isMobile ? '1rem' : '0.9rem' }}
+            />
+          </ListItemButton>
+          {topLevelFolders.map(folder => renderFolder(folder, 0))}
+        </List>
+      </Collapse>
+
+      <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={closeMenu}>
+        <MenuItem onClick={() => openNameDialog('create', { parentId: menuFolder.id })}>New subfolder</MenuItem>
+        <MenuItem onClick={() => openNameDialog('rename', { folder: menuFolder })}>Rename</MenuItem>
+        <MenuItem onClick={() => { const folder = menuFolder; closeMenu(); onShareFolder(folder); }}>Share…</MenuItem>
+        {menuFolder?.parentId && (
+          <MenuItem onClick={() => { const folder = menuFolder; closeMenu(); onMoveFolder(folder.id, null); }}>Move to top level</MenuItem>
+        )}
+        <MenuItem onClick={() => { setDeleteFolder(menuFolder); closeMenu(); }} sx={{ color: 'error.main' }}>Delete</MenuItem>
+      </Menu>
+
+      <Dialog open={!!nameDialog} onClose={() => setNameDialog(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{nameDialog?.mode === 'rename' ? 'Rename notebook' : 'New notebook'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={folderName}
+            onChange={(e) => setFolderName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleNameSubmit();
+            }}
+            inputProps={{ maxLength: 100 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNameDialog(null)}>Cancel</Button>
+          <Button onClick={handleNameSubmit} variant="contained" disabled={!folderName.trim()}>
+            {nameDialog?.mode === 'rename' ? 'Rename' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!deleteFolder} onClose={() => setDeleteFolder(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete notebook</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Delete "{deleteFolder?.name}"? Its notes and subfolders move up one level; no notes are deleted.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteFolder(null)}>Cancel</Button>
+          <Button onClick={handleDeleteConfirm} color="error" variant="contained">Delete</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default FolderTree;
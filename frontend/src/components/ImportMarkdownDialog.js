@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import {
+  FileUpload as ImportIcon,
+  Description as FileIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+
+// Own notebooks in tree order, with their depth for indentation
+const flattenFolders = (folders) => {
+  const ownFolders = folders.filter(folder => !folder.shared);
+  const result = [];
+  const visit = (parentId, depth) => {
+    ownFolders
+      .filter(folder => (folder.parentId || null) === parentId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(folder => {
+        result.push({ ...folder, depth });
+        visit(folder.id, depth + 1);
+      });
+  };
+  visit(null, 0);
+  return result;
+};
+
+const ImportMarkdownDialog = ({ open, onClose, folders = [], onImported, isMobile = false }) => {
+  const [file, setFile] = useState(null);
+  const [folderId, setFolderId] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setFile(null);
+      setProgress(null);
+      setError('');
+      setResult(null);
+    }
+  }, [open]);
+
+  const importing = progress !== null;
+
+  const handleImport = async () => {
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    if (folderId) {
+      formData.append('folderId', folderId);
+    }
+
+    setProgress(0);
+    setError('');
+    setResult(null);
+
+    try {
+      const response = await api.api.post('/api/notes/import', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: (progressEvent) => {
+          setProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+        }
+      });
+
+      setResult(response.data);
+      setFile(null);
+      if (onImported && response.data.imported.length > 0) {
+        onImported();
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      setError(error.response?.data?.error || 'Failed to import notes');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={importing ? undefined : onClose} maxWidth="sm" fullWidth fullScreen={isMobile}>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" gap={1}>
+          <ImportIcon />
+          Import Markdown
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Import a Markdown file, or a .zip of them. Folders in the zip become notebooks and images linked with relative paths are imported too.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {result && (
+          <Alert severity={result.skipped.length > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+            Imported {result.imported.length} {result.imported.length === 1 ? 'note' : 'notes'}
+            {result.skipped.length > 0 && `, ${result.skipped.length} skipped`}
+          </Alert>
+        )}
+
+        {result && result.skipped.length > 0 && (
+          <List dense sx={{ mb: 2 }}>
+            {result.skipped.map(item => (
+              <ListItem key={item.name}>
+                <ListItemText primary={item.name} secondary={item.reason} />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <input
+          type="file"
+          ref={fileInputRef}
+          accept=".md,.markdown,.txt,.zip"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setResult(null);
+            e.target.value = '';
+          }}
+        />
+
+        <Box display="flex" alignItems="center" gap={2} sx={{ mb: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<FileIcon />}
+            onClick={() => fileInputRef.current?.click()}
+            disabled={importing}
+          >
+            Choose file
+          </Button>
+          <Typography variant="body2" color={file ? 'text.primary' : 'text.secondary'} noWrap>
+            {file ? file.name : 'No file selected'}
+          </Typography>
+        </Box>
+
+        <FormControl fullWidth size="small" disabled={importing}>
+          <InputLabel>Import into</InputLabel>
+          <Select
+            value={folderId}
+            onChange={(e) => setFolderId(e.target.value)}
+            label="Import into"
+          >
+            <MenuItem value="">All notes (no notebook)</MenuItem>
+            {flattenFolders(folders).map(folder => (
+              <MenuItem key={folder.id} value={folder.id} sx={{ pl: 2 + folder.depth * 2 }}>
+                {folder.name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {importing && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {progress < 100 ? `Uploading... ${progress}%` : 'Importing notes...'}
+            </Typography>
+            <LinearProgress
+              variant={progress < 100 ? 'determinate' : 'indeterminate'}
+              value={progress}
+            />
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} disabled={importing}>
+          {result ? 'Done' : 'Cancel'}
+        </Button>
+        <Button
+          onClick={handleImport}
+          variant="contained"
+          disabled={!file || importing}
+          startIcon={<ImportIcon />}
+        >
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportMarkdownDialog;
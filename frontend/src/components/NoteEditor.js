@@ -6,6 +6,7 @@ import {
   Paper,
   Typography,
   Chip,
+  Badge,
   IconButton,
   Alert,
   Tooltip,
@@ -22,7 +23,13 @@ import {
   LinearProgress,
   Avatar,
   AvatarGroup,
-  Collapse
+  Collapse,
+  Popper,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Snackbar
 } from '@mui/material';
 import {
   Share as ShareIcon,
@@ -53,21 +60,38 @@ import {
   Close as CloseIcon,
   Wifi as WifiIcon,
   WifiOff as WifiOffIcon,
-  FlashOn as RealtimeIcon
+  FlashOn as RealtimeIcon,
+  History as HistoryIcon,
+  ChatBubbleOutline as CommentIcon,
+  Download as DownloadIcon,
+  Event as DueDateIcon,
+  AlarmAdd as ReminderIcon,
+  AlarmOn as ReminderSetIcon,
+  AttachFile as AttachFileIcon
 } from '@mui/icons-material';
 import { useEditor, EditorContent } from '@tiptap/react';
 import StarterKit from '@tiptap/starter-kit';
 import Underline from '@tiptap/extension-underline';
 import Link from '@tiptap/extension-link';
-import Image from '@tiptap/extension-image';
 import DropCursor from '@tiptap/extension-dropcursor';
 import TaskList from '@tiptap/extension-task-list';
 import TaskItem from '@tiptap/extension-task-item';
 import api from '../utils/api';
 import ShareNoteDialog from './ShareNoteDialog';
+import VersionHistoryDrawer from './VersionHistoryDrawer';
+import CommentsPanel from './CommentsPanel';
+import CommentHighlights, { getSelectionAnchor } from '../utils/commentHighlights';
+import RemoteCursors, { cursorColor } from '../utils/remoteCursors';
+import Mention from '../utils/mentions';
+import TaskDueDates, { findTaskItem } from '../utils/dueDates';
+import ResponsiveImage, { getResponsiveAttributes } from '../utils/responsiveImage';
+import Attachment, { getAttachmentPath } from '../utils/attachments';
+import { canEditNote, canCommentNote, canShareNote } from '../utils/permissions';
+import NoteTagsField from './NoteTagsField';
 import { syncService, ConflictResolutionStrategies } from '../services/syncService';
 import { useAppLifecycle } from '../hooks/useAppLifecycle';
 import webSocketManager from '../services/WebSocketManager';
+import CrdtSession, { isRemoteTransaction } from '../services/CrdtSession';
 import offlineStorage from '../utils/offlineStorage';
 
 // Enhanced import testing for diff system
@@ -107,6 +131,8 @@ const devLog = (...args) => {
   }
 };
 
+const CURSOR_SEND_INTERVAL = 100; // ms - caret updates sent to collaborators at most this often
+
 
 // Utility function to normalize content for comparison
 // Prevents ghost saves from minor whitespace/encoding differences
@@ -142,6 +168,17 @@ const NoteEditor = ({
   const [lockError, setLockError] = useState('');
   const [lastSaveTime, setLastSaveTime] = useState(null); // Track when we last saved to suppress rapid conflict dialogs
   const [shareDialogOpen, setShareDialogOpen] = useState(false);
+  const [historyDrawerOpen, setHistoryDrawerOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [commentsOpen, setCommentsOpen] = useState(false);
+  const [commentThreads, setCommentThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [pendingAnchor, setPendingAnchor] = useState(null);
+  const [mentionableUsers, setMentionableUsers] = useState([]);
+  const [mentionSuggestion, setMentionSuggestion] = useState(null); // { query, from, to, rect } while typing an @mention
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const [dateDialog, setDateDialog] = useState(null); // { kind: 'task' | 'reminder', value } while picking a date
+  const [tags, setTags] = useState(note?.tags || []);
   const [isInitializing, setIsInitializing] = useState(false);
   const [toolbarExpanded, setToolbarExpanded] = useState(() => {
     // Remember user's preference
@@ -155,6 +192,8 @@ const NoteEditor = ({
   const [imageError, setImageError] = useState('');
   const [uploadProgress, setUploadProgress] = useState(0);
   const [dragOver, setDragOver] = useState(false);
+  const [attachmentStatus, setAttachmentStatus] = useState(null); // { name, progress } while uploading, { error } when it failed
+  const [pdfPreview, setPdfPreview] = useState(null); // { name, url } of the PDF shown in the preview dialog
   
   // Enhanced collaboration state with WebSocket
   const [activeEditors, setActiveEditors] = useState([]);
@@ -168,6 +207,7 @@ const NoteEditor = ({
   // NEW: WebSocket states
 //  const [websocketConnected, setWebsocketConnected] = useState(false);
   const [realtimeEnabled, setRealtimeEnabled] = useState(false);
+  const [crdtEpoch, setCrdtEpoch] = useState(0); // Bumped to start a fresh co-editing session
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [lastRealtimeUpdate, setLastRealtimeUpdate] = useState(null);
   
@@ -190,7 +230,14 @@ const NoteEditor = ({
   const recentCheckboxInteractionRef = useRef(0); // Timestamp of last checkbox interaction
   const lastKnownScrollPositionRef = useRef(0); // Track the last known scroll position
   const fileInputRef = useRef(null);
+  const attachmentInputRef = useRef(null);
   const dragCounterRef = useRef(0);
+  const commentClickRef = useRef(null); // Latest handler for clicks on highlighted comments
+  const mentionKeyDownRef = useRef(null); // Latest handler for keys while picking someone to @mention
+  const downloadAttachmentRef = useRef(null); // Latest handlers for the buttons on attachment cards
+  const previewAttachmentRef = useRef(null);
+  const crdtSessionRef = useRef(null); // Live co-editing session for the open note
+  const remoteCursorsRef = useRef(new Map()); // connectionId -> { user, anchor, head } of collaborators' carets
   const lastLocalUpdateRef = useRef(null);
   const applyingRemoteChangesRef = useRef(false);
   const noteTimestampRef = useRef(null);
@@ -434,6 +481,13 @@ const NoteEditor = ({
   const handleRealtimeNoteUpdate = useCallback((data) => {
     if (!data || !data.updates || !isWebSocketActive) return;
     
+    // While co-editing, content arrives through the shared document - only take the title
+    if (crdtSessionRef.current?.isLive()) {
+      const { content, contentDiff, ...otherUpdates } = data.updates;
+      if (otherUpdates.title === undefined) return;
+      data = { ...data, updates: otherUpdates };
+    }
+    
     // Enhanced boomerang detection to prevent false conflicts in single-user editing
     const currentConnectionId = webSocketManager.getConnectionId();
     const currentUserId = currentUser?.id;
@@ -712,6 +766,11 @@ const NoteEditor = ({
       return;
     }
 
+    // Content is saved from the shared document while co-editing
+    if (crdtSessionRef.current?.isLive()) {
+      return;
+    }
+
     // If a save is in progress, mark that we have pending changes and return
     if (!saveStateRef.current.canSave) {
       pendingChangesRef.current = true;
@@ -1128,16 +1187,32 @@ const NoteEditor = ({
           class: 'tiptap-link',
         },
       }),
-      Image.configure({
+      ResponsiveImage.configure({
         HTMLAttributes: {
           class: 'tiptap-image',
         },
         allowBase64: true,
       }),
+      Attachment.configure({
+        onDownload: (attrs) => downloadAttachmentRef.current?.(attrs),
+        onPreview: (attrs) => previewAttachmentRef.current?.(attrs),
+      }),
       DropCursor.configure({
         color: '#1976d2',
         width: 2,
       }),
+      CommentHighlights.configure({
+        onThreadClick: (threadId) => commentClickRef.current?.(threadId),
+      }),
+      RemoteCursors,
+      TaskDueDates,
+      Mention.configure({
+        onSuggestion: (suggestion) => {
+          setMentionSuggestion(suggestion);
+          setMentionIndex(0);
+        },
+        onKeyDown: (event) => mentionKeyDownRef.current?.(event) || false,
+      }),
     ],
     content: '',
     editable: true,
@@ -1188,7 +1263,11 @@ const NoteEditor = ({
       document.head.appendChild(style);
       
     },
-    onUpdate: ({ editor }) => {
+    onUpdate: ({ editor, transaction }) => {
+      if (isRemoteTransaction(transaction)) {
+        console.log('🔄 Ignoring co-editor change');
+        return;
+      }
       if (!isInitializing && editorReadyRef.current && !applyingRemoteChangesRef.current) {
         console.log('👤 User interaction detected (not remote update)');
         userInteractedRef.current = true;
@@ -1692,6 +1771,26 @@ const NoteEditor = ({
     }
   }, [onUpdateNote, title, getCurrentContent]);
 
+  // Keep tags in step with the note (sync and hashtag extraction happen server-side)
+  useEffect(() => {
+    setTags(note?.tags || []);
+  }, [note?.id, note?.tags]);
+
+  // Tags are personal, so they can be changed even on read-only shared notes
+  const handleTagsChange = useCallback(async (newTags) => {
+    if (!note?.id) return;
+    
+    const previousTags = tags;
+    setTags(newTags);
+    
+    try {
+      await onUpdateNote(note.id, { tags: newTags });
+    } catch (error) {
+      console.error('Failed to update tags:', error);
+      setTags(previousTags);
+    }
+  }, [note?.id, tags, onUpdateNote]);
+
   // Legacy HTTP-based functions (fallback when WebSocket unavailable)
   const checkForUpdates = useCallback(async () => {
     const effectiveTimestamp = lastUpdateTimestamp || noteTimestampRef.current;
@@ -1852,7 +1951,8 @@ const NoteEditor = ({
     const normalizedCurrent = normalizeContent(currentContent);
     const normalizedInitial = normalizeContent(initialContent);
     
-    if (normalizedCurrent !== normalizedInitial) {
+    // While co-editing the content is already saved from the shared document
+    if (normalizedCurrent !== normalizedInitial && !crdtSessionRef.current?.isLive()) {
       updates.content = currentContent; // Save the original, not normalized version
       console.log('📝 Content change detected after normalization:', {
         currentLength: currentContent.length,
@@ -1886,6 +1986,11 @@ const NoteEditor = ({
       console.log('❌ Rejecting remote changes');
       setLastUpdateTimestamp(updatedAt);
       
+      // Offline co-editing changes were never saved - keeping them means saving them now
+      if (pendingRemoteUpdate.fromCrdt) {
+        saveNote(note.id, { content: getCurrentContent() });
+      }
+      
     } else if (resolution === 'merge') {
       console.log('🔀 Merging changes');
       const currentContent = getCurrentContent();
@@ -1953,6 +2058,11 @@ const NoteEditor = ({
     setConflictDialogOpen(false);
     setPendingRemoteUpdate(null);
     
+    if (pendingRemoteUpdate.fromCrdt) {
+      // Resume co-editing from the resolved content
+      setCrdtEpoch(prev => prev + 1);
+    }
+    
   }, [pendingRemoteUpdate, applyRemoteChanges, getCurrentContent, title, editor, saveNote, note?.id]);
 
   // ===== IMAGE UPLOAD FUNCTIONS (keeping existing implementations) =====
@@ -2032,6 +2142,7 @@ const NoteEditor = ({
         url: `${api.baseURL}${response.data.url}`,
         width: response.data.width,
         height: response.data.height,
+        widths: response.data.widths,
         size: response.data.size,
         id: response.data.id,
         offline: false
@@ -2064,6 +2175,7 @@ const NoteEditor = ({
       
       editor?.chain().focus().setImage({
         src: result.url,
+        ...getResponsiveAttributes(result.url, result.widths),
         alt: file.name,
         title: file.name,
         'data-image-id': result.id
@@ -2083,11 +2195,255 @@ const NoteEditor = ({
     }
   }, [uploadImage, editor]);
 
+  // Download the note as Markdown (.zip when it has images)
+  const exportNote = useCallback(async () => {
+    if (!note?.id) return;
+
+    setExporting(true);
+    try {
+      await api.download(`/api/notes/${note.id}/export`, `${note.title || 'Untitled'}.md`);
+    } catch (error) {
+      console.error('Export error:', error);
+      alert(error.message === 'Downloads require an internet connection' ? error.message : 'Failed to export note');
+    } finally {
+      setExporting(false);
+    }
+  }, [note?.id, note?.title]);
+
+  // ===== ATTACHMENTS =====
+  // Files other than images are uploaded as they are and shown as cards
+  const uploadAttachment = useCallback(async (file) => {
+    if (!note?.id) {
+      throw new Error('No note selected');
+    }
+
+    if (!navigator.onLine) {
+      throw new Error('Attachments need an internet connection');
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      const response = await api.api.post(`/api/notes/${note.id}/attachments`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: (progressEvent) => {
+          const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+          setAttachmentStatus({ name: file.name, progress: percentCompleted });
+        }
+      });
+
+      return {
+        ...response.data,
+        url: `${api.baseURL}${response.data.url}`
+      };
+    } catch (error) {
+      console.error('Attachment upload error:', error);
+      if (error.response?.status === 403) {
+        throw new Error('No permission to attach files to this note.');
+      } else if (error.response?.data?.error) {
+        // Type not allowed, too large or not what it claims to be
+        throw new Error(error.response.data.error);
+      } else {
+        throw new Error('Failed to attach file. Please try again.');
+      }
+    }
+  }, [note?.id]);
+
+  const handleAttachmentUpload = useCallback(async (files) => {
+    for (const file of files) {
+      setAttachmentStatus({ name: file.name, progress: 0 });
+      try {
+        const result = await uploadAttachment(file);
+        editor?.chain().focus().insertAttachment({
+          href: result.url,
+          name: result.originalName,
+          size: result.size,
+          contentType: result.contentType
+        }).run();
+      } catch (error) {
+        setAttachmentStatus({ error: `${file.name}: ${error.message}` });
+        return;
+      }
+    }
+    setAttachmentStatus(null);
+  }, [uploadAttachment, editor]);
+
+  downloadAttachmentRef.current = async (attrs) => {
+    try {
+      await api.download(getAttachmentPath(attrs.href), attrs.name);
+    } catch (error) {
+      console.error('Attachment download error:', error);
+      alert(error.message === 'Downloads require an internet connection' ? error.message : 'Failed to download attachment');
+    }
+  };
+
+  // PDFs open in a dialog; the file is fetched with the user's token, so the
+  // frame gets a blob URL rather than the API URL
+  previewAttachmentRef.current = async (attrs) => {
+    try {
+      const response = await api.api.get(getAttachmentPath(attrs.href), {
+        params: { inline: 1 },
+        responseType: 'blob'
+      });
+      setPdfPreview({ name: attrs.name, url: URL.createObjectURL(response.data) });
+    } catch (error) {
+      console.error('Attachment preview error:', error);
+      alert(navigator.onLine ? 'Failed to open attachment' : 'Previews require an internet connection');
+    }
+  };
+
+  const closePdfPreview = () => {
+    if (pdfPreview) {
+      URL.revokeObjectURL(pdfPreview.url);
+    }
+    setPdfPreview(null);
+  };
+
+  // ===== COMMENTS =====
+  // Load the threads of the open note; other people's changes arrive over the socket
+  useEffect(() => {
+    setCommentThreads([]);
+    setActiveThreadId(null);
+    setPendingAnchor(null);
+    if (!note?.id || note.id.startsWith('offline-')) return;
+
+    let cancelled = false;
+    api.get(`/api/notes/${note.id}/comments`)
+      .then(response => {
+        if (!cancelled) setCommentThreads(response.data.threads || []);
+      })
+      .catch(error => console.error('Failed to load comments:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [note?.id]);
+
+  useEffect(() => {
+    const handleCommentsUpdated = (data) => {
+      if (data.noteId === currentNoteId.current) {
+        setCommentThreads(data.threads || []);
+      }
+    };
+
+    webSocketManager.on('comments-updated', handleCommentsUpdated);
+    return () => webSocketManager.off('comments-updated', handleCommentsUpdated);
+  }, []);
+
+  // Keep the highlights in the editor in step with the threads
+  useEffect(() => {
+    if (editor && !editor.isDestroyed) {
+      editor.commands.setCommentThreads(commentThreads, activeThreadId);
+    }
+  }, [editor, commentThreads, activeThreadId]);
+
+  commentClickRef.current = (threadId) => {
+    setActiveThreadId(threadId);
+    setCommentsOpen(true);
+  };
+
+  // Comment on the selected text, or just show the comments when nothing is selected
+  const startComment = useCallback(() => {
+    const anchor = editor && canCommentNote(note) ? getSelectionAnchor(editor) : null;
+    if (anchor) {
+      setPendingAnchor(anchor);
+      setActiveThreadId(null);
+    }
+    setCommentsOpen(true);
+  }, [editor, note]);
+
+  const openCommentCount = commentThreads.filter(thread => thread.status !== 'resolved').length;
+
+  // ===== DUE DATES AND REMINDERS =====
+  // Task due dates live in the content and save like any edit; reminders are personal
+  const openTaskDueDialog = () => {
+    const taskItem = editor && findTaskItem(editor.state);
+    if (taskItem) {
+      setDateDialog({ kind: 'task', value: taskItem.node.attrs.due || '' });
+    }
+  };
+
+  const openReminderDialog = () => {
+    // datetime-local inputs want local time without a zone
+    const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().substring(0, 16);
+    const tomorrowMorning = new Date();
+    tomorrowMorning.setDate(tomorrowMorning.getDate() + 1);
+    tomorrowMorning.setHours(9, 0, 0, 0);
+    setDateDialog({ kind: 'reminder', value: toLocalInput(note?.reminderAt ? new Date(note.reminderAt) : tomorrowMorning) });
+  };
+
+  const saveDateDialog = async (value) => {
+    const { kind } = dateDialog;
+    setDateDialog(null);
+
+    if (kind === 'task') {
+      editor?.chain().focus().setTaskDue(value || null).run();
+      return;
+    }
+    try {
+      await onUpdateNote(note.id, { reminderAt: value ? new Date(value).toISOString() : null });
+    } catch (error) {
+      console.error('Failed to update reminder:', error);
+    }
+  };
+
+  const currentTaskDue = editor?.isActive('taskItem') ? findTaskItem(editor.state)?.node.attrs.due : null;
+
+  // ===== MENTIONS =====
+  // The owner and participants can be @mentioned; reload after the sharing dialog closes
+  useEffect(() => {
+    setMentionableUsers([]);
+    if (!note?.id || note.id.startsWith('offline-') || shareDialogOpen) return;
+
+    let cancelled = false;
+    api.get(`/api/notes/${note.id}/mentionable`)
+      .then(response => {
+        if (!cancelled) setMentionableUsers(response.data.users || []);
+      })
+      .catch(error => console.error('Failed to load people to mention:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [note?.id, shareDialogOpen]);
+
+  const mentionCandidates = mentionSuggestion
+    ? mentionableUsers
+        .filter(user => `${user.name} ${user.email}`.toLowerCase().includes(mentionSuggestion.query.toLowerCase()))
+        .slice(0, 6)
+    : [];
+
+  const insertMention = (user) => {
+    editor?.chain().focus().insertMention({ id: user.id, label: user.name }).run();
+  };
+
+  mentionKeyDownRef.current = (event) => {
+    if (mentionCandidates.length === 0) return false;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(prev => (prev + step + mentionCandidates.length) % mentionCandidates.length);
+      return true;
+    }
+    if (event.key === 'Enter' || event.key === 'Tab') {
+      insertMention(mentionCandidates[Math.min(mentionIndex, mentionCandidates.length - 1)]);
+      return true;
+    }
+    return false;
+  };
+
   const handleMultipleFiles = useCallback(async (files) => {
     const imageFiles = Array.from(files).filter(file => file.type.startsWith('image/'));
-    
+    const otherFiles = Array.from(files).filter(file => !file.type.startsWith('image/'));
+
+    if (otherFiles.length > 0) {
+      await handleAttachmentUpload(otherFiles);
+    }
+
     if (imageFiles.length === 0) {
-      setImageError('No image files found');
       return;
     }
 
@@ -2100,7 +2456,7 @@ const NoteEditor = ({
       await handleImageUpload(file);
       await new Promise(resolve => setTimeout(resolve, 500));
     }
-  }, [handleImageUpload]);
+  }, [handleImageUpload, handleAttachmentUpload]);
 
   // ===== DRAG AND DROP HANDLERS (keeping existing implementations) =====
   const handleDragEnter = useCallback((e) => {
@@ -2185,8 +2541,23 @@ const NoteEditor = ({
   const handleTaskList = () => editor?.chain().focus().toggleTaskList().run();
   const handleBlockquote = () => editor?.chain().focus().toggleBlockquote().run();
   const handleCodeBlock = () => editor?.chain().focus().toggleCodeBlock().run();
-  const handleUndo = () => editor?.chain().focus().undo().run();
-  const handleRedo = () => editor?.chain().focus().redo().run();
+  // While co-editing, undo only takes back your own changes
+  const handleUndo = () => {
+    if (crdtSessionRef.current?.isLive()) {
+      editor?.commands.focus();
+      return crdtSessionRef.current.undo();
+    }
+    return editor?.chain().focus().undo().run();
+  };
+  const handleRedo = () => {
+    if (crdtSessionRef.current?.isLive()) {
+      editor?.commands.focus();
+      return crdtSessionRef.current.redo();
+    }
+    return editor?.chain().focus().redo().run();
+  };
+  const canUndo = () => (crdtSessionRef.current?.isLive() ? crdtSessionRef.current.canUndo() : !!editor?.can().undo());
+  const canRedo = () => (crdtSessionRef.current?.isLive() ? crdtSessionRef.current.canRedo() : !!editor?.can().redo());
 
   const handleLink = () => {
     const url = window.prompt('Enter URL:');
@@ -2200,6 +2571,19 @@ const NoteEditor = ({
     setImageError('');
   };
 
+  const handleAttachButton = () => {
+    setAttachmentStatus(null);
+    attachmentInputRef.current?.click();
+  };
+
+  const handleAttachmentInputChange = (event) => {
+    const files = event.target.files;
+    if (files && files.length > 0) {
+      handleAttachmentUpload(Array.from(files));
+    }
+    event.target.value = '';
+  };
+
   // ===== LOCK MANAGEMENT (keeping existing implementations) =====
   const releaseLock = useCallback(async (noteId) => {
     if (!noteId) return;
@@ -2839,6 +3223,137 @@ const NoteEditor = ({
     checkForUpdates
   ]);
 
+  // ===== LIVE CO-EDITING =====
+  // Once the note's room is joined, the editor is bound to the note's shared
+  // document. The session stays up across reconnects so changes made while
+  // offline are merged when the connection comes back.
+  useEffect(() => {
+    if (!editor || !note?.id || note.id.startsWith('offline-') || !realtimeEnabled) return;
+    if (crdtSessionRef.current) return;
+
+    const session = new CrdtSession({
+      editor,
+      noteId: note.id,
+      onDivergence: (serverContent) => {
+        // The note was replaced (e.g. a version restore) while we edited offline
+        console.log('⚠️ [CRDT] Offline changes conflict with a replaced note');
+        setPendingRemoteUpdate({
+          content: serverContent,
+          title: initialValues.current.title,
+          updatedAt: new Date().toISOString(),
+          lastEditor: { name: 'Another editor' },
+          fromCrdt: true
+        });
+        setConflictDialogOpen(true);
+      }
+    });
+    crdtSessionRef.current = session;
+    session.start();
+  }, [editor, note?.id, realtimeEnabled, crdtEpoch]);
+
+  useEffect(() => {
+    return () => {
+      crdtSessionRef.current?.destroy();
+      crdtSessionRef.current = null;
+    };
+  }, [editor, note?.id, crdtEpoch]);
+
+  // ===== REMOTE CURSORS =====
+  // Collaborators' carets travel as positions in the shared document, so they
+  // are only shown while co-editing is live
+  const refreshRemoteCursors = useCallback(() => {
+    if (!editor || editor.isDestroyed) return;
+
+    const session = crdtSessionRef.current;
+    const cursors = [];
+    remoteCursorsRef.current.forEach((cursor, connectionId) => {
+      const anchor = session?.decodePosition(cursor.anchor);
+      const head = session?.decodePosition(cursor.head);
+      if (anchor === null || anchor === undefined || head === null || head === undefined) return;
+
+      cursors.push({
+        id: connectionId,
+        name: cursor.user.name,
+        color: cursorColor(cursor.user.id),
+        anchor,
+        head
+      });
+    });
+    editor.commands.setRemoteCursors(cursors);
+  }, [editor]);
+
+  useEffect(() => {
+    remoteCursorsRef.current.clear();
+    if (!editor || !note?.id) return;
+    editor.commands.setRemoteCursors([]);
+
+    let sendTimer = null;
+    let lastSent = 0;
+
+    const sendCursor = () => {
+      sendTimer = null;
+      lastSent = Date.now();
+      const selection = crdtSessionRef.current?.encodeSelection();
+      if (selection && currentNoteId.current) {
+        webSocketManager.sendCursor(currentNoteId.current, selection);
+      }
+    };
+
+    const handleSelectionUpdate = ({ transaction }) => {
+      // Our caret only moved because someone else typed - they know where it is
+      if (isRemoteTransaction(transaction) || sendTimer) return;
+      sendTimer = setTimeout(sendCursor, Math.max(0, CURSOR_SEND_INTERVAL - (Date.now() - lastSent)));
+    };
+
+    const handleDocumentChange = () => {
+      if (remoteCursorsRef.current.size > 0) {
+        refreshRemoteCursors();
+      }
+    };
+
+    const handleCursorUpdated = (data) => {
+      if (data.noteId !== currentNoteId.current || !data.user) return;
+      remoteCursorsRef.current.set(data.connectionId, { user: data.user, anchor: data.anchor, head: data.head });
+      refreshRemoteCursors();
+    };
+
+    // Drop the carets of editors who left or were cleaned up as stale
+    const handlePresenceChanged = (data) => {
+      if (data.noteId !== currentNoteId.current) return;
+
+      const present = new Set((data.activeEditors || []).map(activeEditor => activeEditor.connectionId || activeEditor.id));
+      let removed = false;
+      remoteCursorsRef.current.forEach((cursor, connectionId) => {
+        if (!present.has(connectionId)) {
+          remoteCursorsRef.current.delete(connectionId);
+          removed = true;
+        }
+      });
+      if (removed) {
+        refreshRemoteCursors();
+      }
+
+      // Show someone who just arrived where we are
+      if (data.action === 'join') {
+        clearTimeout(sendTimer);
+        sendCursor();
+      }
+    };
+
+    editor.on('selectionUpdate', handleSelectionUpdate);
+    editor.on('update', handleDocumentChange);
+    webSocketManager.on('cursor-updated', handleCursorUpdated);
+    webSocketManager.on('presence-changed', handlePresenceChanged);
+
+    return () => {
+      clearTimeout(sendTimer);
+      editor.off('selectionUpdate', handleSelectionUpdate);
+      editor.off('update', handleDocumentChange);
+      webSocketManager.off('cursor-updated', handleCursorUpdated);
+      webSocketManager.off('presence-changed', handlePresenceChanged);
+    };
+  }, [editor, note?.id, refreshRemoteCursors]);
+
   // Handle content updates for the current note (from sync, WebSocket, etc.)
   useEffect(() => {
     console.log('🔍 [DEBUG] useEffect triggered - checking note prop changes:', {
@@ -3048,7 +3563,7 @@ const NoteEditor = ({
       setHasUnsavedChanges(hasChanges);
       
       if (hasChanges && !applyingRemoteChangesRef.current) {
-        if (!isLocked && !lockOwner && note.permission === 'edit') {
+        if (!isLocked && !lockOwner && canEditNote(note)) {
           acquireLock(note.id);
         }
         
@@ -3115,12 +3630,13 @@ const NoteEditor = ({
   }, [title, editor?.getHTML(), note, isInitializing, checkForChanges, saveNote, isLocked, lockOwner, acquireLock, releaseLock, getCurrentContent, editor]);
 
   // Set editor editability
+  const hasEditRole = canEditNote(note);
   useEffect(() => {
     if (editor) {
-      const canEdit = note?.permission === 'edit' && !lockOwner;
+      const canEdit = hasEditRole && !lockOwner;
       editor.setEditable(canEdit);
     }
-  }, [editor, note?.permission, lockOwner]);
+  }, [editor, hasEditRole, lockOwner]);
 
   // Setup drag and drop listeners
   useEffect(() => {
@@ -3261,7 +3777,7 @@ const NoteEditor = ({
     );
   }
 
-  const canEdit = note.permission === 'edit' && !lockOwner;
+  const canEdit = canEditNote(note) && !lockOwner;
   const isShared = note.shared || note.hasBeenShared || false;
 
   return (
@@ -3350,7 +3866,55 @@ const NoteEditor = ({
                 <PeopleIcon color="secondary" fontSize="small" />
               )}
               
-              {note.permission === 'edit' && !note.sharedBy && (
+              {!note.id?.startsWith('offline-') && (
+                <IconButton
+                  onClick={() => setHistoryDrawerOpen(true)}
+                  size="small"
+                  sx={{ p: 0.5 }}
+                  title="History and activity"
+                >
+                  <HistoryIcon fontSize="small" />
+                </IconButton>
+              )}
+              
+              {!note.id?.startsWith('offline-') && (
+                <IconButton
+                  onClick={openReminderDialog}
+                  size="small"
+                  sx={{ p: 0.5 }}
+                  color={note.reminderAt ? 'primary' : 'default'}
+                  title={note.reminderAt ? `Reminder: ${new Date(note.reminderAt).toLocaleString()}` : 'Remind me'}
+                >
+                  {note.reminderAt ? <ReminderSetIcon fontSize="small" /> : <ReminderIcon fontSize="small" />}
+                </IconButton>
+              )}
+              
+              {!note.id?.startsWith('offline-') && (
+                <IconButton
+                  onClick={startComment}
+                  size="small"
+                  sx={{ p: 0.5 }}
+                  title="Comments"
+                >
+                  <Badge badgeContent={openCommentCount} color="primary" max={99}>
+                    <CommentIcon fontSize="small" />
+                  </Badge>
+                </IconButton>
+              )}
+              
+              {!note.id?.startsWith('offline-') && (
+                <IconButton
+                  onClick={exportNote}
+                  disabled={exporting}
+                  size="small"
+                  sx={{ p: 0.5 }}
+                  title="Export as Markdown"
+                >
+                  <DownloadIcon fontSize="small" />
+                </IconButton>
+              )}
+              
+              {canShareNote(note) && (
                 <IconButton
                   onClick={() => setShareDialogOpen(true)}
                   size="small"
@@ -3622,8 +4186,65 @@ const NoteEditor = ({
                   </Tooltip>
                 )}
                 
+                {/* Version history and activity button */}
+                {!note.id?.startsWith('offline-') && (
+                  <Tooltip title="History and activity">
+                    <IconButton
+                      onClick={() => setHistoryDrawerOpen(true)}
+                      color="default"
+                      size="small"
+                    >
+                      <HistoryIcon />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                
+                {/* Reminder button - personal, so also on read-only notes */}
+                {!note.id?.startsWith('offline-') && (
+                  <Tooltip title={note.reminderAt ? `Reminder: ${new Date(note.reminderAt).toLocaleString()}` : 'Remind me'}>
+                    <IconButton
+                      onClick={openReminderDialog}
+                      color={note.reminderAt ? 'primary' : 'default'}
+                      size="small"
+                    >
+                      {note.reminderAt ? <ReminderSetIcon /> : <ReminderIcon />}
+                    </IconButton>
+                  </Tooltip>
+                )}
+                
+                {/* Comments button - comments on the selection if there is one */}
+                {!note.id?.startsWith('offline-') && (
+                  <Tooltip title="Comment on selection">
+                    <IconButton
+                      onClick={startComment}
+                      color={commentsOpen ? 'primary' : 'default'}
+                      size="small"
+                    >
+                      <Badge badgeContent={openCommentCount} color="primary" max={99}>
+                        <CommentIcon />
+                      </Badge>
+                    </IconButton>
+                  </Tooltip>
+                )}
+                
+                {/* Markdown export button */}
+                {!note.id?.startsWith('offline-') && (
+                  <Tooltip title="Export as Markdown">
+                    <span>
+                      <IconButton
+                        onClick={exportNote}
+                        disabled={exporting}
+                        color="default"
+                        size="small"
+                      >
+                        <DownloadIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                )}
+                
                 {/* Share button */}
-                {note.permission === 'edit' && !note.sharedBy && (
+                {canShareNote(note) && (
                   <Tooltip title="Share note">
                     <IconButton
                       onClick={() => setShareDialogOpen(true)}
@@ -3677,6 +4298,16 @@ const NoteEditor = ({
             />
           )}
 
+          {/* Tags */}
+          {!note.ownerPurged && (
+            <NoteTagsField
+              tags={tags}
+              notes={notes}
+              onChange={handleTagsChange}
+              isMobile={isMobile}
+            />
+          )}
+
           {/* Tiptap Editor */}
           <Box 
             sx={{ 
@@ -3710,7 +4341,7 @@ const NoteEditor = ({
                 <Box textAlign="center">
                   <UploadIcon sx={{ fontSize: 48, color: 'primary.main', mb: 1 }} />
                   <Typography variant="h6" color="primary.main">
-                    Drop images here to upload
+                    Drop images or files here to upload
                   </Typography>
                 </Box>
               </Box>
@@ -3745,7 +4376,7 @@ const NoteEditor = ({
                             <IconButton
                               size="small"
                               onClick={handleUndo}
-                              disabled={!editor?.can().undo()}
+                              disabled={!canUndo()}
                             >
                               <UndoIcon fontSize="small" />
                             </IconButton>
@@ -3756,7 +4387,7 @@ const NoteEditor = ({
                             <IconButton
                               size="small"
                               onClick={handleRedo}
-                              disabled={!editor?.can().redo()}
+                              disabled={!canRedo()}
                             >
                               <RedoIcon fontSize="small" />
                             </IconButton>
@@ -3842,6 +4473,19 @@ const NoteEditor = ({
                             <CheckboxIcon fontSize="small" />
                           </IconButton>
                         </Tooltip>
+                        
+                        <Tooltip title="Task due date">
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={openTaskDueDialog}
+                              disabled={!editor?.isActive('taskItem')}
+                              color={currentTaskDue ? 'primary' : 'default'}
+                            >
+                              <DueDateIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
                       </ButtonGroup>
                       
                       <Divider orientation="vertical" flexItem sx={{ mx: 0.5 }} />
@@ -3886,6 +4530,16 @@ const NoteEditor = ({
                             <ImageIcon fontSize="small" />
                           </IconButton>
                         </Tooltip>
+
+                        <Tooltip title="Attach File">
+                          <IconButton
+                            size="small"
+                            onClick={handleAttachButton}
+                            disabled={Boolean(attachmentStatus && !attachmentStatus.error)}
+                          >
+                            <AttachFileIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
                       </ButtonGroup>
                     </>
                   )}
@@ -3918,7 +4572,7 @@ const NoteEditor = ({
                                 <IconButton
                                   size="small"
                                   onClick={handleUndo}
-                                  disabled={!editor?.can().undo()}
+                                  disabled={!canUndo()}
                                   sx={{ minWidth: 36, minHeight: 36 }}
                                 >
                                   <UndoIcon fontSize="small" />
@@ -3930,7 +4584,7 @@ const NoteEditor = ({
                                 <IconButton
                                   size="small"
                                   onClick={handleRedo}
-                                  disabled={!editor?.can().redo()}
+                                  disabled={!canRedo()}
                                   sx={{ minWidth: 36, minHeight: 36 }}
                                 >
                                   <RedoIcon fontSize="small" />
@@ -3998,6 +4652,23 @@ const NoteEditor = ({
                                 <ImageIcon fontSize="small" />
                               </IconButton>
                             </Tooltip>
+
+                            <Tooltip title="Attach File">
+                              <IconButton
+                                size="small"
+                                onClick={handleAttachButton}
+                                disabled={Boolean(attachmentStatus && !attachmentStatus.error)}
+                                variant="outlined"
+                                sx={{ 
+                                  minWidth: 36,
+                                  minHeight: 36,
+                                  border: '1px solid',
+                                  borderColor: 'divider'
+                                }}
+                              >
+                                <AttachFileIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
                           </Box>
                         </Box>
                         
@@ -4098,6 +4769,19 @@ const NoteEditor = ({
                                 <CheckboxIcon fontSize="small" />
                               </IconButton>
                             </Tooltip>
+                            
+                            <Tooltip title="Task due date">
+                              <span>
+                                <IconButton
+                                  size="small"
+                                  onClick={openTaskDueDialog}
+                                  disabled={!editor?.isActive('taskItem')}
+                                  color={currentTaskDue ? 'primary' : 'default'}
+                                >
+                                  <DueDateIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
                           </ButtonGroup>
                           
                           <Divider orientation="vertical" flexItem sx={{ mx: 0.5 }} />
@@ -4244,6 +4928,68 @@ const NoteEditor = ({
                     color: 'primary.main',
                     textDecoration: 'underline'
                   },
+                  '& .comment-highlight': {
+                    backgroundColor: 'rgba(255, 193, 7, 0.25)',
+                    borderBottom: '2px solid rgba(255, 193, 7, 0.8)',
+                    cursor: 'pointer'
+                  },
+                  '& .comment-highlight-resolved': {
+                    backgroundColor: 'rgba(158, 158, 158, 0.2)',
+                    borderBottomColor: 'rgba(158, 158, 158, 0.6)'
+                  },
+                  '& .comment-highlight-active': {
+                    backgroundColor: 'rgba(255, 193, 7, 0.5)'
+                  },
+                  '& .remote-cursor': {
+                    position: 'relative',
+                    marginLeft: '-1px',
+                    marginRight: '-1px',
+                    borderLeft: '2px solid',
+                    pointerEvents: 'none',
+                    wordBreak: 'normal'
+                  },
+                  '& .remote-cursor-label': {
+                    position: 'absolute',
+                    top: '-1.4em',
+                    left: '-2px',
+                    padding: '0 4px',
+                    borderRadius: '3px 3px 3px 0',
+                    color: '#fff',
+                    fontSize: '11px',
+                    lineHeight: '1.4em',
+                    whiteSpace: 'nowrap',
+                    userSelect: 'none'
+                  },
+                  '& .task-due::after': {
+                    content: 'attr(data-due-label)',
+                    flexShrink: 0,
+                    marginLeft: '0.5rem',
+                    marginTop: '0.15rem',
+                    padding: '0 6px',
+                    borderRadius: '10px',
+                    fontSize: '0.75rem',
+                    lineHeight: '1.4rem',
+                    whiteSpace: 'nowrap',
+                    color: 'text.secondary',
+                    backgroundColor: 'action.hover',
+                    userSelect: 'none'
+                  },
+                  '& .task-due-today::after': {
+                    color: 'warning.dark',
+                    backgroundColor: 'rgba(237, 108, 2, 0.12)'
+                  },
+                  '& .task-due-overdue::after': {
+                    color: 'error.main',
+                    backgroundColor: 'rgba(211, 47, 47, 0.12)'
+                  },
+                  '& .mention': {
+                    color: 'primary.main',
+                    backgroundColor: 'rgba(25, 118, 210, 0.08)',
+                    borderRadius: '4px',
+                    padding: '0 2px',
+                    fontWeight: 500,
+                    whiteSpace: 'nowrap'
+                  },
                   '& .tiptap-image': {
                     maxWidth: '100%',
                     height: 'auto',
@@ -4258,6 +5004,38 @@ const NoteEditor = ({
                 }
               }}>
                 <EditorContent editor={editor} />
+                <Popper
+                  open={!!mentionSuggestion}
+                  anchorEl={mentionSuggestion ? { getBoundingClientRect: () => new DOMRect(mentionSuggestion.rect.left, mentionSuggestion.rect.top, 0, mentionSuggestion.rect.bottom - mentionSuggestion.rect.top) } : null}
+                  placement="bottom-start"
+                  sx={{ zIndex: 1300 }}
+                >
+                  <Paper elevation={4} sx={{ minWidth: 220, maxWidth: 320 }}>
+                    {mentionCandidates.length > 0 ? (
+                      <List dense disablePadding>
+                        {mentionCandidates.map((user, index) => (
+                          <ListItemButton
+                            key={user.id}
+                            selected={index === mentionIndex}
+                            onMouseDown={(e) => e.preventDefault()} // Keep the caret in the editor
+                            onClick={() => insertMention(user)}
+                          >
+                            <ListItemAvatar sx={{ minWidth: 36 }}>
+                              <Avatar sx={{ width: 24, height: 24, fontSize: '0.75rem', bgcolor: cursorColor(user.id) }}>
+                                {(user.name || '?').charAt(0).toUpperCase()}
+                              </Avatar>
+                            </ListItemAvatar>
+                            <ListItemText primary={user.name} secondary={user.email} />
+                          </ListItemButton>
+                        ))}
+                      </List>
+                    ) : (
+                      <Typography variant="body2" color="text.secondary" sx={{ px: 2, py: 1.5 }}>
+                        {mentionableUsers.length === 0 ? 'Share this note to mention people' : 'No one matches'}
+                      </Typography>
+                    )}
+                  </Paper>
+                </Popper>
               </Box>
             </Paper>
           </Box>
@@ -4273,6 +5051,55 @@ const NoteEditor = ({
         multiple
         style={{ display: 'none' }}
       />
+      <input
+        type="file"
+        ref={attachmentInputRef}
+        onChange={handleAttachmentInputChange}
+        multiple
+        style={{ display: 'none' }}
+      />
+
+      {/* Attachment upload progress and errors */}
+      <Snackbar
+        open={Boolean(attachmentStatus)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        autoHideDuration={attachmentStatus?.error ? 6000 : null}
+        onClose={(event, reason) => {
+          if (attachmentStatus?.error && reason !== 'clickaway') setAttachmentStatus(null);
+        }}
+      >
+        {attachmentStatus?.error ? (
+          <Alert severity="error" onClose={() => setAttachmentStatus(null)}>
+            {attachmentStatus.error}
+          </Alert>
+        ) : (
+          <Alert severity="info" icon={<AttachFileIcon fontSize="inherit" />} sx={{ minWidth: 280 }}>
+            Attaching {attachmentStatus?.name}... {attachmentStatus?.progress || 0}%
+            <LinearProgress variant="determinate" value={attachmentStatus?.progress || 0} sx={{ mt: 1 }} />
+          </Alert>
+        )}
+      </Snackbar>
+
+      {/* PDF Preview Dialog */}
+      <Dialog open={Boolean(pdfPreview)} onClose={closePdfPreview} maxWidth="lg" fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="h6" noWrap sx={{ flex: 1 }}>
+            {pdfPreview?.name}
+          </Typography>
+          <IconButton onClick={closePdfPreview} size="small">
+            <CloseIcon />
+          </IconButton>
+        </DialogTitle>
+        <DialogContent sx={{ p: 0, height: '80vh' }}>
+          {pdfPreview && (
+            <iframe
+              src={pdfPreview.url}
+              title={pdfPreview.name}
+              style={{ width: '100%', height: '100%', border: 0 }}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
 
       {/* Image Upload Dialog */}
       <Dialog open={imageUploadDialog} onClose={() => setImageUploadDialog(false)} maxWidth="sm" fullWidth>
@@ -4368,6 +5195,70 @@ const NoteEditor = ({
         </DialogActions>
       </Dialog>
 
+      <VersionHistoryDrawer
+        open={historyDrawerOpen}
+        onClose={() => setHistoryDrawerOpen(false)}
+        note={note}
+        canRestore={canEdit}
+        isMobile={isMobile}
+        onRestored={(restoredNote) => {
+          applyRemoteChanges({
+            content: restoredNote.content,
+            title: restoredNote.title,
+            updatedAt: restoredNote.updatedAt
+          });
+        }}
+      />
+
+      <CommentsPanel
+        open={commentsOpen}
+        onClose={() => {
+          setCommentsOpen(false);
+          setActiveThreadId(null);
+          setPendingAnchor(null);
+        }}
+        note={note}
+        threads={commentThreads}
+        activeThreadId={activeThreadId}
+        onSelectThread={setActiveThreadId}
+        pendingAnchor={pendingAnchor}
+        onCancelPending={() => setPendingAnchor(null)}
+        onThreadsChange={setCommentThreads}
+        currentUser={currentUser}
+        isMobile={isMobile}
+      />
+
+      {/* Task due date / note reminder picker */}
+      <Dialog open={!!dateDialog} onClose={() => setDateDialog(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{dateDialog?.kind === 'task' ? 'Task due date' : 'Remind me about this note'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            type={dateDialog?.kind === 'task' ? 'date' : 'datetime-local'}
+            value={dateDialog?.value || ''}
+            onChange={(e) => setDateDialog(prev => ({ ...prev, value: e.target.value }))}
+            fullWidth
+            autoFocus
+            InputLabelProps={{ shrink: true }}
+            label={dateDialog?.kind === 'task' ? 'Due on' : 'Remind me at'}
+            helperText={dateDialog?.kind === 'task'
+              ? 'Everyone with this note is reminded on the due date'
+              : 'Only you get this reminder'}
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          {(dateDialog?.kind === 'task' ? currentTaskDue : note?.reminderAt) && (
+            <Button color="error" onClick={() => saveDateDialog(null)} sx={{ mr: 'auto' }}>
+              Remove
+            </Button>
+          )}
+          <Button onClick={() => setDateDialog(null)}>Cancel</Button>
+          <Button variant="contained" onClick={() => saveDateDialog(dateDialog.value)} disabled={!dateDialog?.value}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <ShareNoteDialog
         open={shareDialogOpen}
         onClose={() => setShareDialogOpen(false)}
@@ -0,0 +1,71 @@
+import React, { useMemo } from 'react';
+import { Autocomplete, TextField, Chip } from '@mui/material';
+import { LocalOffer as TagIcon } from '@mui/icons-material';
+
+// Same rules as the backend tagManager.normalizeTag()
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return '';
+  return tag
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .substring(0, 50);
+};
+
+const NoteTagsField = ({ tags = [], notes = [], onChange, disabled = false, isMobile = false }) => {
+  // Offer every tag already used on another note
+  const suggestions = useMemo(() => {
+    const all = new Set();
+    notes.forEach(note => (note?.tags || []).forEach(tag => all.add(tag)));
+    return Array.from(all).sort();
+  }, [notes]);
+
+  const handleChange = (event, value) => {
+    const normalized = Array.from(new Set(value.map(normalizeTag).filter(Boolean)));
+    onChange(normalized);
+  };
+
+  return (
+    <Autocomplete
+      multiple
+      freeSolo
+      size="small"
+      options={suggestions}
+      value={tags}
+      onChange={handleChange}
+      disabled={disabled}
+      filterSelectedOptions
+      renderTags={(value, getTagProps) =>
+        value.map((tag, index) => (
+          <Chip
+            {...getTagProps({ index })}
+            key={tag}
+            label={`#${tag}`}
+            size="small"
+          />
+        ))
+      }
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          variant="standard"
+          placeholder={tags.length === 0 ? 'Add tags (or type #tag in the note)' : ''}
+          InputProps={{
+            ...params.InputProps,
+            disableUnderline: true,
+            startAdornment: (
+              <>
+                <TagIcon fontSize="small" sx={{ color: 'text.disabled', mr: 0.5 }} />
+                {params.InputProps.startAdornment}
+              </>
+            )
+          }}
+        />
+      )}
+      sx={{ mb: isMobile ? 1.5 : 2 }}
+    />
+  );
+};
+
+export default NoteTagsField;
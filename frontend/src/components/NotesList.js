@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   Box,
   List,
@@ -15,7 +15,11 @@ import {
   Tooltip,
   SwipeableDrawer,
   useTheme,
-  Button
+  Button,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListSubheader
 } from '@mui/material';
 import { 
   Delete as DeleteIcon, 
@@ -25,16 +29,151 @@ import {
   People as PeopleIcon,
   Lock as LockIcon,
   Visibility as VisibilityIcon,
+  ChatBubbleOutline as CommentIcon,
   CloudOff as CloudOffIcon,
   MoreVert as MoreVertIcon,
-  Add as AddIcon
+  Add as AddIcon,
+  LocalOffer as TagIcon,
+  Groups as WorkspaceIcon,
+  PushPin as PushPinIcon,
+  PushPinOutlined as PushPinOutlinedIcon,
+  Star as StarIcon,
+  StarBorder as StarBorderIcon,
+  Sort as SortIcon,
+  Check as CheckIcon,
+  ArrowUpward as ArrowUpwardIcon,
+  ArrowDownward as ArrowDownwardIcon,
+  AlternateEmail as MentionIcon,
+  Event as DueSoonIcon
 } from '@mui/icons-material';
+import api from '../utils/api';
+import { roleLabel } from '../utils/permissions';
+import { getNextDue, isDueSoon, dueStatus, DUE_SOON_DAYS } from '../utils/dueDates';
+import FolderTree, { NOTE_DRAG_TYPE } from './FolderTree';
 
-const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNote, isMobile = false }) => {
+// Same look as highlightText() for the <mark> tags in server search snippets
+const searchMarkSx = {
+  '& mark': {
+    backgroundColor: '#ffeb3b',
+    color: 'inherit',
+    fontWeight: 'bold'
+  }
+};
+
+const SORT_MODE_LABELS = {
+  updated: 'Last edited',
+  created: 'Date created',
+  title: 'Title',
+  manual: 'Manual (drag to reorder)'
+};
+
+// Same order as the backend noteOrderManager.sortNotes(): pinned first, then the sort mode
+const sortNotes = (notes, sortMode) => {
+  const byUpdated = (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt);
+  const compare = {
+    updated: byUpdated,
+    created: (a, b) => (new Date(b.createdAt) - new Date(a.createdAt)) || byUpdated(a, b),
+    title: (a, b) => (a.title || 'Untitled').localeCompare(b.title || 'Untitled', undefined, { sensitivity: 'base' }) || byUpdated(a, b),
+    manual: (a, b) => {
+      const aPlaced = a.sortOrder !== null && a.sortOrder !== undefined;
+      const bPlaced = b.sortOrder !== null && b.sortOrder !== undefined;
+      if (aPlaced !== bPlaced) return aPlaced ? 1 : -1;
+      return aPlaced ? (a.sortOrder - b.sortOrder) : byUpdated(a, b);
+    }
+  }[sortMode] || byUpdated;
+
+  return [...notes].sort((a, b) => ((b.pinned ? 1 : 0) - (a.pinned ? 1 : 0)) || compare(a, b));
+};
+
+const NotesList = ({
+  notes,
+  selectedNote,
+  onSelectNote,
+  onDeleteNote,
+  onCreateNote,
+  folders = [],
+  selectedFolderId = null,
+  onSelectFolder,
+  onCreateFolder,
+  onRenameFolder,
+  onMoveFolder,
+  onDeleteFolder,
+  onMoveNote,
+  onShareFolder,
+  workspaces = [],
+  selectedWorkspaceId = null,
+  onSelectWorkspace,
+  sortMode = 'updated',
+  onChangeSortMode,
+  onToggleNoteFlag,
+  onReorderNotes,
+  isMobile = false
+}) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [swipeNote, setSwipeNote] = useState(null);
+  const [serverSearch, setServerSearch] = useState(null); // { query, results } from /api/notes/search
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [mentionsOnly, setMentionsOnly] = useState(false);
+  const [mentionedNoteIds, setMentionedNoteIds] = useState(null); // Set of IDs from /api/notes/mentions
+  const [dueSoonOnly, setDueSoonOnly] = useState(false);
+  const [sortMenuAnchor, setSortMenuAnchor] = useState(null);
+  const [dropTargetNoteId, setDropTargetNoteId] = useState(null);
   const theme = useTheme();
 
+  // Ask the server for ranked results; the local filter below covers the gap and offline use
+  useEffect(() => {
+    const query = searchTerm.trim();
+    if (!query) {
+      setServerSearch(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      if (!navigator.onLine) return;
+
+      try {
+        const response = await api.get(`/api/notes/search?q=${encodeURIComponent(searchTerm)}`);
+        if (!cancelled) {
+          setServerSearch({ query, results: response.data.results || [] });
+        }
+      } catch (error) {
+        console.warn('Server search failed, using local search:', error.message);
+        if (!cancelled) {
+          setServerSearch(null);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm]);
+
+  // Notes that @mention the user are found by the server, which sees every shared note's latest content
+  useEffect(() => {
+    if (!mentionsOnly) {
+      setMentionedNoteIds(null);
+      return;
+    }
+
+    let cancelled = false;
+    api.get('/api/notes/mentions')
+      .then(response => {
+        if (!cancelled) setMentionedNoteIds(new Set(response.data.notes.map(note => note.id)));
+      })
+      .catch(error => {
+        console.warn('Failed to load notes that mention you:', error.message);
+        if (!cancelled) setMentionedNoteIds(new Set());
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [mentionsOnly]);
+
   // Helper function to strip HTML tags
   const stripHtml = (html) => {
     if (!html) return '';
@@ -42,12 +181,23 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
   };
 
   // Filter notes based on search term
-  const filteredNotes = useMemo(() => {
+  const searchedNotes = useMemo(() => {
     if (!notes) return [];
-    if (!searchTerm || !searchTerm.trim()) return notes;
+    if (!searchTerm || !searchTerm.trim()) return sortNotes(notes.filter(Boolean), sortMode);
     
     const search = searchTerm.toLowerCase().trim();
     
+    if (serverSearch && serverSearch.query === searchTerm.trim()) {
+      const notesById = new Map(notes.filter(Boolean).map(note => [note.id, note]));
+      return serverSearch.results
+        .filter(result => notesById.has(result.id))
+        .map(result => ({
+          ...notesById.get(result.id),
+          searchTitle: result.titleHighlight,
+          searchSnippet: result.snippet
+        }));
+    }
+    
     return notes.filter(note => {
       if (!note) return false;
       
@@ -61,7 +211,109 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
       
       return false;
     });
-  }, [notes, searchTerm]);
+  }, [notes, searchTerm, serverSearch, sortMode]);
+
+  // Tags across all loaded notes, most used first
+  const tagCounts = useMemo(() => {
+    const counts = new Map();
+    (notes || []).forEach(note => {
+      (note?.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts.entries())
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => (b.count - a.count) || a.name.localeCompare(b.name));
+  }, [notes]);
+
+  // Drop selected tags that no longer exist (renamed or removed)
+  useEffect(() => {
+    setSelectedTags(prev => {
+      const remaining = prev.filter(tag => tagCounts.some(t => t.name === tag));
+      return remaining.length === prev.length ? prev : remaining;
+    });
+  }, [tagCounts]);
+
+  // The selected folder and everything nested inside it
+  const selectedFolderIds = useMemo(() => {
+    if (!selectedFolderId) return null;
+    const ids = new Set([selectedFolderId]);
+    let added = true;
+    while (added) {
+      added = false;
+      for (const folder of folders) {
+        if (!ids.has(folder.id) && ids.has(folder.parentId)) {
+          ids.add(folder.id);
+          added = true;
+        }
+      }
+    }
+    return ids;
+  }, [folders, selectedFolderId]);
+
+  const selectedFolder = folders.find(folder => folder.id === selectedFolderId);
+  const selectedWorkspace = workspaces.find(workspace => workspace.id === selectedWorkspaceId);
+
+  // Notes must be in the selected folder and workspace, carry every selected tag and be a favorite when asked
+  const filteredNotes = useMemo(() => {
+    let result = searchedNotes;
+    if (selectedFolderIds) {
+      result = result.filter(note => note.folderId && selectedFolderIds.has(note.folderId));
+    }
+    if (selectedWorkspaceId) {
+      result = result.filter(note => note.workspaceId === selectedWorkspaceId);
+    }
+    if (favoritesOnly) {
+      result = result.filter(note => note.favorite);
+    }
+    if (mentionsOnly && mentionedNoteIds) {
+      result = result.filter(note => mentionedNoteIds.has(note.id));
+    }
+    // Due soon lists overdue and upcoming notes, the most urgent first
+    if (dueSoonOnly) {
+      result = result.filter(note => isDueSoon(note)).sort((a, b) => getNextDue(a) - getNextDue(b));
+    }
+    if (selectedTags.length === 0) return result;
+    return result.filter(note => selectedTags.every(tag => (note.tags || []).includes(tag)));
+  }, [searchedNotes, selectedFolderIds, selectedWorkspaceId, favoritesOnly, mentionsOnly, mentionedNoteIds, dueSoonOnly, selectedTags]);
+
+  const pinnedNotes = filteredNotes.filter(note => note.pinned);
+  const otherNotes = filteredNotes.filter(note => !note.pinned);
+  // Search results keep their ranking instead of splitting out pinned notes
+  const showPinnedSection = pinnedNotes.length > 0 && !searchTerm.trim();
+  const hasFavorites = (notes || []).some(note => note?.favorite);
+  // Only shared notes have anyone to @mention
+  const hasSharedNotes = (notes || []).some(note => note?.shared || note?.hasBeenShared);
+  const hasDueDates = (notes || []).some(note => note && getNextDue(note));
+  const canReorder = sortMode === 'manual' && !searchTerm.trim() && !!onReorderNotes;
+
+  // Move a note before another one in the same section and save the whole order
+  const reorderNote = (noteId, beforeNoteId) => {
+    const ordered = sortNotes((notes || []).filter(Boolean), 'manual');
+    const moving = ordered.find(note => note.id === noteId);
+    const target = ordered.find(note => note.id === beforeNoteId);
+    if (!moving || !target || moving.id === target.id || !!moving.pinned !== !!target.pinned) return;
+
+    const ids = ordered.map(note => note.id).filter(id => id !== noteId);
+    ids.splice(ids.indexOf(beforeNoteId), 0, noteId);
+    onReorderNotes(ids);
+  };
+
+  // Mobile has no drag and drop, so notes move one step at a time
+  const moveNoteBy = (note, offset) => {
+    const section = sortNotes((notes || []).filter(n => n && !!n.pinned === !!note.pinned), 'manual');
+    const index = section.findIndex(n => n.id === note.id);
+    const neighbour = section[index + offset];
+    if (!neighbour) return;
+
+    if (offset < 0) {
+      reorderNote(note.id, neighbour.id);
+    } else {
+      reorderNote(neighbour.id, note.id);
+    }
+  };
+
+  const toggleTag = (tag) => {
+    setSelectedTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+  };
 
   const formatDate = (dateString) => {
     try {
@@ -192,6 +444,70 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
       );
     }
     
+    // Owner moved this shared note to their trash
+    if (note.deletedByOwner) {
+      indicators.push(
+        <Tooltip 
+          key="deletedByOwner" 
+          title={note.ownerPurged ? 'The owner permanently deleted this note' : 'The owner moved this note to the trash'}
+        >
+          <Chip
+            icon={<DeleteIcon />}
+            label="Deleted by owner"
+            size="small"
+            color="error"
+            variant="outlined"
+            sx={{ 
+              mr: 0.5,
+              '& .MuiChip-label': {
+                fontSize: isMobile ? '0.7rem' : '0.75rem'
+              }
+            }}
+          />
+        </Tooltip>
+      );
+    }
+    
+    // Tags (first few, the rest are summarized)
+    const noteTags = note.tags || [];
+    noteTags.slice(0, 3).forEach(tag => {
+      indicators.push(
+        <Chip
+          key={`tag-${tag}`}
+          label={`#${tag}`}
+          size="small"
+          variant={selectedTags.includes(tag) ? 'filled' : 'outlined'}
+          onClick={(e) => {
+            e.stopPropagation();
+            toggleTag(tag);
+          }}
+          sx={{ 
+            mr: 0.5,
+            '& .MuiChip-label': {
+              fontSize: isMobile ? '0.7rem' : '0.75rem'
+            }
+          }}
+        />
+      );
+    });
+    if (noteTags.length > 3) {
+      indicators.push(
+        <Tooltip key="tag-more" title={noteTags.slice(3).map(tag => `#${tag}`).join(' ')}>
+          <Chip
+            label={`+${noteTags.length - 3}`}
+            size="small"
+            variant="outlined"
+            sx={{ 
+              mr: 0.5,
+              '& .MuiChip-label': {
+                fontSize: isMobile ? '0.7rem' : '0.75rem'
+              }
+            }}
+          />
+        </Tooltip>
+      );
+    }
+    
     // Lock indicator
     if (note.locked) {
       indicators.push(
@@ -217,12 +533,12 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
     }
     
     // Read-only indicator
-    if (note.permission === 'view') {
+    if (note.permission === 'view' || note.permission === 'comment') {
       indicators.push(
-        <Tooltip key="readonly" title="View only">
+        <Tooltip key="readonly" title={note.permission === 'comment' ? 'You can comment but not edit' : 'View only'}>
           <Chip
-            icon={<VisibilityIcon />}
-            label="View only"
+            icon={note.permission === 'comment' ? <CommentIcon /> : <VisibilityIcon />}
+            label={roleLabel(note.permission)}
             size="small"
             color="default"
             variant="outlined"
@@ -249,14 +565,32 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
     <React.Fragment key={note.id}>
       <ListItem
         disablePadding
+        onDragOver={canReorder ? (e) => {
+          if (!Array.from(e.dataTransfer.types || []).includes(NOTE_DRAG_TYPE)) return;
+          e.preventDefault();
+          setDropTargetNoteId(note.id);
+        } : undefined}
+        onDragLeave={canReorder ? () => setDropTargetNoteId(null) : undefined}
+        onDrop={canReorder ? (e) => {
+          e.preventDefault();
+          setDropTargetNoteId(null);
+          reorderNote(e.dataTransfer.getData(NOTE_DRAG_TYPE), note.id);
+        } : undefined}
         sx={{
           backgroundColor: selectedNote?.id === note.id ? 'action.selected' : 'transparent',
+          borderTop: dropTargetNoteId === note.id ? 2 : 0,
+          borderColor: 'primary.main',
           width: '100%',
           maxWidth: '100%',
         }}
       >
         <ListItemButton
           onClick={() => onSelectNote(note)}
+          draggable={!isMobile && (!!onMoveNote || canReorder)}
+          onDragStart={(e) => {
+            e.dataTransfer.setData(NOTE_DRAG_TYPE, note.id);
+            e.dataTransfer.effectAllowed = 'move';
+          }}
           sx={{ 
             py: isMobile ? 3 : 2.5,
             px: isMobile ? 2 : 2,
@@ -290,7 +624,11 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
                     maxWidth: '100%',
                   }}
                 >
-                  {highlightText(note.title || 'Untitled', searchTerm)}
+                  {note.searchTitle ? (
+                    <Box component="span" sx={searchMarkSx} dangerouslySetInnerHTML={{ __html: note.searchTitle }} />
+                  ) : (
+                    highlightText(note.title || 'Untitled', searchTerm)
+                  )}
                 </Typography>
                 
                 {/* Status indicators */}
@@ -324,7 +662,11 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
                     wordBreak: 'break-word',
                   }}
                 >
-                  {highlightText(getPreview(note.content), searchTerm)}
+                  {note.searchSnippet !== undefined ? (
+                    <Box component="span" sx={searchMarkSx} dangerouslySetInnerHTML={{ __html: note.searchSnippet }} />
+                  ) : (
+                    highlightText(getPreview(note.content), searchTerm)
+                  )}
                 </Typography>
                 <Typography 
                   variant="caption" 
@@ -337,11 +679,41 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
                     maxWidth: '100%',
                   }}
                 >
-                  {formatDate(note.updatedAt)}
+                  {dueSoonOnly && getNextDue(note) ? (
+                    <Box component="span" sx={{ color: dueStatus(getNextDue(note)) === 'overdue' ? 'error.main' : 'inherit' }}>
+                      Due {getNextDue(note).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </Box>
+                  ) : formatDate(note.updatedAt)}
                 </Typography>
               </Box>
             }
           />
+          {!isMobile && onToggleNoteFlag && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', ml: 1, flexShrink: 0 }}>
+              <Tooltip title={note.pinned ? 'Unpin' : 'Pin to top'}>
+                <IconButton
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onToggleNoteFlag(note.id, { pinned: !note.pinned });
+                  }}
+                >
+                  {note.pinned ? <PushPinIcon fontSize="small" color="primary" /> : <PushPinOutlinedIcon fontSize="small" />}
+                </IconButton>
+              </Tooltip>
+              <Tooltip title={note.favorite ? 'Remove from favorites' : 'Add to favorites'}>
+                <IconButton
+                  size="small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onToggleNoteFlag(note.id, { favorite: !note.favorite });
+                  }}
+                >
+                  {note.favorite ? <StarIcon fontSize="small" sx={{ color: 'warning.main' }} /> : <StarBorderIcon fontSize="small" />}
+                </IconButton>
+              </Tooltip>
+            </Box>
+          )}
           <IconButton
             edge="end"
             onClick={(e) => {
@@ -366,7 +738,7 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
           </IconButton>
         </ListItemButton>
       </ListItem>
-      {index < filteredNotes.length - 1 && <Divider />}
+      {index < filteredNotes.length - 1 && !(showPinnedSection && note.pinned && !filteredNotes[index + 1].pinned) && <Divider />}
     </React.Fragment>
   );
 
@@ -393,16 +765,47 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
           borderColor: 'divider', 
           flexShrink: 0 
         }}>
-          <Typography 
-            variant="h6" 
-            color="primary" 
-            sx={{ 
-              mb: 2,
-              fontSize: isMobile ? '1.25rem' : '1.25rem'
-            }}
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+            <Typography 
+              variant="h6" 
+              color="primary" 
+              sx={{ 
+                flexGrow: 1,
+                fontSize: isMobile ? '1.25rem' : '1.25rem'
+              }}
+            >
+              {selectedFolder ? selectedFolder.name : (selectedWorkspace ? selectedWorkspace.name : (dueSoonOnly ? 'Due soon' : 'Notes'))} ({filteredNotes.length})
+            </Typography>
+            {onChangeSortMode && (
+              <Tooltip title={`Sort: ${SORT_MODE_LABELS[sortMode]}`}>
+                <IconButton size="small" onClick={(e) => setSortMenuAnchor(e.currentTarget)}>
+                  <SortIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+          </Box>
+          
+          <Menu
+            anchorEl={sortMenuAnchor}
+            open={Boolean(sortMenuAnchor)}
+            onClose={() => setSortMenuAnchor(null)}
           >
-            Notes ({filteredNotes.length})
-          </Typography>
+            {Object.entries(SORT_MODE_LABELS).map(([mode, label]) => (
+              <MenuItem
+                key={mode}
+                selected={mode === sortMode}
+                onClick={() => {
+                  setSortMenuAnchor(null);
+                  onChangeSortMode(mode);
+                }}
+              >
+                <ListItemIcon>
+                  {mode === sortMode && <CheckIcon fontSize="small" />}
+                </ListItemIcon>
+                {label}
+              </MenuItem>
+            ))}
+          </Menu>
           
           <TextField
             fullWidth
@@ -444,6 +847,94 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
               maxWidth: '100%',
             }}
           />
+          
+          {/* Workspace, tag, favorites, mentions and due soon filter */}
+          {(tagCounts.length > 0 || hasFavorites || hasSharedNotes || hasDueDates || dueSoonOnly || (onSelectWorkspace && workspaces.length > 0)) && (
+            <Box sx={{ 
+              display: 'flex', 
+              gap: 0.5, 
+              mt: 1.5, 
+              overflowX: 'auto',
+              pb: 0.5,
+              WebkitOverflowScrolling: 'touch'
+            }}>
+              {onSelectWorkspace && workspaces.map(workspace => (
+                <Chip
+                  key={workspace.id}
+                  icon={<WorkspaceIcon />}
+                  label={workspace.name}
+                  size="small"
+                  color={selectedWorkspaceId === workspace.id ? 'primary' : 'default'}
+                  variant={selectedWorkspaceId === workspace.id ? 'filled' : 'outlined'}
+                  onClick={() => onSelectWorkspace(selectedWorkspaceId === workspace.id ? null : workspace.id)}
+                  sx={{ flexShrink: 0 }}
+                />
+              ))}
+              {hasFavorites && (
+                <Chip
+                  icon={<StarIcon />}
+                  label="Favorites"
+                  size="small"
+                  color={favoritesOnly ? 'primary' : 'default'}
+                  variant={favoritesOnly ? 'filled' : 'outlined'}
+                  onClick={() => setFavoritesOnly(prev => !prev)}
+                  sx={{ flexShrink: 0 }}
+                />
+              )}
+              {(hasDueDates || dueSoonOnly) && (
+                <Tooltip title={`Overdue and due in the next ${DUE_SOON_DAYS} days`}>
+                  <Chip
+                    icon={<DueSoonIcon />}
+                    label="Due soon"
+                    size="small"
+                    color={dueSoonOnly ? 'primary' : 'default'}
+                    variant={dueSoonOnly ? 'filled' : 'outlined'}
+                    onClick={() => setDueSoonOnly(prev => !prev)}
+                    sx={{ flexShrink: 0 }}
+                  />
+                </Tooltip>
+              )}
+              {hasSharedNotes && (
+                <Chip
+                  icon={<MentionIcon />}
+                  label="Mentions"
+                  size="small"
+                  color={mentionsOnly ? 'primary' : 'default'}
+                  variant={mentionsOnly ? 'filled' : 'outlined'}
+                  onClick={() => setMentionsOnly(prev => !prev)}
+                  sx={{ flexShrink: 0 }}
+                />
+              )}
+              {tagCounts.map(({ name, count }) => (
+                <Chip
+                  key={name}
+                  icon={<TagIcon />}
+                  label={`${name} (${count})`}
+                  size="small"
+                  color={selectedTags.includes(name) ? 'primary' : 'default'}
+                  variant={selectedTags.includes(name) ? 'filled' : 'outlined'}
+                  onClick={() => toggleTag(name)}
+                  sx={{ flexShrink: 0 }}
+                />
+              ))}
+            </Box>
+          )}
+          
+          {onSelectFolder && (
+            <FolderTree
+              folders={folders}
+              notes={notes}
+              selectedFolderId={selectedFolderId}
+              onSelectFolder={onSelectFolder}
+              onCreateFolder={onCreateFolder}
+              onRenameFolder={onRenameFolder}
+              onMoveFolder={onMoveFolder}
+              onDeleteFolder={onDeleteFolder}
+              onMoveNote={onMoveNote}
+              onShareFolder={onShareFolder}
+              isMobile={isMobile}
+            />
+          )}
         </Box>
 
         {/* New Note Button - Always visible on desktop */}
@@ -458,7 +949,7 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
               fullWidth
               variant="contained"
               startIcon={<AddIcon />}
-              onClick={onCreateNote}
+              onClick={() => onCreateNote(selectedFolderId)}
               sx={{
                 py: 1.5,
                 fontSize: '1rem',
@@ -494,6 +985,12 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
               >
                 {searchTerm ? 
                   `No notes found matching "${searchTerm}"` : 
+                  selectedTags.length > 0 ?
+                  `No notes tagged ${selectedTags.map(tag => `#${tag}`).join(' and ')}` :
+                  favoritesOnly ?
+                  'No favorite notes here yet' :
+                  selectedFolder ?
+                  `"${selectedFolder.name}" is empty. Drag notes here or create one.` :
                   (isMobile ? 'No notes yet. Tap the + to create your first note!' : 'No notes yet. Click "New Note" to get started!')
                 }
               </Typography>
@@ -516,6 +1013,20 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
                 </Typography>
               )}
             </Box>
+          ) : showPinnedSection ? (
+            <>
+              <ListSubheader sx={{ lineHeight: 2.5, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <PushPinIcon sx={{ fontSize: '1rem' }} />
+                Pinned
+              </ListSubheader>
+              {pinnedNotes.map((note, index) => renderNoteItem(note, index))}
+              {otherNotes.length > 0 && (
+                <ListSubheader sx={{ lineHeight: 2.5 }}>
+                  Notes
+                </ListSubheader>
+              )}
+              {otherNotes.map((note, index) => renderNoteItem(note, pinnedNotes.length + index))}
+            </>
           ) : (
             filteredNotes.map((note, index) => renderNoteItem(note, index))
           )}
@@ -540,11 +1051,59 @@ const NotesList = ({ notes, selectedNote, onSelectNote, onDeleteNote, onCreateNo
           }}
         >
           <Box sx={{ p: 2, textAlign: 'center' }}>
+            {onToggleNoteFlag && swipeNote && (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, justifyContent: 'center', mb: 2 }}>
+                <Button
+                  variant="outlined"
+                  startIcon={swipeNote.pinned ? <PushPinIcon /> : <PushPinOutlinedIcon />}
+                  onClick={() => {
+                    onToggleNoteFlag(swipeNote.id, { pinned: !swipeNote.pinned });
+                    setSwipeNote(null);
+                  }}
+                >
+                  {swipeNote.pinned ? 'Unpin' : 'Pin'}
+                </Button>
+                <Button
+                  variant="outlined"
+                  startIcon={swipeNote.favorite ? <StarIcon /> : <StarBorderIcon />}
+                  onClick={() => {
+                    onToggleNoteFlag(swipeNote.id, { favorite: !swipeNote.favorite });
+                    setSwipeNote(null);
+                  }}
+                >
+                  {swipeNote.favorite ? 'Unfavorite' : 'Favorite'}
+                </Button>
+                {canReorder && (
+                  <>
+                    <Button
+                      variant="outlined"
+                      startIcon={<ArrowUpwardIcon />}
+                      onClick={() => {
+                        moveNoteBy(swipeNote, -1);
+                        setSwipeNote(null);
+                      }}
+                    >
+                      Move up
+                    </Button>
+                    <Button
+                      variant="outlined"
+                      startIcon={<ArrowDownwardIcon />}
+                      onClick={() => {
+                        moveNoteBy(swipeNote, 1);
+                        setSwipeNote(null);
+                      }}
+                    >
+                      Move down
+                    </Button>
+                  </>
+                )}
+              </Box>
+            )}
             <Typography variant="h6" gutterBottom>
               Delete Note
             </Typography>
             <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
-              Are you sure you want to delete "{swipeNote?.title || 'Untitled'}"?
+              Move "{swipeNote?.title || 'Untitled'}" to the trash? You can restore it for a limited time.
             </Typography>
             <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center' }}>
               <button
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Switch,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  CircularProgress
+} from '@mui/material';
+import {
+  Notifications as NotificationsIcon,
+  NotificationsActive as PushOnIcon,
+  NotificationsOff as PushOffIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import { isPushSupported, getPushSubscription, enablePush, disablePush } from '../utils/pushNotifications';
+
+// Per-type inbox and push switches, plus push on/off for this device
+const NotificationSettings = ({ open }) => {
+  const [types, setTypes] = useState([]);
+  const [preferences, setPreferences] = useState({});
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+
+    setError('');
+    api.get('/api/notifications/preferences')
+      .then((response) => {
+        setTypes(response.data.types);
+        setPreferences(response.data.preferences);
+      })
+      .catch((error) => {
+        console.error('Failed to load notification preferences:', error);
+        setError('Failed to load notification preferences');
+      });
+    getPushSubscription()
+      .then((subscription) => setPushEnabled(!!subscription))
+      .catch(() => setPushEnabled(false));
+  }, [open]);
+
+  const handleToggle = async (type, channel, value) => {
+    const previous = preferences;
+    setPreferences(prev => ({ ...prev, [type]: { ...prev[type], [channel]: value } }));
+    try {
+      const response = await api.put('/api/notifications/preferences', { [type]: { [channel]: value } });
+      setPreferences(response.data.preferences);
+    } catch (error) {
+      setPreferences(previous);
+      setError(error.response?.data?.error || 'Failed to save notification preferences');
+    }
+  };
+
+  const handlePushToggle = async () => {
+    setPushBusy(true);
+    setError('');
+    try {
+      if (pushEnabled) {
+        await disablePush();
+        setPushEnabled(false);
+      } else {
+        await enablePush();
+        setPushEnabled(true);
+      }
+    } catch (error) {
+      console.error('Failed to change push notifications:', error);
+      setError(error.response?.data?.error || error.message || 'Failed to change push notifications');
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 3, mb: 3 }}>
+      <Box display="flex" alignItems="center" gap={1} sx={{ mb: 1 }}>
+        <NotificationsIcon color="primary" />
+        <Typography variant="h6">Notifications</Typography>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Choose what shows up in your inbox and what is pushed to devices where push notifications are on.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Table size="small" sx={{ mb: 2 }}>
+        <TableHead>
+          <TableRow>
+            <TableCell>Notify me when</TableCell>
+            <TableCell align="center">Inbox</TableCell>
+            <TableCell align="center">Push</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {types.map(({ type, label }) => (
+            <TableRow key={type}>
+              <TableCell>{label}</TableCell>
+              <TableCell align="center">
+                <Switch
+                  size="small"
+                  checked={preferences[type]?.inApp !== false}
+                  onChange={(e) => handleToggle(type, 'inApp', e.target.checked)}
+                />
+              </TableCell>
+              <TableCell align="center">
+                <Switch
+                  size="small"
+                  checked={preferences[type]?.push !== false}
+                  onChange={(e) => handleToggle(type, 'push', e.target.checked)}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {isPushSupported() ? (
+        <Button
+          variant={pushEnabled ? 'outlined' : 'contained'}
+          startIcon={pushBusy ? <CircularProgress size={20} /> : (pushEnabled ? <PushOffIcon /> : <PushOnIcon />)}
+          onClick={handlePushToggle}
+          disabled={pushBusy}
+        >
+          {pushEnabled ? 'Turn off push on this device' : 'Turn on push on this device'}
+        </Button>
+      ) : (
+        <Typography variant="body2" color="text.secondary">
+          This browser does not support push notifications.
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default NotificationSettings;
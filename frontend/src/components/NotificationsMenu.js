@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import {
+  IconButton,
+  Badge,
+  Menu,
+  MenuItem,
+  Box,
+  Typography,
+  Button,
+  Divider,
+  ListItemIcon,
+  ListItemText
+} from '@mui/material';
+import {
+  Notifications as NotificationsIcon,
+  PersonAdd as ShareIcon,
+  AlternateEmail as MentionIcon,
+  Reply as ReplyIcon,
+  Edit as ChangedIcon,
+  Alarm as ReminderIcon,
+  Settings as SettingsIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import webSocketManager from '../services/WebSocketManager';
+
+const TYPE_ICONS = {
+  share: ShareIcon,
+  mention: MentionIcon,
+  comment_reply: ReplyIcon,
+  note_changed: ChangedIcon,
+  reminder: ReminderIcon
+};
+
+const formatNotificationTime = (dateString) => {
+  const minutes = Math.round((Date.now() - new Date(dateString).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(dateString).toLocaleDateString();
+};
+
+// Bell with the unread count; opens the inbox
+const NotificationsMenu = ({ onOpenNote, onOpenSettings, isMobile = false }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [items, setItems] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = async () => {
+    try {
+      const response = await api.get('/api/notifications');
+      setItems(response.data.items);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadNotifications();
+
+    // New notifications arrive live on every open tab
+    const handleNotification = ({ item, unreadCount: count }) => {
+      setItems(prev => [item, ...prev.filter(existing => existing.id !== item.id)]);
+      setUnreadCount(count);
+    };
+    webSocketManager.on('notification', handleNotification);
+    return () => webSocketManager.off('notification', handleNotification);
+  }, []);
+
+  const markRead = async (ids) => {
+    try {
+      const response = await api.post('/api/notifications/read', ids ? { ids } : {});
+      setItems(response.data.items);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  };
+
+  const handleOpen = (item) => {
+    setAnchorEl(null);
+    if (!item.read) {
+      markRead([item.id]);
+    }
+    if (item.noteId && onOpenNote) {
+      onOpenNote(item.noteId);
+    }
+  };
+
+  return (
+    <>
+      <IconButton
+        color="inherit"
+        onClick={(e) => {
+          setAnchorEl(e.currentTarget);
+          loadNotifications();
+        }}
+        sx={{ mr: 1 }}
+        title="Notifications"
+      >
+        <Badge badgeContent={unreadCount} color="error" max={99}>
+          <NotificationsIcon />
+        </Badge>
+      </IconButton>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{ sx: { width: isMobile ? '100%' : 380, maxHeight: 480 } }}
+      >
+        <Box sx={{ display: 'flex', alignItems: 'center', px: 2, py: 1 }}>
+          <Typography variant="subtitle1" sx={{ flexGrow: 1, fontWeight: 500 }}>
+            Notifications
+          </Typography>
+          <Button size="small" onClick={() => markRead()} disabled={unreadCount === 0}>
+            Mark all read
+          </Button>
+        </Box>
+        <Divider />
+
+        {items.length === 0 && (
+          <Box sx={{ px: 2, py: 3, textAlign: 'center' }}>
+            <Typography variant="body2" color="text.secondary">
+              You're all caught up
+            </Typography>
+          </Box>
+        )}
+
+        {items.map((item) => {
+          const TypeIcon = TYPE_ICONS[item.type] || NotificationsIcon;
+          return (
+            <MenuItem
+              key={item.id}
+              onClick={() => handleOpen(item)}
+              sx={{ whiteSpace: 'normal', alignItems: 'flex-start', bgcolor: item.read ? 'inherit' : 'action.hover' }}
+            >
+              <ListItemIcon sx={{ mt: 0.5 }}>
+                <TypeIcon fontSize="small" color={item.read ? 'action' : 'primary'} />
+              </ListItemIcon>
+              <ListItemText
+                primary={item.title}
+                secondary={item.body ? `${item.body} · ${formatNotificationTime(item.createdAt)}` : formatNotificationTime(item.createdAt)}
+                primaryTypographyProps={{ variant: 'body2', fontWeight: item.read ? 400 : 500 }}
+              />
+            </MenuItem>
+          );
+        })}
+
+        {onOpenSettings && <Divider />}
+        {onOpenSettings && (
+          <MenuItem onClick={() => { setAnchorEl(null); onOpenSettings(); }}>
+            <ListItemIcon>
+              <SettingsIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText primary="Notification settings" />
+          </MenuItem>
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationsMenu;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+import {
+  Edit as EditIcon,
+  Visibility as ViewIcon,
+  ChatBubbleOutline as CommentIcon,
+  ManageAccounts as OwnerIcon
+} from '@mui/icons-material';
+import { roleLabel } from '../utils/permissions';
+
+export const ROLE_ICONS = {
+  view: ViewIcon,
+  comment: CommentIcon,
+  edit: EditIcon,
+  owner: OwnerIcon
+};
+
+const ROLE_COLORS = {
+  edit: 'primary',
+  owner: 'secondary'
+};
+
+// A participant's role on a shared note or folder
+const RoleChip = ({ permission, ...props }) => {
+  const Icon = ROLE_ICONS[permission] || EditIcon;
+  return (
+    <Chip
+      size="small"
+      icon={<Icon />}
+      label={roleLabel(permission)}
+      color={ROLE_COLORS[permission] || 'default'}
+      {...props}
+    />
+  );
+};
+
+export default RoleChip;
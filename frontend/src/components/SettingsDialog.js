@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  AppBar,
+  Toolbar,
+  IconButton,
+  Typography,
+  Container,
+  Paper,
+  Box,
+  Button,
+  Alert,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Divider
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Backup as BackupIcon,
+  Restore as RestoreIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import NotificationSettings from './NotificationSettings';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Full-screen settings page, opened from the account menu
+const SettingsDialog = ({ open, onClose, onRestored }) => {
+  const [backupProgress, setBackupProgress] = useState(null);
+  const [backupError, setBackupError] = useState('');
+  const [restoreFile, setRestoreFile] = useState(null);
+  const [restoreProgress, setRestoreProgress] = useState(null);
+  const [restoreError, setRestoreError] = useState('');
+  const [restoreResult, setRestoreResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (open) {
+      setBackupError('');
+      setRestoreFile(null);
+      setRestoreError('');
+      setRestoreResult(null);
+    }
+  }, [open]);
+
+  const busy = backupProgress !== null || restoreProgress !== null;
+
+  const handleBackup = async () => {
+    setBackupProgress(0);
+    setBackupError('');
+    try {
+      await api.download('/api/export', 'notes-backup.zip', {
+        onProgress: (progressEvent) => setBackupProgress(progressEvent.loaded)
+      });
+    } catch (error) {
+      console.error('Backup error:', error);
+      setBackupError(error.response ? 'Failed to create backup' : error.message);
+    } finally {
+      setBackupProgress(null);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!restoreFile) return;
+
+    const formData = new FormData();
+    formData.append('backup', restoreFile);
+
+    setRestoreProgress(0);
+    setRestoreError('');
+    setRestoreResult(null);
+
+    try {
+      const response = await api.api.post('/api/import', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: (progressEvent) => {
+          setRestoreProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+        }
+      });
+
+      setRestoreResult(response.data);
+      setRestoreFile(null);
+      if (onRestored) {
+        onRestored();
+      }
+    } catch (error) {
+      console.error('Restore error:', error);
+      setRestoreError(error.response?.data?.error || 'Failed to restore backup');
+    } finally {
+      setRestoreProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={busy ? undefined : onClose} fullScreen>
+      <AppBar position="static" elevation={1}>
+        <Toolbar>
+          <IconButton edge="start" color="inherit" onClick={onClose} disabled={busy}>
+            <CloseIcon />
+          </IconButton>
+          <Typography variant="h6" sx={{ ml: 2, flexGrow: 1 }}>
+            Settings
+          </Typography>
+        </Toolbar>
+      </AppBar>
+
+      <Container maxWidth="sm" sx={{ py: 3 }}>
+        <NotificationSettings open={open} />
+
+        <Paper variant="outlined" sx={{ p: 3, mb: 3 }}>
+          <Box display="flex" alignItems="center" gap={1} sx={{ mb: 1 }}>
+            <BackupIcon color="primary" />
+            <Typography variant="h6">Back up your account</Typography>
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Download a .zip with all your notes, images, notebooks, tags and sharing settings. Notes in the trash are included.
+          </Typography>
+
+          {backupError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {backupError}
+            </Alert>
+          )}
+
+          {backupProgress !== null && (
+            <Box sx={{ mb: 2 }}>
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                {backupProgress > 0 ? `Downloading... ${formatBytes(backupProgress)}` : 'Preparing backup...'}
+              </Typography>
+              <LinearProgress />
+            </Box>
+          )}
+
+          <Button
+            variant="contained"
+            startIcon={<BackupIcon />}
+            onClick={handleBackup}
+            disabled={busy}
+          >
+            Download backup
+          </Button>
+        </Paper>
+
+        <Paper variant="outlined" sx={{ p: 3 }}>
+          <Box display="flex" alignItems="center" gap={1} sx={{ mb: 1 }}>
+            <RestoreIcon color="primary" />
+            <Typography variant="h6">Restore from a backup</Typography>
+          </Box>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Add the notes from a backup to this account. Notes you already have are skipped, and notes are shared again with people who have an account here.
+          </Typography>
+
+          {restoreError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {restoreError}
+            </Alert>
+          )}
+
+          {restoreResult && (
+            <Alert severity={restoreResult.failed.length > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              Restored {pluralize(restoreResult.notes, 'note')}, {pluralize(restoreResult.images, 'image')}, {pluralize(restoreResult.attachments || 0, 'attachment')} and {pluralize(restoreResult.folders, 'notebook')}.
+              {restoreResult.duplicates.length > 0 && ` ${pluralize(restoreResult.duplicates.length, 'note')} already existed and ${restoreResult.duplicates.length === 1 ? 'was' : 'were'} skipped.`}
+              {restoreResult.shares.restored > 0 && ` ${pluralize(restoreResult.shares.restored, 'share')} restored.`}
+            </Alert>
+          )}
+
+          {restoreResult && (restoreResult.failed.length > 0 || restoreResult.shares.unresolved.length > 0 || restoreResult.sharedWithMe > 0) && (
+            <List dense sx={{ mb: 2 }}>
+              {restoreResult.failed.map((item, index) => (
+                <ListItem key={`failed-${index}`}>
+                  <ListItemText primary={item.title || 'Untitled'} secondary={item.reason} />
+                </ListItem>
+              ))}
+              {restoreResult.shares.unresolved.length > 0 && (
+                <ListItem>
+                  <ListItemText
+                    primary="Not shared again"
+                    secondary={`No account here for ${restoreResult.shares.unresolved.join(', ')}`}
+                  />
+                </ListItem>
+              )}
+              {restoreResult.sharedWithMe > 0 && (
+                <ListItem>
+                  <ListItemText
+                    primary={`${pluralize(restoreResult.sharedWithMe, 'note')} shared with you`}
+                    secondary="These belong to other people and must be shared with you again"
+                  />
+                </ListItem>
+              )}
+            </List>
+          )}
+
+          <input
+            type="file"
+            ref={fileInputRef}
+            accept=".zip"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              setRestoreFile(e.target.files[0] || null);
+              setRestoreResult(null);
+              e.target.value = '';
+            }}
+          />
+
+          <Box display="flex" alignItems="center" gap={2} sx={{ mb: 2 }}>
+            <Button
+              variant="outlined"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={busy}
+            >
+              Choose backup
+            </Button>
+            <Typography variant="body2" color={restoreFile ? 'text.primary' : 'text.secondary'} noWrap>
+              {restoreFile ? `${restoreFile.name} (${formatBytes(restoreFile.size)})` : 'No file selected'}
+            </Typography>
+          </Box>
+
+          {restoreProgress !== null && (
+            <Box sx={{ mb: 2 }}>
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                {restoreProgress < 100 ? `Uploading... ${restoreProgress}%` : 'Restoring notes...'}
+              </Typography>
+              <LinearProgress
+                variant={restoreProgress < 100 ? 'determinate' : 'indeterminate'}
+                value={restoreProgress}
+              />
+            </Box>
+          )}
+
+          <Divider sx={{ mb: 2 }} />
+
+          <Button
+            variant="contained"
+            startIcon={<RestoreIcon />}
+            onClick={handleRestore}
+            disabled={!restoreFile || busy}
+          >
+            Restore
+          </Button>
+        </Paper>
+      </Container>
+    </Dialog>
+  );
+};
+
+export default SettingsDialog;
@@ -0,0 +1,235 @@
+import React, { useState, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton
+} from '@mui/material';
+import {
+  FolderShared as FolderSharedIcon,
+  Delete as DeleteIcon,
+  Email as EmailIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import { FOLDER_ROLES } from '../utils/permissions';
+import RoleChip, { ROLE_ICONS } from './RoleChip';
+
+const ShareFolderDialog = ({ open, onClose, folder, onFolderUpdated }) => {
+  const [email, setEmail] = useState('');
+  const [permission, setPermission] = useState('edit');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [sharedWith, setSharedWith] = useState([]);
+
+  const loadSharingInfo = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/sharing/folders/${folder.id}`);
+      setSharedWith(response.data.participants || []);
+    } catch (error) {
+      console.error('Failed to load folder sharing info:', error);
+    }
+  }, [folder]);
+
+  // Load sharing info when dialog opens
+  React.useEffect(() => {
+    if (open && folder) {
+      loadSharingInfo();
+    }
+  }, [open, folder, loadSharingInfo]);
+
+  const handleShare = async () => {
+    if (!email.trim()) {
+      setError('Please enter an email address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      await api.post('/api/sharing/share-folder', {
+        folderId: folder.id,
+        targetUserEmail: email.trim(),
+        permission
+      });
+
+      setSuccess(`Folder shared with ${email} successfully!`);
+      setEmail('');
+      loadSharingInfo();
+
+      if (onFolderUpdated) {
+        onFolderUpdated();
+      }
+
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to share folder');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUnshare = async (userId) => {
+    setLoading(true);
+    try {
+      await api.delete(`/api/sharing/unshare-folder/${folder.id}/${userId}`);
+      setSuccess('Folder unshared successfully');
+      loadSharingInfo();
+
+      if (onFolderUpdated) {
+        onFolderUpdated();
+      }
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to unshare folder');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    setEmail('');
+    setError('');
+    setSuccess('');
+    setSharedWith([]);
+    onClose();
+  };
+
+  if (!folder) return null;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" gap={1}>
+          <FolderSharedIcon color="primary" />
+          Share Folder: {folder.name}
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {success}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Everyone you add gets every note in this folder and its subfolders, including notes added later.
+        </Typography>
+
+        <Box sx={{ mb: 3 }}>
+          <TextField
+            fullWidth
+            label="Email address"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            sx={{ mb: 2 }}
+            InputProps={{
+              startAdornment: <EmailIcon sx={{ mr: 1, color: 'text.secondary' }} />
+            }}
+          />
+
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Permission</InputLabel>
+            <Select
+              value={permission}
+              onChange={(e) => setPermission(e.target.value)}
+              label="Permission"
+            >
+              {FOLDER_ROLES.map((role) => {
+                const RoleIcon = ROLE_ICONS[role.value];
+                return (
+                  <MenuItem key={role.value} value={role.value}>
+                    <Box display="flex" alignItems="center" gap={1}>
+                      <RoleIcon fontSize="small" />
+                      {role.label}
+                    </Box>
+                  </MenuItem>
+                );
+              })}
+            </Select>
+          </FormControl>
+        </Box>
+
+        {sharedWith.length > 0 && (
+          <Box>
+            <Typography variant="h6" gutterBottom>
+              Currently shared with
+            </Typography>
+
+            <List dense>
+              {sharedWith.map((participant) => (
+                <ListItem key={participant.userId} divider>
+                  <ListItemText
+                    primary={
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <EmailIcon fontSize="small" color="action" />
+                        {participant.email}
+                      </Box>
+                    }
+                    secondary={
+                      <Box display="flex" alignItems="center" gap={1} mt={0.5}>
+                        <RoleChip permission={participant.permission} />
+                        <Typography variant="caption" color="text.secondary">
+                          Shared {new Date(participant.sharedAt).toLocaleDateString()}
+                        </Typography>
+                      </Box>
+                    }
+                  />
+                  <ListItemSecondaryAction>
+                    <IconButton
+                      edge="end"
+                      onClick={() => handleUnshare(participant.userId)}
+                      disabled={loading}
+                      size="small"
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  </ListItemSecondaryAction>
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleShare}
+          variant="contained"
+          disabled={loading || !email.trim()}
+          startIcon={loading ? <CircularProgress size={20} /> : <FolderSharedIcon />}
+        >
+          Share
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ShareFolderDialog;
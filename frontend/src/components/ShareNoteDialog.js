@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -19,17 +19,33 @@ import {
   ListItem,
   ListItemText,
   ListItemSecondaryAction,
-  IconButton
+  IconButton,
+  Tooltip,
+  Divider
 } from '@mui/material';
 import {
   Share as ShareIcon,
   Delete as DeleteIcon,
   Email as EmailIcon,
   Lock as LockIcon,
-  Edit as EditIcon,
-  Visibility as ViewIcon
+  Link as LinkIcon,
+  ContentCopy as CopyIcon,
+  LinkOff as RevokeIcon,
+  SwapHoriz as TransferIcon,
+  HourglassEmpty as PendingIcon
 } from '@mui/icons-material';
 import api from '../utils/api';
+import { NOTE_ROLES } from '../utils/permissions';
+import RoleChip, { ROLE_ICONS } from './RoleChip';
+
+const LINK_EXPIRY_OPTIONS = [
+  { value: 'never', label: 'Never expires' },
+  { value: '1', label: 'Expires in 1 day' },
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' }
+];
+
+const getPublicUrl = (link) => `${api.baseURL || window.location.origin}${link.url}`;
 
 const ShareNoteDialog = ({ open, onClose, note, onNoteUpdated }) => {
   const [email, setEmail] = useState('');
@@ -38,30 +54,149 @@ const ShareNoteDialog = ({ open, onClose, note, onNoteUpdated }) => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [sharedWith, setSharedWith] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [noteOwner, setNoteOwner] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const [transferEmail, setTransferEmail] = useState('');
+  const [confirmTransfer, setConfirmTransfer] = useState(false);
+  const [publicLinks, setPublicLinks] = useState([]);
+  const [linkPassword, setLinkPassword] = useState('');
+  const [linkExpiry, setLinkExpiry] = useState('never');
+
+  const loadSharingInfo = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/sharing/share/${note.id}`);
+      const participants = Object.entries(response.data.participants || {}).map(([userId, info]) => ({
+        userId,
+        ...info
+      }));
+      setSharedWith(participants);
+      setInvitations(response.data.invitations || []);
+      setNoteOwner(response.data.owner);
+      setIsOwner(response.data.isOwner);
+    } catch (error) {
+      console.error('Failed to load sharing info:', error);
+      setSharedWith([]);
+      setInvitations([]);
+    }
+  }, [note]);
+
+  const loadPublicLinks = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/sharing/links/${note.id}`);
+      setPublicLinks(response.data.links || []);
+    } catch (error) {
+      console.error('Failed to load public links:', error);
+    }
+  }, [note]);
 
   // Load sharing info when dialog opens
   React.useEffect(() => {
     if (open && note) {
       loadSharingInfo();
+      loadPublicLinks();
     }
-  }, [open, note]);
+  }, [open, note, loadSharingInfo, loadPublicLinks]);
 
-  const loadSharingInfo = async () => {
+  const copyLink = async (link) => {
     try {
-      const response = await api.get('/api/sharing/shared-by-me');
-      const noteShares = response.data.find(share => share.originalNoteId === note.id);
-      
-      if (noteShares) {
-        const participants = Object.entries(noteShares.participants || {}).map(([userId, info]) => ({
-          userId,
-          ...info
-        }));
-        setSharedWith(participants);
-      } else {
-        setSharedWith([]);
+      await navigator.clipboard.writeText(getPublicUrl(link));
+      setSuccess('Link copied to clipboard');
+    } catch (error) {
+      setError('Could not copy the link - select and copy it manually');
+    }
+  };
+
+  const handleCreateLink = async () => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const expiresAt = linkExpiry === 'never'
+        ? null
+        : new Date(Date.now() + parseInt(linkExpiry, 10) * 24 * 60 * 60 * 1000).toISOString();
+      const response = await api.post('/api/sharing/links', {
+        noteId: note.id,
+        password: linkPassword || null,
+        expiresAt
+      });
+
+      setLinkPassword('');
+      await loadPublicLinks();
+      await copyLink(response.data);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to create link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevokeLink = async (token) => {
+    setLoading(true);
+    try {
+      await api.delete(`/api/sharing/links/${token}`);
+      setSuccess('Link revoked - it no longer works');
+      loadPublicLinks();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to revoke link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelInvitation = async (invitationId) => {
+    setLoading(true);
+    try {
+      await api.delete(`/api/sharing/share/${note.id}/invitations/${invitationId}`);
+      setSuccess('Invitation cancelled');
+      loadSharingInfo();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to cancel invitation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRoleChange = async (userId, newPermission) => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      await api.put(`/api/sharing/share/${note.id}/${userId}`, { permission: newPermission });
+      setSuccess('Role updated');
+      loadSharingInfo();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to change role');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTransfer = async () => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      await api.post('/api/sharing/transfer', {
+        noteId: note.id,
+        targetUserEmail: transferEmail.trim()
+      });
+
+      setSuccess(`${transferEmail} now owns this note - you can still edit it`);
+      setTransferEmail('');
+      setConfirmTransfer(false);
+
+      if (onNoteUpdated) {
+        onNoteUpdated();
       }
     } catch (error) {
-      console.error('Failed to load sharing info:', error);
+      setError(error.response?.data?.error || 'Failed to transfer ownership');
+      setConfirmTransfer(false);
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -76,17 +211,19 @@ const ShareNoteDialog = ({ open, onClose, note, onNoteUpdated }) => {
     setSuccess('');
 
     try {
-      await api.post('/api/sharing/share', {
+      const response = await api.post('/api/sharing/share', {
         noteId: note.id,
         targetUserEmail: email.trim(),
         permission
       });
 
-      setSuccess(`Note shared with ${email} successfully!`);
+      setSuccess(response.data.pending
+        ? `${email} doesn't have an account yet - the note will be shared when they first sign in`
+        : `Note shared with ${email} successfully!`);
       setEmail('');
       loadSharingInfo(); // Refresh the sharing list
       
-      if (onNoteUpdated) {
+      if (onNoteUpdated && !response.data.pending) {
         onNoteUpdated();
       }
 
@@ -119,6 +256,14 @@ const ShareNoteDialog = ({ open, onClose, note, onNoteUpdated }) => {
     setError('');
     setSuccess('');
     setSharedWith([]);
+    setInvitations([]);
+    setNoteOwner(null);
+    setIsOwner(false);
+    setTransferEmail('');
+    setConfirmTransfer(false);
+    setPublicLinks([]);
+    setLinkPassword('');
+    setLinkExpiry('never');
     onClose();
   };
 
@@ -169,23 +314,32 @@ const ShareNoteDialog = ({ open, onClose, note, onNoteUpdated }) => {
               value={permission}
               onChange={(e) => setPermission(e.target.value)}
               label="Permission"
+              renderValue={(value) => NOTE_ROLES.find(role => role.value === value)?.label}
             >
-              <MenuItem value="view">
-                <Box display="flex" alignItems="center" gap={1}>
-                  <ViewIcon fontSize="small" />
-                  View only
-                </Box>
-              </MenuItem>
-              <MenuItem value="edit">
-                <Box display="flex" alignItems="center" gap={1}>
-                  <EditIcon fontSize="small" />
-                  Can edit
-                </Box>
-              </MenuItem>
+              {NOTE_ROLES.map((role) => {
+                const RoleIcon = ROLE_ICONS[role.value];
+                return (
+                  <MenuItem key={role.value} value={role.value}>
+                    <Box display="flex" alignItems="center" gap={1}>
+                      <RoleIcon fontSize="small" />
+                      <Box>
+                        <Typography variant="body2">{role.label}</Typography>
+                        <Typography variant="caption" color="text.secondary">{role.description}</Typography>
+                      </Box>
+                    </Box>
+                  </MenuItem>
+                );
+              })}
             </Select>
           </FormControl>
         </Box>
 
+        {noteOwner && !isOwner && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Owned by {noteOwner.email} - as a co-owner you can share it and change roles.
+          </Typography>
+        )}
+
         {sharedWith.length > 0 && (
           <Box>
             <Typography variant="h6" gutterBottom>
@@ -204,12 +358,21 @@ const ShareNoteDialog = ({ open, onClose, note, onNoteUpdated }) => {
                     }
                     secondary={
                       <Box display="flex" alignItems="center" gap={1} mt={0.5}>
-                        <Chip
+                        <Select
                           size="small"
-                          icon={participant.permission === 'edit' ? <EditIcon /> : <ViewIcon />}
-                          label={participant.permission === 'edit' ? 'Can edit' : 'View only'}
-                          color={participant.permission === 'edit' ? 'primary' : 'default'}
-                        />
+                          variant="standard"
+                          value={participant.permission || 'edit'}
+                          onChange={(e) => handleRoleChange(participant.userId, e.target.value)}
+                          disabled={loading}
+                          sx={{ fontSize: '0.8125rem' }}
+                        >
+                          {NOTE_ROLES.map(role => (
+                            <MenuItem key={role.value} value={role.value}>{role.label}</MenuItem>
+                          ))}
+                        </Select>
+                        {participant.viaFolder && (
+                          <Chip size="small" variant="outlined" label="Via folder" />
+                        )}
                         <Typography variant="caption" color="text.secondary">
                           Shared {new Date(participant.sharedAt).toLocaleDateString()}
                         </Typography>
@@ -232,6 +395,177 @@ const ShareNoteDialog = ({ open, onClose, note, onNoteUpdated }) => {
           </Box>
         )}
 
+        {invitations.length > 0 && (
+          <Box sx={{ mt: sharedWith.length > 0 ? 2 : 0 }}>
+            <Typography variant="h6" gutterBottom>
+              Pending invitations
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              These people don't have an account yet. The note is shared with them when they first sign in.
+            </Typography>
+
+            <List dense>
+              {invitations.map((invitation) => (
+                <ListItem key={invitation.id} divider>
+                  <ListItemText
+                    primary={
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <PendingIcon fontSize="small" color="action" />
+                        {invitation.email}
+                      </Box>
+                    }
+                    secondary={
+                      <Box display="flex" alignItems="center" gap={1} mt={0.5}>
+                        <RoleChip permission={invitation.permission} variant="outlined" />
+                        <Typography variant="caption" color="text.secondary">
+                          Invited {new Date(invitation.createdAt).toLocaleDateString()} by {invitation.invitedBy}
+                        </Typography>
+                      </Box>
+                    }
+                  />
+                  <ListItemSecondaryAction>
+                    <Tooltip title="Cancel invitation">
+                      <span>
+                        <IconButton
+                          edge="end"
+                          onClick={() => handleCancelInvitation(invitation.id)}
+                          disabled={loading}
+                          size="small"
+                        >
+                          <DeleteIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </ListItemSecondaryAction>
+                </ListItem>
+              ))}
+            </List>
+          </Box>
+        )}
+
+        {isOwner && (
+          <Box sx={{ mt: 3 }}>
+            <Divider sx={{ mb: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              Transfer ownership
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              The new owner gets the note with its history, comments and public links. You keep edit access.
+            </Typography>
+
+            <Box display="flex" gap={1} flexWrap="wrap">
+              <TextField
+                size="small"
+                label="New owner's email"
+                type="email"
+                value={transferEmail}
+                onChange={(e) => {
+                  setTransferEmail(e.target.value);
+                  setConfirmTransfer(false);
+                }}
+                sx={{ flex: 1, minWidth: 220 }}
+              />
+              <Button
+                variant={confirmTransfer ? 'contained' : 'outlined'}
+                color={confirmTransfer ? 'warning' : 'primary'}
+                onClick={confirmTransfer ? handleTransfer : () => setConfirmTransfer(true)}
+                disabled={loading || !transferEmail.trim()}
+                startIcon={<TransferIcon />}
+              >
+                {confirmTransfer ? 'Confirm transfer' : 'Transfer'}
+              </Button>
+            </Box>
+          </Box>
+        )}
+
+        {!note.sharedBy && (
+          <Box sx={{ mt: 3 }}>
+            <Divider sx={{ mb: 2 }} />
+            <Typography variant="h6" gutterBottom>
+              Public link
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Anyone with the link can read this note, no account needed.
+            </Typography>
+
+            <Box display="flex" gap={1} flexWrap="wrap" sx={{ mb: 2 }}>
+              <TextField
+                size="small"
+                label="Password (optional)"
+                type="password"
+                value={linkPassword}
+                onChange={(e) => setLinkPassword(e.target.value)}
+                sx={{ flex: 1, minWidth: 180 }}
+                autoComplete="new-password"
+              />
+              <FormControl size="small" sx={{ minWidth: 170 }}>
+                <Select value={linkExpiry} onChange={(e) => setLinkExpiry(e.target.value)}>
+                  {LINK_EXPIRY_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <Button
+                variant="outlined"
+                onClick={handleCreateLink}
+                disabled={loading}
+                startIcon={<LinkIcon />}
+              >
+                Create link
+              </Button>
+            </Box>
+
+            {publicLinks.length > 0 && (
+              <List dense>
+                {publicLinks.map((link) => (
+                  <ListItem key={link.token} divider>
+                    <ListItemText
+                      primary={
+                        <Typography variant="body2" noWrap sx={{ pr: 10, opacity: link.expired ? 0.5 : 1 }}>
+                          {getPublicUrl(link)}
+                        </Typography>
+                      }
+                      secondary={
+                        <Box display="flex" alignItems="center" gap={1} mt={0.5} flexWrap="wrap">
+                          {link.hasPassword && (
+                            <Chip size="small" icon={<LockIcon />} label="Password" />
+                          )}
+                          {link.expired ? (
+                            <Chip size="small" color="error" label="Expired" />
+                          ) : link.expiresAt && (
+                            <Typography variant="caption" color="text.secondary">
+                              Expires {new Date(link.expiresAt).toLocaleDateString()}
+                            </Typography>
+                          )}
+                          <Typography variant="caption" color="text.secondary">
+                            {link.views} {link.views === 1 ? 'view' : 'views'}
+                          </Typography>
+                        </Box>
+                      }
+                    />
+                    <ListItemSecondaryAction>
+                      <Tooltip title="Copy link">
+                        <span>
+                          <IconButton size="small" onClick={() => copyLink(link)} disabled={link.expired}>
+                            <CopyIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Revoke link">
+                        <span>
+                          <IconButton edge="end" size="small" onClick={() => handleRevokeLink(link.token)} disabled={loading}>
+                            <RevokeIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </ListItemSecondaryAction>
+                  </ListItem>
+                ))}
+              </List>
+            )}
+          </Box>
+        )}
+
         {note.shared && note.sharedBy && (
           <Alert severity="info" sx={{ mt: 2 }}>
             <Typography variant="body2">
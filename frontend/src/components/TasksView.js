@@ -0,0 +1,238 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListSubheader,
+  Checkbox,
+  Chip,
+  IconButton,
+  Tooltip,
+  FormControlLabel,
+  Switch,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  Refresh as RefreshIcon,
+  TaskAlt as TaskAltIcon,
+  People as PeopleIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import { findTaskItems } from '../utils/tasks';
+import { canEditNote } from '../utils/permissions';
+import { formatDueDate, dueStatus, parseDueDate } from '../utils/dueDates';
+
+const DUE_CHIP_COLORS = { overdue: 'error', today: 'warning', upcoming: 'default' };
+
+// Tasks from the notes already on this device, shaped like /api/notes/tasks
+const findLocalTasks = (notes, showCompleted) => notes
+  .filter(note => !note.trashed)
+  .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+  .flatMap(note => findTaskItems(note.content)
+    .filter(task => showCompleted || !task.checked)
+    .map(task => ({
+      noteId: note.id,
+      noteTitle: note.title || 'Untitled',
+      updatedAt: note.updatedAt,
+      shared: note.shared || false,
+      sharedBy: note.sharedBy || null,
+      canEdit: !note.permission || canEditNote(note),
+      ...task
+    })));
+
+const taskKey = (task) => `${task.noteId}:${task.index}`;
+
+const TasksView = ({ notes = [], isOnline = true, onOpenNote, onToggleTask, onBack, isMobile = false }) => {
+  const [tasks, setTasks] = useState([]);
+  const [showCompleted, setShowCompleted] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [offline, setOffline] = useState(false);
+  const [busyKey, setBusyKey] = useState(null);
+  const [error, setError] = useState('');
+
+  // Local notes are only a fallback; read them through a ref so saving one
+  // doesn't refetch the tasks
+  const notesRef = useRef(notes);
+  notesRef.current = notes;
+
+  const loadTasks = useCallback(async () => {
+    setError('');
+    if (!isOnline) {
+      setTasks(findLocalTasks(notesRef.current, showCompleted));
+      setOffline(true);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.get(`/api/notes/tasks?status=${showCompleted ? 'all' : 'open'}`);
+      setTasks(response.data.tasks || []);
+      setOffline(false);
+    } catch (error) {
+      console.error('Failed to load tasks:', error);
+      if (api.isNetworkError(error)) {
+        setTasks(findLocalTasks(notesRef.current, showCompleted));
+        setOffline(true);
+      } else {
+        setError(error.response?.data?.error || 'Failed to load tasks');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [isOnline, showCompleted]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  // Tasks grouped by note, keeping the order the notes came in
+  const groups = useMemo(() => {
+    const byNote = new Map();
+    for (const task of tasks) {
+      if (!byNote.has(task.noteId)) {
+        byNote.set(task.noteId, { noteId: task.noteId, noteTitle: task.noteTitle, shared: task.shared, tasks: [] });
+      }
+      byNote.get(task.noteId).tasks.push(task);
+    }
+    return Array.from(byNote.values());
+  }, [tasks]);
+
+  const handleToggle = async (task) => {
+    const checked = !task.checked;
+    setBusyKey(taskKey(task));
+    setError('');
+    try {
+      const saved = await onToggleTask(task, checked);
+      if (!saved) {
+        setError(`"${task.noteTitle}" has changed since the tasks were loaded. The list has been refreshed.`);
+        await loadTasks();
+        return;
+      }
+      setTasks(prev => prev
+        .map(entry => (taskKey(entry) === taskKey(task) ? { ...entry, checked } : entry))
+        .filter(entry => showCompleted || !entry.checked));
+    } catch (error) {
+      console.error('Failed to update task:', error);
+      setError(error.response?.data?.error || 'Failed to update task');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  return (
+    <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column', backgroundColor: 'background.default' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, px: isMobile ? 1 : 2, py: 1, borderBottom: 1, borderColor: 'divider' }}>
+        {onBack && (
+          <IconButton onClick={onBack} aria-label="back">
+            <ArrowBackIcon />
+          </IconButton>
+        )}
+        <TaskAltIcon color="action" />
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Tasks
+        </Typography>
+        <FormControlLabel
+          control={<Switch size="small" checked={showCompleted} onChange={(e) => setShowCompleted(e.target.checked)} />}
+          label="Show completed"
+        />
+        <Tooltip title="Refresh">
+          <span>
+            <IconButton onClick={loadTasks} disabled={loading}>
+              <RefreshIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Box sx={{ flexGrow: 1, overflow: 'auto', px: isMobile ? 0 : 1 }}>
+        {offline && (
+          <Alert severity="info" sx={{ m: 2 }}>
+            You're offline. These are the tasks in the notes on this device; changes sync when you reconnect.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ m: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : groups.length === 0 ? (
+          <Box sx={{ p: 3, textAlign: 'center' }}>
+            <Typography color="text.secondary">
+              {showCompleted ? 'No task lists in your notes yet' : 'No open tasks'}
+            </Typography>
+          </Box>
+        ) : (
+          groups.map(group => (
+            <List
+              key={group.noteId}
+              dense
+              subheader={
+                <ListSubheader
+                  onClick={() => onOpenNote(group.noteId)}
+                  sx={{ display: 'flex', alignItems: 'center', gap: 1, cursor: 'pointer', backgroundColor: 'background.default' }}
+                >
+                  <Typography variant="subtitle2" noWrap sx={{ '&:hover': { textDecoration: 'underline' } }}>
+                    {group.noteTitle}
+                  </Typography>
+                  {group.shared && <PeopleIcon fontSize="small" color="action" />}
+                </ListSubheader>
+              }
+            >
+              {group.tasks.map(task => {
+                const dueDate = parseDueDate(task.due);
+                const status = dueDate && !task.checked ? dueStatus(dueDate) : null;
+
+                return (
+                  <ListItem key={taskKey(task)} disablePadding sx={{ pl: 1 }}>
+                    <ListItemIcon sx={{ minWidth: 40 }}>
+                      <Tooltip title={task.canEdit ? '' : 'You can only view this note'}>
+                        <span>
+                          <Checkbox
+                            edge="start"
+                            size="small"
+                            checked={task.checked}
+                            disabled={!task.canEdit || busyKey !== null}
+                            onChange={() => handleToggle(task)}
+                            inputProps={{ 'aria-label': task.text || 'Task' }}
+                          />
+                        </span>
+                      </Tooltip>
+                    </ListItemIcon>
+                    <ListItemText
+                      primary={task.text || 'Untitled task'}
+                      primaryTypographyProps={{
+                        sx: task.checked ? { textDecoration: 'line-through', color: 'text.secondary' } : undefined
+                      }}
+                    />
+                    {dueDate && (
+                      <Chip
+                        label={formatDueDate(task.due)}
+                        size="small"
+                        color={status ? DUE_CHIP_COLORS[status] : 'default'}
+                        variant={status === 'overdue' || status === 'today' ? 'filled' : 'outlined'}
+                        sx={{ ml: 1, mr: 1 }}
+                      />
+                    )}
+                  </ListItem>
+                );
+              })}
+            </List>
+          ))
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default TasksView;
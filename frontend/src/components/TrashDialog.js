@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Divider
+} from '@mui/material';
+import {
+  Delete as DeleteIcon,
+  DeleteForever as DeleteForeverIcon,
+  RestoreFromTrash as RestoreIcon,
+  People as PeopleIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+
+const formatDate = (dateString) => {
+  try {
+    return new Date(dateString).toLocaleDateString();
+  } catch (error) {
+    return 'Unknown date';
+  }
+};
+
+const daysUntil = (dateString) => {
+  const days = Math.ceil((new Date(dateString).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+  return Math.max(days, 0);
+};
+
+const TrashDialog = ({ open, onClose, onNotesChanged, isMobile = false }) => {
+  const [notes, setNotes] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTrash = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.get('/api/notes/trash');
+      setNotes(response.data.notes || []);
+      setRetentionDays(response.data.retentionDays || 30);
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+      setError(error.response?.data?.error || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      setConfirmEmpty(false);
+      loadTrash();
+    }
+  }, [open, loadTrash]);
+
+  const handleRestore = async (note) => {
+    setBusyId(note.id);
+    setError('');
+    try {
+      await api.post(`/api/notes/${note.id}/restore`);
+      setNotes(prev => prev.filter(n => n.id !== note.id));
+      if (onNotesChanged) {
+        onNotesChanged();
+      }
+    } catch (error) {
+      console.error('Failed to restore note:', error);
+      setError(error.response?.data?.error || 'Failed to restore note');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDeleteForever = async (note) => {
+    setBusyId(note.id);
+    setError('');
+    try {
+      await api.delete(`/api/notes/trash/${note.id}`);
+      setNotes(prev => prev.filter(n => n.id !== note.id));
+    } catch (error) {
+      console.error('Failed to delete note permanently:', error);
+      setError(error.response?.data?.error || 'Failed to delete note permanently');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    setBusyId('all');
+    setError('');
+    try {
+      await api.delete('/api/notes/trash');
+      setNotes([]);
+      setConfirmEmpty(false);
+    } catch (error) {
+      console.error('Failed to empty trash:', error);
+      setError(error.response?.data?.error || 'Failed to empty trash');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth fullScreen={isMobile}>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" gap={1}>
+          <DeleteIcon />
+          Trash
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Notes in the trash are permanently deleted after {retentionDays} days.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {confirmEmpty && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 2 }}
+            action={
+              <Box display="flex" gap={1}>
+                <Button color="inherit" size="small" onClick={() => setConfirmEmpty(false)}>
+                  Cancel
+                </Button>
+                <Button color="error" size="small" onClick={handleEmptyTrash} disabled={busyId === 'all'}>
+                  Delete all
+                </Button>
+              </Box>
+            }
+          >
+            Permanently delete all {notes.length} notes? This cannot be undone.
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : notes.length === 0 ? (
+          <Box sx={{ p: 3, textAlign: 'center' }}>
+            <Typography color="text.secondary">
+              Trash is empty
+            </Typography>
+          </Box>
+        ) : (
+          <List dense>
+            {notes.map((note, index) => (
+              <React.Fragment key={note.id}>
+                <ListItem
+                  secondaryAction={
+                    <Box display="flex" gap={0.5}>
+                      <Tooltip title="Restore">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleRestore(note)}
+                            disabled={busyId !== null}
+                          >
+                            <RestoreIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Delete forever">
+                        <span>
+                          <IconButton
+                            size="small"
+                            color="error"
+                            onClick={() => handleDeleteForever(note)}
+                            disabled={busyId !== null}
+                          >
+                            <DeleteForeverIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </Box>
+                  }
+                  sx={{ pr: 12 }}
+                >
+                  <ListItemText
+                    primary={
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }} noWrap>
+                          {note.title || 'Untitled'}
+                        </Typography>
+                        {(note.shared || note.hasBeenShared) && (
+                          <Chip icon={<PeopleIcon />} label="Shared" size="small" variant="outlined" />
+                        )}
+                      </Box>
+                    }
+                    secondary={`Deleted ${formatDate(note.trashedAt)} · ${daysUntil(note.purgeAt)} days left`}
+                  />
+                </ListItem>
+                {index < notes.length - 1 && <Divider component="li" />}
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button
+          color="error"
+          onClick={() => setConfirmEmpty(true)}
+          disabled={notes.length === 0 || busyId !== null || confirmEmpty}
+        >
+          Empty trash
+        </Button>
+        <Button onClick={onClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TrashDialog;
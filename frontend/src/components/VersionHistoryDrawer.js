@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Chip,
+  Button,
+  Divider,
+  Alert,
+  CircularProgress,
+  Paper,
+  Tabs,
+  Tab
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  History as HistoryIcon,
+  Restore as RestoreIcon,
+  ArrowBack as ArrowBackIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+import ActivityFeed from './ActivityFeed';
+
+const sourceLabels = {
+  create: 'Created',
+  baseline: 'Original',
+  batch: 'Live edit',
+  restore: 'Restored',
+  import: 'Imported',
+  backup: 'From backup',
+  save: 'Saved'
+};
+
+const formatVersionTime = (dateString) => {
+  try {
+    const date = new Date(dateString);
+    const now = new Date();
+    const sameDay = date.toDateString() === now.toDateString();
+
+    if (sameDay) {
+      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  } catch (error) {
+    return 'Unknown date';
+  }
+};
+
+const VersionHistoryDrawer = ({ open, onClose, note, canRestore = true, onRestored, isMobile = false }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [tab, setTab] = useState('versions');
+
+  const loadVersions = useCallback(async () => {
+    if (!note?.id) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.get(`/api/notes/${note.id}/versions`);
+      setVersions(response.data.versions || []);
+    } catch (error) {
+      console.error('Failed to load version history:', error);
+      setError(error.response?.data?.error || 'Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  }, [note?.id]);
+
+  useEffect(() => {
+    if (open) {
+      setSelectedVersion(null);
+      setTab('versions');
+      loadVersions();
+    }
+  }, [open, loadVersions]);
+
+  const handleSelectVersion = async (version) => {
+    setPreviewLoading(true);
+    setError('');
+    try {
+      const response = await api.get(`/api/notes/${note.id}/versions/${version.id}`);
+      setSelectedVersion(response.data);
+    } catch (error) {
+      console.error('Failed to load version:', error);
+      setError(error.response?.data?.error || 'Failed to load version');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!selectedVersion) return;
+
+    setRestoring(true);
+    setError('');
+    try {
+      const response = await api.post(`/api/notes/${note.id}/versions/${selectedVersion.id}/restore`);
+      if (onRestored) {
+        onRestored(response.data);
+      }
+      onClose();
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+      setError(error.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <Drawer
+      anchor="right"
+      open={open}
+      onClose={onClose}
+      PaperProps={{
+        sx: { width: isMobile ? '100%' : 420, maxWidth: '100%' }
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, p: 2, borderBottom: 1, borderColor: 'divider' }}>
+        {selectedVersion ? (
+          <IconButton size="small" onClick={() => setSelectedVersion(null)}>
+            <ArrowBackIcon />
+          </IconButton>
+        ) : (
+          <HistoryIcon color="primary" />
+        )}
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          {selectedVersion ? formatVersionTime(selectedVersion.createdAt) : 'History'}
+        </Typography>
+        <IconButton size="small" onClick={onClose}>
+          <CloseIcon />
+        </IconButton>
+      </Box>
+
+      {!selectedVersion && (
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} variant="fullWidth" sx={{ borderBottom: 1, borderColor: 'divider' }}>
+          <Tab value="versions" label="Versions" />
+          <Tab value="activity" label="Activity" />
+        </Tabs>
+      )}
+
+      {tab === 'activity' && <ActivityFeed noteId={note?.id} active={open} />}
+
+      {tab === 'versions' && error && (
+        <Alert severity="error" sx={{ m: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {tab === 'versions' && (loading || previewLoading) && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress size={28} />
+        </Box>
+      )}
+
+      {tab === 'versions' && !loading && !previewLoading && selectedVersion && (
+        <Box sx={{ display: 'flex', flexDirection: 'column', flexGrow: 1, overflow: 'hidden' }}>
+          <Box sx={{ px: 2, py: 1.5 }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
+              {selectedVersion.title || 'Untitled'}
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              Edited by {selectedVersion.editorName || 'Unknown'}
+            </Typography>
+          </Box>
+          <Divider />
+          <Paper
+            variant="outlined"
+            sx={{ m: 2, p: 2, flexGrow: 1, overflow: 'auto', '& img': { maxWidth: '100%' } }}
+          >
+            <div dangerouslySetInnerHTML={{ __html: selectedVersion.content || '' }} />
+          </Paper>
+          {canRestore && (
+            <Box sx={{ p: 2, pt: 0 }}>
+              <Button
+                fullWidth
+                variant="contained"
+                startIcon={restoring ? <CircularProgress size={20} /> : <RestoreIcon />}
+                onClick={handleRestore}
+                disabled={restoring || selectedVersion.contentHash === versions[0]?.contentHash}
+              >
+                Restore this version
+              </Button>
+            </Box>
+          )}
+        </Box>
+      )}
+
+      {tab === 'versions' && !loading && !previewLoading && !selectedVersion && (
+        versions.length === 0 ? (
+          <Box sx={{ p: 3, textAlign: 'center' }}>
+            <Typography color="text.secondary">
+              No saved versions yet
+            </Typography>
+          </Box>
+        ) : (
+          <List sx={{ overflow: 'auto', flexGrow: 1 }}>
+            {versions.map((version, index) => (
+              <React.Fragment key={version.id}>
+                <ListItemButton onClick={() => handleSelectVersion(version)}>
+                  <ListItemAvatar>
+                    <Avatar src={version.editorAvatar || undefined}>
+                      {version.editorName?.charAt(0)}
+                    </Avatar>
+                  </ListItemAvatar>
+                  <ListItemText
+                    primary={
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                          {formatVersionTime(version.createdAt)}
+                        </Typography>
+                        {index === 0 && <Chip label="Current" size="small" color="primary" />}
+                        {index !== 0 && version.source !== 'save' && (
+                          <Chip label={sourceLabels[version.source] || version.source} size="small" variant="outlined" />
+                        )}
+                      </Box>
+                    }
+                    secondary={`${version.editorName || 'Unknown'} · ${version.title || 'Untitled'}`}
+                  />
+                </ListItemButton>
+                {index < versions.length - 1 && <Divider component="li" />}
+              </React.Fragment>
+            ))}
+          </List>
+        )
+      )}
+    </Drawer>
+  );
+};
+
+export default VersionHistoryDrawer;
@@ -0,0 +1,500 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Box,
+  Typography,
+  Alert,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  ListItemSecondaryAction,
+  IconButton,
+  Chip,
+  Divider
+} from '@mui/material';
+import {
+  Groups as GroupsIcon,
+  ArrowBack as ArrowBackIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Email as EmailIcon,
+  Description as NoteIcon,
+  Logout as LeaveIcon
+} from '@mui/icons-material';
+import api from '../utils/api';
+
+export const WORKSPACE_ROLES = [
+  { value: 'admin', label: 'Admin', description: 'Manages members and can share every note' },
+  { value: 'editor', label: 'Editor', description: 'Edits notes and adds their own' },
+  { value: 'commenter', label: 'Commenter', description: 'Reads and comments on notes' },
+  { value: 'viewer', label: 'Viewer', description: 'Reads notes' }
+];
+
+const workspaceRoleLabel = (role) => WORKSPACE_ROLES.find(option => option.value === role)?.label || role;
+
+const WorkspacesDialog = ({ open, onClose, currentUser, currentNote, onWorkspacesChanged, isMobile }) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspace, setWorkspace] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Load the list when the dialog opens
+  React.useEffect(() => {
+    if (open) {
+      loadWorkspaces();
+    }
+  }, [open]);
+
+  const loadWorkspaces = async () => {
+    try {
+      const response = await api.get('/api/workspaces');
+      setWorkspaces(response.data || []);
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+    }
+  };
+
+  const openWorkspace = async (workspaceId) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await api.get(`/api/workspaces/${workspaceId}`);
+      setWorkspace(response.data);
+      setName(response.data.name);
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load workspace');
+    }
+  };
+
+  const backToList = () => {
+    setWorkspace(null);
+    setRenaming(false);
+    setConfirmDelete(false);
+    setEmail('');
+    setError('');
+    setSuccess('');
+    loadWorkspaces();
+  };
+
+  // Run a workspace change, then refresh the list and the notes it shares
+  const runAction = async (action, successMessage, fallbackError) => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await action();
+      if (successMessage) {
+        setSuccess(successMessage);
+      }
+      if (onWorkspacesChanged) {
+        onWorkspacesChanged();
+      }
+      return result;
+    } catch (error) {
+      setError(error.response?.data?.error || fallbackError);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+
+    const response = await runAction(
+      () => api.post('/api/workspaces', { name: newName.trim() }),
+      null,
+      'Failed to create workspace'
+    );
+    if (response) {
+      setNewName('');
+      setWorkspace(null);
+      await loadWorkspaces();
+      openWorkspace(response.data.id);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!name.trim()) return;
+
+    const response = await runAction(
+      () => api.put(`/api/workspaces/${workspace.id}`, { name: name.trim() }),
+      'Workspace renamed',
+      'Failed to rename workspace'
+    );
+    if (response) {
+      setWorkspace(prev => ({ ...prev, name: response.data.name }));
+      setRenaming(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const response = await runAction(
+      () => api.delete(`/api/workspaces/${workspace.id}`),
+      null,
+      'Failed to delete workspace'
+    );
+    if (response) {
+      backToList();
+    }
+  };
+
+  const handleAddMember = async () => {
+    if (!email.trim()) return;
+
+    const response = await runAction(
+      () => api.post(`/api/workspaces/${workspace.id}/members`, { email: email.trim(), role }),
+      `Added ${email.trim()} to the workspace`,
+      'Failed to add member'
+    );
+    if (response) {
+      setWorkspace(response.data);
+      setEmail('');
+    }
+  };
+
+  const handleRoleChange = async (userId, newRole) => {
+    const response = await runAction(
+      () => api.put(`/api/workspaces/${workspace.id}/members/${userId}`, { role: newRole }),
+      'Role updated',
+      'Failed to change role'
+    );
+    if (response) {
+      setWorkspace(response.data);
+    }
+  };
+
+  const handleRemoveMember = async (userId) => {
+    const leaving = userId === currentUser?.id;
+    const response = await runAction(
+      () => api.delete(`/api/workspaces/${workspace.id}/members/${userId}`),
+      leaving ? null : 'Member removed',
+      leaving ? 'Failed to leave workspace' : 'Failed to remove member'
+    );
+    if (!response) return;
+
+    if (leaving) {
+      backToList();
+    } else {
+      openWorkspace(workspace.id);
+    }
+  };
+
+  const handleAddNote = async () => {
+    const response = await runAction(
+      () => api.post(`/api/workspaces/${workspace.id}/notes`, { noteId: currentNote.id }),
+      `Added "${currentNote.title || 'Untitled'}" to the workspace`,
+      'Failed to add note'
+    );
+    if (response) {
+      setWorkspace(response.data);
+    }
+  };
+
+  const handleRemoveNote = async (noteId) => {
+    const response = await runAction(
+      () => api.delete(`/api/workspaces/${workspace.id}/notes/${noteId}`),
+      'Note removed from the workspace',
+      'Failed to remove note'
+    );
+    if (response) {
+      setWorkspace(response.data);
+    }
+  };
+
+  const handleClose = () => {
+    backToList();
+    setNewName('');
+    onClose();
+  };
+
+  const isAdmin = workspace?.role === 'admin';
+  const canAddNotes = workspace && (workspace.role === 'admin' || workspace.role === 'editor');
+  // Only notes you own and that aren't in a workspace yet can be added
+  const canAddCurrentNote = canAddNotes && currentNote && !currentNote.sharedBy && !currentNote.workspaceId;
+
+  const renderList = () => (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Everyone in a workspace gets its notes with the access their role allows, including notes added later.
+      </Typography>
+
+      <Box display="flex" gap={1} sx={{ mb: 2 }}>
+        <TextField
+          fullWidth
+          size="small"
+          label="New workspace"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleCreate(); }}
+        />
+        <Button
+          variant="contained"
+          onClick={handleCreate}
+          disabled={loading || !newName.trim()}
+          startIcon={<AddIcon />}
+        >
+          Create
+        </Button>
+      </Box>
+
+      {workspaces.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          You are not in any workspace yet.
+        </Typography>
+      ) : (
+        <List dense>
+          {workspaces.map((item) => (
+            <ListItemButton key={item.id} divider onClick={() => openWorkspace(item.id)}>
+              <GroupsIcon fontSize="small" color="action" sx={{ mr: 1.5 }} />
+              <ListItemText
+                primary={item.name}
+                secondary={`${item.memberCount} member${item.memberCount === 1 ? '' : 's'} · ${item.noteCount} note${item.noteCount === 1 ? '' : 's'}`}
+              />
+              <Chip size="small" label={workspaceRoleLabel(item.role)} />
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </>
+  );
+
+  const renderWorkspace = () => (
+    <>
+      <Box display="flex" alignItems="center" gap={1} sx={{ mb: 2 }}>
+        {renaming ? (
+          <>
+            <TextField
+              fullWidth
+              size="small"
+              label="Workspace name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleRename(); }}
+              autoFocus
+            />
+            <Button onClick={handleRename} disabled={loading || !name.trim()}>Save</Button>
+            <Button onClick={() => { setRenaming(false); setName(workspace.name); }}>Cancel</Button>
+          </>
+        ) : (
+          <>
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>{workspace.name}</Typography>
+            <Chip size="small" label={workspaceRoleLabel(workspace.role)} />
+            {isAdmin && (
+              <IconButton size="small" onClick={() => setRenaming(true)} title="Rename">
+                <EditIcon fontSize="small" />
+              </IconButton>
+            )}
+          </>
+        )}
+      </Box>
+
+      <Typography variant="subtitle1" gutterBottom>
+        Members
+      </Typography>
+
+      {isAdmin && (
+        <Box display="flex" gap={1} sx={{ mb: 1 }} flexDirection={isMobile ? 'column' : 'row'}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Email address"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            InputProps={{
+              startAdornment: <EmailIcon sx={{ mr: 1, color: 'text.secondary' }} />
+            }}
+          />
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Role</InputLabel>
+            <Select value={role} onChange={(e) => setRole(e.target.value)} label="Role">
+              {WORKSPACE_ROLES.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  <ListItemText primary={option.label} secondary={option.description} />
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button
+            variant="contained"
+            onClick={handleAddMember}
+            disabled={loading || !email.trim()}
+            startIcon={loading ? <CircularProgress size={20} /> : <AddIcon />}
+          >
+            Add
+          </Button>
+        </Box>
+      )}
+
+      <List dense>
+        {workspace.members.map((member) => {
+          const isSelf = member.userId === currentUser?.id;
+          return (
+            <ListItem key={member.userId} divider>
+              <ListItemText
+                primary={isSelf ? `${member.email} (you)` : member.email}
+                secondary={`Joined ${new Date(member.joinedAt).toLocaleDateString()}`}
+              />
+              <Box display="flex" alignItems="center" gap={1}>
+                {isAdmin ? (
+                  <Select
+                    size="small"
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member.userId, e.target.value)}
+                    disabled={loading}
+                  >
+                    {WORKSPACE_ROLES.map((option) => (
+                      <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                    ))}
+                  </Select>
+                ) : (
+                  <Chip size="small" label={workspaceRoleLabel(member.role)} />
+                )}
+                {(isAdmin || isSelf) && (
+                  <IconButton
+                    size="small"
+                    onClick={() => handleRemoveMember(member.userId)}
+                    disabled={loading}
+                    title={isSelf ? 'Leave workspace' : 'Remove member'}
+                  >
+                    {isSelf ? <LeaveIcon fontSize="small" /> : <DeleteIcon fontSize="small" />}
+                  </IconButton>
+                )}
+              </Box>
+            </ListItem>
+          );
+        })}
+      </List>
+
+      <Divider sx={{ my: 2 }} />
+
+      <Box display="flex" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          Notes
+        </Typography>
+        {canAddCurrentNote && (
+          <Button size="small" onClick={handleAddNote} disabled={loading} startIcon={<AddIcon />}>
+            Add current note
+          </Button>
+        )}
+      </Box>
+
+      {workspace.notes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          {canAddNotes
+            ? 'Open one of your notes and add it here to share it with the workspace.'
+            : 'No notes in this workspace yet.'}
+        </Typography>
+      ) : (
+        <List dense>
+          {workspace.notes.map((note) => (
+            <ListItem key={`${note.ownerId}-${note.noteId}`} divider>
+              <NoteIcon fontSize="small" color="action" sx={{ mr: 1.5 }} />
+              <ListItemText
+                primary={note.title || 'Untitled'}
+                secondary={note.ownerId === currentUser?.id ? 'Your note' : `By ${note.ownerEmail || 'a former member'}`}
+              />
+              {(isAdmin || note.ownerId === currentUser?.id) && (
+                <ListItemSecondaryAction>
+                  <IconButton
+                    edge="end"
+                    size="small"
+                    onClick={() => handleRemoveNote(note.noteId)}
+                    disabled={loading}
+                    title="Remove from workspace"
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </ListItemSecondaryAction>
+              )}
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {isAdmin && (
+        <Box sx={{ mt: 3 }}>
+          {confirmDelete ? (
+            <Alert
+              severity="warning"
+              action={
+                <>
+                  <Button color="inherit" size="small" onClick={() => setConfirmDelete(false)}>Cancel</Button>
+                  <Button color="error" size="small" onClick={handleDelete} disabled={loading}>Delete</Button>
+                </>
+              }
+            >
+              Delete this workspace? Its notes stay with their owners but are no longer shared with the members.
+            </Alert>
+          ) : (
+            <Button color="error" size="small" startIcon={<DeleteIcon />} onClick={() => setConfirmDelete(true)}>
+              Delete workspace
+            </Button>
+          )}
+        </Box>
+      )}
+    </>
+  );
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth fullScreen={isMobile}>
+      <DialogTitle>
+        <Box display="flex" alignItems="center" gap={1}>
+          {workspace ? (
+            <IconButton size="small" onClick={backToList} title="All workspaces">
+              <ArrowBackIcon />
+            </IconButton>
+          ) : (
+            <GroupsIcon color="primary" />
+          )}
+          Workspaces
+        </Box>
+      </DialogTitle>
+
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {success && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {success}
+          </Alert>
+        )}
+
+        {workspace ? renderWorkspace() : renderList()}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={handleClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WorkspacesDialog;
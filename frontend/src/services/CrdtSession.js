@@ -0,0 +1,320 @@
+// Live co-editing of one note through a shared Yjs document.
+//
+// The editor is bound to a Y.Doc with y-prosemirror; local changes go to the
+// server as Yjs updates and remote ones are merged in, so concurrent edits never
+// conflict. A session survives short disconnects: on reconnect both sides swap
+// state vectors and send each other what is missing.
+//
+// The server only relays and stores the document. The note's HTML is saved from
+// snapshots clients send after changes settle - the server keeps a snapshot only
+// when it was taken from exactly the merged document.
+
+import * as Y from 'yjs';
+import {
+  ySyncPlugin,
+  ySyncPluginKey,
+  yUndoPlugin,
+  yUndoPluginKey,
+  undoCommand,
+  redoCommand,
+  absolutePositionToRelativePosition,
+  relativePositionToAbsolutePosition
+} from 'y-prosemirror';
+import { PluginKey } from '@tiptap/pm/state';
+import { keymap } from '@tiptap/pm/keymap';
+import webSocketManager from './WebSocketManager';
+
+const SNAPSHOT_DELAY = 1000; // ms after the last change before the HTML is saved
+const SEED_RETRY_DELAY = 10000; // retry if whoever was filling an empty document went away
+const REMOTE_ORIGIN = 'remote';
+
+const undoKeymapKey = new PluginKey('crdtUndoKeymap');
+
+// Whether an editor transaction came from someone else's edit (the shared
+// document also re-renders the editor for our own undo/redo)
+export const isRemoteTransaction = (transaction) => {
+  const meta = transaction?.getMeta(ySyncPluginKey);
+  return !!meta?.isChangeOrigin && !meta.isUndoRedoOperation;
+};
+
+class CrdtSession {
+  /**
+   * @param {object} options
+   * @param {Editor} options.editor - Tiptap editor to bind
+   * @param {string} options.noteId
+   * @param {function} [options.onDivergence] - called with the saved content when
+   *   changes made while disconnected can't be merged (the document was replaced)
+   */
+  constructor({ editor, noteId, onDivergence }) {
+    this.editor = editor;
+    this.noteId = noteId;
+    this.onDivergence = onDivergence;
+
+    this.doc = null;
+    this.generation = null;
+    this.bound = false;
+    this.canEdit = true;
+    this.offlineChanges = false;
+    this.destroyed = false;
+    this.snapshotTimer = null;
+    this.retryTimer = null;
+
+    this.handleSyncReply = this.handleSyncReply.bind(this);
+    this.handleRemoteUpdate = this.handleRemoteUpdate.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+    this.handleResync = this.handleResync.bind(this);
+    this.handleJoined = this.handleJoined.bind(this);
+    this.handleDocUpdate = this.handleDocUpdate.bind(this);
+  }
+
+  start() {
+    webSocketManager.on('crdt-sync-reply', this.handleSyncReply);
+    webSocketManager.on('crdt-update', this.handleRemoteUpdate);
+    webSocketManager.on('crdt-reset', this.handleReset);
+    webSocketManager.on('crdt-resync', this.handleResync);
+    webSocketManager.on('join-note-success', this.handleJoined);
+
+    this.createDoc();
+    this.sync();
+  }
+
+  destroy() {
+    this.destroyed = true;
+    webSocketManager.off('crdt-sync-reply', this.handleSyncReply);
+    webSocketManager.off('crdt-update', this.handleRemoteUpdate);
+    webSocketManager.off('crdt-reset', this.handleReset);
+    webSocketManager.off('crdt-resync', this.handleResync);
+    webSocketManager.off('join-note-success', this.handleJoined);
+
+    clearTimeout(this.snapshotTimer);
+    clearTimeout(this.retryTimer);
+    this.unbind();
+    this.doc?.destroy();
+    this.doc = null;
+  }
+
+  // True once the editor is driven by the shared document
+  isLive() {
+    return this.bound && !this.destroyed;
+  }
+
+  undo() {
+    return undoCommand(this.editor.state, this.editor.view.dispatch);
+  }
+
+  redo() {
+    return redoCommand(this.editor.state, this.editor.view.dispatch);
+  }
+
+  canUndo() {
+    return !!undoCommand(this.editor.state);
+  }
+
+  canRedo() {
+    return !!redoCommand(this.editor.state);
+  }
+
+  // The local selection as positions in the shared document, which stay put
+  // when other people's edits land before them
+  encodeSelection() {
+    if (!this.isLive()) return null;
+    const { type, binding } = ySyncPluginKey.getState(this.editor.state);
+    if (!binding) return null;
+
+    const { anchor, head } = this.editor.state.selection;
+    const encode = (pos) => Y.relativePositionToJSON(absolutePositionToRelativePosition(pos, type, binding.mapping));
+    return { anchor: encode(anchor), head: encode(head) };
+  }
+
+  // Editor position for a position from encodeSelection(), or null
+  decodePosition(position) {
+    if (!this.isLive() || !position) return null;
+    const { type, binding } = ySyncPluginKey.getState(this.editor.state);
+    if (!binding) return null;
+
+    try {
+      return relativePositionToAbsolutePosition(this.doc, type, Y.createRelativePositionFromJSON(position), binding.mapping);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  createDoc() {
+    this.doc?.destroy();
+    this.doc = new Y.Doc();
+    this.doc.on('update', this.handleDocUpdate);
+  }
+
+  bind() {
+    if (this.bound || this.editor.isDestroyed) return;
+
+    // Remote changes re-render the document, which the editor's own history can't
+    // follow - use the Yjs undo manager (it only undoes your own changes) and
+    // put its keys ahead of the history extension's
+    const undoKeys = keymap({ 'Mod-z': undoCommand, 'Mod-y': redoCommand, 'Shift-Mod-z': redoCommand });
+    undoKeys.spec.key = undoKeymapKey;
+    const prepend = (plugin, plugins) => [plugin, ...plugins];
+    // The undo plugin reads the sync plugin's state, so it has to come after it
+    const afterSync = (plugin, plugins) => {
+      const index = plugins.findIndex(existing => existing.spec.key === ySyncPluginKey) + 1;
+      return [...plugins.slice(0, index), plugin, ...plugins.slice(index)];
+    };
+
+    // Registering a plugin rebuilds every plugin view, and rebuilding the undo
+    // plugin's view throws its undo manager away - so it goes in last
+    this.editor.registerPlugin(undoKeys, prepend);
+    this.editor.registerPlugin(ySyncPlugin(this.doc.getXmlFragment('prosemirror')), prepend);
+    this.editor.registerPlugin(yUndoPlugin(), afterSync);
+    this.bound = true;
+  }
+
+  unbind() {
+    if (!this.bound) return;
+    this.bound = false;
+    if (!this.editor.isDestroyed) {
+      this.editor.unregisterPlugin([undoKeymapKey, yUndoPluginKey, ySyncPluginKey]);
+    }
+  }
+
+  sync() {
+    if (this.destroyed) return;
+    webSocketManager.sendCrdtMessage('crdt-sync', {
+      noteId: this.noteId,
+      generation: this.generation,
+      stateVector: this.doc ? Y.encodeStateVector(this.doc) : null
+    });
+  }
+
+  handleJoined(data) {
+    // Rejoined after a reconnect - catch up in both directions
+    if (data.noteId === this.noteId) {
+      this.sync();
+    }
+  }
+
+  handleResync(data) {
+    if (data.noteId === this.noteId) {
+      this.sync();
+    }
+  }
+
+  handleSyncReply(reply) {
+    if (reply.noteId !== this.noteId || this.destroyed) return;
+    if (reply.error) {
+      console.warn('⚠️ [CRDT] Sync refused:', reply.error);
+      return;
+    }
+
+    if (reply.reset && this.generation) {
+      this.restart(reply.content || '');
+      return;
+    }
+
+    this.generation = reply.generation;
+    this.canEdit = reply.canEdit;
+    clearTimeout(this.retryTimer);
+
+    Y.applyUpdate(this.doc, new Uint8Array(reply.update), REMOTE_ORIGIN);
+
+    if (!this.bound) {
+      const docIsEmpty = this.doc.store.clients.size === 0;
+      if (!docIsEmpty) {
+        this.bind();
+      } else if (reply.seed) {
+        // First editor in: fill the shared document from the note as loaded
+        const content = this.editor.getHTML();
+        this.bind();
+        // Not an edit of the user's own, so keep it out of their undo history
+        this.editor.chain().setMeta('addToHistory', false).setContent(content, false).run();
+      } else {
+        // Someone else is filling it; keep showing the note until they have
+        this.retryTimer = setTimeout(() => this.sync(), SEED_RETRY_DELAY);
+      }
+      return;
+    }
+
+    // Send whatever the server is missing (changes made while disconnected)
+    const missing = Y.encodeStateAsUpdate(this.doc, new Uint8Array(reply.stateVector));
+    if (this.sendUpdate(missing)) {
+      this.offlineChanges = false;
+    }
+    this.scheduleSnapshot();
+  }
+
+  handleRemoteUpdate(data) {
+    if (data.noteId !== this.noteId || this.destroyed) return;
+    if (data.generation !== this.generation) {
+      this.sync();
+      return;
+    }
+
+    Y.applyUpdate(this.doc, new Uint8Array(data.update), REMOTE_ORIGIN);
+    if (!this.bound) {
+      clearTimeout(this.retryTimer);
+      this.bind();
+    }
+  }
+
+  // The note was replaced outside live editing (version restore, offline save)
+  handleReset(data) {
+    if (data.noteId !== this.noteId || this.destroyed) return;
+    this.restart(data.content || '');
+  }
+
+  restart(content) {
+    const localContent = this.editor.getHTML();
+    const diverged = this.offlineChanges && localContent !== content;
+
+    clearTimeout(this.snapshotTimer);
+    this.unbind();
+    this.generation = null;
+    this.offlineChanges = false;
+
+    if (diverged && this.onDivergence) {
+      // Leave the local version in the editor and let the user decide
+      this.onDivergence(content);
+      return;
+    }
+
+    this.editor.commands.setContent(content, false);
+    this.createDoc();
+    this.sync();
+  }
+
+  handleDocUpdate(update, origin) {
+    if (origin !== REMOTE_ORIGIN && this.bound) {
+      if (!this.sendUpdate(update)) {
+        this.offlineChanges = true;
+      }
+    }
+    this.scheduleSnapshot();
+  }
+
+  sendUpdate(update) {
+    if (!this.canEdit || update.length <= 2) {
+      // Nothing to send (an empty Yjs update is two bytes)
+      return true;
+    }
+    return webSocketManager.sendCrdtMessage('crdt-update', {
+      noteId: this.noteId,
+      generation: this.generation,
+      update
+    });
+  }
+
+  scheduleSnapshot() {
+    if (!this.canEdit) return;
+    clearTimeout(this.snapshotTimer);
+    this.snapshotTimer = setTimeout(() => {
+      if (!this.isLive() || this.editor.isDestroyed) return;
+      webSocketManager.sendCrdtMessage('crdt-snapshot', {
+        noteId: this.noteId,
+        generation: this.generation,
+        html: this.editor.getHTML(),
+        stateVector: Y.encodeStateVector(this.doc)
+      });
+    }, SNAPSHOT_DELAY);
+  }
+}
+
+export default CrdtSession;
@@ -188,6 +188,25 @@ class WebSocketManager {
       this.emit('batch-saved', data);
     });
 
+    this.socket.on('comments-updated', (data) => {
+      this.emit('comments-updated', data);
+    });
+
+    this.socket.on('cursor-updated', (data) => {
+      this.emit('cursor-updated', data);
+    });
+
+    this.socket.on('notification', (data) => {
+      this.emit('notification', data);
+    });
+
+    // Shared document (CRDT) sync
+    ['crdt-sync-reply', 'crdt-update', 'crdt-reset', 'crdt-resync'].forEach((event) => {
+      this.socket.on(event, (data) => {
+        this.emit(event, data);
+      });
+    });
+
     this.socket.on('error', (error) => {
       console.error('❌ Socket error:', error);
       this.emit('error', error);
@@ -278,6 +297,26 @@ class WebSocketManager {
     return true;
   }
 
+  // Send a shared document message (crdt-sync, crdt-update or crdt-snapshot)
+  sendCrdtMessage(event, payload) {
+    if (this.state !== 'connected' || !this.socket) {
+      return false;
+    }
+
+    this.socket.emit(event, payload);
+    return true;
+  }
+
+  // Share the local caret/selection with the note's room
+  sendCursor(noteId, selection) {
+    if (this.state !== 'connected' || !this.socket) {
+      return false;
+    }
+
+    this.socket.emit('cursor-update', { noteId, ...selection });
+    return true;
+  }
+
   // Send heartbeat
   sendHeartbeat(noteId) {
     if (this.state === 'connected' && this.socket) {
@@ -84,7 +84,12 @@ class SyncService {
             contentHash: contentHash,
             title: note.title || '',
             shared: note.shared || false,
-            hasBeenShared: note.hasBeenShared || false
+            hasBeenShared: note.hasBeenShared || false,
+            tags: note.tags || [],
+            folderId: note.folderId || null,
+            pinned: note.pinned || false,
+            favorite: note.favorite || false,
+            sortOrder: note.sortOrder ?? null
           }
         };
       });
@@ -283,6 +288,22 @@ class SyncService {
           // Timestamp changed but hash same - still fetch as fallback
           notesToFetch.push(noteId);
           console.log(`⏰ Note ${noteId} timestamp differs despite same hash`);
+        } else if (serverMeta.tags && serverMeta.tags.join('\n') !== (clientMeta.tags || []).join('\n')) {
+          // Tag changes don't touch content or updatedAt
+          notesToFetch.push(noteId);
+          console.log(`🏷️ Note ${noteId} tags changed`);
+        } else if (serverMeta.folderId !== undefined && (serverMeta.folderId || null) !== (clientMeta.folderId || null)) {
+          // Moving a note between folders doesn't touch content or updatedAt either
+          notesToFetch.push(noteId);
+          console.log(`📁 Note ${noteId} moved to another folder`);
+        } else if (serverMeta.pinned !== undefined && (
+          serverMeta.pinned !== (clientMeta.pinned || false) ||
+          serverMeta.favorite !== (clientMeta.favorite || false) ||
+          serverMeta.sortOrder !== (clientMeta.sortOrder ?? null)
+        )) {
+          // Pinning, favoriting and manual reordering keep the order the same on every device
+          notesToFetch.push(noteId);
+          console.log(`📌 Note ${noteId} pin/favorite/order changed`);
         } else {
           // No changes - identical hash and timestamp
           results.stats.skipped++;
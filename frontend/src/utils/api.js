@@ -1,6 +1,18 @@
 import axios from 'axios';
 import offlineStorage from './offlineStorage';
 
+// Single-note URLs (/api/notes/:id) that the offline-capable note methods handle.
+// Collection endpoints that share the same shape must not be treated as note IDs.
+const NOTE_COLLECTION_PATHS = new Set(['trash', 'order', 'preferences']);
+
+const matchNoteUrl = (url) => {
+  const match = url.match(/^\/api\/notes\/([^/]+)$/);
+  if (!match || NOTE_COLLECTION_PATHS.has(match[1])) {
+    return null;
+  }
+  return match;
+};
+
 class OfflineCapableAPI {
   constructor() {
     // Use the correct port (3002) for both development and production
@@ -572,6 +584,8 @@ class OfflineCapableAPI {
       updatedAt: now,
       shared: false,
       permission: 'edit',
+      tags: data.tags || [],
+      folderId: data.folderId || null,
       offline: true,
       pendingSync: true
     };
@@ -594,7 +608,7 @@ class OfflineCapableAPI {
 
   // Update note - works offline with retry
   async put(url, data) {
-    const match = url.match(/^\/api\/notes\/(.+)$/);
+    const match = matchNoteUrl(url);
     if (match) {
       const noteId = match[1];
       return this.updateNote(noteId, data);
@@ -676,7 +690,7 @@ class OfflineCapableAPI {
 
   // Delete note - works offline with retry
   async delete(url) {
-    const match = url.match(/^\/api\/notes\/(.+)$/);
+    const match = matchNoteUrl(url);
     if (match) {
       const noteId = match[1];
       return this.deleteNote(noteId);
@@ -734,6 +748,33 @@ class OfflineCapableAPI {
     return { data: { message: 'Note deleted successfully' } };
   }
 
+  // Download a file (e.g. a Markdown export) and hand it to the browser
+  async download(url, fallbackFilename = 'download', { onProgress } = {}) {
+    if (!this.isOnline) {
+      throw new Error('Downloads require an internet connection');
+    }
+
+    const response = await this.api.get(url, {
+      responseType: 'blob',
+      onDownloadProgress: onProgress
+    });
+    const disposition = response.headers['content-disposition'] || '';
+    const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+    const plainName = disposition.match(/filename="([^"]+)"/i);
+    const filename = encodedName ? decodeURIComponent(encodedName[1]) : (plainName ? plainName[1] : fallbackFilename);
+
+    const objectUrl = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+
+    return filename;
+  }
+
   // Get current user with improved error handling
   async getCurrentUser() {
     const token = localStorage.getItem('token');
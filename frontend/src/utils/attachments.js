@@ -0,0 +1,86 @@
+import { Node } from '@tiptap/core';
+import { ReactNodeViewRenderer } from '@tiptap/react';
+import AttachmentCard from '../components/AttachmentCard';
+
+// Files attached to a note, shown as cards. An attachment is a block atom
+// stored as
+//   <div data-type="attachment" data-name="<name>" data-size="<bytes>" data-content-type="<type>">
+//     <a href="<url>"><name></a>
+//   </div>
+// so the note still reads as a plain download link wherever the card isn't
+// rendered (public links, Markdown export). The server rewrites the URL when
+// notes are restored or published, which is why it is the only place the
+// attachment's ID appears.
+
+// The attachment's API path, whatever origin its URL was saved with
+export const getAttachmentPath = (href) => (href || '').replace(/^https?:\/\/[^/]+/, '');
+
+const Attachment = Node.create({
+  name: 'attachment',
+  group: 'block',
+  atom: true,
+  draggable: true,
+
+  addOptions() {
+    return {
+      onDownload: null, // (attrs) when the card's download button is clicked
+      onPreview: null // (attrs) when a PDF card's preview button is clicked
+    };
+  },
+
+  addAttributes() {
+    return {
+      href: {
+        default: null,
+        parseHTML: element => element.querySelector('a')?.getAttribute('href') || null,
+        rendered: false
+      },
+      name: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-name') || element.textContent.trim(),
+        rendered: false
+      },
+      size: {
+        default: null,
+        parseHTML: element => parseInt(element.getAttribute('data-size'), 10) || null,
+        rendered: false
+      },
+      contentType: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-content-type') || '',
+        rendered: false
+      }
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: 'div[data-type="attachment"]' }];
+  },
+
+  renderHTML({ node }) {
+    return ['div', {
+      'data-type': 'attachment',
+      'data-name': node.attrs.name,
+      'data-size': node.attrs.size,
+      'data-content-type': node.attrs.contentType
+    }, ['a', { href: node.attrs.href }, node.attrs.name]];
+  },
+
+  renderText({ node }) {
+    return node.attrs.name;
+  },
+
+  addNodeView() {
+    return ReactNodeViewRenderer(AttachmentCard);
+  },
+
+  addCommands() {
+    return {
+      // Insert an attachment card of { href, name, size, contentType } at the caret
+      insertAttachment: (attrs) => ({ chain }) =>
+        chain().focus().insertContent({ type: this.name, attrs }).run()
+    };
+  }
+});
+
+export default Attachment;
@@ -0,0 +1,182 @@
+import { Extension, createDocument, getHTMLFromFragment } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+import { Decoration, DecorationSet } from '@tiptap/pm/view';
+
+// Comment anchors are { start, end } offsets into the note's stored HTML (what
+// editor.getHTML() returns). This extension translates between those offsets and
+// editor positions by dropping private-use marker characters into the document,
+// serializing or parsing once, and reading back where the markers ended up.
+
+const MARKER_BASE = 0xe000;
+const MARKER_PATTERN = /[\uE000-\uF8FF]/;
+
+export const commentHighlightsKey = new PluginKey('commentHighlights');
+
+// Move an offset that landed inside a tag or an entity to just after it
+const clampOffset = (html, offset) => {
+  const position = Math.max(0, Math.min(offset, html.length));
+  const tagOpen = html.lastIndexOf('<', position - 1);
+  if (tagOpen > html.lastIndexOf('>', position - 1)) {
+    const tagClose = html.indexOf('>', position);
+    return tagClose === -1 ? html.length : tagClose + 1;
+  }
+  const entity = /^[#a-zA-Z0-9]*;/.exec(html.slice(position));
+  const ampersand = html.lastIndexOf('&', position - 1);
+  if (entity && ampersand !== -1 && /^&[#a-zA-Z0-9]*$/.test(html.slice(ampersand, position))) {
+    return position + entity[0].length;
+  }
+  return position;
+};
+
+/**
+ * Editor ranges for a list of HTML anchors, as [{ id, from, to }]. Anchors that
+ * can't be placed (the text is gone) are left out.
+ */
+export const anchorsToRanges = (doc, schema, threads) => {
+  const html = getHTMLFromFragment(doc.content, schema);
+  const boundaries = [];
+
+  threads.forEach((thread, index) => {
+    if (thread.detached || !thread.anchor) return;
+    boundaries.push({ offset: clampOffset(html, thread.anchor.start), marker: MARKER_BASE + index * 2 });
+    boundaries.push({ offset: clampOffset(html, thread.anchor.end), marker: MARKER_BASE + index * 2 + 1 });
+  });
+  if (boundaries.length === 0) return [];
+
+  // Insert from the back so earlier offsets stay valid
+  let marked = html;
+  boundaries
+    .sort((a, b) => b.offset - a.offset || b.marker - a.marker)
+    .forEach(({ offset, marker }) => {
+      marked = `${marked.slice(0, offset)}${String.fromCharCode(marker)}${marked.slice(offset)}`;
+    });
+
+  const positions = new Map();
+  let markersSeen = 0;
+  createDocument(marked, schema).descendants((node, pos) => {
+    if (!node.isText) return;
+    for (let i = 0; i < node.text.length; i++) {
+      if (MARKER_PATTERN.test(node.text[i])) {
+        positions.set(node.text.charCodeAt(i), pos + i - markersSeen);
+        markersSeen++;
+      }
+    }
+  });
+
+  const ranges = [];
+  threads.forEach((thread, index) => {
+    const from = positions.get(MARKER_BASE + index * 2);
+    const to = positions.get(MARKER_BASE + index * 2 + 1);
+    if (from !== undefined && to !== undefined && to > from && to <= doc.content.size) {
+      ranges.push({ id: thread.id, from, to });
+    }
+  });
+  return ranges;
+};
+
+/**
+ * The current selection as an HTML anchor { start, end, quote }, or null when
+ * nothing commentable is selected.
+ */
+export const getSelectionAnchor = (editor) => {
+  const { state, schema } = editor;
+  const { from, to, empty } = state.selection;
+  if (empty) return null;
+
+  const quote = state.doc.textBetween(from, to, ' ').trim();
+  if (!quote) return null;
+
+  const startMarker = String.fromCharCode(MARKER_BASE);
+  const endMarker = String.fromCharCode(MARKER_BASE + 1);
+  const tr = state.tr.insertText(endMarker, to).insertText(startMarker, from);
+  const html = getHTMLFromFragment(tr.doc.content, schema);
+
+  const start = html.indexOf(startMarker);
+  const end = html.indexOf(endMarker);
+  if (start === -1 || end === -1 || end <= start) return null;
+
+  return { start, end: end - startMarker.length, quote };
+};
+
+const buildDecorations = (doc, schema, threads, activeThreadId) => {
+  const ranges = anchorsToRanges(doc, schema, threads);
+  return DecorationSet.create(doc, ranges.map(({ id, from, to }) => {
+    const thread = threads.find(t => t.id === id);
+    const classes = ['comment-highlight'];
+    if (thread.status === 'resolved') classes.push('comment-highlight-resolved');
+    if (id === activeThreadId) classes.push('comment-highlight-active');
+    return Decoration.inline(from, to, { class: classes.join(' '), 'data-thread-id': id }, { threadId: id });
+  }));
+};
+
+// A transaction that swaps the whole document (setContent from a remote update)
+const replacesDocument = (tr) => tr.steps.some(step => step.from === 0 && step.to >= tr.before.content.size);
+
+const CommentHighlights = Extension.create({
+  name: 'commentHighlights',
+
+  addOptions() {
+    return {
+      onThreadClick: null
+    };
+  },
+
+  addCommands() {
+    return {
+      setCommentThreads: (threads, activeThreadId = null) => ({ tr, dispatch }) => {
+        if (dispatch) {
+          tr.setMeta(commentHighlightsKey, { threads, activeThreadId });
+        }
+        return true;
+      }
+    };
+  },
+
+  addProseMirrorPlugins() {
+    const { schema } = this.editor;
+    const options = this.options;
+
+    return [
+      new Plugin({
+        key: commentHighlightsKey,
+        state: {
+          init: () => ({ threads: [], activeThreadId: null, decorations: DecorationSet.empty }),
+          apply: (tr, value, oldState, newState) => {
+            const meta = tr.getMeta(commentHighlightsKey);
+            if (meta) {
+              // Resolved threads are only highlighted while selected
+              const visible = meta.threads.filter(t => t.status !== 'resolved' || t.id === meta.activeThreadId);
+              return {
+                threads: meta.threads,
+                activeThreadId: meta.activeThreadId,
+                decorations: buildDecorations(newState.doc, schema, visible, meta.activeThreadId)
+              };
+            }
+            if (!tr.docChanged) return value;
+
+            if (replacesDocument(tr)) {
+              const visible = value.threads.filter(t => t.status !== 'resolved' || t.id === value.activeThreadId);
+              return { ...value, decorations: buildDecorations(newState.doc, schema, visible, value.activeThreadId) };
+            }
+            return { ...value, decorations: value.decorations.map(tr.mapping, tr.doc) };
+          }
+        },
+        props: {
+          decorations(state) {
+            return commentHighlightsKey.getState(state).decorations;
+          },
+          handleClick(view, pos) {
+            if (!options.onThreadClick) return false;
+            const [decoration] = commentHighlightsKey.getState(view.state).decorations.find(pos, pos);
+            if (decoration) {
+              options.onThreadClick(decoration.spec.threadId);
+            }
+            return false;
+          }
+        }
+      })
+    ];
+  }
+});
+
+export default CommentHighlights;
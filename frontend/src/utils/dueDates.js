@@ -0,0 +1,154 @@
+import { Extension } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+import { Decoration, DecorationSet } from '@tiptap/pm/view';
+
+// Due dates on task items, and when a note is "due soon". A task's due date is
+// a YYYY-MM-DD `due` attribute stored as data-due on its <li>. It is only
+// written when set, so task lists without dates keep the exact HTML (and content
+// hash) they always had. Notes can also carry a personal `reminderAt` time; the
+// server sends both kinds of reminders.
+
+export const DUE_SOON_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TASK_ITEM_PATTERN = /<li\b[^>]*\bdata-type="taskItem"[^>]*>/g;
+
+export const taskDueDatesKey = new PluginKey('taskDueDates');
+
+// A YYYY-MM-DD due date as local midnight, or null when it isn't one
+export const parseDueDate = (due) => {
+  if (!DUE_DATE_PATTERN.test(due || '')) return null;
+  const [year, month, day] = due.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getDate() === day ? date : null;
+};
+
+export const formatDueDate = (due) =>
+  parseDueDate(due)?.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) || '';
+
+const startOfToday = (now = new Date()) => new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+// 'overdue', 'today' or 'upcoming'
+export const dueStatus = (date, now = new Date()) => {
+  const today = startOfToday(now).getTime();
+  if (date.getTime() < today) return 'overdue';
+  return date.getTime() < today + DAY ? 'today' : 'upcoming';
+};
+
+// Due dates of the open tasks in stored note HTML
+export const getOpenTaskDueDates = (content) => {
+  if (!content || !content.includes('data-due=')) return [];
+
+  const dates = [];
+  for (const [tag] of content.matchAll(TASK_ITEM_PATTERN)) {
+    if (/\bdata-checked="true"/.test(tag)) continue;
+    const due = parseDueDate(/\bdata-due="([^"]*)"/.exec(tag)?.[1]);
+    if (due) dates.push(due);
+  }
+  return dates;
+};
+
+/**
+ * When a note next needs attention, as a Date: its reminder (from today on) or
+ * the earliest due date of an open task, whichever comes first. Null when it
+ * has neither.
+ */
+export const getNextDue = (note, now = new Date()) => {
+  const candidates = getOpenTaskDueDates(note?.content);
+  if (note?.reminderAt) {
+    const reminder = new Date(note.reminderAt);
+    if (!Number.isNaN(reminder.getTime()) && reminder >= startOfToday(now)) {
+      candidates.push(reminder);
+    }
+  }
+  if (candidates.length === 0) return null;
+  return new Date(Math.min(...candidates.map(date => date.getTime())));
+};
+
+// Overdue, or due within the next DUE_SOON_DAYS days
+export const isDueSoon = (note, now = new Date()) => {
+  const next = getNextDue(note, now);
+  return !!next && next.getTime() < startOfToday(now).getTime() + (DUE_SOON_DAYS + 1) * DAY;
+};
+
+// The innermost task item around the selection as { pos, node }, or null
+export const findTaskItem = (state) => {
+  const { $from } = state.selection;
+  for (let depth = $from.depth; depth > 0; depth--) {
+    const node = $from.node(depth);
+    if (node.type.name === 'taskItem') {
+      return { pos: $from.before(depth), node };
+    }
+  }
+  return null;
+};
+
+const buildDecorations = (doc) => {
+  const decorations = [];
+  doc.descendants((node, pos) => {
+    if (node.type.name !== 'taskItem' || !node.attrs.due) return;
+    const date = parseDueDate(node.attrs.due);
+    if (!date) return;
+
+    const status = node.attrs.checked ? 'done' : dueStatus(date);
+    decorations.push(Decoration.node(pos, pos + node.nodeSize, {
+      class: `task-due task-due-${status}`,
+      'data-due-label': formatDueDate(node.attrs.due)
+    }));
+  });
+  return DecorationSet.create(doc, decorations);
+};
+
+const TaskDueDates = Extension.create({
+  name: 'taskDueDates',
+
+  addGlobalAttributes() {
+    return [
+      {
+        types: ['taskItem'],
+        attributes: {
+          due: {
+            default: null,
+            keepOnSplit: false,
+            parseHTML: element => (parseDueDate(element.getAttribute('data-due')) ? element.getAttribute('data-due') : null),
+            renderHTML: attributes => (attributes.due ? { 'data-due': attributes.due } : {})
+          }
+        }
+      }
+    ];
+  },
+
+  addCommands() {
+    return {
+      // Set (YYYY-MM-DD) or clear (null) the due date of the task item at the caret
+      setTaskDue: (due) => ({ state, tr, dispatch }) => {
+        const taskItem = findTaskItem(state);
+        if (!taskItem) return false;
+        if (dispatch) {
+          tr.setNodeMarkup(taskItem.pos, undefined, { ...taskItem.node.attrs, due: parseDueDate(due) ? due : null });
+        }
+        return true;
+      }
+    };
+  },
+
+  addProseMirrorPlugins() {
+    return [
+      new Plugin({
+        key: taskDueDatesKey,
+        state: {
+          init: (config, state) => buildDecorations(state.doc),
+          apply: (tr, value) => (tr.docChanged ? buildDecorations(tr.doc) : value)
+        },
+        props: {
+          decorations(state) {
+            return taskDueDatesKey.getState(state);
+          }
+        }
+      })
+    ];
+  }
+});
+
+export default TaskDueDates;
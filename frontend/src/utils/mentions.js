@@ -0,0 +1,152 @@
+import { Node } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+
+// @mentions of a note's collaborators. A mention is an inline atom stored as
+//   <span data-type="mention" data-id="<userId>" data-label="<name>" class="mention">@name</span>
+// and always rendered from its attributes in that exact form, so loading and
+// saving a note never rewrites it (the label is not refreshed when someone is
+// renamed) and content hashes stay stable.
+//
+// Typing `@` after whitespace opens a suggestion: the plugin reports the query
+// and where it starts through onSuggestion, lets onKeyDown take arrow keys and
+// Enter while it is open, and closes on Escape until the caret leaves it.
+
+export const mentionSuggestionKey = new PluginKey('mentionSuggestion');
+
+const MAX_QUERY_LENGTH = 30;
+const QUERY_PATTERN = new RegExp(`(?:^|\\s)@([^\\s@]{0,${MAX_QUERY_LENGTH}})$`);
+
+// The `@query` right before the caret as { from, to, query }, or null
+const findSuggestion = (state) => {
+  const { empty, $from } = state.selection;
+  if (!empty || $from.parent.type.spec.code || !$from.parent.isTextblock) return null;
+
+  const textBefore = $from.parent.textBetween(0, $from.parentOffset, null, '\ufffc');
+  const match = QUERY_PATTERN.exec(textBefore);
+  if (!match) return null;
+
+  return { from: $from.pos - match[1].length - 1, to: $from.pos, query: match[1] };
+};
+
+const sameSuggestion = (a, b) =>
+  a === b || (!!a && !!b && a.from === b.from && a.to === b.to && a.query === b.query);
+
+const Mention = Node.create({
+  name: 'mention',
+  group: 'inline',
+  inline: true,
+  atom: true,
+  selectable: false,
+
+  addOptions() {
+    return {
+      onSuggestion: null, // ({ query, from, to, rect }) while typing a mention, null when done
+      onKeyDown: null // return true to handle a key while a suggestion is open
+    };
+  },
+
+  addAttributes() {
+    return {
+      id: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-id'),
+        rendered: false
+      },
+      label: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-label') || element.textContent.replace(/^@/, ''),
+        rendered: false
+      }
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: 'span[data-type="mention"]' }];
+  },
+
+  renderHTML({ node }) {
+    return ['span', {
+      'data-type': 'mention',
+      'data-id': node.attrs.id,
+      'data-label': node.attrs.label,
+      class: 'mention'
+    }, `@${node.attrs.label}`];
+  },
+
+  renderText({ node }) {
+    return `@${node.attrs.label}`;
+  },
+
+  addCommands() {
+    return {
+      // Replace the `@query` being typed (or insert at the caret) with a mention of { id, label }
+      insertMention: (attrs) => ({ state, chain }) => {
+        const suggestion = mentionSuggestionKey.getState(state)?.suggestion;
+        const range = suggestion || { from: state.selection.from, to: state.selection.to };
+        return chain()
+          .focus()
+          .insertContentAt({ from: range.from, to: range.to }, [
+            { type: this.name, attrs },
+            { type: 'text', text: ' ' }
+          ])
+          .run();
+      }
+    };
+  },
+
+  addProseMirrorPlugins() {
+    const options = this.options;
+
+    return [
+      new Plugin({
+        key: mentionSuggestionKey,
+        state: {
+          init: () => ({ suggestion: null, dismissedFrom: null }),
+          apply: (tr, value, oldState, newState) => {
+            const found = findSuggestion(newState);
+            let dismissedFrom = value.dismissedFrom === null ? null : tr.mapping.map(value.dismissedFrom);
+
+            if (tr.getMeta(mentionSuggestionKey) === 'dismiss' && found) {
+              dismissedFrom = found.from;
+            }
+            if (!found || found.from !== dismissedFrom) {
+              dismissedFrom = null;
+            }
+
+            const suggestion = found && dismissedFrom === null ? found : null;
+            if (sameSuggestion(suggestion, value.suggestion) && dismissedFrom === value.dismissedFrom) {
+              return value;
+            }
+            return { suggestion, dismissedFrom };
+          }
+        },
+        view: () => ({
+          update: (view, prevState) => {
+            const previous = mentionSuggestionKey.getState(prevState).suggestion;
+            const current = view.editable ? mentionSuggestionKey.getState(view.state).suggestion : null;
+            if (sameSuggestion(previous, current) || !options.onSuggestion) return;
+
+            options.onSuggestion(current ? { ...current, rect: view.coordsAtPos(current.from) } : null);
+          },
+          destroy: () => {
+            options.onSuggestion?.(null);
+          }
+        }),
+        props: {
+          handleKeyDown(view, event) {
+            if (!mentionSuggestionKey.getState(view.state).suggestion) return false;
+
+            if (options.onKeyDown?.(event)) return true;
+            if (event.key === 'Escape') {
+              view.dispatch(view.state.tr.setMeta(mentionSuggestionKey, 'dismiss'));
+              return true;
+            }
+            return false;
+          }
+        }
+      })
+    ];
+  }
+});
+
+export default Mention;
@@ -0,0 +1,21 @@
+// Roles a note can be shared with, matching the backend's `permission` values.
+// Notes you own come back from the API with permission 'edit' and no sharedBy.
+
+export const NOTE_ROLES = [
+  { value: 'view', label: 'View only', description: 'Can read the note and its comments' },
+  { value: 'comment', label: 'Can comment', description: 'Can also start and reply to comments' },
+  { value: 'edit', label: 'Can edit', description: 'Can also change the note' },
+  { value: 'owner', label: 'Co-owner', description: 'Can also share the note and change roles' }
+];
+
+// Folders share their notes, so co-ownership isn't offered there
+export const FOLDER_ROLES = NOTE_ROLES.filter(role => role.value !== 'owner');
+
+export const roleLabel = (permission) =>
+  NOTE_ROLES.find(role => role.value === permission)?.label || 'Can edit';
+
+export const canEditNote = (note) => note?.permission === 'edit' || note?.permission === 'owner';
+
+export const canCommentNote = (note) => canEditNote(note) || note?.permission === 'comment';
+
+export const canShareNote = (note) => (note?.sharedBy ? note.permission === 'owner' : canEditNote(note));
@@ -0,0 +1,60 @@
+// Web Push subscription for this device. The server signs pushes with its VAPID
+// key; the subscription ID it hands back is kept so this device can opt out again.
+import api from './api';
+
+const SUBSCRIPTION_ID_KEY = 'pushSubscriptionId';
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const rawData = window.atob(base64);
+  return Uint8Array.from(rawData, (char) => char.charCodeAt(0));
+};
+
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+export const enablePush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site in your browser settings');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  let subscription = await registration.pushManager.getSubscription();
+  if (!subscription) {
+    const response = await api.get('/api/notifications/push/public-key');
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(response.data.publicKey)
+    });
+  }
+
+  const response = await api.post('/api/notifications/push/subscriptions', { subscription: subscription.toJSON() });
+  localStorage.setItem(SUBSCRIPTION_ID_KEY, response.data.id);
+  return subscription;
+};
+
+export const disablePush = async () => {
+  const subscription = await getPushSubscription();
+  if (subscription) {
+    await subscription.unsubscribe();
+  }
+
+  const subscriptionId = localStorage.getItem(SUBSCRIPTION_ID_KEY);
+  if (subscriptionId) {
+    await api.delete(`/api/notifications/push/subscriptions/${subscriptionId}`).catch(() => {});
+    localStorage.removeItem(SUBSCRIPTION_ID_KEY);
+  }
+};
@@ -0,0 +1,97 @@
+import { Extension } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+import { Decoration, DecorationSet } from '@tiptap/pm/view';
+
+// Other collaborators' carets and selections. Cursors are handed in already
+// resolved to editor positions as [{ id, name, color, anchor, head }]; between
+// updates they move along with local edits.
+
+export const remoteCursorsKey = new PluginKey('remoteCursors');
+
+const CURSOR_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#039be5', '#00897b', '#7cb342', '#fb8c00', '#6d4c41'];
+
+// Same user, same color on every screen
+export const cursorColor = (userId) => {
+  let hash = 0;
+  for (const char of String(userId || '')) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length];
+};
+
+const renderCaret = (cursor) => {
+  const caret = document.createElement('span');
+  caret.className = 'remote-cursor';
+  caret.style.borderColor = cursor.color;
+
+  const label = document.createElement('span');
+  label.className = 'remote-cursor-label';
+  label.style.backgroundColor = cursor.color;
+  label.textContent = cursor.name || 'Someone';
+  caret.appendChild(label);
+
+  return caret;
+};
+
+const buildDecorations = (doc, cursors) => {
+  const size = doc.content.size;
+  const decorations = [];
+
+  cursors.forEach(cursor => {
+    const anchor = Math.min(Math.max(cursor.anchor, 0), size);
+    const head = Math.min(Math.max(cursor.head, 0), size);
+
+    if (anchor !== head) {
+      decorations.push(Decoration.inline(Math.min(anchor, head), Math.max(anchor, head), {
+        class: 'remote-selection',
+        style: `background-color: ${cursor.color}33`
+      }));
+    }
+    decorations.push(Decoration.widget(head, () => renderCaret(cursor), {
+      key: `${cursor.id}:${cursor.name}:${cursor.color}`,
+      side: 10
+    }));
+  });
+
+  return DecorationSet.create(doc, decorations);
+};
+
+const RemoteCursors = Extension.create({
+  name: 'remoteCursors',
+
+  addCommands() {
+    return {
+      setRemoteCursors: (cursors) => ({ tr, dispatch }) => {
+        if (dispatch) {
+          tr.setMeta(remoteCursorsKey, cursors);
+        }
+        return true;
+      }
+    };
+  },
+
+  addProseMirrorPlugins() {
+    return [
+      new Plugin({
+        key: remoteCursorsKey,
+        state: {
+          init: () => DecorationSet.empty,
+          apply: (tr, decorations, oldState, newState) => {
+            const cursors = tr.getMeta(remoteCursorsKey);
+            if (cursors) {
+              return buildDecorations(newState.doc, cursors);
+            }
+            return tr.docChanged ? decorations.map(tr.mapping, tr.doc) : decorations;
+          }
+        },
+        props: {
+          decorations(state) {
+            return remoteCursorsKey.getState(state);
+          }
+        }
+      })
+    ];
+  }
+});
+
+export default RemoteCursors;
@@ -0,0 +1,29 @@
+import Image from '@tiptap/extension-image';
+
+// Images with srcset/sizes. The server keeps narrower copies of every upload
+// and picks WebP/AVIF when the browser takes them, so the srcset only varies
+// the width: `<url>?w=<width> <width>w`. Both attributes are left out of the
+// HTML when unset, so images uploaded before keep their exact markup.
+
+const ResponsiveImage = Image.extend({
+  addAttributes() {
+    return {
+      ...this.parent?.(),
+      srcset: { default: null },
+      sizes: { default: null },
+    };
+  },
+});
+
+// srcset and sizes for an uploaded image, from the widths the server lists
+export const getResponsiveAttributes = (url, widths) => {
+  if (!widths || widths.length < 2) return {};
+
+  const largest = Math.max(...widths);
+  return {
+    srcset: widths.map(width => `${url}?w=${width} ${width}w`).join(', '),
+    sizes: `(max-width: ${largest}px) 100vw, ${largest}px`,
+  };
+};
+
+export default ResponsiveImage;
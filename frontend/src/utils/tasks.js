@@ -0,0 +1,53 @@
+import { parseDueDate } from './dueDates';
+
+// Task items in stored note HTML, read the same way as the server's
+// /api/notes/tasks: a task is addressed by its index among the note's task
+// items, and its text runs until a nested list item starts or it ends. Toggling
+// a task only flips data-checked on its <li>, so the rest of the note is saved
+// byte for byte as it was.
+
+const TASK_ITEM_PATTERN = /<li\b[^>]*\bdata-type="taskItem"[^>]*>/g;
+const MAX_TEXT_LENGTH = 200;
+
+const toText = (html) => html
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/gi, ' ')
+  .replace(/&lt;/gi, '<')
+  .replace(/&gt;/gi, '>')
+  .replace(/&quot;/gi, '"')
+  .replace(/&amp;/gi, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Task items as [{ index, text, checked, due }], in document order
+export const findTaskItems = (content) => {
+  if (!content || !content.includes('taskItem')) return [];
+
+  const tasks = [];
+  for (const match of content.matchAll(TASK_ITEM_PATTERN)) {
+    const rest = content.substring(match.index + match[0].length);
+    const end = rest.search(/<li\b|<\/li>/);
+    const due = /\bdata-due="([^"]*)"/.exec(match[0])?.[1];
+
+    tasks.push({
+      index: tasks.length,
+      text: toText(end === -1 ? rest : rest.substring(0, end)).substring(0, MAX_TEXT_LENGTH),
+      checked: /\bdata-checked="true"/.test(match[0]),
+      due: parseDueDate(due) ? due : null
+    });
+  }
+  return tasks;
+};
+
+// The content with task `index` checked or unchecked, or null when there is no such task
+export const setTaskChecked = (content, index, checked) => {
+  const match = Array.from(content?.matchAll(TASK_ITEM_PATTERN) || [])[index];
+  if (!match) return null;
+
+  const value = `data-checked="${checked ? 'true' : 'false'}"`;
+  const tag = /\bdata-checked="[^"]*"/.test(match[0])
+    ? match[0].replace(/\bdata-checked="[^"]*"/, value)
+    : match[0].replace(/^<li\b/, `<li ${value}`);
+
+  return content.substring(0, match.index) + tag + content.substring(match.index + match[0].length);
+};